@@ -0,0 +1,101 @@
+const cluster = require("cluster");
+const http = require("http");
+const path = require("path");
+const { setupMaster } = require("@socket.io/sticky");
+const { setupPrimary } = require("@socket.io/cluster-adapter");
+const { MemoryRoomStore, ROOM_EVENTS } = require("./services/roomStore");
+const { createSessionStore } = require("./services/sessionStore");
+const { SessionRecorder } = require("./services/sessionRecorder");
+const { exposeToWorkers } = require("./services/clusterRpc");
+const config = require("./config");
+
+/**
+ * Cluster entry point: the primary accepts connections and hands every
+ * client to the same worker (sticky sessions), workers run index.js.
+ *
+ * The primary owns the shared state - room membership, roles, settings and
+ * the room conversation (MemoryRoomStore) plus session recording - and
+ * serves it to workers over IPC. Socket.IO broadcasts reach sockets on
+ * every worker through the cluster adapter.
+ */
+
+const roomStore = new MemoryRoomStore();
+const sessionRecorder = new SessionRecorder(createSessionStore());
+sessionRecorder.attach(roomStore);
+sessionRecorder.startRetention();
+
+cluster.setupPrimary({
+  exec: path.join(__dirname, "index.js"),
+  serialization: "advanced",
+});
+
+exposeToWorkers("roomStore", roomStore, ROOM_EVENTS);
+exposeToWorkers("sessionRecorder", sessionRecorder);
+
+const httpServer = http.createServer();
+setupMaster(httpServer, { loadBalancingMethod: "least-connection" });
+setupPrimary();
+
+let shuttingDown = false;
+
+cluster.on("exit", (worker, code, signal) => {
+  console.warn(`⚠️  [Cluster] Worker ${worker.id} (pid ${worker.process.pid}) exited (${signal || code})`);
+
+  // Its sockets are gone; drop them from their rooms and let a live worker tell the rooms
+  const sockets = roomStore.findParticipants({ workerId: worker.id }).map((socketId) => ({
+    socketId,
+    departures: roomStore.removeParticipant(socketId),
+  }));
+
+  const survivor = Object.values(cluster.workers).find((w) => w && w.isConnected());
+  if (sockets.length > 0 && survivor) {
+    survivor.send({ type: "cluster:sockets-lost", sockets });
+  }
+
+  if (!shuttingDown) {
+    cluster.fork();
+  }
+});
+
+for (let i = 0; i < config.CLUSTER_WORKERS; i++) {
+  cluster.fork();
+}
+
+const PORT = config.PORT || 3001;
+httpServer.listen(PORT, () => {
+  console.log(`\n${'='.repeat(80)}`);
+  console.log(`🚀 Cluster Started - Simplified Fraud Detection`);
+  console.log(`${'='.repeat(80)}`);
+  console.log(`   Port: ${PORT}`);
+  console.log(`   Workers: ${config.CLUSTER_WORKERS}`);
+  console.log(`   Primary pid: ${process.pid}`);
+  console.log(`${'='.repeat(80)}\n`);
+});
+
+// Graceful shutdown: workers stop their pipelines, then sessions are closed here
+const shutdown = async () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`\n🛑 [Cluster] Shutting down...`);
+  setTimeout(() => process.exit(1), 15000).unref();
+
+  for (const worker of Object.values(cluster.workers)) {
+    worker.process.kill("SIGTERM");
+  }
+
+  await new Promise((resolve) => {
+    const check = () => (Object.keys(cluster.workers).length === 0 ? resolve() : setTimeout(check, 100));
+    check();
+  });
+
+  sessionRecorder.stopRetention();
+  await sessionRecorder.endAll();
+
+  httpServer.close(() => {
+    console.log(`✅ [Cluster] Stopped\n`);
+    process.exit(0);
+  });
+};
+
+process.on("SIGTERM", shutdown);
+process.on("SIGINT", shutdown);
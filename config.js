@@ -8,15 +8,61 @@ module.exports = {
     ? process.env.ALLOWED_ORIGINS.split(",")
     : ["http://localhost:3000"],
 
+  // Cluster Configuration (used by cluster.js)
+  CLUSTER_WORKERS: parseInt(process.env.CLUSTER_WORKERS || String(require("os").availableParallelism()), 10),
+  CLUSTER_RPC_TIMEOUT_MS: parseInt(process.env.CLUSTER_RPC_TIMEOUT_MS || "5000", 10),
+
+  // Room Configuration
+  MAX_ROOM_PARTICIPANTS: parseInt(process.env.MAX_ROOM_PARTICIPANTS || "10", 10),
+
+  // Authentication Configuration
+  AUTH_ENABLED: process.env.AUTH_ENABLED !== "false", // Enabled by default
+  JWT_SECRET: process.env.JWT_SECRET || "", // HS256 shared secret
+  JWT_PUBLIC_KEY: process.env.JWT_PUBLIC_KEY || "", // RS256 public key (PEM)
+  JWT_PUBLIC_KEY_FILE: process.env.JWT_PUBLIC_KEY_FILE || "",
+  JWT_ALGORITHMS: process.env.JWT_ALGORITHMS ? process.env.JWT_ALGORITHMS.split(",") : [],
+  JWT_ISSUER: process.env.JWT_ISSUER || "",
+  JWT_AUDIENCE: process.env.JWT_AUDIENCE || "",
+  JWT_ROOMS_CLAIM: process.env.JWT_ROOMS_CLAIM || "rooms", // Claim listing joinable rooms ("*" for any)
+
+  // Telephony Configuration (Twilio Media Streams compatible WebSocket)
+  TELEPHONY_ENABLED: process.env.TELEPHONY_ENABLED !== "false",
+  TELEPHONY_PATH: process.env.TELEPHONY_PATH || "/telephony/media-stream",
+  TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN || "", // Verifies X-Twilio-Signature when set
+  TWILIO_STREAM_URL: process.env.TWILIO_STREAM_URL || "", // Public wss:// URL Twilio connects to (for signatures behind proxies)
+
   // AWS Configuration
   AWS_REGION: process.env.AWS_REGION || "us-east-1",
   AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
   AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
 
   // AWS Transcribe Configuration
-  TRANSCRIBE_LANGUAGE_CODE: process.env.TRANSCRIBE_LANGUAGE_CODE || "hi-IN", // Hindi (India)
+  TRANSCRIBE_LANGUAGE_CODE: process.env.TRANSCRIBE_LANGUAGE_CODE || "hi-IN", // Hindi (India), default spoken language
+  DEFAULT_PREFERRED_LANGUAGE: process.env.DEFAULT_PREFERRED_LANGUAGE || "en",
   SAMPLE_RATE: parseInt(process.env.SAMPLE_RATE || "16000", 10),
   ENABLE_LANGUAGE_IDENTIFICATION: process.env.ENABLE_LANGUAGE_IDENTIFICATION === "true",
+  LANGUAGE_IDENTIFICATION_OPTIONS: (process.env.LANGUAGE_IDENTIFICATION_OPTIONS || "hi-IN,en-IN").split(","), // Candidate locales
+  IDENTIFY_MULTIPLE_LANGUAGES: process.env.IDENTIFY_MULTIPLE_LANGUAGES !== "false", // Code-switching within one stream
+  PARTIAL_TRANSCRIPTS_ENABLED: process.env.PARTIAL_TRANSCRIPTS_ENABLED !== "false", // Enabled by default
+  PARTIAL_TRANSCRIPT_INTERVAL_MS: parseInt(process.env.PARTIAL_TRANSCRIPT_INTERVAL_MS || "300", 10),
+
+  // Voice Activity Detection (PCM audio only; compressed audio is sent as is)
+  VAD_ENABLED: process.env.VAD_ENABLED !== "false", // Enabled by default
+  VAD_THRESHOLD_DB: parseFloat(process.env.VAD_THRESHOLD_DB || "-50"), // Minimum speech level (dBFS)
+  VAD_NOISE_MARGIN_DB: parseFloat(process.env.VAD_NOISE_MARGIN_DB || "10"), // Speech must exceed the noise floor by this much
+  VAD_FRAME_MS: parseInt(process.env.VAD_FRAME_MS || "20", 10),
+  VAD_PRE_ROLL_MS: parseInt(process.env.VAD_PRE_ROLL_MS || "300", 10), // Audio kept before speech starts
+  VAD_HANGOVER_MS: parseInt(process.env.VAD_HANGOVER_MS || "600", 10), // Audio kept after speech ends
+  TRANSCRIBE_KEEPALIVE_MS: parseInt(process.env.TRANSCRIBE_KEEPALIVE_MS || "5000", 10), // Silence frame after this long without audio
+
+  // Transcribe Stream Continuity (reconnects and rotation)
+  TRANSCRIBE_BUFFER_MS: parseInt(process.env.TRANSCRIBE_BUFFER_MS || "30000", 10), // Audio kept for replay into a new stream
+  TRANSCRIBE_BUFFER_MAX_BYTES: parseInt(process.env.TRANSCRIBE_BUFFER_MAX_BYTES || "2000000", 10),
+  TRANSCRIBE_MAX_RECONNECT_ATTEMPTS: parseInt(process.env.TRANSCRIBE_MAX_RECONNECT_ATTEMPTS || "5", 10), // Reset once a stream returns results
+  TRANSCRIBE_RECONNECT_BASE_MS: parseInt(process.env.TRANSCRIBE_RECONNECT_BASE_MS || "500", 10),
+  TRANSCRIBE_RECONNECT_MAX_MS: parseInt(process.env.TRANSCRIBE_RECONNECT_MAX_MS || "10000", 10),
+  TRANSCRIBE_ROTATE_AFTER_MS: parseInt(process.env.TRANSCRIBE_ROTATE_AFTER_MS || "14100000", 10), // 3h55m; AWS streams are limited to 4 hours
+  TRANSCRIBE_ROTATION_OVERLAP_MS: parseInt(process.env.TRANSCRIBE_ROTATION_OVERLAP_MS || "3000", 10),
 
   // AWS Bedrock Configuration
   BEDROCK_MODEL_ID: process.env.BEDROCK_MODEL_ID || "",
@@ -25,7 +71,55 @@ module.exports = {
   
   // Scam Detection Configuration
   SCAM_DETECTION_ENABLED: process.env.SCAM_DETECTION_ENABLED !== "false", // Enabled by default
+  RULE_ENGINE_ENABLED: process.env.RULE_ENGINE_ENABLED !== "false", // Local keyword rules; instant red flags and Bedrock fallback
   HIGH_RISK_THRESHOLD: parseInt(process.env.HIGH_RISK_THRESHOLD || "61", 10),
   MEDIUM_RISK_THRESHOLD: parseInt(process.env.MEDIUM_RISK_THRESHOLD || "31", 10),
   CONVERSATION_HISTORY_LENGTH: parseInt(process.env.CONVERSATION_HISTORY_LENGTH || "20", 10),
+  ANALYSIS_DEBOUNCE_MS: parseInt(process.env.ANALYSIS_DEBOUNCE_MS || "800", 10), // Merge a speaker's utterances this close together
+  ANALYSIS_MAX_DELAY_MS: parseInt(process.env.ANALYSIS_MAX_DELAY_MS || "3000", 10), // Longest an utterance waits for merging
+  ANALYSIS_MIN_WORDS: parseInt(process.env.ANALYSIS_MIN_WORDS || "3", 10), // Shorter merged text is not sent to Bedrock
+  ANALYSIS_MAX_CONCURRENCY: parseInt(process.env.ANALYSIS_MAX_CONCURRENCY || "2", 10), // Bedrock calls in flight per room
+  ANALYSIS_QUEUE_SIZE: parseInt(process.env.ANALYSIS_QUEUE_SIZE || "4", 10),
+  RISK_DECAY_HALF_LIFE_MS: parseInt(process.env.RISK_DECAY_HALF_LIFE_MS || "300000", 10), // Cumulative call risk halves this often
+  RISK_ACCUMULATION: parseFloat(process.env.RISK_ACCUMULATION || "0.25"), // Share of each MEDIUM+ score added on top of existing risk
+  RISK_HYSTERESIS: parseInt(process.env.RISK_HYSTERESIS || "10", 10), // Points below a threshold before the level drops
+  RISK_MIN_LEVEL_MS: parseInt(process.env.RISK_MIN_LEVEL_MS || "60000", 10), // Minimum time at a level before it drops
+  FRAUD_PATTERN_CATALOG_FILE: process.env.FRAUD_PATTERN_CATALOG_FILE || "./catalog/fraudPatterns.json", // Reloaded when the file changes
+  FRAUD_PATTERN_OVERRIDES_FILE: process.env.FRAUD_PATTERN_OVERRIDES_FILE || "./data/fraudPatternOverrides.json", // Admin API changes, layered over the catalog file
+
+  // PII Redaction (OTPs, card, Aadhaar, PAN and UPI IDs in transcripts)
+  PII_REDACTION: process.env.PII_REDACTION || "mask", // Default room policy: "mask", "hash" or "none"
+  PII_HASH_SECRET: process.env.PII_HASH_SECRET || "", // Key for "hash"; random per process when unset
+  PII_REDACT_LOGS: process.env.PII_REDACT_LOGS !== "false", // Mask identifiers in console output whatever the room policy
+
+  // Fraud Alert Audience (keeps scores and reasoning away from the suspected scammer)
+  ALERT_AUDIENCE: process.env.ALERT_AUDIENCE || "not-flagged", // Default room policy: "everyone", "not-flagged" or "observers-and-hosts"
+  SAFETY_WARNINGS_ENABLED: process.env.SAFETY_WARNINGS_ENABLED !== "false", // Plain-language "safety-warning" events for the participant at risk
+
+  // Post-call Report (final analysis when the call ends)
+  CALL_REPORT_ENABLED: process.env.CALL_REPORT_ENABLED !== "false",
+  CALL_REPORT_MAX_MESSAGES: parseInt(process.env.CALL_REPORT_MAX_MESSAGES || "300", 10), // Longer calls send only the latest messages to Bedrock
+  CALL_REPORT_MAX_TOKENS: parseInt(process.env.CALL_REPORT_MAX_TOKENS || "2000", 10),
+
+  // Session Recording Configuration
+  SESSION_STORE: process.env.SESSION_STORE || "file", // "file" or "memory"
+  SESSION_STORE_DIR: process.env.SESSION_STORE_DIR || "./data/sessions",
+  SESSION_RETENTION_DAYS: parseInt(process.env.SESSION_RETENTION_DAYS || "30", 10), // 0 keeps sessions forever
+  SESSION_PURGE_INTERVAL_MS: parseInt(process.env.SESSION_PURGE_INTERVAL_MS || "3600000", 10),
+
+  // Admin API Configuration
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY || "", // Admin endpoints are disabled until set
+
+  // Prometheus Metrics (GET /metrics)
+  METRICS_ENABLED: process.env.METRICS_ENABLED !== "false",
+
+  // Webhook Alert Configuration
+  WEBHOOK_SUBSCRIPTIONS: process.env.WEBHOOK_SUBSCRIPTIONS || "", // JSON array of { id, url, secret, minRiskLevel, rooms }
+  WEBHOOK_SUBSCRIPTIONS_FILE: process.env.WEBHOOK_SUBSCRIPTIONS_FILE || "",
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET || "",
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "5", 10),
+  WEBHOOK_BACKOFF_BASE_MS: parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || "1000", 10),
+  WEBHOOK_BACKOFF_MAX_MS: parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || "60000", 10),
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10),
+  WEBHOOK_DEAD_LETTER_FILE: process.env.WEBHOOK_DEAD_LETTER_FILE || "./data/webhook-dead-letter.jsonl",
 };
\ No newline at end of file
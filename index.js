@@ -1,9 +1,30 @@
+const cluster = require("cluster");
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
+const { createAdapter } = require("@socket.io/cluster-adapter");
+const { setupWorker } = require("@socket.io/sticky");
 const cors = require("cors");
 const { TranscribeTranslatePipeline } = require("./services/transcribeTranslatePipeline");
-const { RoomManager } = require("./services/roomManager");
+const { RoomManager, ROLES } = require("./services/roomManager");
+const { MemoryRoomStore, createClusterRoomStore, isCallRole } = require("./services/roomStore");
+const { resolveLanguage, listLanguages } = require("./services/languages");
+const { resolveAudioFormat } = require("./services/audioFormat");
+const { createSessionStore } = require("./services/sessionStore");
+const { SessionRecorder, createClusterSessionRecorder } = require("./services/sessionRecorder");
+const { CallReportService } = require("./services/callReportService");
+const { WebhookService } = require("./services/webhookService");
+const { createSocketAuthMiddleware, canJoinRoom, verifyToken } = require("./services/socketAuth");
+const { TwilioMediaStreamServer } = require("./services/twilioMediaStreams");
+const { getPatternCatalog } = require("./services/patternCatalog");
+const { redactForLog, REDACTION_POLICIES } = require("./services/piiRedactor");
+const { requireAdminApiKey, isValidAdminKey, extractApiKey } = require("./services/adminAuth");
+const { ALERT_AUDIENCES, flaggedParticipants, splitAudience, attributeRisk, redFlagAnalysis } = require("./services/alertAudience");
+const { adviceFor, localizeAdvice } = require("./services/safetyAdvice");
+const { registry: metricsRegistry, metrics, mergeSnapshots, renderSnapshot } = require("./services/metrics");
+const { createSessionsRouter } = require("./routes/sessions");
+const { createPatternsRouter } = require("./routes/patterns");
+const { createAdminRouter } = require("./routes/admin");
 const config = require("./config");
 
 const app = express();
@@ -17,25 +38,146 @@ const io = new Server(server, {
   },
 });
 
-const roomManager = new RoomManager();
-const pipelines = new Map();
+// Started by cluster.js: room state and session recording live in the primary
+const isClusterWorker = cluster.isWorker;
+
+const roomManager = new RoomManager(isClusterWorker ? createClusterRoomStore() : new MemoryRoomStore());
+const pipelines = new Map(); // Pipelines of sockets connected to this process
+
+const sessionStore = createSessionStore();
+let sessionRecorder;
+if (isClusterWorker) {
+  if (config.SESSION_STORE === "memory") {
+    console.warn(`⚠️  [Sessions] SESSION_STORE=memory in cluster mode - /sessions cannot see the primary's recordings`);
+  }
+  sessionRecorder = createClusterSessionRecorder();
+} else {
+  sessionRecorder = new SessionRecorder(sessionStore);
+  sessionRecorder.attach(roomManager);
+  sessionRecorder.startRetention();
+}
+
+const callReportService = new CallReportService(sessionStore);
+const webhookService = new WebhookService();
+roomManager.on("room-deleted", (roomId) => webhookService.clearRoom(roomId));
 
 // Health check
-app.get("/health", (req, res) => {
+app.get("/health", async (req, res) => {
   res.json({
     status: "ok",
     timestamp: new Date().toISOString(),
+    worker: isClusterWorker ? cluster.worker.id : null,
     activePipelines: pipelines.size,
-    activeRooms: roomManager.getRoomCount(),
+    activeCalls: mediaStreams ? mediaStreams.getActiveCallCount() : 0,
+    activeRooms: await roomManager.getRoomCount(),
+  });
+});
+
+// Prometheus metrics; in cluster mode every worker's metrics are merged
+if (config.METRICS_ENABLED) {
+  metrics.activeRooms.setCollector(() => roomManager.getRoomCount());
+  metrics.activePipelines.setCollector(() => pipelines.size);
+
+  app.get("/metrics", async (req, res) => {
+    try {
+      const snapshots = [await metricsRegistry.snapshot()];
+
+      if (isClusterWorker) {
+        try {
+          const responses = await io.timeout(config.CLUSTER_RPC_TIMEOUT_MS).serverSideEmitWithAck("metrics:snapshot");
+          snapshots.push(...responses.filter(Boolean));
+        } catch (error) {
+          console.warn(`⚠️  [Metrics] Other workers did not answer; serving this worker's metrics only:`, error.message);
+        }
+      }
+
+      res.type("text/plain; version=0.0.4; charset=utf-8").send(renderSnapshot(mergeSnapshots(snapshots)));
+    } catch (error) {
+      console.error(`❌ [Metrics] Failed to collect metrics:`, error.message);
+      res.status(500).json({ error: "Failed to collect metrics" });
+    }
   });
+}
+
+// Recorded call sessions: full transcripts, translations and fraud analyses
+app.use("/sessions", requireAdminApiKey, createSessionsRouter(sessionStore));
+
+// Fraud pattern catalog used in the analysis prompt
+app.use("/admin/patterns", requireAdminApiKey, createPatternsRouter(getPatternCatalog()));
+
+// Operations across all rooms
+app.use("/admin", requireAdminApiKey, createAdminRouter({
+  roomManager,
+  getSessionId: (roomId) => sessionRecorder.getSessionId(roomId),
+  pipelineAction,
+  endRoom,
+}));
+
+// Supported spoken/preferred languages
+app.get("/languages", (req, res) => {
+  res.json({ languages: listLanguages() });
+});
+
+// Every socket must present a valid token before it can join rooms
+io.use(createSocketAuthMiddleware());
+
+// Live operations feed: every MEDIUM/HIGH detection from all rooms, for API key holders
+const adminFeed = io.of("/admin");
+adminFeed.use((socket, next) => {
+  if (!config.ADMIN_API_KEY) {
+    return next(new Error("Admin API is disabled; set ADMIN_API_KEY"));
+  }
+
+  const apiKey = (socket.handshake.auth && socket.handshake.auth.apiKey) || extractApiKey(socket.handshake.headers);
+  if (!isValidAdminKey(apiKey)) {
+    console.warn(`🚫 [Admin Feed] Rejected connection from ${socket.handshake.address}`);
+    return next(new Error("Invalid or missing API key"));
+  }
+
+  next();
+});
+adminFeed.on("connection", (socket) => {
+  console.log(`🛰️  [Admin Feed] Connected: ${socket.id}`);
+  socket.on("disconnect", () => console.log(`🛰️  [Admin Feed] Disconnected: ${socket.id}`));
+});
+
+// Admin pipeline actions for pipelines on this worker, asked by another worker
+io.on("admin:pipeline-action", (action, socketId, callback) => {
+  localPipelineAction(action, socketId)
+    .then((result) => callback(result))
+    .catch((error) => {
+      console.error(`❌ [Admin API] Pipeline ${action} failed for ${socketId}:`, error.message);
+      callback(null);
+    });
+});
+
+// This worker's metrics, asked by the worker serving /metrics
+io.on("metrics:snapshot", (callback) => {
+  metricsRegistry.snapshot()
+    .then((snapshot) => callback(snapshot))
+    .catch((error) => {
+      console.error(`❌ [Metrics] Failed to collect metrics:`, error.message);
+      callback(null);
+    });
 });
 
 io.on("connection", (socket) => {
-  console.log(`\n✅ [CONNECTION] User connected: ${socket.id}`);
+  // Authenticated user id; transcripts carry this rather than the socket id
+  const userId = socket.data.user.id;
+  console.log(`\n✅ [CONNECTION] User connected: ${socket.id} (user ${userId})`);
 
-  socket.on("join-room", async ({roomId}) => {
+  socket.on("join-room", async ({
+    roomId,
+    roomSettings,
+    spokenLanguage,
+    preferredLanguage,
+    role,
+    callRole,
+    passcode,
+    maxParticipants,
+    audioFormat,
+  }) => {
     try {
-      console.log(roomId)
       console.log(`\n🔑 [JOIN-ROOM] User ${socket.id} joining room: ${roomId}`);
       
       if (!roomId || typeof roomId !== "string") {
@@ -43,76 +185,124 @@ io.on("connection", (socket) => {
         return;
       }
 
-      // Join the room
+      if (!canJoinRoom(socket.data.user, roomId)) {
+        console.warn(`⚠️  [JOIN-ROOM] User ${userId} is not authorized for room ${roomId}`);
+        socket.emit("error", { message: "Not authorized to join this room" });
+        return;
+      }
+
+      const spoken = resolveLanguage(spokenLanguage || config.TRANSCRIBE_LANGUAGE_CODE);
+      const preferred = resolveLanguage(preferredLanguage || config.DEFAULT_PREFERRED_LANGUAGE);
+
+      if (!spoken || !preferred) {
+        socket.emit("error", {
+          message: `Unsupported language: ${!spoken ? spokenLanguage : preferredLanguage}`,
+        });
+        return;
+      }
+
+      // Codec, sample rate and channel count of this client's "audio-stream" chunks
+      let resolvedAudioFormat;
+      try {
+        resolvedAudioFormat = resolveAudioFormat(audioFormat);
+      } catch (error) {
+        socket.emit("error", { message: error.message });
+        return;
+      }
+
+      if (roomSettings && roomSettings.piiRedaction !== undefined && !REDACTION_POLICIES.includes(roomSettings.piiRedaction)) {
+        socket.emit("error", { message: `Unsupported PII redaction policy: ${roomSettings.piiRedaction}` });
+        return;
+      }
+
+      if (roomSettings && roomSettings.alertAudience !== undefined && !ALERT_AUDIENCES.includes(roomSettings.alertAudience)) {
+        socket.emit("error", { message: `Unsupported alert audience: ${roomSettings.alertAudience}` });
+        return;
+      }
+
+      if (callRole && !isCallRole(callRole)) {
+        socket.emit("error", { message: `Unsupported call role: ${callRole}` });
+        return;
+      }
+
+      if (await roomManager.isUserInRoom(roomId, socket.id)) {
+        socket.emit("error", { message: "Already in this room" });
+        return;
+      }
+
+      // Join the room unless it is locked, full, passcode-protected or the user was kicked;
+      // the first participant creates it, becomes host and decides its limits and opt-ins
+      const { refusal, isNewRoom } = await roomManager.joinRoom(roomId, socket.id, {
+        userId,
+        passcode,
+        role: role === ROLES.OBSERVER ? ROLES.OBSERVER : ROLES.PARTICIPANT,
+        participantInfo: {
+          userId,
+          spokenLanguage: spoken.locale,
+          preferredLanguage: preferred.translateCode,
+          workerId: isClusterWorker ? cluster.worker.id : null,
+        },
+        roomOptions: { maxParticipants, passcode },
+      });
+
+      if (refusal) {
+        console.warn(`⚠️  [JOIN-ROOM] User ${userId} refused from room ${roomId}: ${refusal}`);
+        socket.emit("error", { message: refusal });
+        return;
+      }
+
       await socket.join(roomId);
-      roomManager.addUser(roomId, socket.id);
 
-      const existingUsers = roomManager.getUsers(roomId).filter((id) => id !== socket.id);
+      if (isNewRoom && roomSettings) {
+        await roomManager.updateRoomSettings(roomId, roomSettings);
+      }
+
+      // Caller/callee/agent/customer as declared, or inferred from who is already here
+      if ((await roomManager.getRole(roomId, socket.id)) !== ROLES.OBSERVER) {
+        await roomManager.assignCallRole(roomId, socket.id, callRole || null);
+      }
+
+      // Members come from the shared store, so they include sockets on other workers
+      const members = await roomManager.getMembers(roomId);
+      const member = members.find((m) => m.socketId === socket.id);
+      const existingUsers = members.filter((m) => m.socketId !== socket.id);
+      socket.emit("room-joined", { ...(await roomManager.getRoomInfo(roomId)), role: member.role, audioFormat: resolvedAudioFormat });
       socket.emit("existing-users", existingUsers);
-      socket.to(roomId).emit("user-joined", socket.id);
+      socket.to(roomId).emit("user-joined", member);
+
+      // Late joiners start from the call's current risk, if they may see it
+      const callRisk = await roomManager.getCallRisk(roomId);
+      if (callRisk) {
+        const { informed } = await alertAudience(roomId, [member], flaggedParticipants(callRisk));
+        if (informed.length > 0) {
+          socket.emit("call-risk", { ...callRisk, change: null });
+        }
+      }
       
-      console.log(`✅ [JOIN-ROOM] User ${socket.id} joined room: ${roomId}`);
-      console.log(`   Total users: ${roomManager.getUserCount(roomId)}`);
+      console.log(`✅ [JOIN-ROOM] User ${socket.id} joined room: ${roomId} as ${member.role}`);
+      console.log(`   Total users: ${members.length}`);
+
+      // Observers only listen; they get no transcription pipeline
+      if (member.role === ROLES.OBSERVER) {
+        return;
+      }
 
       // Initialize Pipeline
       console.log(`\n🔧 [SETUP] Initializing pipeline for ${socket.id}...`);
       
-      const pipeline = new TranscribeTranslatePipeline(roomId, socket.id);
+      const pipeline = new TranscribeTranslatePipeline(roomId, socket.id, roomManager);
+      const speaker = { userId, socketId: socket.id };
       
       await pipeline.start(
-        (pipelineOutput) => {
-          // Emit transcript to everyone
-          io.to(roomId).emit("transcript", {
-            text: pipelineOutput.transcription.text,
-            language: pipelineOutput.transcription.language,
-            speaker: socket.id,
-            timestamp: pipelineOutput.timestamp,
-          });
-
-          // Emit translation to everyone
-          io.to(roomId).emit("translation", {
-            originalText: pipelineOutput.transcription.text,
-            translatedText: pipelineOutput.translation.text,
-            sourceLanguage: pipelineOutput.transcription.language,
-            targetLanguage: pipelineOutput.translation.language,
-            speaker: socket.id,
-            timestamp: pipelineOutput.timestamp,
-          });
-
-          // EMIT FRAUD SCORE TO EVERYONE IN THE ROOM
-          if (pipelineOutput.fraudAnalysis) {
-            console.log(`\n📊 [FRAUD SCORE] Broadcasting to room ${roomId}`);
-            console.log(`   Speaker: ${socket.id}`);
-            console.log(`   Fraud Score: ${pipelineOutput.fraudAnalysis.fraudScore}%`);
-            console.log(`   Risk Level: ${pipelineOutput.fraudAnalysis.riskLevel}`);
-
-            // Emit to ENTIRE ROOM - everyone sees the fraud score
-            io.to(roomId).emit("fraud-score", {
-              speaker: socket.id,
-              message: pipelineOutput.translation.text,
-              summary: pipelineOutput.fraudAnalysis.summary,
-              fraudScore: pipelineOutput.fraudAnalysis.fraudScore,
-              riskLevel: pipelineOutput.fraudAnalysis.riskLevel,
-              redFlags: pipelineOutput.fraudAnalysis.redFlags,
-              reasoning: pipelineOutput.fraudAnalysis.reasoning,
-              matchedPatterns: pipelineOutput.fraudAnalysis.matchedPatterns,
-              timestamp: pipelineOutput.timestamp,
-            });
-
-            // Log for monitoring
-            logFraudDetection(roomId, socket.id, pipelineOutput);
-          }
-
-          // Complete pipeline output
-          io.to(roomId).emit("pipeline-output", {
-            ...pipelineOutput,
-            speaker: socket.id,
-          });
-        },
+        (pipelineOutput) => handlePipelineOutput(roomId, speaker, pipelineOutput),
         {
-          sourceLanguage: "hi",
+          spokenLanguage: spoken.locale,
           targetLanguage: "en",
-          autoDetectLanguage: true,
+          autoDetectLanguage: config.ENABLE_LANGUAGE_IDENTIFICATION,
+          audioFormat: resolvedAudioFormat,
+          onPartialOutput: (partialOutput) => handlePartialOutput(roomId, speaker, partialOutput),
+          onTranscriptionStatus: (status) => handleTranscriptionStatus(roomId, speaker, status),
+          onRedFlag: (redFlag) => handleRedFlag(roomId, speaker, redFlag),
         }
       );
 
@@ -141,13 +331,76 @@ io.on("connection", (socket) => {
     }
   });
 
+  // Change spoken and/or preferred language mid-call
+  socket.on("change-language", async ({ spokenLanguage, preferredLanguage } = {}) => {
+    try {
+      const participant = await roomManager.getParticipantInfo(socket.id);
+      if (!participant) {
+        socket.emit("error", { message: "Join a room before changing language" });
+        return;
+      }
+
+      const spoken = resolveLanguage(spokenLanguage || participant.spokenLanguage);
+      const preferred = resolveLanguage(preferredLanguage || participant.preferredLanguage);
+
+      if (!spoken || !preferred) {
+        socket.emit("error", {
+          message: `Unsupported language: ${!spoken ? spokenLanguage : preferredLanguage}`,
+        });
+        return;
+      }
+
+      console.log(`\n🔄 [CHANGE-LANGUAGE] User ${socket.id}: ${spoken.locale} / ${preferred.translateCode}`);
+
+      await roomManager.setParticipantInfo(socket.id, {
+        spokenLanguage: spoken.locale,
+        preferredLanguage: preferred.translateCode,
+      });
+
+      // Restarts only the transcription stream; history is kept
+      const pipeline = pipelines.get(socket.id);
+      if (pipeline) {
+        await pipeline.changeSpokenLanguage(spoken.locale);
+      }
+
+      socket.emit("language-changed", {
+        spokenLanguage: spoken.locale,
+        preferredLanguage: preferred.translateCode,
+      });
+    } catch (error) {
+      console.error(`\n❌ [CHANGE-LANGUAGE] Error:`, error.message);
+      socket.emit("error", { message: "Failed to change language" });
+    }
+  });
+
+  // Declare (or correct) this participant's role in the call
+  socket.on("set-call-role", async ({ roomId, callRole } = {}) => {
+    try {
+      if (!isCallRole(callRole)) {
+        socket.emit("error", { message: `Unsupported call role: ${callRole}` });
+        return;
+      }
+
+      const role = await roomManager.getRole(roomId, socket.id);
+      if (!role || role === ROLES.OBSERVER) {
+        socket.emit("error", { message: "Only participants in this room can set a call role" });
+        return;
+      }
+
+      await roomManager.assignCallRole(roomId, socket.id, callRole);
+      io.to(roomId).emit("call-role-changed", { roomId, ...(await roomManager.getMember(roomId, socket.id)) });
+      console.log(`\n📞 [CALL-ROLE] ${userId} is the ${callRole} in room ${roomId}`);
+    } catch (error) {
+      console.error(`\n❌ [CALL-ROLE] Error:`, error.message);
+    }
+  });
+
   // Get stats
   socket.on("get-stats", () => {
     try {
       const pipeline = pipelines.get(socket.id);
       if (pipeline) {
-        const stats = pipeline.getStats();
-        socket.emit("stats", stats);
+        socket.emit("stats", participantPipelineStats(pipeline));
       } else {
         socket.emit("stats", { error: "No active pipeline" });
       }
@@ -156,16 +409,92 @@ io.on("connection", (socket) => {
     }
   });
 
+  // Host moderation: remove a participant and keep them from rejoining
+  socket.on("kick-participant", async ({ roomId, socketId } = {}) => {
+    try {
+      if (!(await roomManager.isHost(roomId, socket.id))) {
+        socket.emit("error", { message: "Only the host can remove participants" });
+        return;
+      }
+
+      if (socketId === socket.id || !(await roomManager.isUserInRoom(roomId, socketId))) {
+        socket.emit("error", { message: "Invalid participant" });
+        return;
+      }
+
+      const target = await roomManager.getMember(roomId, socketId);
+      console.log(`\n🚫 [KICK] Host ${userId} removed ${target.userId} from room ${roomId}`);
+
+      await roomManager.banUser(roomId, target.userId);
+      io.to(socketId).emit("kicked", { roomId, by: userId });
+      io.to(roomId).emit("participant-kicked", { roomId, ...target });
+
+      // Disconnect runs the usual pipeline and room cleanup on whichever worker owns the socket
+      io.in(socketId).disconnectSockets(true);
+    } catch (error) {
+      console.error(`\n❌ [KICK] Error:`, error.message);
+    }
+  });
+
+  // Host moderation: end the call for everyone
+  socket.on("end-room", async ({ roomId } = {}) => {
+    try {
+      if (!(await roomManager.isHost(roomId, socket.id))) {
+        socket.emit("error", { message: "Only the host can end the room" });
+        return;
+      }
+
+      console.log(`\n🛑 [END-ROOM] Host ${userId} ended room ${roomId}`);
+      await endRoom(roomId, userId);
+    } catch (error) {
+      console.error(`\n❌ [END-ROOM] Error:`, error.message);
+    }
+  });
+
+  // Host moderation: stop (or allow again) new joins
+  socket.on("lock-room", async ({ roomId, locked = true } = {}) => {
+    try {
+      if (!(await roomManager.isHost(roomId, socket.id))) {
+        socket.emit("error", { message: "Only the host can lock the room" });
+        return;
+      }
+
+      await roomManager.setLocked(roomId, locked);
+      io.to(roomId).emit("room-locked", { roomId, locked: Boolean(locked), by: userId });
+      console.log(`\n🔒 [LOCK-ROOM] Room ${roomId} ${locked ? "locked" : "unlocked"} by ${userId}`);
+    } catch (error) {
+      console.error(`\n❌ [LOCK-ROOM] Error:`, error.message);
+    }
+  });
+
+  // Signaling is only relayed between members of the same room;
+  // observers receive media but never publish it
+  const canSignal = async (to, type) => {
+    try {
+      const roomId = await roomManager.getSharedRoom(socket.id, to);
+      if (!roomId) {
+        return false;
+      }
+      return !(type === "offer" && (await roomManager.getRole(roomId, socket.id)) === ROLES.OBSERVER);
+    } catch (error) {
+      console.error(`\n❌ [SIGNALING] Error:`, error.message);
+      return false;
+    }
+  };
+
   // WebRTC signaling
-  socket.on("offer", ({ offer, to }) => {
+  socket.on("offer", async ({ offer, to }) => {
+    if (!(await canSignal(to, "offer"))) return;
     io.to(to).emit("offer", { offer, from: socket.id });
   });
 
-  socket.on("answer", ({ answer, to }) => {
+  socket.on("answer", async ({ answer, to }) => {
+    if (!(await canSignal(to, "answer"))) return;
     io.to(to).emit("answer", { answer, from: socket.id });
   });
 
-  socket.on("ice-candidate", ({ candidate, to }) => {
+  socket.on("ice-candidate", async ({ candidate, to }) => {
+    if (!(await canSignal(to, "ice-candidate"))) return;
     io.to(to).emit("ice-candidate", { candidate, from: socket.id });
   });
 
@@ -178,21 +507,665 @@ io.on("connection", (socket) => {
       pipelines.delete(socket.id);
     }
 
-    const rooms = roomManager.getUserRooms(socket.id);
-    rooms.forEach((roomId) => {
-      roomManager.removeUser(roomId, socket.id);
-      socket.to(roomId).emit("user-left", socket.id);
-    });
+    try {
+      await leaveRooms(socket.id);
+    } catch (error) {
+      console.error(`\n❌ [DISCONNECT] Error:`, error.message);
+    }
 
     console.log(`   Active pipelines: ${pipelines.size}\n`);
   });
 });
 
 /**
- * Log fraud detection for monitoring
+ * Deliver a finalized utterance: record it, broadcast the transcript, send
+ * each listener their translation and share the fraud analysis with the room
+ * @param {string} roomId - Room ID
+ * @param {Object} speaker - { userId, socketId } of the speaking participant
+ * @param {Object} pipelineOutput - Output emitted by TranscribeTranslatePipeline
+ */
+async function handlePipelineOutput(roomId, speaker, pipelineOutput) {
+  try {
+    sessionRecorder.recordOutput(roomId, speaker.userId, pipelineOutput);
+
+    // Emit transcript to everyone
+    io.to(roomId).emit("transcript", {
+      resultId: pipelineOutput.resultId,
+      text: pipelineOutput.transcription.text,
+      language: pipelineOutput.transcription.language,
+      detectedLanguage: pipelineOutput.transcription.detectedLanguage,
+      speaker: speaker.userId,
+      speakerSocketId: speaker.socketId,
+      timestamp: pipelineOutput.timestamp,
+    });
+
+    const members = await roomManager.getMembers(roomId);
+
+    // Emit translation to each listener in their own preferred language
+    for (const listener of members) {
+      const translatedText = pipelineOutput.translations[listener.preferredLanguage];
+
+      if (listener.socketId === speaker.socketId || !translatedText) {
+        continue;
+      }
+
+      io.to(listener.socketId).emit("translation", {
+        resultId: pipelineOutput.resultId,
+        originalText: pipelineOutput.transcription.text,
+        translatedText,
+        sourceLanguage: pipelineOutput.transcription.language,
+        targetLanguage: listener.preferredLanguage,
+        speaker: speaker.userId,
+        speakerSocketId: speaker.socketId,
+        timestamp: pipelineOutput.timestamp,
+      });
+    }
+
+    // Everyone gets the analysis unless it flags someone the room hides alerts from
+    let audience = { informed: members, withheld: [] };
+
+    if (pipelineOutput.fraudAnalysis) {
+      const speakerMember = members.find((member) => member.socketId === speaker.socketId);
+      const attribution = attributeRisk(members, speaker, pipelineOutput.fraudAnalysis);
+
+      // Log for monitoring
+      await logFraudDetection(roomId, speaker.userId, pipelineOutput);
+
+      // Ops feed across all rooms
+      if (["MEDIUM", "HIGH"].includes(pipelineOutput.fraudAnalysis.riskLevel)) {
+        adminFeed.emit("detection", {
+          roomId,
+          sessionId: await sessionRecorder.getSessionId(roomId),
+          resultId: pipelineOutput.resultId,
+          speaker: speaker.userId,
+          speakerSocketId: speaker.socketId,
+          speakerCallRole: speakerMember ? speakerMember.callRole : null,
+          message: pipelineOutput.translation.text,
+          fraudScore: pipelineOutput.fraudAnalysis.fraudScore,
+          riskLevel: pipelineOutput.fraudAnalysis.riskLevel,
+          summary: pipelineOutput.fraudAnalysis.summary,
+          redFlags: pipelineOutput.fraudAnalysis.redFlags,
+          reasoning: pipelineOutput.fraudAnalysis.reasoning,
+          matchedPatterns: pipelineOutput.fraudAnalysis.matchedPatterns,
+          source: pipelineOutput.fraudAnalysis.source,
+          likelySuspect: attribution.likelySuspect,
+          atRisk: attribution.atRisk,
+          timestamp: pipelineOutput.timestamp,
+        });
+      }
+
+      const callRisk = await updateCallRisk(roomId, speaker, pipelineOutput);
+      const flagged = flaggedParticipants(
+        callRisk || (await roomManager.getCallRisk(roomId)),
+        attribution.likelySuspect ? [attribution.likelySuspect.speakerSocketId] : []
+      );
+      audience = await alertAudience(roomId, members, flagged);
+
+      console.log(`\n📊 [FRAUD SCORE] Sending to ${audience.informed.length} of ${members.length} members in room ${roomId}`);
+      console.log(`   Speaker: ${speaker.userId}`);
+      console.log(`   Fraud Score: ${pipelineOutput.fraudAnalysis.fraudScore}%`);
+      console.log(`   Risk Level: ${pipelineOutput.fraudAnalysis.riskLevel}`);
+
+      emitToMembers(audience.informed, "fraud-score", {
+        speaker: speaker.userId,
+        speakerSocketId: speaker.socketId,
+        speakerCallRole: speakerMember ? speakerMember.callRole : null,
+        message: pipelineOutput.translation.text,
+        status: pipelineOutput.fraudAnalysis.status,
+        summary: pipelineOutput.fraudAnalysis.summary,
+        fraudScore: pipelineOutput.fraudAnalysis.fraudScore,
+        riskLevel: pipelineOutput.fraudAnalysis.riskLevel,
+        redFlags: pipelineOutput.fraudAnalysis.redFlags,
+        reasoning: pipelineOutput.fraudAnalysis.reasoning,
+        matchedPatterns: pipelineOutput.fraudAnalysis.matchedPatterns,
+        ruleHits: pipelineOutput.fraudAnalysis.ruleHits,
+        source: pipelineOutput.fraudAnalysis.source,
+        ...attribution,
+        timestamp: pipelineOutput.timestamp,
+      });
+
+      if (callRisk) {
+        emitToMembers(audience.informed, "call-risk", callRisk);
+      }
+
+      if (["MEDIUM", "HIGH"].includes(pipelineOutput.fraudAnalysis.riskLevel)) {
+        await sendSafetyWarnings(roomId, members, flagged, {
+          riskLevel: pipelineOutput.fraudAnalysis.riskLevel,
+          atRisk: attribution.atRisk,
+          ruleHits: pipelineOutput.fraudAnalysis.ruleHits,
+          matchedPatterns: pipelineOutput.fraudAnalysis.matchedPatterns,
+          general: pipelineOutput.fraudAnalysis.riskLevel === "HIGH",
+          timestamp: pipelineOutput.timestamp,
+        });
+      }
+    }
+
+    // Complete pipeline output (per-listener translations stay private)
+    const { translations, ...sharedOutput } = pipelineOutput;
+    const output = { ...sharedOutput, speaker: speaker.userId, speakerSocketId: speaker.socketId };
+    emitToMembers(audience.informed, "pipeline-output", output);
+    emitToMembers(audience.withheld, "pipeline-output", { ...output, fraudAnalysis: null });
+  } catch (error) {
+    console.error(`\n❌ [PIPELINE-OUTPUT] Error:`, error.message);
+  }
+}
+
+/**
+ * Fold an analysis into the call's cumulative risk
+ * @returns {Promise<Object|null>} Updated call risk, or null when the analysis has no score
+ */
+async function updateCallRisk(roomId, speaker, pipelineOutput) {
+  // A failed analysis carries no score; it neither raises nor lowers call risk
+  if (pipelineOutput.fraudAnalysis.fraudScore === null) {
+    return null;
+  }
+
+  const callRisk = await roomManager.updateCallRisk(
+    roomId,
+    speaker,
+    pipelineOutput.fraudAnalysis.fraudScore,
+    pipelineOutput.timestamp,
+    pipelineOutput.fraudAnalysis.participants
+  );
+
+  if (callRisk.change) {
+    const { from, to, reason } = callRisk.change;
+    console.log(`\n📈 [CALL RISK] Room ${roomId}: ${from} → ${to} (score ${callRisk.riskScore}) - ${reason}`);
+  }
+
+  for (const { kind, speakerId, callRole, from, to } of callRisk.participantChanges) {
+    console.log(`   ${kind === "suspect" ? "🕵️" : "🎯"} ${speakerId}${callRole ? ` (${callRole})` : ""} ${kind} risk: ${from} → ${to}`);
+  }
+
+  return callRisk;
+}
+
+/**
+ * Split the room per its alertAudience setting
+ * @param {string} roomId - Room ID
+ * @param {Object[]} members - Members to split
+ * @param {Set<string>} flagged - Socket IDs of flagged participants
+ * @returns {Promise<Object>} { informed, withheld }
+ */
+async function alertAudience(roomId, members, flagged) {
+  const { alertAudience: policy } = await roomManager.getRoomSettings(roomId);
+  return splitAudience(policy, members, flagged);
+}
+
+function emitToMembers(members, event, payload) {
+  for (const member of members) {
+    io.to(member.socketId).emit(event, payload);
+  }
+}
+
+/**
+ * Send plain-language "safety-warning" advice to the participants at risk:
+ * those the analysis scored as targets, or otherwise every unflagged
+ * participant. Each piece of advice reaches a participant once per call.
+ * @param {string} roomId - Room ID
+ * @param {Object[]} members - Current room members
+ * @param {Set<string>} flagged - Socket IDs of flagged participants, never warned
+ * @param {Object} warning - { riskLevel, atRisk, ruleHits, matchedPatterns, general, timestamp }
+ */
+async function sendSafetyWarnings(roomId, members, flagged, { riskLevel = null, atRisk = [], ruleHits = [], matchedPatterns = [], general = false, timestamp }) {
+  if (!config.SAFETY_WARNINGS_ENABLED) {
+    return;
+  }
+
+  const advice = adviceFor({ ruleHits, matchedPatterns, general });
+  if (advice.length === 0) {
+    return;
+  }
+
+  const targets = atRisk.length > 0
+    ? members.filter((member) => atRisk.some((participant) => participant.speakerSocketId === member.socketId))
+    : members.filter((member) => member.role !== ROLES.OBSERVER);
+
+  for (const member of targets.filter((target) => !flagged.has(target.socketId))) {
+    const fresh = await roomManager.markSafetyWarnings(roomId, member.socketId, advice.map((entry) => entry.id));
+    if (fresh.length === 0) {
+      continue;
+    }
+
+    console.log(`🛟 [SAFETY WARNING] Room ${roomId}: ${fresh.join(", ")} → ${member.userId}`);
+    io.to(member.socketId).emit("safety-warning", {
+      roomId,
+      riskLevel,
+      advice: advice.filter((entry) => fresh.includes(entry.id)).map((entry) => localizeAdvice(entry, member.preferredLanguage)),
+      timestamp,
+    });
+  }
+}
+
+/**
+ * Send a live-caption partial result to the room, translated into each
+ * listener's preferred language; its fraud analysis follows the room's alert audience
+ */
+async function handlePartialOutput(roomId, speaker, partialOutput) {
+  try {
+    // Live captions; replaced by the "transcript" event with the same resultId
+    const caption = {
+      resultId: partialOutput.resultId,
+      text: partialOutput.transcription.text,
+      stableText: partialOutput.transcription.stableText,
+      language: partialOutput.transcription.language,
+      fraudAnalysis: partialOutput.fraudAnalysis,
+      speaker: speaker.userId,
+      speakerSocketId: speaker.socketId,
+      timestamp: partialOutput.timestamp,
+    };
+
+    const members = await roomManager.getMembers(roomId);
+    let withheld = new Set();
+
+    if (partialOutput.fraudAnalysis) {
+      const suspicious = ["MEDIUM", "HIGH"].includes(partialOutput.fraudAnalysis.riskLevel);
+      const flagged = flaggedParticipants(await roomManager.getCallRisk(roomId), suspicious ? [speaker.socketId] : []);
+      const audience = await alertAudience(roomId, members, flagged);
+      withheld = new Set(audience.withheld.map((member) => member.socketId));
+    }
+
+    for (const listener of members) {
+      const translatedText = listener.socketId === speaker.socketId
+        ? null
+        : partialOutput.translations[listener.preferredLanguage] || null;
+
+      io.to(listener.socketId).emit("transcript-partial", {
+        ...caption,
+        translatedText,
+        targetLanguage: translatedText ? listener.preferredLanguage : null,
+        fraudAnalysis: withheld.has(listener.socketId) ? null : caption.fraudAnalysis,
+      });
+    }
+  } catch (error) {
+    console.error(`\n❌ [PARTIAL-OUTPUT] Error:`, error.message);
+  }
+}
+
+/**
+ * Send an instant local rule hit, ahead of the Bedrock analysis, to the
+ * room's alert audience (never the speaker it flags, unless the room alerts
+ * everyone), and advise the other participants
+ */
+async function handleRedFlag(roomId, speaker, redFlag) {
+  try {
+    const members = await roomManager.getMembers(roomId);
+    const callRisk = await roomManager.getCallRisk(roomId);
+    const attribution = attributeRisk(members, speaker, redFlagAnalysis(callRisk, redFlag));
+    const flagged = flaggedParticipants(callRisk, attribution.likelySuspect ? [attribution.likelySuspect.speakerSocketId] : []);
+    const { informed } = await alertAudience(roomId, members, flagged);
+
+    emitToMembers(informed, "red-flag", {
+      resultId: redFlag.resultId,
+      ruleId: redFlag.id,
+      category: redFlag.category,
+      label: redFlag.label,
+      weight: redFlag.weight,
+      match: redFlag.match,
+      source: redFlag.source,
+      partial: redFlag.partial,
+      speaker: speaker.userId,
+      speakerSocketId: speaker.socketId,
+      likelySuspect: attribution.likelySuspect,
+      atRisk: attribution.atRisk,
+      timestamp: redFlag.timestamp,
+    });
+
+    await sendSafetyWarnings(roomId, members, flagged, {
+      atRisk: attribution.atRisk,
+      ruleHits: [redFlag],
+      timestamp: redFlag.timestamp,
+    });
+  } catch (error) {
+    console.error(`\n❌ [RED-FLAG] Error:`, error.message);
+  }
+}
+
+/**
+ * Tell the room when a speaker's transcription stream drops, resumes or is
+ * rotated, so clients can mark gaps in the transcript
+ */
+function handleTranscriptionStatus(roomId, speaker, status) {
+  io.to(roomId).emit("transcription-status", {
+    ...status,
+    speaker: speaker.userId,
+    speakerSocketId: speaker.socketId,
+  });
+}
+
+/**
+ * End a call for everyone: lock the room, disconnect its participants and,
+ * once the post-call report has reached them, its observers
+ * @param {string} roomId - Room ID
+ * @param {string} by - User ID of the host, or "admin"
+ */
+async function endRoom(roomId, by) {
+  // Claimed first so the participants' disconnects below do not report the call again
+  const sessionId = (await roomManager.claimCallReport(roomId)) ? await sessionRecorder.getSessionId(roomId) : null;
+  const members = await roomManager.getMembers(roomId);
+
+  await roomManager.setLocked(roomId, true);
+  io.to(roomId).emit("room-ended", { roomId, by });
+
+  for (const member of members.filter((m) => m.role !== ROLES.OBSERVER)) {
+    io.in(member.socketId).disconnectSockets(true);
+  }
+
+  deliverCallReport(roomId, sessionId, members.filter((m) => m.role === ROLES.OBSERVER))
+    .finally(() => io.in(roomId).disconnectSockets(true));
+}
+
+/**
+ * Run an admin action on a participant's pipeline, on whichever process it
+ * lives: this one, or in cluster mode another worker reached through the
+ * cluster adapter
+ * @param {string} action - "status", "stats" or "restart"
+ * @param {string} socketId - Participant socket or call leg ID
+ * @returns {Promise<Object|null>} Result, or null when no process has the pipeline
+ */
+async function pipelineAction(action, socketId) {
+  const local = await localPipelineAction(action, socketId);
+  if (local || !isClusterWorker) {
+    return local;
+  }
+
+  const responses = await io.timeout(config.CLUSTER_RPC_TIMEOUT_MS).serverSideEmitWithAck("admin:pipeline-action", action, socketId);
+  return responses.find(Boolean) || null;
+}
+
+async function localPipelineAction(action, socketId) {
+  const pipeline = pipelines.get(socketId);
+  if (!pipeline) {
+    return null;
+  }
+
+  switch (action) {
+    case "restart": {
+      const restarted = await pipeline.restart();
+      return { restarted, ...adminPipelineStats(pipeline) };
+    }
+    case "status": {
+      const { isActive, spokenLanguage, detectedLanguage, stats, services } = pipeline.getStats();
+      return {
+        isActive,
+        spokenLanguage,
+        detectedLanguage,
+        transcription: services.transcription,
+        errors: stats.errors,
+        restarts: stats.restarts,
+        lastActivityTime: stats.lastActivityTime,
+        workerId: isClusterWorker ? cluster.worker.id : null,
+      };
+    }
+    case "stats":
+      return adminPipelineStats(pipeline);
+    default:
+      throw new Error(`Unknown pipeline action: ${action}`);
+  }
+}
+
+/**
+ * Pipeline statistics without the last analysed message's text, which has
+ * not been through the room's PII redaction
+ */
+function adminPipelineStats(pipeline) {
+  const stats = pipeline.getStats();
+  const bedrock = stats.services.bedrock;
+
+  if (bedrock && bedrock.stats.lastAnalysis) {
+    const { status, fraudScore, riskLevel, timestamp } = bedrock.stats.lastAnalysis;
+    bedrock.stats = { ...bedrock.stats, lastAnalysis: { status, fraudScore, riskLevel, timestamp } };
+  }
+
+  return { ...stats, workerId: isClusterWorker ? cluster.worker.id : null };
+}
+
+/**
+ * A participant's view of their own pipeline: transcription, translation and
+ * scheduling state without fraud analyses, red flag counts or risk counters,
+ * which the room's alert audience may be withholding from them
+ */
+function participantPipelineStats(pipeline) {
+  const { stats, services, ...rest } = pipeline.getStats();
+  const { redFlagsRaised, ruleFallbacks, ...pipelineStats } = stats;
+  const { bedrock, ...otherServices } = services;
+
+  return { ...rest, stats: pipelineStats, services: otherServices };
+}
+
+/**
+ * Remove a socket or call leg from its rooms and announce it. When it was the
+ * last participant, its departure ends the call and the post-call report is
+ * generated in the background.
+ * @param {string} socketId - Socket or call leg leaving
+ */
+async function leaveRooms(socketId) {
+  // Claimed while the room, and so its session, still exists
+  const endedCalls = [];
+  for (const roomId of await roomManager.getUserRooms(socketId)) {
+    if (await roomManager.claimCallReport(roomId, socketId)) {
+      endedCalls.push({ roomId, sessionId: await sessionRecorder.getSessionId(roomId) });
+    }
+  }
+
+  await announceDepartures(socketId, await roomManager.removeParticipant(socketId));
+
+  for (const { roomId, sessionId } of endedCalls) {
+    deliverCallReport(roomId, sessionId);
+  }
+}
+
+/**
+ * Generate the post-call report and send it to the observers still in the room
+ * @param {string} roomId - Room ID
+ * @param {string} sessionId - Recorded session of the call
+ * @param {Object[]} observers - Recipients; defaults to everyone left in the room, who
+ *   are all observers once the last participant has gone (one of them may have become host)
+ */
+async function deliverCallReport(roomId, sessionId, observers = null) {
+  if (!config.CALL_REPORT_ENABLED || !sessionId) {
+    return;
+  }
+
+  try {
+    const report = await callReportService.generate(sessionId);
+    if (!report) {
+      return;
+    }
+
+    const recipients = observers || (await roomManager.getMembers(roomId));
+    emitToMembers(recipients, "call-report", report);
+    console.log(`📋 [Call Report] Sent to ${recipients.length} observer(s) in room ${roomId}`);
+  } catch (error) {
+    console.error(`\n❌ [CALL-REPORT] Error:`, error.message);
+  }
+}
+
+/**
+ * Tell the remaining members a socket left each room, and who the new host is.
+ * Only the process that removed the socket announces, so rooms spread across
+ * workers hear it once.
+ * @param {string} socketId - Socket that left
+ * @param {Object[]} departures - { roomId, roomDeleted, newHostId } from removeParticipant
+ */
+async function announceDepartures(socketId, departures) {
+  for (const { roomId, newHostId } of departures) {
+    io.to(roomId).emit("user-left", socketId);
+
+    if (newHostId) {
+      io.to(roomId).emit("host-changed", { roomId, ...(await roomManager.getMember(roomId, newHostId)) });
+    }
+  }
+}
+
+// cluster.js hands the departures of a crashed worker's sockets to one live worker
+if (isClusterWorker) {
+  process.on("message", (message) => {
+    if (message && message.type === "cluster:sockets-lost") {
+      for (const { socketId, departures } of message.sockets) {
+        announceDepartures(socketId, departures).catch((error) => {
+          console.error(`\n❌ [CLUSTER] Failed to announce lost socket ${socketId}:`, error.message);
+        });
+      }
+    }
+  });
+}
+
+// Phone calls: every call leg (track) joins its room as a virtual participant
+// with its own pipeline, so browser participants and observers get its transcripts
+// and fraud scores like anyone else's
+const mediaStreams = config.TELEPHONY_ENABLED ? new TwilioMediaStreamServer() : null;
+
+if (mediaStreams) {
+  mediaStreams.attach(server);
+
+  mediaStreams.on("call-start", (call) => {
+    call.legsReady = startCallLegs(call).catch((error) => {
+      console.error(`\n❌ [TELEPHONY] Failed to start call ${call.callSid}:`, error.message);
+    });
+  });
+
+  mediaStreams.on("media", (call, track, audio) => {
+    const pipeline = pipelines.get(callLegId(call, track));
+    if (pipeline) {
+      pipeline.sendAudio(audio);
+    }
+  });
+
+  mediaStreams.on("call-end", (call) => {
+    Promise.resolve(call.legsReady)
+      .then(() => endCallLegs(call))
+      .catch((error) => {
+        console.error(`\n❌ [TELEPHONY] Failed to end call ${call.callSid}:`, error.message);
+      });
+  });
+}
+
+/**
+ * Virtual socket id of a call leg
  */
-function logFraudDetection(roomId, speakerId, pipelineOutput) {
+function callLegId(call, track) {
+  return `phone:${call.streamSid}:${track}`;
+}
+
+/**
+ * Join each track of a phone call to its room and start its pipeline.
+ * Custom <Stream> parameters: roomId, token (JWT, unless Twilio signatures are
+ * verified), passcode, spokenLanguage or <track>Language, <track>UserId and
+ * <track>Role. Without a role the inbound track (the phone party) is taken as
+ * the caller and the outbound track as the callee.
+ */
+async function startCallLegs(call) {
+  const { roomId, customParameters } = call;
+
+  if (!roomId) {
+    console.warn(`⚠️  [TELEPHONY] Call ${call.callSid} has no roomId parameter; ignoring`);
+    return;
+  }
+
+  // Streams with a valid Twilio signature are trusted for any room
+  if (config.AUTH_ENABLED && !config.TWILIO_AUTH_TOKEN) {
+    try {
+      const user = verifyToken(call.token);
+      if (!canJoinRoom(user, roomId)) {
+        throw new Error(`not authorized for room ${roomId}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️  [TELEPHONY] Rejected call ${call.callSid}: ${error.message}`);
+      return;
+    }
+  }
+
+  const audioFormat = resolveAudioFormat({
+    codec: call.mediaFormat.encoding,
+    sampleRate: call.mediaFormat.sampleRate,
+    channels: call.mediaFormat.channels,
+  });
+
+  for (const track of call.tracks) {
+    const legId = callLegId(call, track);
+    const userId = customParameters[`${track}UserId`] || `${call.callSid || call.streamSid}:${track}`;
+    const spoken = resolveLanguage(
+      customParameters[`${track}Language`] || customParameters.spokenLanguage || config.TRANSCRIBE_LANGUAGE_CODE
+    );
+
+    if (!spoken) {
+      console.warn(`⚠️  [TELEPHONY] Unsupported language for ${legId}; leg ignored`);
+      continue;
+    }
+
+    // Phone legs receive no translations, so they have no preferred language
+    const { refusal } = await roomManager.joinRoom(roomId, legId, {
+      userId,
+      passcode: customParameters.passcode,
+      role: ROLES.PARTICIPANT,
+      participantInfo: {
+        userId,
+        spokenLanguage: spoken.locale,
+        preferredLanguage: null,
+        workerId: isClusterWorker ? cluster.worker.id : null,
+      },
+    });
+    if (refusal) {
+      console.warn(`⚠️  [TELEPHONY] Leg ${legId} refused from room ${roomId}: ${refusal}`);
+      continue;
+    }
+
+    const declaredRole = customParameters[`${track}Role`];
+    if (isCallRole(declaredRole)) {
+      await roomManager.assignCallRole(roomId, legId, declaredRole);
+    } else {
+      if (declaredRole) {
+        console.warn(`⚠️  [TELEPHONY] Unsupported ${track}Role "${declaredRole}" for ${legId}; using the default`);
+      }
+      await roomManager.assignCallRole(roomId, legId, track === "outbound" ? "callee" : "caller", "inferred");
+    }
+    io.to(roomId).emit("user-joined", await roomManager.getMember(roomId, legId));
+
+    console.log(`✅ [TELEPHONY] Call leg ${legId} joined room ${roomId} as ${userId}`);
+
+    const pipeline = new TranscribeTranslatePipeline(roomId, legId, roomManager);
+    const speaker = { userId, socketId: legId };
+    pipelines.set(legId, pipeline);
+
+    await pipeline.start(
+      (pipelineOutput) => handlePipelineOutput(roomId, speaker, pipelineOutput),
+      {
+        spokenLanguage: spoken.locale,
+        targetLanguage: "en",
+        autoDetectLanguage: config.ENABLE_LANGUAGE_IDENTIFICATION,
+        audioFormat,
+        onPartialOutput: (partialOutput) => handlePartialOutput(roomId, speaker, partialOutput),
+        onTranscriptionStatus: (status) => handleTranscriptionStatus(roomId, speaker, status),
+        onRedFlag: (redFlag) => handleRedFlag(roomId, speaker, redFlag),
+      }
+    );
+  }
+}
+
+/**
+ * Stop a phone call's pipelines and remove its legs from the room
+ */
+async function endCallLegs(call) {
+  for (const track of call.tracks) {
+    const legId = callLegId(call, track);
+
+    const pipeline = pipelines.get(legId);
+    if (pipeline) {
+      await pipeline.stop();
+      pipelines.delete(legId);
+    }
+
+    await leaveRooms(legId);
+  }
+}
+
+/**
+ * Log fraud detection for monitoring and send webhook alerts
+ */
+async function logFraudDetection(roomId, speakerId, pipelineOutput) {
   const { fraudAnalysis, translation } = pipelineOutput;
+  const sessionId = await sessionRecorder.getSessionId(roomId);
   
   if (fraudAnalysis.riskLevel === "HIGH") {
     console.log(`\n${'🚨'.repeat(40)}`);
@@ -201,32 +1174,48 @@ function logFraudDetection(roomId, speakerId, pipelineOutput) {
     console.log(`   Room: ${roomId}`);
     console.log(`   Speaker: ${speakerId}`);
     console.log(`   Fraud Score: ${fraudAnalysis.fraudScore}%`);
-    console.log(`   Message: "${translation.text}"`);
-    console.log(`   Summary: ${fraudAnalysis.summary}`);
-    console.log(`   Red Flags: ${fraudAnalysis.redFlags.join(', ')}`);
+    console.log(`   Message: "${redactForLog(translation.text)}"`);
+    console.log(`   Summary: ${redactForLog(fraudAnalysis.summary)}`);
+    console.log(`   Red Flags: ${redactForLog(fraudAnalysis.redFlags.join(', '))}`);
     console.log(`   Matched Patterns: ${fraudAnalysis.matchedPatterns.join(', ')}`);
+    console.log(`   Session: ${sessionId}`);
     console.log(`${'🚨'.repeat(40)}\n`);
-    
-    // In production: Send alerts, store in database, trigger monitoring
-    // await db.fraudDetections.insert({ roomId, speakerId, fraudAnalysis });
-    // await sendAlert({ roomId, speakerId, fraudAnalysis });
+  } else if (fraudAnalysis.status === "analysis-error") {
+    console.log(`\n❔ [UNKNOWN FRAUD RISK] Room: ${roomId}, Speaker: ${speakerId} - analysis failed`);
   } else if (fraudAnalysis.riskLevel === "MEDIUM") {
     console.log(`\n⚠️  [MEDIUM FRAUD RISK] Room: ${roomId}, Speaker: ${speakerId}`);
     console.log(`   Score: ${fraudAnalysis.fraudScore}%`);
-    console.log(`   Red Flags: ${fraudAnalysis.redFlags.join(', ')}\n`);
+    console.log(`   Red Flags: ${redactForLog(fraudAnalysis.redFlags.join(', '))}\n`);
   }
+
+  // Outbound alerts (MEDIUM/HIGH only, de-duplicated per call)
+  webhookService.notifyDetection({
+    roomId,
+    speakerId,
+    sessionId,
+    message: translation.text,
+    fraudAnalysis,
+    timestamp: pipelineOutput.timestamp,
+  });
 }
 
 const PORT = config.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`\n${'='.repeat(80)}`);
-  console.log(`🚀 Server Started - Simplified Fraud Detection`);
-  console.log(`${'='.repeat(80)}`);
-  console.log(`   Port: ${PORT}`);
-  console.log(`   Mode: Bidirectional (analyzes all participants)`);
-  console.log(`   Fraud scores: Broadcast to entire room`);
-  console.log(`${'='.repeat(80)}\n`);
-});
+if (isClusterWorker) {
+  // The primary listens and hands each client's connections to the same worker
+  io.adapter(createAdapter());
+  setupWorker(io);
+  console.log(`🚀 [Worker ${cluster.worker.id}] Ready (pid ${process.pid})`);
+} else {
+  server.listen(PORT, () => {
+    console.log(`\n${'='.repeat(80)}`);
+    console.log(`🚀 Server Started - Simplified Fraud Detection`);
+    console.log(`${'='.repeat(80)}`);
+    console.log(`   Port: ${PORT}`);
+    console.log(`   Mode: Bidirectional (analyzes all participants)`);
+    console.log(`   Fraud alerts: Room audience policy (default "${config.ALERT_AUDIENCE}"); warnings to the participant at risk`);
+    console.log(`${'='.repeat(80)}\n`);
+  });
+}
 
 // Graceful shutdown
 const shutdown = async () => {
@@ -237,6 +1226,12 @@ const shutdown = async () => {
   }
   pipelines.clear();
 
+  // In cluster mode the primary ends the sessions
+  if (!isClusterWorker) {
+    sessionRecorder.stopRetention();
+    await sessionRecorder.endAll();
+  }
+
   server.close(() => {
     console.log(`✅ Server closed\n`);
     process.exit(0);
@@ -0,0 +1,120 @@
+const express = require("express");
+const { ROLES } = require("../services/roomStore");
+
+/**
+ * Server-wide operations routes: rooms, their participants and pipelines.
+ * Mount behind requireAdminApiKey.
+ * @param {Object} deps
+ * @param {Object} deps.roomManager - RoomManager (shared store in cluster mode)
+ * @param {Function} deps.getSessionId - (roomId) => recorded session ID or null
+ * @param {Function} deps.pipelineAction - (action, socketId) => result or null when no
+ *   process has the pipeline; actions are "status", "stats" and "restart"
+ * @param {Function} deps.endRoom - (roomId, by) => ends the call for everyone
+ */
+function createAdminRouter({ roomManager, getSessionId, pipelineAction, endRoom }) {
+  const router = express.Router();
+
+  // Every active room with its headcount and current call risk
+  router.get("/rooms", async (req, res) => {
+    try {
+      const rooms = [];
+      for (const roomId of await roomManager.getAllRooms()) {
+        const info = await roomManager.getRoomInfo(roomId);
+        if (!info) continue;
+
+        const members = await roomManager.getMembers(roomId);
+        const callRisk = await roomManager.getCallRisk(roomId);
+        rooms.push({
+          ...info,
+          participantCount: members.filter((member) => member.role !== ROLES.OBSERVER).length,
+          observerCount: members.filter((member) => member.role === ROLES.OBSERVER).length,
+          riskLevel: callRisk ? callRisk.riskLevel : null,
+          riskScore: callRisk ? callRisk.riskScore : null,
+          sessionId: await getSessionId(roomId),
+        });
+      }
+
+      rooms.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      res.json({ total: rooms.length, rooms });
+    } catch (error) {
+      console.error(`❌ [Admin API] List rooms failed:`, error.message);
+      res.status(500).json({ error: "Failed to list rooms" });
+    }
+  });
+
+  // Room detail: members with their pipeline status, settings and latest risk
+  router.get("/rooms/:id", async (req, res) => {
+    try {
+      const info = await roomManager.getRoomInfo(req.params.id);
+      if (!info) {
+        return res.status(404).json({ error: "Room not found" });
+      }
+
+      const members = await Promise.all(
+        (await roomManager.getMembers(req.params.id)).map(async (member) => ({
+          ...member,
+          pipeline: member.role === ROLES.OBSERVER ? null : await pipelineAction("status", member.socketId),
+        }))
+      );
+
+      res.json({
+        ...info,
+        settings: await roomManager.getRoomSettings(req.params.id),
+        sessionId: await getSessionId(req.params.id),
+        members,
+        callRisk: await roomManager.getCallRisk(req.params.id),
+      });
+    } catch (error) {
+      console.error(`❌ [Admin API] Get room failed:`, error.message);
+      res.status(500).json({ error: "Failed to load room" });
+    }
+  });
+
+  // End the call for everyone, as if the host had ended it
+  router.post("/rooms/:id/terminate", async (req, res) => {
+    try {
+      if (!(await roomManager.getRoomInfo(req.params.id))) {
+        return res.status(404).json({ error: "Room not found" });
+      }
+
+      console.log(`\n🛑 [Admin API] Terminating room ${req.params.id}`);
+      await endRoom(req.params.id, "admin");
+      res.json({ roomId: req.params.id, terminated: true });
+    } catch (error) {
+      console.error(`❌ [Admin API] Terminate room failed:`, error.message);
+      res.status(500).json({ error: "Failed to terminate room" });
+    }
+  });
+
+  router.get("/pipelines/:socketId/stats", async (req, res) => {
+    try {
+      const stats = await pipelineAction("stats", req.params.socketId);
+      if (!stats) {
+        return res.status(404).json({ error: "Pipeline not found" });
+      }
+      res.json(stats);
+    } catch (error) {
+      console.error(`❌ [Admin API] Pipeline stats failed:`, error.message);
+      res.status(500).json({ error: "Failed to load pipeline stats" });
+    }
+  });
+
+  // Stop and start a participant's pipeline, e.g. when transcription gave up
+  router.post("/pipelines/:socketId/restart", async (req, res) => {
+    try {
+      console.log(`\n🔁 [Admin API] Restarting pipeline ${req.params.socketId}`);
+      const result = await pipelineAction("restart", req.params.socketId);
+      if (!result) {
+        return res.status(404).json({ error: "Pipeline not found" });
+      }
+      res.status(result.restarted ? 200 : 502).json(result);
+    } catch (error) {
+      console.error(`❌ [Admin API] Pipeline restart failed:`, error.message);
+      res.status(500).json({ error: "Failed to restart pipeline" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
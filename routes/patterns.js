@@ -0,0 +1,85 @@
+const express = require("express");
+const { CatalogVersionError } = require("../services/patternCatalog");
+
+/**
+ * Admin REST routes for the fraud pattern catalog. Changes are saved to the
+ * overrides file in the data directory (the shipped catalog is never
+ * rewritten) and used by the next analysis; no restart is needed.
+ *
+ * Writes may send an If-Match header with the catalog version they were
+ * based on; a stale version is rejected with 409.
+ * @param {Object} catalog - PatternCatalog
+ */
+function createPatternsRouter(catalog) {
+  const router = express.Router();
+  router.use(express.json());
+
+  const expectedVersion = (req) => {
+    const header = req.get("if-match");
+    return header ? parseInt(header.replace(/"/g, ""), 10) : null;
+  };
+
+  const sendError = (res, action, error) => {
+    if (error instanceof CatalogVersionError) {
+      return res.status(409).json({ error: error.message, version: error.currentVersion });
+    }
+    if (error.code) {
+      console.error(`❌ [Patterns API] ${action} failed:`, error.message);
+      return res.status(500).json({ error: `Failed to ${action.toLowerCase()} pattern` });
+    }
+    // Validation errors
+    res.status(400).json({ error: error.message });
+  };
+
+  // Whole catalog, including disabled patterns
+  router.get("/", (req, res) => {
+    res.json(catalog.getCatalog());
+  });
+
+  router.get("/:id", (req, res) => {
+    const pattern = catalog.getPattern(req.params.id);
+    if (!pattern) {
+      return res.status(404).json({ error: "Pattern not found" });
+    }
+    res.json({ version: catalog.getVersion(), pattern });
+  });
+
+  // Create or replace a pattern
+  router.put("/:id", async (req, res) => {
+    try {
+      const existed = Boolean(catalog.getPattern(req.params.id));
+      const saved = await catalog.upsertPattern({ ...req.body, id: req.params.id }, expectedVersion(req));
+
+      res.status(existed ? 200 : 201).json({
+        version: saved.version,
+        pattern: saved.patterns.find((pattern) => pattern.id === req.params.id),
+      });
+    } catch (error) {
+      sendError(res, "Save", error);
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const saved = await catalog.removePattern(req.params.id, expectedVersion(req));
+      if (!saved) {
+        return res.status(404).json({ error: "Pattern not found" });
+      }
+      res.json({ version: saved.version });
+    } catch (error) {
+      sendError(res, "Delete", error);
+    }
+  });
+
+  // Re-read the files now, e.g. where file watching is unavailable
+  router.post("/reload", (req, res) => {
+    if (!catalog.reload()) {
+      return res.status(422).json({ error: "Catalog or overrides file is invalid; keeping the loaded version", version: catalog.getVersion() });
+    }
+    res.json({ version: catalog.getVersion(), patterns: catalog.getCatalog().patterns.length });
+  });
+
+  return router;
+}
+
+module.exports = { createPatternsRouter };
@@ -0,0 +1,122 @@
+const express = require("express");
+const { renderReportHtml } = require("../services/callReportHtml");
+
+/**
+ * REST routes for reviewing recorded call sessions. Sessions hold full
+ * transcripts and fraud analyses; mount behind requireAdminApiKey.
+ * @param {Object} sessionStore - Store created by createSessionStore()
+ */
+function createSessionsRouter(sessionStore) {
+  const router = express.Router();
+
+  // List sessions, newest first
+  router.get("/", async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 500);
+      const offset = Math.max(parseInt(req.query.offset || "0", 10) || 0, 0);
+
+      const result = await sessionStore.listSessions({
+        roomId: req.query.roomId || null,
+        limit,
+        offset,
+      });
+
+      res.json({ ...result, limit, offset });
+    } catch (error) {
+      console.error(`❌ [Sessions API] List failed:`, error.message);
+      res.status(500).json({ error: "Failed to list sessions" });
+    }
+  });
+
+  // Session metadata with every recorded pipeline output
+  router.get("/:id", async (req, res) => {
+    try {
+      const session = await sessionStore.getSession(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      const events = await sessionStore.getEvents(req.params.id);
+      res.json({ ...session, events: events || [] });
+    } catch (error) {
+      console.error(`❌ [Sessions API] Get failed:`, error.message);
+      res.status(500).json({ error: "Failed to load session" });
+    }
+  });
+
+  // Ordered transcript lines with translation and fraud score
+  router.get("/:id/transcript", async (req, res) => {
+    try {
+      const session = await sessionStore.getSession(req.params.id);
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      const events = (await sessionStore.getEvents(req.params.id)) || [];
+      const transcript = events
+        .filter((event) => event.type === "pipeline-output")
+        .map((event) => ({
+          resultId: event.resultId,
+          speaker: event.speaker,
+          timestamp: event.timestamp,
+          text: event.transcription.text,
+          language: event.transcription.language,
+          translation: event.translation,
+          translations: event.translations || {},
+          fraudScore: event.fraudAnalysis ? event.fraudAnalysis.fraudScore : null,
+          riskLevel: event.fraudAnalysis ? event.fraudAnalysis.riskLevel : null,
+        }));
+
+      res.json({
+        sessionId: session.id,
+        roomId: session.roomId,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        transcript,
+      });
+    } catch (error) {
+      console.error(`❌ [Sessions API] Transcript failed:`, error.message);
+      res.status(500).json({ error: "Failed to load transcript" });
+    }
+  });
+
+  // Post-call fraud report as JSON; ?download=1 saves it as a file
+  router.get("/:id/report", async (req, res) => {
+    try {
+      const report = await sessionStore.getReport(req.params.id);
+      if (!report) {
+        return res.status(404).json({ error: "Report not found" });
+      }
+
+      if (req.query.download) {
+        res.attachment(`call-report-${report.sessionId}.json`);
+      }
+      res.json(report);
+    } catch (error) {
+      console.error(`❌ [Sessions API] Report failed:`, error.message);
+      res.status(500).json({ error: "Failed to load report" });
+    }
+  });
+
+  // The same report as a self-contained HTML page
+  router.get("/:id/report.html", async (req, res) => {
+    try {
+      const report = await sessionStore.getReport(req.params.id);
+      if (!report) {
+        return res.status(404).json({ error: "Report not found" });
+      }
+
+      if (req.query.download) {
+        res.attachment(`call-report-${report.sessionId}.html`);
+      }
+      res.type("html").send(renderReportHtml(report));
+    } catch (error) {
+      console.error(`❌ [Sessions API] Report failed:`, error.message);
+      res.status(500).json({ error: "Failed to load report" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSessionsRouter };
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Replay a recorded μ-law phone call against the telephony endpoint, speaking
+ * the Twilio Media Streams protocol (connected → start → media... → stop).
+ *
+ * Usage:
+ *   node scripts/replayTwilioCall.js <recording> --room <roomId> [options]
+ *
+ * <recording> is a WAV file with μ-law (format 7) audio at 8 kHz, or raw
+ * headerless μ-law (.ulaw/.raw). A stereo WAV is replayed as two tracks:
+ * left = inbound (caller), right = outbound (callee).
+ *
+ * Options:
+ *   --url <ws url>        Endpoint (default ws://localhost:$PORT$TELEPHONY_PATH)
+ *   --room <roomId>       Room the call joins (required)
+ *   --token <jwt>         Token authorizing the room (when AUTH_ENABLED)
+ *   --language <locale>   Spoken language of every track (default TRANSCRIBE_LANGUAGE_CODE)
+ *   --speed <factor>      Playback speed; 2 replays twice as fast (default 1)
+ */
+const fs = require("fs");
+const crypto = require("crypto");
+const WebSocket = require("ws");
+const config = require("../config");
+
+const FRAME_MS = 20;
+const FRAME_BYTES = 160; // 20 ms of 8 kHz μ-law
+
+function parseArgs(argv) {
+  const args = { file: null, options: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args.options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.file = argv[i];
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Read the recording into one μ-law buffer per track
+ */
+function readRecording(file) {
+  const data = fs.readFileSync(file);
+
+  if (data.toString("ascii", 0, 4) !== "RIFF" || data.toString("ascii", 8, 12) !== "WAVE") {
+    return [data];
+  }
+
+  let format = null;
+  let audio = null;
+
+  for (let offset = 12; offset + 8 <= data.length; ) {
+    const id = data.toString("ascii", offset, offset + 4);
+    const size = data.readUInt32LE(offset + 4);
+    const body = data.subarray(offset + 8, offset + 8 + size);
+
+    if (id === "fmt ") {
+      format = {
+        audioFormat: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+      };
+    } else if (id === "data") {
+      audio = body;
+    }
+
+    offset += 8 + size + (size % 2);
+  }
+
+  if (!format || !audio) {
+    throw new Error("WAV file has no fmt or data chunk");
+  }
+  if (format.audioFormat !== 7 || format.sampleRate !== 8000) {
+    throw new Error(`Expected 8 kHz μ-law WAV (format 7), got format ${format.audioFormat} at ${format.sampleRate} Hz`);
+  }
+  if (format.channels > 2) {
+    throw new Error(`Expected mono or stereo audio, got ${format.channels} channels`);
+  }
+
+  const tracks = Array.from({ length: format.channels }, () => Buffer.alloc(audio.length / format.channels));
+  for (let i = 0; i < audio.length; i++) {
+    tracks[i % format.channels][Math.floor(i / format.channels)] = audio[i];
+  }
+
+  return tracks;
+}
+
+async function main() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+
+  if (!file || !options.room) {
+    console.error("Usage: node scripts/replayTwilioCall.js <recording> --room <roomId> [--url ws://...] [--token JWT] [--language hi-IN] [--speed 1]");
+    process.exit(1);
+  }
+
+  const recording = readRecording(file);
+  const trackNames = recording.length === 2 ? ["inbound", "outbound"] : ["inbound"];
+  const url = options.url || `ws://localhost:${config.PORT}${config.TELEPHONY_PATH}`;
+  const speed = parseFloat(options.speed || "1") || 1;
+  const streamSid = `MZ${crypto.randomBytes(16).toString("hex")}`;
+  const callSid = `CA${crypto.randomBytes(16).toString("hex")}`;
+
+  const frames = Math.ceil(recording[0].length / FRAME_BYTES);
+  console.log(`📞 Replaying ${file} (${trackNames.join(" + ")}, ${(frames * FRAME_MS) / 1000}s) to ${url} room ${options.room}`);
+
+  const ws = new WebSocket(url);
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+
+  const send = (message) => ws.send(JSON.stringify(message));
+  let sequenceNumber = 1;
+
+  send({ event: "connected", protocol: "Call", version: "1.0.0" });
+  send({
+    event: "start",
+    sequenceNumber: String(sequenceNumber++),
+    streamSid,
+    start: {
+      streamSid,
+      callSid,
+      accountSid: "ACreplay",
+      tracks: trackNames,
+      customParameters: {
+        roomId: options.room,
+        ...(options.token ? { token: options.token } : {}),
+        ...(options.language ? { spokenLanguage: options.language } : {}),
+      },
+      mediaFormat: { encoding: "audio/x-mulaw", sampleRate: 8000, channels: 1 },
+    },
+  });
+
+  // Pace frames in real time (scaled by --speed) like a live call
+  const startedAt = Date.now();
+  for (let frame = 0; frame < frames; frame++) {
+    trackNames.forEach((track, index) => {
+      send({
+        event: "media",
+        sequenceNumber: String(sequenceNumber++),
+        streamSid,
+        media: {
+          track,
+          chunk: String(frame + 1),
+          timestamp: String(frame * FRAME_MS),
+          payload: recording[index].subarray(frame * FRAME_BYTES, (frame + 1) * FRAME_BYTES).toString("base64"),
+        },
+      });
+    });
+
+    const due = startedAt + ((frame + 1) * FRAME_MS) / speed;
+    await new Promise((resolve) => setTimeout(resolve, Math.max(0, due - Date.now())));
+  }
+
+  send({ event: "stop", sequenceNumber: String(sequenceNumber++), streamSid, stop: { accountSid: "ACreplay", callSid } });
+  ws.close();
+
+  console.log(`✅ Sent ${frames} frame(s) per track`);
+}
+
+main().catch((error) => {
+  console.error(`❌ Replay failed:`, error.message);
+  process.exit(1);
+});
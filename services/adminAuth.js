@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+/**
+ * Read the admin API key from an x-api-key or "Authorization: Bearer" header
+ * @param {Object} headers - Request headers
+ */
+function extractApiKey(headers) {
+  if (headers["x-api-key"]) {
+    return String(headers["x-api-key"]);
+  }
+
+  const authorization = headers.authorization || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+
+  return null;
+}
+
+/**
+ * Check a supplied key against ADMIN_API_KEY. Always false while no key is
+ * configured, so admin access has to be switched on deliberately.
+ * @param {string} supplied
+ * @returns {boolean}
+ */
+function isValidAdminKey(supplied) {
+  if (!config.ADMIN_API_KEY || !supplied) {
+    return false;
+  }
+
+  // Compare digests so the comparison is constant-time whatever the length
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(supplied), digest(config.ADMIN_API_KEY));
+}
+
+/**
+ * Express middleware guarding admin routes
+ */
+function requireAdminApiKey(req, res, next) {
+  if (!config.ADMIN_API_KEY) {
+    return res.status(503).json({ error: "Admin API is disabled; set ADMIN_API_KEY" });
+  }
+
+  if (!isValidAdminKey(extractApiKey(req.headers))) {
+    console.warn(`🚫 [Admin API] Rejected ${req.method} ${req.originalUrl} from ${req.ip}`);
+    return res.status(401).json({ error: "Invalid or missing API key" });
+  }
+
+  next();
+}
+
+module.exports = { requireAdminApiKey, isValidAdminKey, extractApiKey };
@@ -0,0 +1,121 @@
+const { ROLES } = require("./roomStore");
+const config = require("../config");
+
+/**
+ * Who in a room may see fraud scores, reasoning, red flags and call risk:
+ *   everyone            - every member, including flagged speakers
+ *   not-flagged         - every member except flagged participants
+ *   observers-and-hosts - only observers and the host (unless flagged)
+ *
+ * Members outside the audience still get transcripts and translations but no
+ * fraud scores, reasoning, red flags or call risk, so a suspected scammer
+ * cannot watch their own score and adjust their script. They are not told
+ * anything was withheld.
+ */
+const ALERT_AUDIENCES = ["everyone", "not-flagged", "observers-and-hosts"];
+
+/**
+ * Participants currently considered suspects: anyone whose suspect risk in
+ * the call is above LOW, plus any extra socket IDs (e.g. the speaker of a
+ * fresh red flag)
+ * @param {Object|null} callRisk - State from CallRiskTracker
+ * @param {string[]} extraSocketIds
+ * @returns {Set<string>} Socket IDs
+ */
+function flaggedParticipants(callRisk, extraSocketIds = []) {
+  const flagged = new Set(extraSocketIds.filter(Boolean));
+
+  for (const participant of (callRisk && callRisk.participants) || []) {
+    if (participant.suspect.riskLevel !== "LOW") {
+      flagged.add(participant.speakerSocketId);
+    }
+  }
+
+  return flagged;
+}
+
+/**
+ * Split members into those who get full fraud alerts and those who do not
+ * @param {string} policy - One of ALERT_AUDIENCES
+ * @param {Object[]} members - Room members from RoomStore.getMembers()
+ * @param {Set<string>} flagged - Socket IDs of flagged participants
+ * @returns {Object} { informed, withheld } - member lists
+ */
+function splitAudience(policy, members, flagged) {
+  const informed = [];
+  const withheld = [];
+
+  for (const member of members) {
+    let allowed = policy === "everyone" || !flagged.has(member.socketId);
+    if (policy === "observers-and-hosts") {
+      allowed = allowed && (member.role === ROLES.OBSERVER || member.role === ROLES.HOST);
+    }
+    (allowed ? informed : withheld).push(member);
+  }
+
+  return { informed, withheld };
+}
+
+/**
+ * Who the analysis thinks is attempting fraud and who is at risk. An analysis
+ * without per-participant scores (e.g. local rules) implicates the speaker.
+ * @param {Object[]} members - Current room members
+ * @param {Object} speaker - { userId, socketId } of the analyzed speaker
+ * @param {Object} fraudAnalysis - Pipeline fraud analysis
+ * @returns {Object} { participants, likelySuspect, atRisk }
+ */
+function attributeRisk(members, speaker, fraudAnalysis) {
+  let scored = fraudAnalysis.participants;
+  if (scored.length === 0 && fraudAnalysis.fraudScore !== null) {
+    scored = [{ speakerSocketId: speaker.socketId, suspectScore: fraudAnalysis.fraudScore, targetScore: 0 }];
+  }
+
+  const participants = scored.map(({ speakerSocketId, callRole, suspectScore, targetScore }) => {
+    const member = members.find((candidate) => candidate.socketId === speakerSocketId);
+    return {
+      speaker: member ? member.userId : speakerSocketId === speaker.socketId ? speaker.userId : speakerSocketId,
+      speakerSocketId,
+      callRole: (member && member.callRole) || callRole || null,
+      suspectScore,
+      targetScore,
+    };
+  });
+
+  const suspect = participants.reduce((top, participant) =>
+    !top || participant.suspectScore > top.suspectScore ? participant : top, null);
+
+  return {
+    participants,
+    likelySuspect: suspect && suspect.suspectScore >= config.MEDIUM_RISK_THRESHOLD ? suspect : null,
+    atRisk: participants.filter((participant) => participant.targetScore >= config.MEDIUM_RISK_THRESHOLD),
+  };
+}
+
+/**
+ * A local red flag as an analysis attributeRisk() can place. The words alone
+ * do not say who is pressing whom - a target repeating "you want my OTP?"
+ * trips the same rule as the scammer asking for it - so once the call has a
+ * likely suspect or target the flag follows the call's per-participant risk.
+ * Before that it implicates the speaker at the rule's weight, as a rules-only
+ * score would.
+ * @param {Object|null} callRisk - State from CallRiskTracker
+ * @param {Object} redFlag - Rule hit from the pipeline
+ * @returns {Object} { fraudScore, participants } for attributeRisk()
+ */
+function redFlagAnalysis(callRisk, redFlag) {
+  const established = Boolean(callRisk && (callRisk.likelySuspect || callRisk.likelyTarget));
+
+  return {
+    fraudScore: redFlag.weight,
+    participants: established
+      ? callRisk.participants.map((participant) => ({
+        speakerSocketId: participant.speakerSocketId,
+        callRole: participant.callRole,
+        suspectScore: participant.suspect.riskScore,
+        targetScore: participant.target.riskScore,
+      }))
+      : [],
+  };
+}
+
+module.exports = { ALERT_AUDIENCES, flaggedParticipants, splitAudience, attributeRisk, redFlagAnalysis };
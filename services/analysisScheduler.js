@@ -0,0 +1,281 @@
+const config = require("../config");
+const { redactForLog } = require("./piiRedactor");
+
+const schedulers = new Map(); // roomId -> AnalysisScheduler
+
+// Status of the result an utterance gets when it was deliberately not analyzed
+const NOT_ANALYZED = "not-analyzed";
+
+/**
+ * Schedules fraud analyses for one room.
+ *
+ * A speaker's consecutive utterances are debounced and merged into one
+ * analysis, and merged text too short to judge is skipped unless a local rule
+ * already flagged it. Ready analyses wait in a bounded queue where a newer
+ * analysis for the same speaker supersedes an older one (it sees the same
+ * conversation and more), and at most ANALYSIS_MAX_CONCURRENCY run at once.
+ * A result that arrives after a newer one for the same speaker is discarded.
+ *
+ * Every schedule() promise settles with { analysis, ruleHits }. analysis is
+ * the analysis; a { status: "not-analyzed", reason } result when the
+ * utterance was merged into a later one, skipped as too short, superseded,
+ * dropped from a full queue, overtaken by a newer result or cancelled; or
+ * null when the analysis itself failed. ruleHits are the local rule hits of
+ * every utterance the analysis covers, merged and superseded ones included, so
+ * a failed analysis can still fall back on all of them. A dropped utterance is
+ * covered by no other analysis and keeps its own rule hits for that fallback.
+ */
+class AnalysisScheduler {
+  constructor(roomId) {
+    this.roomId = roomId;
+    this.speakers = new Set();
+    this.pending = new Map(); // speakerId -> { texts, ruleHits, force, analyze, resolve, timer, firstAt }
+    this.queue = [];
+    this.inFlight = new Set();
+    this.sequence = 0;
+    this.lastCompleted = new Map(); // speakerId -> sequence of the newest delivered result
+
+    this.stats = {
+      scheduled: 0,
+      merged: 0,
+      skippedShort: 0,
+      superseded: 0,
+      dropped: 0,
+      stale: 0,
+      cancelled: 0,
+      completed: 0,
+      failed: 0,
+    };
+  }
+
+  register(speakerId) {
+    this.speakers.add(speakerId);
+  }
+
+  /**
+   * Cancel a speaker's work; the room's scheduler goes away with its last speaker
+   */
+  unregister(speakerId) {
+    this.cancel(speakerId);
+    this.speakers.delete(speakerId);
+
+    if (this.speakers.size === 0 && schedulers.get(this.roomId) === this) {
+      schedulers.delete(this.roomId);
+    }
+  }
+
+  /**
+   * Schedule an analysis of a speaker's latest utterance
+   * @param {string} speakerId - Speaker's socket ID
+   * @param {string} text - Utterance (translated) text
+   * @param {Function} analyze - (text, signal) => Promise<analysis>
+   * @param {Object} options
+   * @param {boolean} options.force - Analyze even when the text is short
+   * @param {Object[]} options.ruleHits - Local rule hits of the utterance
+   * @param {boolean} options.replace - The text restates the pending text (e.g. a longer
+   *   partial result of the same utterance), so it replaces it instead of being appended
+   * @returns {Promise<Object>} { analysis, ruleHits } - analysis is the analysis, a not-analyzed
+   *   result (see notAnalyzed()), or null on failure; ruleHits cover every merged utterance
+   */
+  schedule(speakerId, text, analyze, { force = false, ruleHits = [], replace = false } = {}) {
+    this.stats.scheduled++;
+
+    return new Promise((resolve) => {
+      const now = Date.now();
+      const previous = this.pending.get(speakerId);
+      const texts = [text];
+      let firstAt = now;
+
+      if (previous) {
+        // The earlier utterance is analyzed as part of this one, and so are its rule hits
+        clearTimeout(previous.timer);
+        if (replace) {
+          previous.resolve(notAnalyzed("superseded"));
+          this.stats.superseded++;
+        } else {
+          previous.resolve(notAnalyzed("merged"));
+          this.stats.merged++;
+          texts.unshift(...previous.texts);
+        }
+        ruleHits = combineRuleHits(previous.ruleHits, ruleHits);
+        force = force || previous.force;
+        firstAt = previous.firstAt;
+      }
+
+      const entry = {
+        texts,
+        ruleHits,
+        force,
+        analyze,
+        resolve: (analysis) => resolve({ analysis, ruleHits: entry.ruleHits }),
+        firstAt,
+        timer: null,
+      };
+      const delay = Math.max(0, Math.min(config.ANALYSIS_DEBOUNCE_MS, firstAt + config.ANALYSIS_MAX_DELAY_MS - now));
+
+      entry.timer = setTimeout(() => {
+        this.pending.delete(speakerId);
+        this.enqueue(speakerId, entry);
+      }, delay);
+
+      this.pending.set(speakerId, entry);
+    });
+  }
+
+  enqueue(speakerId, entry) {
+    const text = entry.texts.join(" ").trim();
+    const words = text.split(/\s+/).filter(Boolean).length;
+
+    if (words < config.ANALYSIS_MIN_WORDS && !entry.force) {
+      this.stats.skippedShort++;
+      console.log(`⏭️  [Analysis] Skipped short utterance from ${speakerId}: "${redactForLog(text)}"`);
+      entry.resolve(notAnalyzed("skipped-short"));
+      return;
+    }
+
+    for (const job of this.queue.filter((queued) => queued.speakerId === speakerId)) {
+      // The newer analysis covers the superseded utterance, so it takes its rule hits too
+      entry.ruleHits = combineRuleHits(job.ruleHits, entry.ruleHits);
+      this.removeQueued(job, "superseded");
+      this.stats.superseded++;
+    }
+
+    if (this.queue.length >= config.ANALYSIS_QUEUE_SIZE) {
+      this.removeQueued(this.queue[0], "dropped");
+      this.stats.dropped++;
+      console.warn(`⚠️  [Analysis] Queue full for room ${this.roomId}; dropped the oldest analysis`);
+    }
+
+    this.queue.push({
+      sequence: ++this.sequence,
+      speakerId,
+      text,
+      ruleHits: entry.ruleHits,
+      analyze: entry.analyze,
+      resolve: entry.resolve,
+      controller: null,
+    });
+    this.pump();
+  }
+
+  removeQueued(job, reason) {
+    this.queue.splice(this.queue.indexOf(job), 1);
+    job.resolve(notAnalyzed(reason));
+  }
+
+  pump() {
+    while (this.inFlight.size < config.ANALYSIS_MAX_CONCURRENCY && this.queue.length > 0) {
+      this.run(this.queue.shift());
+    }
+  }
+
+  async run(job) {
+    job.controller = new AbortController();
+    this.inFlight.add(job);
+
+    try {
+      const result = await job.analyze(job.text, job.controller.signal);
+
+      if (job.controller.signal.aborted) {
+        job.resolve(notAnalyzed("cancelled"));
+      } else if ((this.lastCompleted.get(job.speakerId) || 0) > job.sequence) {
+        // A newer analysis for this speaker already went out
+        this.stats.stale++;
+        job.resolve(notAnalyzed("stale"));
+      } else {
+        this.lastCompleted.set(job.speakerId, job.sequence);
+        this.stats.completed++;
+        job.resolve(result);
+      }
+    } catch (error) {
+      this.stats.failed++;
+      console.error(`❌ [Analysis] Analysis for ${job.speakerId} failed:`, error.message);
+      job.resolve(null);
+    } finally {
+      this.inFlight.delete(job);
+      this.pump();
+    }
+  }
+
+  /**
+   * Drop a speaker's pending and queued analyses and abort the ones in flight
+   */
+  cancel(speakerId) {
+    const pending = this.pending.get(speakerId);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pending.delete(speakerId);
+      pending.resolve(notAnalyzed("cancelled"));
+      this.stats.cancelled++;
+    }
+
+    for (const job of this.queue.filter((queued) => queued.speakerId === speakerId)) {
+      this.removeQueued(job, "cancelled");
+      this.stats.cancelled++;
+    }
+
+    for (const job of this.inFlight) {
+      if (job.speakerId === speakerId) {
+        job.controller.abort();
+        this.stats.cancelled++;
+      }
+    }
+
+    this.lastCompleted.delete(speakerId);
+  }
+
+  getStats() {
+    return {
+      roomId: this.roomId,
+      queueDepth: this.queue.length,
+      pending: this.pending.size,
+      inFlight: this.inFlight.size,
+      ...this.stats,
+    };
+  }
+}
+
+/**
+ * Rule hits of merged utterances, one per rule; the earliest hit is kept
+ * @param {Object[]} earlier - Hits of the utterances merged so far
+ * @param {Object[]} later - Hits of the newest utterance
+ */
+function combineRuleHits(earlier, later) {
+  const hits = new Map();
+  for (const hit of [...earlier, ...later]) {
+    if (!hits.has(hit.id)) {
+      hits.set(hit.id, hit);
+    }
+  }
+  return Array.from(hits.values());
+}
+
+/**
+ * Result for an utterance the scheduler deliberately did not analyze
+ * @param {string} reason - merged, skipped-short, superseded, dropped, stale or cancelled
+ */
+function notAnalyzed(reason) {
+  return { status: NOT_ANALYZED, reason };
+}
+
+/**
+ * Whether a schedule() result is a deliberate skip rather than an analysis or a failure
+ * @param {Object|null} result
+ */
+function isNotAnalyzed(result) {
+  return Boolean(result && result.status === NOT_ANALYZED);
+}
+
+/**
+ * The room's scheduler, shared by every pipeline in this process
+ * @param {string} roomId
+ * @returns {AnalysisScheduler}
+ */
+function getAnalysisScheduler(roomId) {
+  if (!schedulers.has(roomId)) {
+    schedulers.set(roomId, new AnalysisScheduler(roomId));
+  }
+  return schedulers.get(roomId);
+}
+
+module.exports = { AnalysisScheduler, getAnalysisScheduler, isNotAnalyzed };
@@ -0,0 +1,228 @@
+const { WebmOpusRemuxer } = require("./webmOpusRemuxer");
+const config = require("../config");
+
+/**
+ * Audio formats clients may declare for "audio-stream".
+ *
+ * Ogg/Opus and FLAC are passed to Transcribe untouched; WebM/Opus is remuxed
+ * to Ogg/Opus; everything else is decoded to 16-bit mono PCM, downmixed and
+ * resampled on the server.
+ */
+const AUDIO_CODECS = {
+  pcm: { type: "pcm", bytesPerSample: 2, defaultSampleRate: () => config.SAMPLE_RATE }, // signed 16-bit little-endian
+  "pcm-f32": { type: "pcm", bytesPerSample: 4, defaultSampleRate: () => config.SAMPLE_RATE }, // 32-bit float little-endian
+  mulaw: { type: "pcm", bytesPerSample: 1, defaultSampleRate: () => 8000 }, // G.711 μ-law
+  alaw: { type: "pcm", bytesPerSample: 1, defaultSampleRate: () => 8000 }, // G.711 A-law
+  "ogg-opus": { type: "passthrough", mediaEncoding: "ogg-opus", defaultSampleRate: () => 48000 },
+  flac: { type: "passthrough", mediaEncoding: "flac", defaultSampleRate: () => config.SAMPLE_RATE },
+  "webm-opus": { type: "webm", mediaEncoding: "ogg-opus", defaultSampleRate: () => 48000 },
+};
+
+const CODEC_ALIASES = {
+  linear16: "pcm",
+  s16le: "pcm",
+  f32le: "pcm-f32",
+  float32: "pcm-f32",
+  ulaw: "mulaw",
+  "x-mulaw": "mulaw", // Twilio Media Streams
+  pcmu: "mulaw",
+  "x-alaw": "alaw",
+  pcma: "alaw",
+  ogg: "ogg-opus",
+  opus: "ogg-opus",
+  "ogg;codecs=opus": "ogg-opus",
+  webm: "webm-opus",
+  "webm;codecs=opus": "webm-opus",
+};
+
+// Sample rates Transcribe streaming accepts
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+
+// PCM input above this is resampled down before streaming
+const MAX_PCM_INPUT_SAMPLE_RATE = 192000;
+const MAX_PCM_CHANNELS = 8;
+
+/**
+ * Validate a client's declared audio format and work out what Transcribe receives
+ * @param {Object} format - { codec, sampleRate, channels }; codec may be a MIME type
+ *   such as "audio/webm;codecs=opus". Defaults to 16-bit mono PCM at config.SAMPLE_RATE.
+ * @returns {Object} { codec, sampleRate, channels, mediaEncoding, mediaSampleRate }
+ * @throws {Error} When the format is not supported, with a message for the client
+ */
+function resolveAudioFormat(format) {
+  format = format || {};
+  const requested = String(format.codec || "pcm").trim().toLowerCase().replace(/^audio\//, "").replace(/\s+/g, "");
+  const codec = CODEC_ALIASES[requested] || requested;
+  const definition = AUDIO_CODECS[codec];
+
+  if (!definition) {
+    throw new Error(
+      `Unsupported audio codec "${format.codec}". Supported: ${Object.keys(AUDIO_CODECS).join(", ")}`
+    );
+  }
+
+  const sampleRate = format.sampleRate === undefined ? definition.defaultSampleRate() : Number(format.sampleRate);
+  const channels = format.channels === undefined ? 1 : Number(format.channels);
+
+  if (!Number.isInteger(channels) || channels < 1) {
+    throw new Error(`Invalid audio channel count: ${format.channels}`);
+  }
+
+  if (definition.type !== "pcm") {
+    // Compressed audio is not decoded, so it must already suit Transcribe
+    if (!Number.isInteger(sampleRate) || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+      throw new Error(`${codec} audio must be ${MIN_SAMPLE_RATE}-${MAX_SAMPLE_RATE} Hz, got ${format.sampleRate}`);
+    }
+    if (channels !== 1) {
+      throw new Error(`${codec} audio must be mono; record with one channel or send pcm to have it downmixed`);
+    }
+
+    return { codec, sampleRate, channels, mediaEncoding: definition.mediaEncoding, mediaSampleRate: sampleRate };
+  }
+
+  if (!Number.isInteger(sampleRate) || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_PCM_INPUT_SAMPLE_RATE) {
+    throw new Error(`${codec} audio must be ${MIN_SAMPLE_RATE}-${MAX_PCM_INPUT_SAMPLE_RATE} Hz, got ${format.sampleRate}`);
+  }
+  if (channels > MAX_PCM_CHANNELS) {
+    throw new Error(`${codec} audio may have at most ${MAX_PCM_CHANNELS} channels, got ${channels}`);
+  }
+
+  return {
+    codec,
+    sampleRate,
+    channels,
+    mediaEncoding: "pcm",
+    // Resample down to the configured rate; upsampling would add nothing
+    mediaSampleRate: Math.min(sampleRate, config.SAMPLE_RATE),
+  };
+}
+
+/**
+ * Create the per-stream converter for a resolved format
+ * @param {Object} format - Result of resolveAudioFormat()
+ * @returns {Object} Converter with convert(chunk) → Buffer|null and reset()
+ */
+function createAudioConverter(format) {
+  switch (AUDIO_CODECS[format.codec].type) {
+    case "pcm":
+      return new PcmConverter(format);
+    case "webm":
+      return new WebmOpusRemuxer();
+    default:
+      return { convert: (chunk) => chunk, reset: () => {} };
+  }
+}
+
+/**
+ * Decodes PCM/G.711 to 16-bit mono PCM, downmixing and resampling
+ * (linear interpolation) as needed. Partial frames and the resampler
+ * position carry over between chunks.
+ */
+class PcmConverter {
+  constructor(format) {
+    this.format = format;
+    this.frameSize = AUDIO_CODECS[format.codec].bytesPerSample * format.channels;
+    this.step = format.sampleRate / format.mediaSampleRate; // Input frames per output sample
+    this.remainder = Buffer.alloc(0);
+    this.position = 0; // Next output position, in input frames relative to the current chunk
+    this.previousSample = 0;
+    this.passthrough = format.codec === "pcm" && format.channels === 1 && this.step === 1;
+  }
+
+  convert(chunk) {
+    if (this.passthrough) {
+      return chunk;
+    }
+
+    const data = this.remainder.length > 0 ? Buffer.concat([this.remainder, chunk]) : chunk;
+    const frameCount = Math.floor(data.length / this.frameSize);
+    this.remainder = Buffer.from(data.subarray(frameCount * this.frameSize));
+
+    if (frameCount === 0) {
+      return null;
+    }
+
+    const mono = this.decode(data, frameCount);
+    const samples = this.step === 1 ? mono : this.resample(mono);
+
+    const output = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+      output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(samples[i]))), i * 2);
+    }
+    return output;
+  }
+
+  reset() {}
+
+  /**
+   * Decode frames to mono samples on the 16-bit scale, averaging channels
+   */
+  decode(data, frameCount) {
+    const { codec, channels } = this.format;
+    const bytesPerSample = AUDIO_CODECS[codec].bytesPerSample;
+    const mono = new Float32Array(frameCount);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      let sum = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        const offset = frame * this.frameSize + channel * bytesPerSample;
+
+        switch (codec) {
+          case "pcm":
+            sum += data.readInt16LE(offset);
+            break;
+          case "pcm-f32":
+            sum += data.readFloatLE(offset) * 32767;
+            break;
+          case "mulaw":
+            sum += MULAW_TABLE[data[offset]];
+            break;
+          case "alaw":
+            sum += ALAW_TABLE[data[offset]];
+            break;
+        }
+      }
+      mono[frame] = sum / channels;
+    }
+
+    return mono;
+  }
+
+  resample(input) {
+    const output = [];
+
+    // Position -1 refers to the last sample of the previous chunk
+    while (Math.floor(this.position) + 1 < input.length) {
+      const index = Math.floor(this.position);
+      const fraction = this.position - index;
+      const current = index < 0 ? this.previousSample : input[index];
+      output.push(current + (input[index + 1] - current) * fraction);
+      this.position += this.step;
+    }
+
+    this.position -= input.length;
+    this.previousSample = input[input.length - 1];
+    return output;
+  }
+}
+
+/**
+ * G.711 decode tables (ITU-T G.711), 8-bit code → 16-bit linear sample
+ */
+const MULAW_TABLE = Int16Array.from({ length: 256 }, (_, code) => {
+  const value = ~code & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const sample = ((((value & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+  return value & 0x80 ? -sample : sample;
+});
+
+const ALAW_TABLE = Int16Array.from({ length: 256 }, (_, code) => {
+  const value = code ^ 0x55;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const sample = exponent === 0 ? (mantissa << 4) + 8 : ((mantissa << 4) + 0x108) << (exponent - 1);
+  return value & 0x80 ? sample : -sample;
+});
+
+module.exports = { AUDIO_CODECS, resolveAudioFormat, createAudioConverter };
@@ -0,0 +1,90 @@
+const config = require("../config");
+
+/**
+ * Recent audio written for transcription, kept so it can be replayed into a
+ * new Transcribe stream after a reconnect or rotation.
+ *
+ * Each chunk is placed on an audio timeline (milliseconds of audio sent so
+ * far), which lets results from different streams be lined up and
+ * de-duplicated. Chunks of unknown duration (compressed audio) take no time
+ * on the timeline and are only replayed if they were never sent.
+ */
+class AudioRingBuffer {
+  constructor(maxDurationMs = config.TRANSCRIBE_BUFFER_MS, maxBytes = config.TRANSCRIBE_BUFFER_MAX_BYTES) {
+    this.maxDurationMs = maxDurationMs;
+    this.maxBytes = maxBytes;
+    this.chunks = []; // { data, startMs, endMs, streamId }
+    this.bytes = 0;
+    this.timelineMs = 0;
+    this.droppedChunks = 0; // Chunks evicted before they were ever sent
+  }
+
+  /**
+   * Append a chunk at the end of the timeline
+   * @param {Buffer} data - Audio as sent to Transcribe
+   * @param {number} durationMs - Duration, or 0 when unknown
+   * @param {number|null} streamId - Stream the chunk was written to, null while no stream is open
+   * @returns {Object} The stored chunk
+   */
+  push(data, durationMs, streamId) {
+    const chunk = { data, startMs: this.timelineMs, endMs: this.timelineMs + durationMs, streamId };
+
+    this.chunks.push(chunk);
+    this.bytes += data.length;
+    this.timelineMs = chunk.endMs;
+
+    while (
+      this.chunks.length > 1 &&
+      (this.bytes > this.maxBytes || this.timelineMs - this.chunks[0].endMs > this.maxDurationMs)
+    ) {
+      const evicted = this.chunks.shift();
+      this.bytes -= evicted.data.length;
+      if (evicted.streamId === null) {
+        this.droppedChunks++;
+      }
+    }
+
+    return chunk;
+  }
+
+  /**
+   * Chunks to replay into a new stream: timed chunks ending after fromMs,
+   * plus untimed chunks that were never sent
+   * @param {number} fromMs - Timeline position to replay from
+   */
+  chunksFrom(fromMs) {
+    return this.chunks.filter((chunk) =>
+      chunk.endMs > chunk.startMs ? chunk.endMs > fromMs : chunk.streamId === null
+    );
+  }
+
+  /**
+   * Mark chunks written to a stream that failed to open as never sent
+   * @param {number} streamId
+   */
+  release(streamId) {
+    for (const chunk of this.chunks) {
+      if (chunk.streamId === streamId) {
+        chunk.streamId = null;
+      }
+    }
+  }
+
+  /**
+   * Timeline position of the oldest chunk still held
+   */
+  getStartMs() {
+    return this.chunks.length > 0 ? this.chunks[0].startMs : this.timelineMs;
+  }
+
+  getStats() {
+    return {
+      bufferedMs: this.timelineMs - this.getStartMs(),
+      bufferedBytes: this.bytes,
+      timelineMs: this.timelineMs,
+      droppedChunks: this.droppedChunks,
+    };
+  }
+}
+
+module.exports = { AudioRingBuffer };
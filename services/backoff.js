@@ -0,0 +1,13 @@
+/**
+ * Exponential backoff with jitter (between half and the full delay)
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {number} baseMs - Delay before the first retry
+ * @param {number} maxMs - Upper bound for the delay
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, baseMs, maxMs) {
+  const delay = Math.min(baseMs * 2 ** (attempt - 1), maxMs);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+module.exports = { backoffDelay };
@@ -2,20 +2,63 @@ const {
   BedrockRuntimeClient,
   ConverseCommand,
 } = require("@aws-sdk/client-bedrock-runtime");
+const { ConversationStore } = require("./conversationStore");
+const { riskLevelForScore } = require("./callRiskTracker");
+const { getPatternCatalog } = require("./patternCatalog");
+const { redactForLog } = require("./piiRedactor");
+const { metrics, recordAwsError } = require("./metrics");
 const config = require("../config");
 
+// The model reports its analysis by calling this tool; Bedrock passes the
+// tool input back as JSON, which is checked against ANALYSIS_SCHEMA
+const ANALYSIS_TOOL_NAME = "report_fraud_analysis";
+
+const ANALYSIS_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string", description: "Brief summary of what the speaker is attempting (2-3 sentences)" },
+    fraudScore: { type: "number", minimum: 0, maximum: 100, description: "Fraud probability from 0 to 100" },
+    riskLevel: { type: "string", enum: ["LOW", "MEDIUM", "HIGH"] },
+    redFlags: { type: "array", items: { type: "string" }, description: "Specific fraud indicators in the message" },
+    reasoning: { type: "string", description: "Why this message received this fraud score" },
+    matchedPatterns: { type: "array", items: { type: "string" }, description: "Ids of the catalog fraud patterns the message matches" },
+    participants: {
+      type: "array",
+      description: "Every participant in the conversation, with who is likely the scammer and who is at risk",
+      items: {
+        type: "object",
+        properties: {
+          speaker: { type: "string", description: "Participant label from the conversation, e.g. P1" },
+          suspectScore: { type: "number", minimum: 0, maximum: 100, description: "Likelihood this participant is attempting fraud" },
+          targetScore: { type: "number", minimum: 0, maximum: 100, description: "Likelihood this participant is being defrauded" },
+        },
+        required: ["speaker", "suspectScore", "targetScore"],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ["summary", "fraudScore", "riskLevel", "redFlags", "reasoning", "matchedPatterns", "participants"],
+  additionalProperties: false,
+};
+
 /**
  * Simplified Bedrock Scam Detection Service
  * Analyzes ALL participants equally for fraud/scam behavior
  */
 class BedrockScamDetectionService {
-  constructor(roomId, userId) {
+  /**
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Speaker's socket ID
+   * @param {Object} conversation - Room-wide history shared with the other participants
+   *   (a ConversationStore, or RoomManager.getConversation() whose methods return promises)
+   */
+  constructor(roomId, userId, conversation = null) {
     this.roomId = roomId;
     this.userId = userId;
     this.client = null;
     this.isActive = false;
-    this.conversationHistory = [];
-    this.maxHistoryLength = 20;
+    this.conversation = conversation || new ConversationStore(roomId);
+    this.conversationLength = 0; // Last known size of the shared history
     this.analysisCount = 0;
     this.modelId = config.BEDROCK_MODEL_ID || "anthropic.claude-3-5-sonnet-20241022-v2:0";
     
@@ -25,6 +68,8 @@ class BedrockScamDetectionService {
       highRiskDetections: 0,
       mediumRiskDetections: 0,
       lowRiskDetections: 0,
+      correctiveRetries: 0,
+      analysisErrors: 0,
       averageRiskScore: 0,
       lastAnalysis: null,
     };
@@ -59,25 +104,22 @@ class BedrockScamDetectionService {
   }
 
   /**
-   * Add message to conversation history
+   * Add message to the room's conversation history
    * @param {string} translatedText - Translated text
    * @param {string} speakerId - Speaker's socket ID
+   * @param {string} timestamp - When the utterance was spoken (defaults to now)
+   * @param {string} callRole - Speaker's call role (e.g. "caller"), if known
    */
-  addToConversation(translatedText, speakerId) {
-    const message = {
+  async addToConversation(translatedText, speakerId, timestamp = null, callRole = null) {
+    await this.conversation.addMessage({
       speakerId,
+      callRole,
       text: translatedText,
-      timestamp: new Date().toISOString(),
-    };
-
-    this.conversationHistory.push(message);
+      timestamp,
+    });
+    this.conversationLength = await this.conversation.size();
 
-    // Keep only recent messages
-    if (this.conversationHistory.length > this.maxHistoryLength) {
-      this.conversationHistory = this.conversationHistory.slice(-this.maxHistoryLength);
-    }
-
-    console.log(`📝 [Bedrock] Added message (${this.conversationHistory.length} total messages)`);
+    console.log(`📝 [Bedrock] Added message (${this.conversationLength} total messages in room)`);
   }
 
   /**
@@ -85,9 +127,12 @@ class BedrockScamDetectionService {
    * Analyzes EVERYONE's speech equally
    * @param {string} latestTranslatedText - Most recent translated message
    * @param {string} speakerId - ID of the speaker
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Cancels the Bedrock request
+   * @param {string} options.callRole - Speaker's call role (e.g. "caller"), if known
    * @returns {Promise<Object>} Analysis result with fraud score
    */
-  async analyzeConversation(latestTranslatedText, speakerId) {
+  async analyzeConversation(latestTranslatedText, speakerId, options = {}) {
     if (!this.isActive) {
       console.warn(`⚠️  [Bedrock] Service not active`);
       return null;
@@ -99,72 +144,57 @@ class BedrockScamDetectionService {
 
       console.log(`\n🔍 [Bedrock Analysis #${this.analysisCount}] Analyzing message...`);
       console.log(`   Speaker: ${speakerId}`);
-      console.log(`   Message: "${latestTranslatedText.substring(0, 80)}${latestTranslatedText.length > 80 ? '...' : ''}"`);
+      console.log(`   Message: "${redactForLog(latestTranslatedText).substring(0, 80)}${latestTranslatedText.length > 80 ? '...' : ''}"`);
 
       // Build conversation context
-      const conversationContext = this.buildConversationContext();
-
-      // Create the analysis prompt with common fraud patterns
+      const { context: conversationContext, speakers } = await this.buildConversationContext(speakerId, options.callRole);
+      const latestSpeaker = speakers.get(speakerId);
+
+      // Create the analysis prompt with the catalog's fraud patterns
+      const catalog = getPatternCatalog();
+      const catalogVersion = catalog.getVersion();
+      const mediumFrom = config.MEDIUM_RISK_THRESHOLD;
+      const highFrom = config.HIGH_RISK_THRESHOLD;
       const systemPrompt = `You are a fraud detection AI assistant that analyzes conversations for potential scam or fraudulent behavior. You analyze ALL participants equally - anyone in the conversation could be attempting fraud.
 
+Participants are labelled P1, P2, ... and, where known, tagged with their role in the call: caller, callee, agent or customer. A role says who placed the call or who represents an organization; it does not make anyone trustworthy - scammers often place the call and pose as an agent.
+
 Your task is to analyze the LATEST message and provide:
 
 1. A brief summary of what the speaker is trying to do (2-3 sentences)
 2. A fraud probability score (0-100) where:
-   - 0-30: Low risk (normal conversation)
-   - 31-80: Medium risk (some concerning elements)
-   - 81-100: High risk (likely fraud/scam attempt)
+   - 0-${mediumFrom - 1}: Low risk (normal conversation)
+   - ${mediumFrom}-${highFrom - 1}: Medium risk (some concerning elements)
+   - ${highFrom}-100: High risk (likely fraud/scam attempt)
 
 CRITICAL FRAUD INDICATORS to detect:
-- Money requests (gift cards, wire transfers, cryptocurrency, cash)
+- Money requests (UPI transfers, gift cards, wire transfers, cryptocurrency, cash)
 - Urgency or pressure tactics ("act now", "limited time", "today only")
-- Authority impersonation (government, bank, tech support, police, family member)
+- Authority impersonation (police, CBI, customs, bank, TRAI, electricity board, tech support, family member)
 - Secrecy requests ("don't tell anyone", "keep this between us")
-- Too-good-to-be-true offers (prizes, inheritances, guaranteed returns)
-- Personal information requests (SSN, PIN, passwords, OTP codes, bank details)
-- Investment opportunities with guaranteed returns or low risk
-- Threatening language or consequences ("arrest", "lawsuit", "account frozen")
-- Romantic advances followed by financial requests
-- Remote access requests (TeamViewer, AnyDesk, "let me help fix your computer")
-- Unusual payment methods (gift cards for taxes/fees, prepaid cards)
-- Fake emergencies ("grandchild in jail", "stranded abroad")
-- IRS/tax scams, Medicare scams, Social Security scams
-- Tech support scams claiming viruses or expired warranties
-- Lottery/sweepstakes scams for contests not entered
-- Phishing attempts for login credentials
-- Charity scams (especially after disasters)
-
-COMMON FRAUD PATTERNS IN KNOWLEDGE BASE:
-1. IRS Scam: "You owe back taxes, pay now or face arrest"
-2. Tech Support: "Your computer has viruses, we need remote access"
-3. Grandparent Scam: "It's your grandson, I'm in trouble and need money"
-4. Romance Scam: Build relationship online, then ask for money
-5. Prize Scam: "You won a lottery you never entered, pay fees first"
-6. Bank Impersonation: "Your account is compromised, verify your details"
-7. Gift Card Scam: Any request to pay with gift cards (major red flag)
-8. Investment Fraud: "Guaranteed returns" or "no risk" investments
-9. Charity Fraud: Fake charities asking for donations
-10. Employment Scam: "Pay upfront fee for job training/equipment"
-
-Analyze the conversation objectively - BOTH participants can exhibit fraudulent behavior.
-
-Respond ONLY with valid JSON in this exact format:
-{
-  "summary": "Brief summary of what the speaker is attempting",
-  "fraudScore": <number between 0-100>,
-  "riskLevel": "<LOW|MEDIUM|HIGH>",
-  "redFlags": ["list", "of", "specific", "fraud", "indicators"],
-  "reasoning": "Why this message received this fraud score",
-  "matchedPatterns": ["list", "of", "matched", "common", "fraud", "patterns"]
-}`;
+- Too-good-to-be-true offers (prizes, lotteries, guaranteed returns)
+- Personal information requests (OTP, UPI PIN, CVV, passwords, Aadhaar, PAN, bank details)
+- Threatening language or consequences ("arrest", "account blocked", "connection cut")
+- Remote access requests (AnyDesk, TeamViewer, screen sharing)
+- Unusual payment methods (gift cards or UPI for fines and fees)
+- Fake emergencies (relative in an accident or police custody)
+
+KNOWN FRAUD PATTERNS (catalog v${catalogVersion}; id, name, locales, description):
+${catalog.buildPromptSection()}
+
+In matchedPatterns, list the ids of the patterns above that the conversation matches (for example "kyc-update"), or an empty list. Use only ids from this catalog.
+
+Analyze the conversation objectively - BOTH participants can exhibit fraudulent behavior. Work out who is asking for money, credentials or actions and who is being asked. In participants, give every participant label a suspectScore (0-100, likelihood they are attempting fraud) and a targetScore (0-100, likelihood they are being defrauded).
+
+Report your analysis by calling the ${ANALYSIS_TOOL_NAME} tool. Do not answer in plain text.`;
 
       const userPrompt = `Analyze this conversation for potential fraud or scam behavior:
 
 ${conversationContext}
 
-Latest message from Speaker ${speakerId}: "${latestTranslatedText}"
+Latest message from ${describeSpeaker(latestSpeaker)}: "${latestTranslatedText}"
 
-Provide your fraud analysis in the specified JSON format.`;
+Report your fraud analysis with the ${ANALYSIS_TOOL_NAME} tool.`;
 
       // Prepare the Converse API request
       const conversationMessages = [
@@ -174,57 +204,24 @@ Provide your fraud analysis in the specified JSON format.`;
         },
       ];
 
-      const command = new ConverseCommand({
-        modelId: this.modelId,
-        messages: conversationMessages,
-        system: [{ text: systemPrompt }],
-        inferenceConfig: {
-          maxTokens: 1000,
-          temperature: 0.3,
-          topP: 0.9,
-        },
-      });
-
       // Execute the analysis
-      const response = await this.client.send(command);
-      const duration = Date.now() - startTime;
-
-      // Extract the response text
-      const responseText = response.output.message.content[0].text;
+      let response = await this.requestAnalysis(systemPrompt, conversationMessages, options.signal);
+      let { analysis, errors } = parseAnalysis(response.output.message);
 
-      console.log(`📥 [Bedrock] Response received in ${duration}ms`);
+      if (errors.length > 0) {
+        // One corrective retry, telling the model what was wrong
+        console.warn(`⚠️  [Bedrock] Invalid analysis (${errors.join("; ")}); asking for a correction`);
+        this.stats.correctiveRetries++;
 
-      // Parse JSON response
-      let analysisResult;
-      try {
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          analysisResult = JSON.parse(jsonMatch[0]);
-        } else {
-          throw new Error("No JSON found in response");
-        }
-      } catch (parseError) {
-        console.error(`❌ [Bedrock] Failed to parse JSON:`, parseError.message);
-        
-        // Return safe default
-        analysisResult = {
-          summary: "Unable to analyze conversation",
-          fraudScore: 0,
-          riskLevel: "LOW",
-          redFlags: [],
-          reasoning: "Analysis parsing error",
-          matchedPatterns: [],
-        };
+        conversationMessages.push(response.output.message, correctionMessage(response.output.message, errors));
+        response = await this.requestAnalysis(systemPrompt, conversationMessages, options.signal);
+        ({ analysis, errors } = parseAnalysis(response.output.message));
       }
 
-      // Validate and ensure all required fields
-      const validatedResult = {
-        summary: analysisResult.summary || "No summary available",
-        fraudScore: Math.min(100, Math.max(0, analysisResult.fraudScore || 0)),
-        riskLevel: analysisResult.riskLevel || "LOW",
-        redFlags: Array.isArray(analysisResult.redFlags) ? analysisResult.redFlags : [],
-        reasoning: analysisResult.reasoning || "No reasoning provided",
-        matchedPatterns: Array.isArray(analysisResult.matchedPatterns) ? analysisResult.matchedPatterns : [],
+      const duration = Date.now() - startTime;
+      console.log(`📥 [Bedrock] Response received in ${duration}ms`);
+
+      const details = {
         timestamp: new Date().toISOString(),
         duration: duration,
         analysisCount: this.analysisCount,
@@ -233,6 +230,50 @@ Provide your fraud analysis in the specified JSON format.`;
         roomId: this.roomId,
       };
 
+      if (errors.length > 0) {
+        // Never report a broken analysis as a safe, LOW-risk message
+        console.error(`❌ [Bedrock] Analysis still invalid after retry: ${errors.join("; ")}`);
+
+        const errorResult = {
+          status: "analysis-error",
+          summary: "Fraud analysis failed; this message has not been assessed",
+          fraudScore: null,
+          riskLevel: "UNKNOWN",
+          redFlags: [],
+          reasoning: `Invalid analysis from the model: ${errors.join("; ")}`,
+          matchedPatterns: [],
+          participants: [],
+          ...details,
+        };
+
+        this.updateStats(errorResult);
+        this.logAnalysisResult(errorResult);
+        this.stats.lastAnalysis = errorResult;
+        return errorResult;
+      }
+
+      // The risk level always follows the configured thresholds, whatever
+      // label the model chose
+      const fraudScore = Math.round(analysis.fraudScore);
+      const riskLevel = riskLevelForScore(fraudScore);
+
+      if (analysis.riskLevel !== riskLevel) {
+        console.warn(`⚠️  [Bedrock] Model labelled score ${fraudScore} as ${analysis.riskLevel}; using ${riskLevel}`);
+      }
+
+      const validatedResult = {
+        status: "ok",
+        summary: analysis.summary,
+        fraudScore,
+        riskLevel,
+        redFlags: analysis.redFlags,
+        reasoning: analysis.reasoning,
+        matchedPatterns: catalog.resolvePatternIds(analysis.matchedPatterns),
+        patternCatalogVersion: catalogVersion,
+        participants: resolveParticipants(analysis.participants, speakers),
+        ...details,
+      };
+
       // Update statistics
       this.updateStats(validatedResult);
 
@@ -244,7 +285,13 @@ Provide your fraud analysis in the specified JSON format.`;
       return validatedResult;
 
     } catch (error) {
+      if (error.name === "AbortError") {
+        console.log(`⏹️  [Bedrock] Analysis #${this.analysisCount} cancelled`);
+        return null;
+      }
+
       console.error(`\n❌ [Bedrock] Analysis error:`, error.message);
+      recordAwsError("bedrock", error);
       
       if (error.name === "ThrottlingException") {
         console.error(`   ⚠️  Rate limit exceeded`);
@@ -257,20 +304,74 @@ Provide your fraud analysis in the specified JSON format.`;
   }
 
   /**
-   * Build conversation context
+   * Send one Converse request that must answer through the analysis tool
+   * @param {string} systemPrompt
+   * @param {Object[]} messages - Converse messages so far
+   * @param {AbortSignal} signal - Cancels the request
    */
-  buildConversationContext() {
-    if (this.conversationHistory.length === 0) {
-      return "No previous conversation history.";
-    }
+  async requestAnalysis(systemPrompt, messages, signal) {
+    const command = new ConverseCommand({
+      modelId: this.modelId,
+      messages,
+      system: [{ text: systemPrompt }],
+      toolConfig: {
+        tools: [
+          {
+            toolSpec: {
+              name: ANALYSIS_TOOL_NAME,
+              description: "Report the fraud analysis of the latest message",
+              inputSchema: { json: ANALYSIS_SCHEMA },
+            },
+          },
+        ],
+        toolChoice: { tool: { name: ANALYSIS_TOOL_NAME } },
+      },
+      inferenceConfig: {
+        maxTokens: config.BEDROCK_MAX_TOKENS,
+        temperature: config.BEDROCK_TEMPERATURE,
+        topP: 0.9,
+      },
+    });
+
+    const startTime = Date.now();
+    const response = await this.client.send(command, { abortSignal: signal });
+    metrics.bedrockLatency.observe((Date.now() - startTime) / 1000, { operation: "analysis" });
+    return response;
+  }
+
+  /**
+   * Render the room's conversation with each speaker as a short label
+   * (P1, P2, ...) and their call role, so the prompt never shows socket ids
+   * @param {string} latestSpeakerId - Speaker of the message being analyzed
+   * @param {string} latestCallRole - Their current call role, if known
+   * @returns {Promise<Object>} { context, speakers } - speakers maps socket ID to { label, callRole }
+   */
+  async buildConversationContext(latestSpeakerId, latestCallRole = null) {
+    const messages = await this.conversation.getMessages();
+    this.conversationLength = messages.length;
+
+    const speakers = new Map();
+    const speakerFor = (speakerId, callRole) => {
+      if (!speakers.has(speakerId)) {
+        speakers.set(speakerId, { label: `P${speakers.size + 1}`, callRole: null });
+      }
+      const speaker = speakers.get(speakerId);
+      speaker.callRole = callRole || speaker.callRole;
+      return speaker;
+    };
+
+    const lines = messages.map((msg, index) => {
+      const { label } = speakerFor(msg.speakerId, msg.callRole);
+      return `[Message ${index + 1}] ${describeSpeaker({ label, callRole: msg.callRole })}: "${msg.text}"`;
+    });
+    speakerFor(latestSpeakerId, latestCallRole);
 
-    const context = this.conversationHistory
-      .map((msg, index) => {
-        return `[Message ${index + 1}] Speaker ${msg.speakerId}: "${msg.text}"`;
-      })
-      .join('\n');
+    if (lines.length === 0) {
+      return { context: "No previous conversation history.", speakers };
+    }
 
-    return context;
+    const roster = Array.from(speakers.values()).map(describeSpeaker).join(", ");
+    return { context: `Participants: ${roster}\n\n${lines.join("\n")}`, speakers };
   }
 
   /**
@@ -285,19 +386,25 @@ Provide your fraud analysis in the specified JSON format.`;
       console.log(`${'🚨'.repeat(40)}`);
       console.log(`   Speaker: ${result.speakerId}`);
       console.log(`   Fraud Score: ${result.fraudScore}%`);
-      console.log(`   Message: "${result.message.substring(0, 80)}..."`);
-      console.log(`   Summary: ${result.summary}`);
-      console.log(`   Red Flags: ${result.redFlags.join(', ')}`);
+      console.log(`   Message: "${redactForLog(result.message).substring(0, 80)}..."`);
+      console.log(`   Summary: ${redactForLog(result.summary)}`);
+      console.log(`   Red Flags: ${redactForLog(result.redFlags.join(', '))}`);
       console.log(`   Matched Patterns: ${result.matchedPatterns.join(', ')}`);
-      console.log(`   Reasoning: ${result.reasoning}`);
+      console.log(`   Reasoning: ${redactForLog(result.reasoning)}`);
       console.log(`${'🚨'.repeat(40)}\n`);
+    } else if (result.status === "analysis-error") {
+      console.log(`${'─'.repeat(80)}`);
+      console.log(`❔ [UNKNOWN FRAUD RISK] Analysis failed`);
+      console.log(`   Speaker: ${result.speakerId}`);
+      console.log(`   Reason: ${result.reasoning}`);
+      console.log(`${'─'.repeat(80)}\n`);
     } else if (result.riskLevel === "MEDIUM") {
       console.log(`${'─'.repeat(80)}`);
       console.log(`⚠️  [MEDIUM FRAUD RISK]`);
       console.log(`   Speaker: ${result.speakerId}`);
       console.log(`   Fraud Score: ${result.fraudScore}%`);
-      console.log(`   Summary: ${result.summary}`);
-      console.log(`   Red Flags: ${result.redFlags.join(', ')}`);
+      console.log(`   Summary: ${redactForLog(result.summary)}`);
+      console.log(`   Red Flags: ${redactForLog(result.redFlags.join(', '))}`);
       console.log(`${'─'.repeat(80)}\n`);
     } else {
       console.log(`${'─'.repeat(80)}`);
@@ -312,6 +419,12 @@ Provide your fraud analysis in the specified JSON format.`;
    * Update statistics
    */
   updateStats(result) {
+    if (result.status === "analysis-error") {
+      // Unscored; kept out of the risk counts and average
+      this.stats.analysisErrors++;
+      return;
+    }
+
     this.stats.totalAnalyses++;
 
     if (result.riskLevel === "HIGH") {
@@ -335,7 +448,7 @@ Provide your fraud analysis in the specified JSON format.`;
       userId: this.userId,
       roomId: this.roomId,
       isActive: this.isActive,
-      conversationHistoryLength: this.conversationHistory.length,
+      conversationHistoryLength: this.conversationLength,
       analysisCount: this.analysisCount,
       stats: {
         ...this.stats,
@@ -345,11 +458,12 @@ Provide your fraud analysis in the specified JSON format.`;
   }
 
   /**
-   * Clear conversation history
+   * Clear conversation history (shared by the whole room)
    */
-  clearHistory() {
-    console.log(`\n🗑️  [Bedrock] Clearing conversation history`);
-    this.conversationHistory = [];
+  async clearHistory() {
+    console.log(`\n🗑️  [Bedrock] Clearing conversation history for room ${this.roomId}`);
+    await this.conversation.clear();
+    this.conversationLength = 0;
   }
 
   /**
@@ -372,4 +486,134 @@ Provide your fraud analysis in the specified JSON format.`;
   }
 }
 
-module.exports = { BedrockScamDetectionService };
\ No newline at end of file
+/**
+ * Pull the analysis tool input out of a Converse reply and check it against
+ * ANALYSIS_SCHEMA
+ * @param {Object} message - Assistant message from the Converse response
+ * @returns {Object} { analysis, errors } - errors is empty when the analysis is valid
+ */
+function parseAnalysis(message) {
+  const toolUse = (message?.content || [])
+    .map((block) => block.toolUse)
+    .find((block) => block && block.name === ANALYSIS_TOOL_NAME);
+
+  if (!toolUse) {
+    return { analysis: null, errors: [`no ${ANALYSIS_TOOL_NAME} tool call in the response`] };
+  }
+
+  return { analysis: toolUse.input, errors: validateSchema(ANALYSIS_SCHEMA, toolUse.input) };
+}
+
+/**
+ * The user turn asking the model to fix an invalid analysis. A tool call
+ * gets an error tool result; a plain-text reply gets a reminder.
+ */
+function correctionMessage(message, errors) {
+  const toolUse = (message?.content || []).map((block) => block.toolUse).find(Boolean);
+  const text = `The analysis was invalid: ${errors.join("; ")}. Call ${ANALYSIS_TOOL_NAME} again with input that matches its schema.`;
+
+  if (toolUse) {
+    return {
+      role: "user",
+      content: [{ toolResult: { toolUseId: toolUse.toolUseId, content: [{ text }], status: "error" } }],
+    };
+  }
+  return { role: "user", content: [{ text }] };
+}
+
+/**
+ * "P1 (caller)", or just "P1" when the role is unknown
+ */
+function describeSpeaker({ label, callRole }) {
+  return callRole ? `${label} (${callRole})` : label;
+}
+
+/**
+ * Map the model's per-participant scores from prompt labels back to socket IDs
+ * @param {Object[]} participants - { speaker, suspectScore, targetScore } from the model
+ * @param {Map} speakers - Socket ID -> { label, callRole } from buildConversationContext
+ * @returns {Object[]} { speakerSocketId, callRole, suspectScore, targetScore }
+ */
+function resolveParticipants(participants, speakers) {
+  const byLabel = new Map(Array.from(speakers.entries()).map(([speakerId, speaker]) => [speaker.label, { speakerId, ...speaker }]));
+  const resolved = new Map();
+
+  for (const participant of participants) {
+    const speaker = byLabel.get(participant.speaker.trim().toUpperCase());
+    if (!speaker) {
+      console.warn(`⚠️  [Bedrock] Model scored unknown participant "${participant.speaker}"`);
+      continue;
+    }
+
+    resolved.set(speaker.speakerId, {
+      speakerSocketId: speaker.speakerId,
+      callRole: speaker.callRole,
+      suspectScore: Math.round(participant.suspectScore),
+      targetScore: Math.round(participant.targetScore),
+    });
+  }
+
+  return Array.from(resolved.values());
+}
+
+/**
+ * Check a value against the subset of JSON Schema used by ANALYSIS_SCHEMA
+ * (type, properties, required, additionalProperties, items, enum, minimum, maximum)
+ * @returns {string[]} Problems found, empty when valid
+ */
+function validateSchema(schema, value, path = "input") {
+  const errors = [];
+
+  switch (schema.type) {
+    case "object":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key} is required`);
+        }
+      }
+      for (const [key, child] of Object.entries(value)) {
+        if (schema.properties[key]) {
+          errors.push(...validateSchema(schema.properties[key], child, `${path}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      }
+      break;
+
+    case "array":
+      if (!Array.isArray(value)) {
+        return [`${path} must be an array`];
+      }
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+      break;
+
+    case "string":
+      if (typeof value !== "string") {
+        return [`${path} must be a string`];
+      }
+      break;
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return [`${path} must be a number`];
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+      }
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(", ")}`);
+  }
+
+  return errors;
+}
+
+module.exports = { BedrockScamDetectionService, ANALYSIS_SCHEMA, validateSchema };
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Render a post-call report as a single self-contained HTML page (inline
+ * styles, no scripts or external resources) that can be saved or mailed
+ */
+
+const LEVEL_COLORS = {
+  HIGH: "#c62828",
+  MEDIUM: "#ef6c00",
+  LOW: "#2e7d32",
+  UNKNOWN: "#616161",
+};
+
+const VERDICT_LABELS = {
+  FRAUD: "Fraud attempt",
+  SUSPICIOUS: "Suspicious",
+  NO_FRAUD_DETECTED: "No fraud detected",
+  INCONCLUSIVE: "Inconclusive",
+};
+
+/**
+ * @param {Object} report - Report from CallReportService.generate()
+ * @returns {string} HTML document
+ */
+function renderReportHtml(report) {
+  const { verdict } = report;
+  const color = LEVEL_COLORS[verdict.riskLevel] || LEVEL_COLORS.UNKNOWN;
+
+  const participants = report.participants.map((participant) => `
+      <tr>
+        <td>${escapeHtml(participant.userId)}</td>
+        <td>${escapeHtml(participant.label || "-")}</td>
+        <td>${escapeHtml(participant.callRole || "-")}</td>
+        <td>${escapeHtml(participant.role || "-")}</td>
+      </tr>`).join("");
+
+  const quotes = report.keyQuotes.map((quote) => `
+      <blockquote>
+        <div class="meta">Message ${quote.message} &middot; ${escapeHtml(quote.speaker)}${quote.callRole ? ` (${escapeHtml(quote.callRole)})` : ""} &middot; ${formatTime(quote.timestamp)}${quote.fraudScore !== null ? ` &middot; score ${quote.fraudScore}` : ""}</div>
+        <p lang="${escapeHtml(quote.original.language || "")}">${escapeHtml(quote.original.text)}</p>
+        ${quote.translated && quote.translated.text !== quote.original.text ? `<p class="translation" lang="${escapeHtml(quote.translated.language || "")}">${escapeHtml(quote.translated.text)}</p>` : ""}
+        <div class="reason">${escapeHtml(quote.reason)}</div>
+      </blockquote>`).join("");
+
+  const timeline = report.timeline.map((entry) => `
+      <tr>
+        <td>${formatTime(entry.timestamp)}</td>
+        <td>${entry.message}</td>
+        <td>${entry.kind === "call" ? "Call" : `${escapeHtml(entry.speaker)} (${entry.kind})`}</td>
+        <td><span style="color:${LEVEL_COLORS[entry.from] || LEVEL_COLORS.UNKNOWN}">${entry.from}</span> &rarr; <span style="color:${LEVEL_COLORS[entry.to] || LEVEL_COLORS.UNKNOWN}">${entry.to}</span></td>
+        <td>${escapeHtml(entry.reason)}</td>
+      </tr>`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Call report ${escapeHtml(report.sessionId)}</title>
+  <style>
+    body { font-family: system-ui, -apple-system, "Segoe UI", "Noto Sans", "Noto Sans Devanagari", sans-serif; margin: 0 auto; max-width: 860px; padding: 24px; color: #212121; line-height: 1.5; }
+    h1 { margin-bottom: 4px; }
+    h2 { margin-top: 32px; border-bottom: 1px solid #e0e0e0; padding-bottom: 4px; }
+    .meta { color: #616161; font-size: 0.9em; }
+    .verdict { border-left: 6px solid ${color}; background: #fafafa; padding: 12px 16px; margin-top: 16px; }
+    .verdict strong { color: ${color}; font-size: 1.3em; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.95em; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eeeeee; vertical-align: top; }
+    blockquote { margin: 12px 0; padding: 8px 16px; background: #f5f5f5; border-left: 4px solid #9e9e9e; }
+    blockquote p { margin: 6px 0; }
+    .translation { color: #424242; font-style: italic; }
+    .reason { font-size: 0.9em; color: #424242; }
+  </style>
+</head>
+<body>
+  <h1>Call report</h1>
+  <div class="meta">Room ${escapeHtml(report.roomId)} &middot; session ${escapeHtml(report.sessionId)}<br>
+    ${formatTime(report.startedAt)} &ndash; ${formatTime(report.endedAt)} &middot; ${report.messageCount} messages, ${report.analyzedMessages} analyzed</div>
+
+  <div class="verdict">
+    <strong>${escapeHtml(VERDICT_LABELS[verdict.verdict] || verdict.verdict)}</strong>
+    ${verdict.fraudScore !== null ? `&middot; fraud score ${verdict.fraudScore} (${verdict.riskLevel})` : ""}
+    <p>${escapeHtml(verdict.summary)}</p>
+    ${report.likelySuspect ? `<div class="meta">Likely suspect: ${escapeHtml(report.likelySuspect.speaker)}${report.likelySuspect.callRole ? ` (${escapeHtml(report.likelySuspect.callRole)})` : ""}</div>` : ""}
+    ${report.likelyTarget ? `<div class="meta">At risk: ${escapeHtml(report.likelyTarget.speaker)}${report.likelyTarget.callRole ? ` (${escapeHtml(report.likelyTarget.callRole)})` : ""}</div>` : ""}
+  </div>
+
+  <h2>Recommended next steps</h2>
+  <ol>${report.nextSteps.map((step) => `<li>${escapeHtml(step)}</li>`).join("")}</ol>
+
+  ${report.matchedPatterns.length > 0 ? `<h2>Matched fraud patterns</h2>
+  <ul>${report.matchedPatterns.map((pattern) => `<li>${escapeHtml(pattern.name)} <span class="meta">(${escapeHtml(pattern.id)})</span></li>`).join("")}</ul>` : ""}
+
+  ${quotes ? `<h2>Key quotes</h2>${quotes}` : ""}
+
+  <h2>Risk timeline</h2>
+  ${timeline ? `<table>
+    <thead><tr><th>Time</th><th>Message</th><th>Who</th><th>Change</th><th>Reason</th></tr></thead>
+    <tbody>${timeline}</tbody>
+  </table>` : `<p class="meta">No risk level changes during the call.</p>`}
+
+  <h2>Participants</h2>
+  <table>
+    <thead><tr><th>User</th><th>Label</th><th>Call role</th><th>Room role</th></tr></thead>
+    <tbody>${participants}</tbody>
+  </table>
+
+  <p class="meta">Generated ${formatTime(report.generatedAt)} &middot; ${verdict.source === "bedrock" ? "final call analysis" : "per-message analyses"} &middot; pattern catalog v${escapeHtml(report.patternCatalogVersion)}</p>
+</body>
+</html>
+`;
+}
+
+function formatTime(timestamp) {
+  return timestamp ? escapeHtml(new Date(timestamp).toISOString().replace("T", " ").replace(/\.\d+Z$/, " UTC")) : "-";
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+module.exports = { renderReportHtml };
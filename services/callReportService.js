@@ -0,0 +1,418 @@
+const {
+  BedrockRuntimeClient,
+  ConverseCommand,
+} = require("@aws-sdk/client-bedrock-runtime");
+const { validateSchema } = require("./bedrockscamdetectionservice");
+const { CallRiskTracker, riskLevelForScore } = require("./callRiskTracker");
+const { getPatternCatalog } = require("./patternCatalog");
+const { metrics, recordAwsError } = require("./metrics");
+const config = require("../config");
+
+// The model reports its verdict on the whole call through this tool
+const REPORT_TOOL_NAME = "report_call_verdict";
+
+const VERDICTS = ["FRAUD", "SUSPICIOUS", "NO_FRAUD_DETECTED", "INCONCLUSIVE"];
+
+const REPORT_SCHEMA = {
+  type: "object",
+  properties: {
+    verdict: { type: "string", enum: VERDICTS.slice(0, 3), description: "Overall verdict on the call" },
+    fraudScore: { type: "number", minimum: 0, maximum: 100, description: "Likelihood from 0 to 100 that the call was a fraud attempt" },
+    summary: { type: "string", description: "What happened on the call and why it received this verdict (3-5 sentences)" },
+    keyQuotes: {
+      type: "array",
+      description: "Up to 5 messages that best show the fraud attempt, or the call's substance when there was none",
+      items: {
+        type: "object",
+        properties: {
+          message: { type: "number", minimum: 1, description: "Message number from the transcript" },
+          reason: { type: "string", description: "Why this message matters" },
+        },
+        required: ["message", "reason"],
+        additionalProperties: false,
+      },
+    },
+    matchedPatterns: { type: "array", items: { type: "string" }, description: "Ids of the catalog fraud patterns the call matches" },
+    nextSteps: { type: "array", items: { type: "string" }, description: "Actions for the person at risk, most urgent first" },
+  },
+  required: ["verdict", "fraudScore", "summary", "keyQuotes", "matchedPatterns", "nextSteps"],
+  additionalProperties: false,
+};
+
+// Used when the final analysis is unavailable
+const NEXT_STEPS = {
+  FRAUD: [
+    "Do not send money or share any OTP, PIN, CVV or card details with this caller.",
+    "If bank, card or UPI details were shared, call the bank on the number on the card and block them now.",
+    "Report the call to the National Cyber Crime Helpline on 1930 or at cybercrime.gov.in.",
+    "Report the number on the Sanchar Saathi Chakshu portal and block it.",
+  ],
+  SUSPICIOUS: [
+    "Do not act on requests made during this call until they are verified on an official number.",
+    "If anything was shared or paid, report it on 1930 or at cybercrime.gov.in.",
+  ],
+  NO_FRAUD_DETECTED: ["No action needed."],
+  INCONCLUSIVE: ["The call could not be assessed automatically; review the transcript."],
+};
+
+const MAX_KEY_QUOTES = 5;
+
+/**
+ * Builds the post-call fraud report from a recorded session: a final Bedrock
+ * pass over the whole transcript for the verdict, key quotes and next steps,
+ * plus a risk timeline replayed from the per-message analyses. Falls back to
+ * the per-message analyses alone when Bedrock is unavailable.
+ */
+class CallReportService {
+  /**
+   * @param {Object} sessionStore - Store created by createSessionStore()
+   */
+  constructor(sessionStore) {
+    this.sessionStore = sessionStore;
+    this.client = null;
+    this.modelId = config.BEDROCK_MODEL_ID || "anthropic.claude-3-5-sonnet-20241022-v2:0";
+  }
+
+  /**
+   * Generate and store the report for an ended call
+   * @param {string} sessionId - Recorded session of the call
+   * @returns {Promise<Object|null>} The report, or null when nothing was said
+   */
+  async generate(sessionId) {
+    const session = await this.sessionStore.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const lines = transcriptLines((await this.sessionStore.getEvents(sessionId)) || []);
+    if (lines.length === 0) {
+      console.log(`📋 [Call Report] Session ${sessionId} has no transcript; no report`);
+      return null;
+    }
+
+    const startTime = Date.now();
+    const catalog = getPatternCatalog();
+    const participants = labelParticipants(session, lines);
+    const risk = replayRisk(session.roomId, lines, participants);
+
+    const assessment = (await this.requestVerdict(lines, participants, risk, catalog)) || fallbackVerdict(lines, risk);
+    const patternIds = new Set([
+      ...assessment.matchedPatterns,
+      ...lines.flatMap((line) => (line.fraudAnalysis && line.fraudAnalysis.matchedPatterns) || []),
+    ]);
+
+    const report = {
+      sessionId,
+      roomId: session.roomId,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt || new Date().toISOString(),
+      generatedAt: new Date().toISOString(),
+      verdict: {
+        verdict: assessment.verdict,
+        fraudScore: assessment.fraudScore,
+        riskLevel: assessment.fraudScore === null ? "UNKNOWN" : riskLevelForScore(assessment.fraudScore),
+        summary: assessment.summary,
+        source: assessment.source,
+      },
+      participants: Array.from(participants.values()),
+      likelySuspect: risk.state ? risk.state.likelySuspect : null,
+      likelyTarget: risk.state ? risk.state.likelyTarget : null,
+      peakRisk: risk.peak,
+      timeline: risk.timeline,
+      keyQuotes: assessment.keyQuotes.map(({ line, reason }) => ({
+        message: line.message,
+        resultId: line.resultId,
+        speaker: line.speaker,
+        callRole: participants.get(line.speakerSocketId).callRole,
+        timestamp: line.timestamp,
+        original: line.original,
+        translated: line.translated,
+        fraudScore: line.fraudAnalysis ? line.fraudAnalysis.fraudScore : null,
+        reason,
+      })),
+      matchedPatterns: catalog.resolvePatternIds(Array.from(patternIds)).map((id) => ({
+        id,
+        name: catalog.getPattern(id).name,
+      })),
+      nextSteps: assessment.nextSteps,
+      messageCount: lines.length,
+      analyzedMessages: lines.filter((line) => line.fraudAnalysis && line.fraudAnalysis.fraudScore !== null).length,
+      patternCatalogVersion: catalog.getVersion(),
+    };
+
+    await this.sessionStore.saveReport(sessionId, report);
+
+    console.log(`\n📋 [Call Report] Session ${sessionId} (room ${session.roomId}) in ${Date.now() - startTime}ms`);
+    console.log(`   Verdict: ${report.verdict.verdict} (${report.verdict.fraudScore === null ? "unscored" : `${report.verdict.fraudScore}%`}, ${report.verdict.source})`);
+    console.log(`   Messages: ${report.messageCount}, risk changes: ${report.timeline.length}`);
+
+    return report;
+  }
+
+  /**
+   * Final Bedrock pass over the whole call
+   * @returns {Promise<Object|null>} { verdict, fraudScore, summary, keyQuotes, matchedPatterns, nextSteps, source }, or null on failure
+   */
+  async requestVerdict(lines, participants, risk, catalog) {
+    try {
+      if (!this.client) {
+        this.client = new BedrockRuntimeClient({
+          region: config.AWS_REGION,
+          credentials: {
+            accessKeyId: config.AWS_ACCESS_KEY_ID,
+            secretAccessKey: config.AWS_SECRET_ACCESS_KEY,
+          },
+        });
+      }
+
+      const included = lines.slice(-config.CALL_REPORT_MAX_MESSAGES);
+      const roster = Array.from(participants.values())
+        .filter((participant) => participant.label)
+        .map(describeParticipant)
+        .join(", ");
+      const transcript = included.map((line) => {
+        const speaker = describeParticipant(participants.get(line.speakerSocketId));
+        const translated = line.translated && line.translated.text !== line.original.text
+          ? `\n    (${line.translated.language}) "${line.translated.text}"`
+          : "";
+        return `[Message ${line.message}] ${speaker} (${line.original.language}): "${line.original.text}"${translated}`;
+      });
+
+      const systemPrompt = `You are a fraud analyst reviewing the complete transcript of a call that has just ended. Calls are mostly in India; participants may speak Hindi, English or other Indian languages, and each message is given as spoken with an English translation where it differs.
+
+Participants are labelled P1, P2, ... and, where known, tagged with their role in the call (caller, callee, agent or customer). A role does not make anyone trustworthy - scammers often place the call and pose as an agent.
+
+Give an overall verdict: FRAUD if the call was a fraud or scam attempt, SUSPICIOUS if it had concerning elements but no clear attempt, NO_FRAUD_DETECTED otherwise. Give a fraudScore from 0 to 100 consistent with it.
+
+In keyQuotes, pick up to ${MAX_KEY_QUOTES} messages by their message number that best show what happened, with the reason each matters. Use only message numbers from the transcript.
+
+KNOWN FRAUD PATTERNS (catalog v${catalog.getVersion()}; id, name, locales, description):
+${catalog.buildPromptSection()}
+
+In matchedPatterns, list the ids of the patterns above that the call matches, or an empty list.
+
+In nextSteps, give short plain-language actions for the person at risk, most urgent first - for example blocking cards or UPI with their bank, reporting to the National Cyber Crime Helpline on 1930 or cybercrime.gov.in, or no action for a normal call.
+
+Report your verdict by calling the ${REPORT_TOOL_NAME} tool. Do not answer in plain text.`;
+
+      const userPrompt = `Review this call and give your verdict.
+
+Participants: ${roster}
+Messages: ${lines.length}${included.length < lines.length ? ` (only the latest ${included.length} are shown)` : ""}
+Highest risk reached during the call: ${risk.peak ? `${risk.peak.riskScore} (${risk.peak.riskLevel})` : "not assessed"}
+
+${transcript.join("\n")}
+
+Report your verdict with the ${REPORT_TOOL_NAME} tool.`;
+
+      const startTime = Date.now();
+      const response = await this.client.send(new ConverseCommand({
+        modelId: this.modelId,
+        messages: [{ role: "user", content: [{ text: userPrompt }] }],
+        system: [{ text: systemPrompt }],
+        toolConfig: {
+          tools: [
+            {
+              toolSpec: {
+                name: REPORT_TOOL_NAME,
+                description: "Report the verdict on the whole call",
+                inputSchema: { json: REPORT_SCHEMA },
+              },
+            },
+          ],
+          toolChoice: { tool: { name: REPORT_TOOL_NAME } },
+        },
+        inferenceConfig: {
+          maxTokens: config.CALL_REPORT_MAX_TOKENS,
+          temperature: config.BEDROCK_TEMPERATURE,
+          topP: 0.9,
+        },
+      }));
+      metrics.bedrockLatency.observe((Date.now() - startTime) / 1000, { operation: "call-report" });
+
+      const toolUse = (response.output?.message?.content || [])
+        .map((block) => block.toolUse)
+        .find((block) => block && block.name === REPORT_TOOL_NAME);
+      const errors = toolUse ? validateSchema(REPORT_SCHEMA, toolUse.input) : [`no ${REPORT_TOOL_NAME} tool call in the response`];
+
+      if (errors.length > 0) {
+        console.warn(`⚠️  [Call Report] Invalid verdict from the model (${errors.join("; ")}); using the per-message analyses`);
+        return null;
+      }
+
+      const verdict = toolUse.input;
+      const byNumber = new Map(lines.map((line) => [line.message, line]));
+      const keyQuotes = [];
+      for (const { message, reason } of verdict.keyQuotes) {
+        const line = byNumber.get(message);
+        if (line && !keyQuotes.some((quote) => quote.line === line)) {
+          keyQuotes.push({ line, reason });
+        }
+      }
+
+      return {
+        verdict: verdict.verdict,
+        fraudScore: Math.round(verdict.fraudScore),
+        summary: verdict.summary,
+        keyQuotes: keyQuotes.slice(0, MAX_KEY_QUOTES),
+        matchedPatterns: verdict.matchedPatterns,
+        nextSteps: verdict.nextSteps,
+        source: "bedrock",
+      };
+    } catch (error) {
+      console.error(`❌ [Call Report] Final analysis failed, using the per-message analyses:`, error.message);
+      recordAwsError("bedrock", error);
+      return null;
+    }
+  }
+}
+
+/**
+ * Recorded pipeline outputs as numbered transcript lines
+ */
+function transcriptLines(events) {
+  return events
+    .filter((event) => event.type === "pipeline-output")
+    .map((event, index) => ({
+      message: index + 1,
+      resultId: event.resultId,
+      speaker: event.speaker,
+      speakerSocketId: event.userId,
+      timestamp: event.timestamp,
+      original: { text: event.transcription.text, language: event.transcription.language },
+      translated: event.translation ? { text: event.translation.text, language: event.translation.language } : null,
+      fraudAnalysis: event.fraudAnalysis,
+    }));
+}
+
+/**
+ * Session participants keyed by socket ID, with a prompt label (P1, P2, ...)
+ * for each speaker and the call role the analyses saw them in
+ */
+function labelParticipants(session, lines) {
+  const participants = new Map();
+  const participantFor = (socketId, userId) => {
+    if (!participants.has(socketId)) {
+      const recorded = session.participants.find((participant) => participant.socketId === socketId);
+      participants.set(socketId, {
+        label: null,
+        userId: recorded ? recorded.userId : userId || socketId,
+        socketId,
+        role: recorded ? recorded.role : null,
+        callRole: null,
+      });
+    }
+    return participants.get(socketId);
+  };
+
+  let speakers = 0;
+  for (const line of lines) {
+    const participant = participantFor(line.speakerSocketId, line.speaker);
+    participant.label = participant.label || `P${++speakers}`;
+
+    for (const scored of (line.fraudAnalysis && line.fraudAnalysis.participants) || []) {
+      participantFor(scored.speakerSocketId).callRole = scored.callRole || participants.get(scored.speakerSocketId).callRole;
+    }
+  }
+
+  // Listeners who never spoke
+  for (const recorded of session.participants) {
+    participantFor(recorded.socketId, recorded.userId);
+  }
+
+  return participants;
+}
+
+/**
+ * Replay the per-message analyses through a fresh CallRiskTracker to recover
+ * how the call's risk moved
+ * @returns {Object} { timeline, peak, state } - state is the tracker's state after the last analysis
+ */
+function replayRisk(roomId, lines, participants) {
+  const tracker = new CallRiskTracker(roomId);
+  const timeline = [];
+  let peak = null;
+  let state = null;
+
+  for (const line of lines) {
+    const analysis = line.fraudAnalysis;
+    if (!analysis || analysis.fraudScore === null) {
+      continue;
+    }
+
+    const speaker = participants.get(line.speakerSocketId);
+    state = tracker.update(
+      { socketId: line.speakerSocketId, userId: speaker.userId, callRole: speaker.callRole },
+      analysis.fraudScore,
+      line.timestamp,
+      (analysis.participants || []).map(({ speakerSocketId, callRole, suspectScore, targetScore }) => ({
+        socketId: speakerSocketId,
+        userId: participants.has(speakerSocketId) ? participants.get(speakerSocketId).userId : speakerSocketId,
+        callRole,
+        suspectScore,
+        targetScore,
+      }))
+    );
+
+    if (state.change) {
+      const { from, to, reason, timestamp } = state.change;
+      timeline.push({ timestamp, message: line.message, kind: "call", speaker: speaker.userId, from, to, riskScore: state.riskScore, reason });
+    }
+    for (const { kind, speakerId, callRole, from, to, reason } of state.participantChanges) {
+      timeline.push({ timestamp: state.updatedAt, message: line.message, kind, speaker: speakerId, callRole, from, to, reason });
+    }
+
+    if (!peak || state.riskScore > peak.riskScore) {
+      peak = { riskScore: state.riskScore, riskLevel: state.riskLevel, message: line.message, timestamp: state.updatedAt };
+    }
+  }
+
+  return { timeline, peak, state };
+}
+
+/**
+ * Verdict from the per-message analyses alone: the call's peak risk decides
+ * it and the highest-scoring messages are the key quotes
+ */
+function fallbackVerdict(lines, risk) {
+  if (!risk.peak) {
+    return {
+      verdict: "INCONCLUSIVE",
+      fraudScore: null,
+      summary: "No message of this call was assessed for fraud.",
+      keyQuotes: [],
+      matchedPatterns: [],
+      nextSteps: NEXT_STEPS.INCONCLUSIVE,
+      source: "analyses",
+    };
+  }
+
+  const verdict = { HIGH: "FRAUD", MEDIUM: "SUSPICIOUS" }[risk.peak.riskLevel] || "NO_FRAUD_DETECTED";
+  const flagged = lines
+    .filter((line) => line.fraudAnalysis && line.fraudAnalysis.fraudScore >= config.MEDIUM_RISK_THRESHOLD)
+    .sort((a, b) => b.fraudAnalysis.fraudScore - a.fraudAnalysis.fraudScore)
+    .slice(0, MAX_KEY_QUOTES)
+    .sort((a, b) => a.message - b.message);
+
+  const worst = flagged.reduce((top, line) => (!top || line.fraudAnalysis.fraudScore > top.fraudAnalysis.fraudScore ? line : top), null);
+  const summary = `Call risk peaked at ${risk.peak.riskScore} (${risk.peak.riskLevel}) at message ${risk.peak.message} of ${lines.length}.`;
+
+  return {
+    verdict,
+    fraudScore: Math.round(risk.peak.riskScore),
+    summary: worst ? `${summary} ${worst.fraudAnalysis.summary}` : summary,
+    keyQuotes: flagged.map((line) => ({ line, reason: line.fraudAnalysis.summary })),
+    matchedPatterns: [],
+    nextSteps: NEXT_STEPS[verdict],
+    source: "analyses",
+  };
+}
+
+/**
+ * "P1 (caller)", or just "P1" when the role is unknown
+ */
+function describeParticipant({ label, callRole }) {
+  return callRole ? `${label} (${callRole})` : label;
+}
+
+module.exports = { CallReportService, REPORT_SCHEMA, VERDICTS };
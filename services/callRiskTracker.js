@@ -0,0 +1,230 @@
+const config = require("../config");
+
+const RISK_LEVELS = ["LOW", "MEDIUM", "HIGH"];
+
+/**
+ * Map a 0-100 fraud score onto the configured risk bands
+ * @param {number} score
+ * @returns {string} "LOW", "MEDIUM" or "HIGH"
+ */
+function riskLevelForScore(score) {
+  if (score >= config.HIGH_RISK_THRESHOLD) {
+    return "HIGH";
+  }
+  if (score >= config.MEDIUM_RISK_THRESHOLD) {
+    return "MEDIUM";
+  }
+  return "LOW";
+}
+
+/**
+ * A time-decayed risk score with a hysteresis-controlled level.
+ *
+ * A new analysis raises the score to at least its own fraud score, and
+ * concerning analyses (MEDIUM and up) add to what is already there, so
+ * repeated warning signs build up. Lower scores never pull it down; it only
+ * decays with time. The level escalates as soon as the score crosses a
+ * threshold, but only de-escalates once the score is HYSTERESIS points below
+ * it and the level has been held for RISK_MIN_LEVEL_MS.
+ */
+class RiskScore {
+  constructor() {
+    this.score = 0;
+    this.level = "LOW";
+    this.updatedAt = null;
+    this.levelSince = null;
+    this.peakScore = 0;
+  }
+
+  /**
+   * Score decayed up to the given time
+   * @param {number} now - Epoch milliseconds
+   */
+  scoreAt(now) {
+    if (this.updatedAt === null) {
+      return 0;
+    }
+    const elapsed = Math.max(0, now - this.updatedAt);
+    return this.score * 0.5 ** (elapsed / config.RISK_DECAY_HALF_LIFE_MS);
+  }
+
+  /**
+   * Fold in a new fraud score
+   * @param {number} fraudScore - 0-100 score of the latest analysis
+   * @param {number} now - Epoch milliseconds
+   * @returns {Object|null} { from, to, reason } when the level changed
+   */
+  add(fraudScore, now) {
+    const decayed = this.scoreAt(now);
+    let score = Math.max(decayed, fraudScore);
+
+    if (fraudScore >= config.MEDIUM_RISK_THRESHOLD) {
+      score = Math.max(score, decayed + fraudScore * config.RISK_ACCUMULATION);
+    }
+
+    this.score = Math.min(100, score);
+    this.updatedAt = now;
+    this.peakScore = Math.max(this.peakScore, this.score);
+
+    return this.evaluate(now, fraudScore);
+  }
+
+  /**
+   * Apply escalation and de-escalation rules to the current score
+   * @returns {Object|null} { from, to, reason } when the level changed
+   */
+  evaluate(now, fraudScore = null) {
+    const score = this.scoreAt(now);
+    const current = RISK_LEVELS.indexOf(this.level);
+    const raised = RISK_LEVELS.indexOf(riskLevelForScore(score));
+    const lowered = RISK_LEVELS.indexOf(riskLevelForScore(score + config.RISK_HYSTERESIS));
+    const from = this.level;
+
+    if (raised > current) {
+      this.level = RISK_LEVELS[raised];
+      this.levelSince = now;
+      return {
+        from,
+        to: this.level,
+        reason: fraudScore !== null && fraudScore >= score
+          ? `Analysis scored ${fraudScore}, above the ${this.level} threshold`
+          : `Accumulated risk reached ${Math.round(score)}, above the ${this.level} threshold`,
+      };
+    }
+
+    if (lowered < current && now - this.levelSince >= config.RISK_MIN_LEVEL_MS) {
+      this.level = RISK_LEVELS[lowered];
+      this.levelSince = now;
+      return {
+        from,
+        to: this.level,
+        reason: `Risk decayed to ${Math.round(score)}, more than ${config.RISK_HYSTERESIS} below the ${from} threshold`,
+      };
+    }
+
+    return null;
+  }
+
+  snapshot(now) {
+    return {
+      riskScore: Math.round(this.scoreAt(now)),
+      riskLevel: this.level,
+      peakScore: Math.round(this.peakScore),
+      levelSince: this.levelSince ? new Date(this.levelSince).toISOString() : null,
+    };
+  }
+}
+
+/**
+ * Cumulative risk of one call (room), overall and per participant. Each
+ * participant has a suspect risk (how likely they are the one attempting
+ * fraud) and a target risk (how likely they are the one being defrauded).
+ */
+class CallRiskTracker {
+  constructor(roomId) {
+    this.roomId = roomId;
+    this.call = new RiskScore();
+    this.participants = new Map(); // socketId -> { userId, callRole, suspect, target }
+    this.lastChange = null;
+  }
+
+  /**
+   * Record an analysis
+   * @param {Object} speaker - { socketId, userId, callRole } of the analyzed speaker
+   * @param {number} fraudScore - 0-100 score of the analysis
+   * @param {string} timestamp - When the utterance was spoken (defaults to now)
+   * @param {Object[]} participants - { socketId, userId, callRole, suspectScore, targetScore };
+   *   when empty the speaker is taken as the suspect at fraudScore
+   * @returns {Object} Call risk state, with `change` set when the call level moved and
+   *   `participantChanges` listing participants whose suspect or target level moved
+   */
+  update(speaker, fraudScore, timestamp = null, participants = []) {
+    const now = timestamp ? Math.max(Date.parse(timestamp) || Date.now(), this.call.updatedAt || 0) : Date.now();
+    const scored = participants.length > 0
+      ? participants
+      : [{ ...speaker, suspectScore: fraudScore, targetScore: 0 }];
+
+    const participantChanges = [];
+    for (const participant of scored) {
+      const state = this.getParticipant(participant);
+
+      for (const kind of ["suspect", "target"]) {
+        const change = state[kind].add(participant[`${kind}Score`], now);
+        if (change) {
+          participantChanges.push({ ...change, kind, speakerId: state.userId, callRole: state.callRole });
+        }
+      }
+    }
+
+    const change = this.call.add(fraudScore, now);
+    if (change) {
+      this.lastChange = { ...change, speakerId: speaker.userId, timestamp: new Date(now).toISOString() };
+    }
+
+    return {
+      ...this.getState(now),
+      change: change ? this.lastChange : null,
+      participantChanges,
+    };
+  }
+
+  getParticipant({ socketId, userId, callRole }) {
+    if (!this.participants.has(socketId)) {
+      this.participants.set(socketId, { userId: userId || socketId, callRole: null, suspect: new RiskScore(), target: new RiskScore() });
+    }
+
+    const state = this.participants.get(socketId);
+    if (callRole) {
+      state.callRole = callRole;
+    }
+    return state;
+  }
+
+  /**
+   * Current call and per-participant risk. likelySuspect and likelyTarget
+   * name the participant with the highest suspect or target risk once it
+   * reaches MEDIUM, otherwise null.
+   * @param {number} now - Epoch milliseconds (defaults to now)
+   */
+  getState(now = Date.now()) {
+    // Let a quiet call de-escalate between analyses
+    const change = this.call.evaluate(now);
+    if (change) {
+      this.lastChange = { ...change, speakerId: null, timestamp: new Date(now).toISOString() };
+    }
+
+    const participants = Array.from(this.participants.entries()).map(([socketId, state]) => {
+      state.suspect.evaluate(now);
+      state.target.evaluate(now);
+      return {
+        speaker: state.userId,
+        speakerSocketId: socketId,
+        callRole: state.callRole,
+        suspect: state.suspect.snapshot(now),
+        target: state.target.snapshot(now),
+      };
+    });
+
+    return {
+      roomId: this.roomId,
+      ...this.call.snapshot(now),
+      lastChange: this.lastChange,
+      participants,
+      likelySuspect: mostAtRisk(participants, "suspect"),
+      likelyTarget: mostAtRisk(participants, "target"),
+      updatedAt: new Date(now).toISOString(),
+    };
+  }
+}
+
+function mostAtRisk(participants, kind) {
+  const top = participants
+    .filter((participant) => participant[kind].riskLevel !== "LOW")
+    .sort((a, b) => b[kind].riskScore - a[kind].riskScore)[0];
+
+  return top
+    ? { speaker: top.speaker, speakerSocketId: top.speakerSocketId, callRole: top.callRole, ...top[kind] }
+    : null;
+}
+
+module.exports = { CallRiskTracker, RiskScore, riskLevelForScore, RISK_LEVELS };
@@ -0,0 +1,109 @@
+const cluster = require("cluster");
+const { EventEmitter } = require("events");
+const config = require("../config");
+
+/**
+ * Minimal request/response RPC over the cluster IPC channel.
+ *
+ * The primary exposes an object with exposeToWorkers(); workers call it
+ * through createPrimaryProxy(), whose methods return promises. Events the
+ * object emits in the primary are re-emitted by the proxy in every worker.
+ *
+ * Messages:
+ *   { type: "rpc:request", service, id, method, args }
+ *   { type: "rpc:response", service, id, result, error }
+ *   { type: "rpc:event", service, event, args }
+ */
+
+/**
+ * Serve calls from workers against target (primary only)
+ * @param {string} service - Name workers use to address the target
+ * @param {Object} target - Object whose methods are exposed
+ * @param {string[]} events - Target events forwarded to every worker
+ */
+function exposeToWorkers(service, target, events = []) {
+  cluster.on("message", async (worker, message) => {
+    if (!message || message.type !== "rpc:request" || message.service !== service) {
+      return;
+    }
+
+    const response = { type: "rpc:response", service, id: message.id, result: null, error: null };
+
+    try {
+      if (typeof target[message.method] !== "function") {
+        throw new Error(`Unknown method ${service}.${message.method}`);
+      }
+      const result = await target[message.method](...message.args);
+      response.result = result === undefined ? null : result;
+    } catch (error) {
+      response.error = error.message;
+    }
+
+    if (worker.isConnected()) {
+      worker.send(response);
+    }
+  });
+
+  for (const event of events) {
+    target.on(event, (...args) => {
+      for (const worker of Object.values(cluster.workers)) {
+        if (worker && worker.isConnected()) {
+          worker.send({ type: "rpc:event", service, event, args });
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Create a worker-side proxy for an object exposed by the primary
+ * @param {string} service - Name the primary exposed the object under
+ * @param {string[]} methods - Methods to proxy; each returns a promise
+ * @param {string[]} events - Events re-emitted on the proxy
+ * @returns {EventEmitter}
+ */
+function createPrimaryProxy(service, methods, events = []) {
+  const proxy = new EventEmitter();
+  const pending = new Map(); // id -> { resolve, reject, timer }
+  let nextId = 0;
+
+  process.on("message", (message) => {
+    if (!message || message.service !== service) {
+      return;
+    }
+
+    if (message.type === "rpc:response") {
+      const call = pending.get(message.id);
+      if (!call) return;
+
+      pending.delete(message.id);
+      clearTimeout(call.timer);
+
+      if (message.error) {
+        call.reject(new Error(message.error));
+      } else {
+        call.resolve(message.result);
+      }
+    } else if (message.type === "rpc:event" && events.includes(message.event)) {
+      proxy.emit(message.event, ...message.args);
+    }
+  });
+
+  for (const method of methods) {
+    proxy[method] = (...args) =>
+      new Promise((resolve, reject) => {
+        const id = ++nextId;
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error(`${service}.${method} timed out after ${config.CLUSTER_RPC_TIMEOUT_MS}ms`));
+        }, config.CLUSTER_RPC_TIMEOUT_MS);
+
+        pending.set(id, { resolve, reject, timer });
+        process.send({ type: "rpc:request", service, id, method, args });
+      });
+  }
+
+  return proxy;
+}
+
+module.exports = { exposeToWorkers, createPrimaryProxy };
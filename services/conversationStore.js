@@ -0,0 +1,59 @@
+const config = require("../config");
+
+/**
+ * Room-wide conversation history shared by every participant's pipeline,
+ * so fraud analysis sees both sides of the call in the order it was spoken
+ */
+class ConversationStore {
+  constructor(roomId, maxLength = config.CONVERSATION_HISTORY_LENGTH) {
+    this.roomId = roomId;
+    this.maxLength = maxLength;
+    this.messages = [];
+  }
+
+  /**
+   * Add an utterance, keeping messages ordered by when they were spoken.
+   * Translations can finish out of order, so the message is inserted
+   * behind any later utterance that was stored first.
+   * @param {Object} message
+   * @param {string} message.speakerId - Speaker's socket ID
+   * @param {string} message.text - Translated text
+   * @param {string} message.timestamp - ISO time the utterance was finalized
+   * @param {string} message.callRole - Speaker's call role when spoken (e.g. "caller"), if known
+   */
+  addMessage({ speakerId, text, timestamp, callRole = null }) {
+    const message = {
+      speakerId,
+      callRole,
+      text,
+      timestamp: timestamp || new Date().toISOString(),
+    };
+
+    let index = this.messages.length;
+    while (index > 0 && this.messages[index - 1].timestamp > message.timestamp) {
+      index--;
+    }
+    this.messages.splice(index, 0, message);
+
+    // Keep only recent messages
+    if (this.messages.length > this.maxLength) {
+      this.messages = this.messages.slice(-this.maxLength);
+    }
+
+    return message;
+  }
+
+  getMessages() {
+    return [...this.messages];
+  }
+
+  size() {
+    return this.messages.length;
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = { ConversationStore };
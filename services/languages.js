@@ -0,0 +1,58 @@
+/**
+ * Languages supported end to end, keyed by AWS Transcribe streaming locale.
+ * Each locale maps to the AWS Translate code used for the translation stage.
+ */
+const SUPPORTED_LANGUAGES = {
+  "hi-IN": { name: "Hindi", translateCode: "hi" },
+  "en-IN": { name: "English (India)", translateCode: "en" },
+  "en-US": { name: "English (US)", translateCode: "en" },
+  "en-GB": { name: "English (UK)", translateCode: "en" },
+  "ta-IN": { name: "Tamil", translateCode: "ta" },
+  "te-IN": { name: "Telugu", translateCode: "te" },
+  "bn-IN": { name: "Bengali", translateCode: "bn" },
+  "mr-IN": { name: "Marathi", translateCode: "mr" },
+  "gu-IN": { name: "Gujarati", translateCode: "gu" },
+  "kn-IN": { name: "Kannada", translateCode: "kn" },
+  "ml-IN": { name: "Malayalam", translateCode: "ml" },
+  "pa-IN": { name: "Punjabi", translateCode: "pa" },
+};
+
+/**
+ * Resolve a Transcribe locale ("ta-IN") or Translate code ("ta") to a supported language.
+ * A bare Translate code resolves to the first locale listed for it.
+ * @param {string} code - Locale or language code
+ * @returns {Object|null} { locale, translateCode, name } or null when unsupported
+ */
+function resolveLanguage(code) {
+  if (!code || typeof code !== "string") {
+    return null;
+  }
+
+  const normalized = code.trim().toLowerCase();
+
+  for (const [locale, language] of Object.entries(SUPPORTED_LANGUAGES)) {
+    if (locale.toLowerCase() === normalized) {
+      return { locale, ...language };
+    }
+  }
+
+  for (const [locale, language] of Object.entries(SUPPORTED_LANGUAGES)) {
+    if (language.translateCode === normalized) {
+      return { locale, ...language };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List supported languages for clients
+ */
+function listLanguages() {
+  return Object.entries(SUPPORTED_LANGUAGES).map(([locale, language]) => ({
+    locale,
+    ...language,
+  }));
+}
+
+module.exports = { SUPPORTED_LANGUAGES, resolveLanguage, listLanguages };
@@ -0,0 +1,390 @@
+/**
+ * In-process metrics in the Prometheus text exposition format (version
+ * 0.0.4), so GET /metrics can be scraped without a metrics agent.
+ *
+ * Metrics live in one registry per process. snapshot() returns plain data
+ * that crosses process boundaries; in cluster mode the worker serving
+ * /metrics merges every worker's snapshot before rendering it.
+ */
+
+const PREFIX = "ai_calling_";
+
+// Audio rate is averaged over this many seconds
+const AUDIO_RATE_WINDOW_SECONDS = 10;
+
+class Metric {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Metric name without the prefix
+   * @param {string} options.help - HELP text
+   * @param {string[]} options.labelNames - Labels every series carries
+   */
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> series
+  }
+
+  /**
+   * Series for a label set, created on first use
+   */
+  getSeries(labels) {
+    const values = this.labelNames.map((name) => String(labels[name] ?? ""));
+    const key = values.join("\u0000");
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...this.emptySeries() });
+    }
+    return this.series.get(key);
+  }
+
+  emptySeries() {
+    return { value: 0 };
+  }
+
+  async snapshot() {
+    // Unlabelled metrics are exported as zero before their first update
+    if (this.labelNames.length === 0) {
+      this.getSeries({});
+    }
+
+    return {
+      name: this.name,
+      type: this.type,
+      help: this.help,
+      series: Array.from(this.series.values(), (series) => ({ ...series, labels: { ...series.labels } })),
+    };
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super("counter", options);
+  }
+
+  /**
+   * @param {Object} labels - Values for the counter's label names
+   * @param {number} amount - Non-negative increment
+   */
+  inc(labels = {}, amount = 1) {
+    if (!(amount >= 0)) {
+      return;
+    }
+    this.getSeries(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Object} options - As for Metric, plus:
+   * @param {Function} options.collect - () => value (or a promise of it), read on every snapshot
+   * @param {string} options.aggregate - How workers' values combine: "sum" (default), or
+   *   "max" for values every worker reads from the shared room store
+   */
+  constructor({ collect = null, aggregate = "sum", ...options }) {
+    super("gauge", options);
+    this.collect = collect;
+    this.aggregate = aggregate;
+  }
+
+  set(value, labels = {}) {
+    this.getSeries(labels).value = value;
+  }
+
+  setCollector(collect) {
+    this.collect = collect;
+  }
+
+  async snapshot() {
+    if (this.collect) {
+      this.set(await this.collect());
+    }
+    return { ...(await super.snapshot()), aggregate: this.aggregate };
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - As for Metric, plus:
+   * @param {number[]} options.buckets - Upper bounds in seconds, ascending; +Inf is implied
+   */
+  constructor({ buckets, ...options }) {
+    super("histogram", options);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {number} seconds - Observed duration
+   * @param {Object} labels - Values for the histogram's label names
+   */
+  observe(seconds, labels = {}) {
+    if (!Number.isFinite(seconds)) {
+      return;
+    }
+
+    const series = this.getSeries(labels);
+    const bucket = this.buckets.findIndex((bound) => seconds <= bound);
+    if (bucket !== -1) {
+      series.counts[bucket]++;
+    }
+    series.sum += seconds;
+    series.count++;
+  }
+
+  emptySeries() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  async snapshot() {
+    const snapshot = await super.snapshot();
+    return {
+      ...snapshot,
+      buckets: this.buckets,
+      series: snapshot.series.map((series) => ({ ...series, counts: [...series.counts] })),
+    };
+  }
+}
+
+/**
+ * Bytes per second over a sliding window of one-second slots
+ */
+class RateMeter {
+  constructor(windowSeconds) {
+    this.windowSeconds = windowSeconds;
+    this.slots = new Map(); // epoch second -> amount
+  }
+
+  add(amount) {
+    const second = Math.floor(Date.now() / 1000);
+    this.slots.set(second, (this.slots.get(second) || 0) + amount);
+    this.prune(second);
+  }
+
+  perSecond() {
+    const second = Math.floor(Date.now() / 1000);
+    this.prune(second);
+
+    let total = 0;
+    for (const amount of this.slots.values()) {
+      total += amount;
+    }
+    return total / this.windowSeconds;
+  }
+
+  prune(second) {
+    for (const slot of this.slots.keys()) {
+      if (slot <= second - this.windowSeconds) {
+        this.slots.delete(slot);
+      }
+    }
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Current values of every metric, as plain data
+   * @returns {Promise<Object[]>}
+   */
+  async snapshot() {
+    return Promise.all(this.metrics.map((metric) => metric.snapshot()));
+  }
+}
+
+/**
+ * Combine snapshots from several processes: counters and histograms add up,
+ * gauges add up or take the largest value per their aggregate
+ * @param {Object[][]} snapshots - One snapshot() result per process
+ * @returns {Object[]} Merged snapshot
+ */
+function mergeSnapshots(snapshots) {
+  const merged = new Map(); // name -> metric
+
+  for (const snapshot of snapshots) {
+    for (const metric of snapshot) {
+      if (!merged.has(metric.name)) {
+        merged.set(metric.name, { ...metric, series: [] });
+      }
+      const target = merged.get(metric.name);
+
+      for (const series of metric.series) {
+        const key = JSON.stringify(series.labels);
+        const existing = target.series.find((candidate) => JSON.stringify(candidate.labels) === key);
+
+        if (!existing) {
+          target.series.push(metric.type === "histogram" ? { ...series, counts: [...series.counts] } : { ...series });
+        } else if (metric.type === "histogram") {
+          series.counts.forEach((count, i) => { existing.counts[i] += count; });
+          existing.sum += series.sum;
+          existing.count += series.count;
+        } else if (metric.type === "gauge" && metric.aggregate === "max") {
+          existing.value = Math.max(existing.value, series.value);
+        } else {
+          existing.value += series.value;
+        }
+      }
+    }
+  }
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Render a snapshot in the Prometheus text exposition format
+ * @param {Object[]} snapshot - From MetricsRegistry.snapshot() or mergeSnapshots()
+ * @returns {string}
+ */
+function renderSnapshot(snapshot) {
+  const lines = [];
+
+  for (const metric of snapshot) {
+    lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const series of metric.series) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        continue;
+      }
+
+      let cumulative = 0;
+      metric.buckets.forEach((bound, i) => {
+        cumulative += series.counts[i];
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: String(bound) })} ${cumulative}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+// Latency buckets, in seconds
+const FAST_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5];
+const SLOW_BUCKETS = [0.25, 0.5, 1, 2, 3, 5, 8, 13, 20, 30];
+
+const registry = new MetricsRegistry();
+const audioRate = new RateMeter(AUDIO_RATE_WINDOW_SECONDS);
+
+const metrics = {
+  transcriptionFinalizeLatency: registry.histogram({
+    name: "transcription_finalize_seconds",
+    help: "Time from a Transcribe result's first partial to its final result",
+    buckets: SLOW_BUCKETS,
+  }),
+  translationLatency: registry.histogram({
+    name: "translation_duration_seconds",
+    help: "AWS Translate request duration; kind is \"utterance\" (into the analysis language) or \"listener\" (fan-out)",
+    labelNames: ["kind"],
+    buckets: FAST_BUCKETS,
+  }),
+  bedrockLatency: registry.histogram({
+    name: "bedrock_request_duration_seconds",
+    help: "Bedrock Converse request duration; operation is \"analysis\" or \"call-report\"",
+    labelNames: ["operation"],
+    buckets: SLOW_BUCKETS,
+  }),
+  utteranceLatency: registry.histogram({
+    name: "utterance_latency_seconds",
+    help: "Time from a final transcript to the pipeline output with translations and fraud analysis",
+    buckets: SLOW_BUCKETS,
+  }),
+  awsErrors: registry.counter({
+    name: "aws_errors_total",
+    help: "Failed AWS calls by service (transcribe, translate, bedrock) and AWS error name",
+    labelNames: ["service", "error"],
+  }),
+  detections: registry.counter({
+    name: "fraud_detections_total",
+    help: "Analyzed utterances by risk level and by whether Bedrock or the local rules scored them",
+    labelNames: ["risk_level", "source"],
+  }),
+  transcriptionReconnects: registry.counter({
+    name: "transcription_reconnects_total",
+    help: "Transcribe stream reconnect attempts by outcome (resumed or failed)",
+    labelNames: ["outcome"],
+  }),
+  audioReceivedBytes: registry.counter({
+    name: "audio_received_bytes_total",
+    help: "Audio bytes received from clients and phone calls",
+  }),
+  activeRooms: registry.gauge({
+    name: "active_rooms",
+    help: "Rooms with at least one member",
+    aggregate: "max",
+  }),
+  activePipelines: registry.gauge({
+    name: "active_pipelines",
+    help: "Running transcription pipelines (participants and phone call legs)",
+  }),
+  audioBytesPerSecond: registry.gauge({
+    name: "audio_bytes_per_second",
+    help: `Audio bytes received per second, averaged over the last ${AUDIO_RATE_WINDOW_SECONDS} seconds`,
+    collect: () => audioRate.perSecond(),
+  }),
+};
+
+/**
+ * Count audio received from a client or phone call
+ * @param {number} bytes
+ */
+function recordAudio(bytes) {
+  metrics.audioReceivedBytes.inc({}, bytes);
+  audioRate.add(bytes);
+}
+
+/**
+ * Count a failed AWS call under its error name (e.g. ThrottlingException)
+ * @param {string} service - "transcribe", "translate" or "bedrock"
+ * @param {Error} error
+ */
+function recordAwsError(service, error) {
+  metrics.awsErrors.inc({ service, error: (error && error.name) || "Error" });
+}
+
+module.exports = {
+  registry,
+  metrics,
+  recordAudio,
+  recordAwsError,
+  mergeSnapshots,
+  renderSnapshot,
+};
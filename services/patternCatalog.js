@@ -0,0 +1,351 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const config = require("../config");
+
+const PATTERN_ID = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+/**
+ * Versioned catalog of known fraud patterns. The shipped catalog is a JSON file:
+ *   { version, updatedAt, patterns: [{ id, name, description, examples, locales, enabled }] }
+ *
+ * Admin API changes never touch the shipped file. They are saved to an
+ * overrides file in the data directory and layered over it:
+ *   { version, updatedAt, patterns: [added or changed patterns], removed: [ids] }
+ * The catalog version is the sum of both versions, so it moves on when
+ * either file changes.
+ *
+ * The analysis prompt is built from the enabled patterns and the model
+ * reports matches by id. Both files are watched, so edits on disk (or by
+ * another cluster worker through the admin API) apply without a restart;
+ * an invalid file is rejected and the previous catalog stays in use.
+ *
+ * Emits "reloaded" (catalog) whenever a new version is loaded or saved.
+ */
+class PatternCatalog extends EventEmitter {
+  constructor(filePath = config.FRAUD_PATTERN_CATALOG_FILE, overridesPath = config.FRAUD_PATTERN_OVERRIDES_FILE) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.overridesPath = path.resolve(overridesPath);
+    this.shipped = { version: 0, updatedAt: null, patterns: [] };
+    this.overrides = emptyOverrides();
+    this.catalog = { version: 0, updatedAt: null, patterns: [] };
+    this.watchers = [];
+    this.reloadTimer = null;
+    this.saving = Promise.resolve();
+
+    this.reload();
+  }
+
+  /**
+   * Read the shipped catalog and the overrides, keeping the current catalog
+   * if either is invalid. A missing overrides file means no overrides.
+   * @returns {boolean} Whether a catalog was loaded
+   */
+  reload() {
+    let shipped;
+    let overrides;
+    try {
+      shipped = validateCatalog(JSON.parse(fs.readFileSync(this.filePath, "utf8")));
+    } catch (error) {
+      console.error(`❌ [Patterns] Could not load ${this.filePath}:`, error.message);
+      return false;
+    }
+    try {
+      overrides = fs.existsSync(this.overridesPath)
+        ? validateOverrides(JSON.parse(fs.readFileSync(this.overridesPath, "utf8")))
+        : emptyOverrides();
+    } catch (error) {
+      console.error(`❌ [Patterns] Could not load overrides ${this.overridesPath}:`, error.message);
+      return false;
+    }
+
+    const catalog = layerCatalog(shipped, overrides);
+    const changed = catalog.version !== this.catalog.version || catalog.updatedAt !== this.catalog.updatedAt;
+    this.shipped = shipped;
+    this.overrides = overrides;
+    this.catalog = catalog;
+
+    if (changed) {
+      console.log(`📚 [Patterns] Loaded catalog v${catalog.version} (${catalog.patterns.length} patterns, ${overrides.patterns.length + overrides.removed.length} overridden) from ${this.filePath}`);
+      this.emit("reloaded", this.catalog);
+    }
+    return true;
+  }
+
+  /**
+   * Reload when either file changes. Directories are watched because editors
+   * and our own saves replace the files rather than writing them in place.
+   */
+  watch() {
+    if (this.watchers.length > 0) {
+      return;
+    }
+
+    const files = [this.filePath, this.overridesPath];
+    for (const directory of new Set(files.map((file) => path.dirname(file)))) {
+      const names = files.filter((file) => path.dirname(file) === directory).map((file) => path.basename(file));
+
+      try {
+        // The overrides directory may not exist until the first save
+        fs.mkdirSync(directory, { recursive: true });
+        const watcher = fs.watch(directory, (eventType, filename) => {
+          if (!names.includes(filename)) return;
+
+          clearTimeout(this.reloadTimer);
+          this.reloadTimer = setTimeout(() => this.reload(), 200);
+        });
+        watcher.unref();
+        this.watchers.push(watcher);
+      } catch (error) {
+        console.warn(`⚠️  [Patterns] Cannot watch ${directory}; changes need POST /admin/patterns/reload:`, error.message);
+      }
+    }
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+  }
+
+  getCatalog() {
+    return this.catalog;
+  }
+
+  getVersion() {
+    return this.catalog.version;
+  }
+
+  getPattern(id) {
+    return this.catalog.patterns.find((pattern) => pattern.id === id) || null;
+  }
+
+  getEnabledPatterns() {
+    return this.catalog.patterns.filter((pattern) => pattern.enabled);
+  }
+
+  /**
+   * Add or replace a pattern
+   * @param {Object} pattern - Pattern with an id
+   * @param {number} expectedVersion - Reject the change if the catalog moved on (optional)
+   * @returns {Promise<Object>} The saved catalog
+   */
+  upsertPattern(pattern, expectedVersion = null) {
+    return this.update((patterns) => {
+      const validated = validatePattern(pattern);
+      const index = patterns.findIndex((existing) => existing.id === validated.id);
+
+      if (index === -1) {
+        patterns.push(validated);
+      } else {
+        patterns[index] = validated;
+      }
+      return patterns;
+    }, expectedVersion);
+  }
+
+  /**
+   * Remove a pattern
+   * @returns {Promise<Object|null>} The saved catalog, or null when there was no such pattern
+   */
+  async removePattern(id, expectedVersion = null) {
+    if (!this.getPattern(id)) {
+      return null;
+    }
+    return this.update((patterns) => patterns.filter((pattern) => pattern.id !== id), expectedVersion);
+  }
+
+  /**
+   * Apply a change to the patterns and save the next overrides version: every
+   * pattern that differs from the shipped catalog, and the shipped ids that
+   * were removed. Saves run one at a time and replace the file atomically.
+   */
+  update(change, expectedVersion) {
+    const save = this.saving.then(async () => {
+      if (expectedVersion !== null && expectedVersion !== this.catalog.version) {
+        throw new CatalogVersionError(this.catalog.version);
+      }
+
+      const patterns = validateCatalog({ patterns: change(this.catalog.patterns.map((pattern) => ({ ...pattern }))) }).patterns;
+      const shippedById = new Map(this.shipped.patterns.map((pattern) => [pattern.id, pattern]));
+      const ids = new Set(patterns.map((pattern) => pattern.id));
+
+      const overrides = {
+        version: this.overrides.version + 1,
+        updatedAt: new Date().toISOString(),
+        patterns: patterns.filter((pattern) => JSON.stringify(pattern) !== JSON.stringify(shippedById.get(pattern.id))),
+        removed: this.shipped.patterns.filter((pattern) => !ids.has(pattern.id)).map((pattern) => pattern.id),
+      };
+
+      await fs.promises.mkdir(path.dirname(this.overridesPath), { recursive: true });
+      const tempPath = `${this.overridesPath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, `${JSON.stringify(overrides, null, 2)}\n`);
+      await fs.promises.rename(tempPath, this.overridesPath);
+
+      const catalog = layerCatalog(this.shipped, overrides);
+      this.overrides = overrides;
+      this.catalog = catalog;
+      console.log(`📚 [Patterns] Saved catalog v${catalog.version} (${catalog.patterns.length} patterns)`);
+      this.emit("reloaded", this.catalog);
+
+      return catalog;
+    });
+
+    // A failed save must not block the next one
+    this.saving = save.catch(() => {});
+    return save;
+  }
+
+  /**
+   * Prompt section describing every enabled pattern
+   */
+  buildPromptSection() {
+    return this.getEnabledPatterns()
+      .map((pattern) => {
+        const examples = pattern.examples.map((example) => `"${example}"`).join(" / ");
+        return `- ${pattern.id} (${pattern.name}; ${pattern.locales.join(", ")}): ${pattern.description}${examples ? `\n  Examples: ${examples}` : ""}`;
+      })
+      .join("\n");
+  }
+
+  /**
+   * Map the model's matched patterns onto catalog ids, accepting a pattern
+   * name in place of its id and dropping anything not in the catalog
+   * @param {string[]} matches
+   * @returns {string[]} Catalog ids
+   */
+  resolvePatternIds(matches) {
+    const ids = new Set();
+
+    for (const match of matches) {
+      const key = String(match).trim().toLowerCase();
+      const pattern = this.catalog.patterns.find(
+        (candidate) => candidate.id === key || candidate.name.toLowerCase() === key
+      );
+
+      if (pattern) {
+        ids.add(pattern.id);
+      } else {
+        console.warn(`⚠️  [Patterns] Model matched unknown pattern "${match}"`);
+      }
+    }
+
+    return Array.from(ids);
+  }
+}
+
+class CatalogVersionError extends Error {
+  constructor(currentVersion) {
+    super(`Catalog is at version ${currentVersion}`);
+    this.name = "CatalogVersionError";
+    this.currentVersion = currentVersion;
+  }
+}
+
+function validateCatalog(catalog) {
+  if (!catalog || !Array.isArray(catalog.patterns)) {
+    throw new Error("Catalog must have a patterns array");
+  }
+
+  const patterns = catalog.patterns.map(validatePattern);
+  const ids = new Set();
+  for (const pattern of patterns) {
+    if (ids.has(pattern.id)) {
+      throw new Error(`Duplicate pattern id ${pattern.id}`);
+    }
+    ids.add(pattern.id);
+  }
+
+  return {
+    version: Number.isInteger(catalog.version) && catalog.version > 0 ? catalog.version : 1,
+    updatedAt: catalog.updatedAt || null,
+    patterns,
+  };
+}
+
+function emptyOverrides() {
+  return { version: 0, updatedAt: null, patterns: [], removed: [] };
+}
+
+function validateOverrides(overrides) {
+  if (!overrides || !Array.isArray(overrides.patterns)) {
+    throw new Error("Overrides must have a patterns array");
+  }
+  if (overrides.removed !== undefined && (!Array.isArray(overrides.removed) || overrides.removed.some((id) => typeof id !== "string"))) {
+    throw new Error("Overrides removed must be an array of pattern ids");
+  }
+
+  return {
+    ...validateCatalog(overrides),
+    version: Number.isInteger(overrides.version) && overrides.version >= 0 ? overrides.version : 0,
+    removed: overrides.removed || [],
+  };
+}
+
+/**
+ * The shipped catalog with overridden patterns replaced, added patterns
+ * appended and removed patterns dropped
+ */
+function layerCatalog(shipped, overrides) {
+  const overridden = new Map(overrides.patterns.map((pattern) => [pattern.id, pattern]));
+  const removed = new Set(overrides.removed);
+  const shippedIds = new Set(shipped.patterns.map((pattern) => pattern.id));
+
+  const patterns = shipped.patterns
+    .filter((pattern) => !removed.has(pattern.id))
+    .map((pattern) => overridden.get(pattern.id) || pattern)
+    .concat(overrides.patterns.filter((pattern) => !shippedIds.has(pattern.id)));
+
+  return {
+    version: shipped.version + overrides.version,
+    updatedAt: [shipped.updatedAt, overrides.updatedAt].filter(Boolean).sort().pop() || null,
+    patterns,
+  };
+}
+
+function validatePattern(pattern) {
+  if (!pattern || typeof pattern !== "object") {
+    throw new Error("Pattern must be an object");
+  }
+  if (typeof pattern.id !== "string" || !PATTERN_ID.test(pattern.id)) {
+    throw new Error(`Pattern id must be lowercase letters, digits and dashes (got ${JSON.stringify(pattern.id)})`);
+  }
+  for (const field of ["name", "description"]) {
+    if (typeof pattern[field] !== "string" || !pattern[field].trim()) {
+      throw new Error(`Pattern ${pattern.id} needs a ${field}`);
+    }
+  }
+  for (const field of ["examples", "locales"]) {
+    if (pattern[field] !== undefined && (!Array.isArray(pattern[field]) || pattern[field].some((item) => typeof item !== "string"))) {
+      throw new Error(`Pattern ${pattern.id} ${field} must be an array of strings`);
+    }
+  }
+
+  return {
+    id: pattern.id,
+    name: pattern.name.trim(),
+    description: pattern.description.trim(),
+    examples: pattern.examples || [],
+    locales: pattern.locales || [],
+    enabled: pattern.enabled !== false,
+  };
+}
+
+let defaultCatalog = null;
+
+/**
+ * The process-wide catalog, loaded and watched on first use
+ * @returns {PatternCatalog}
+ */
+function getPatternCatalog() {
+  if (!defaultCatalog) {
+    defaultCatalog = new PatternCatalog();
+    defaultCatalog.watch();
+  }
+  return defaultCatalog;
+}
+
+module.exports = { PatternCatalog, CatalogVersionError, getPatternCatalog, validatePattern };
@@ -0,0 +1,280 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+/**
+ * Redaction of the identifiers victims read out during scam calls: OTPs and
+ * PINs, card numbers, Aadhaar, PAN and UPI IDs.
+ *
+ * Numbers are recognised in any Indian script's digits and in spoken form
+ * ("four one one one ...", "double five", "चार पांच छह सात"), since
+ * transcripts contain all of them. Policies:
+ *   mask - replace with the identifier type, e.g. "[otp]"
+ *   hash - replace with the type and a keyed hash, e.g. "[otp:3f9a1c0b2e]",
+ *          so a repeated identifier can be recognised without revealing it
+ *   none - pass the text through unchanged
+ */
+const REDACTION_POLICIES = ["mask", "hash", "none"];
+
+// Spoken digits; romanized Hindi is limited to words that are not also common
+// English or Hinglish words ("do" is both two and "give")
+const DIGIT_WORDS = {
+  zero: "0", oh: "0", one: "1", two: "2", three: "3", four: "4", five: "5", six: "6", seven: "7", eight: "8", nine: "9",
+  shunya: "0", ek: "1", teen: "3", chaar: "4", paanch: "5", chhah: "6", saat: "7", aath: "8", nau: "9",
+  "शून्य": "0", "ज़ीरो": "0", "जीरो": "0", "एक": "1", "दो": "2", "तीन": "3", "चार": "4", "पांच": "5", "पाँच": "5",
+  "छह": "6", "छः": "6", "छै": "6", "सात": "7", "आठ": "8", "नौ": "9",
+};
+const REPEAT_WORDS = { double: 2, triple: 3, "डबल": 2, "ट्रिपल": 3 };
+
+const AMOUNT_BEFORE = /(₹|rs\.?|inr|rupees?)\s*$/iu;
+const AMOUNT_AFTER = /^\s*(₹|rs\b|rupees?|रुपये|रुपए|रुपया|हज़ार|हजार|lakh|लाख|crore|करोड़)/iu;
+
+// Code points of the zero digit in Arabic-Indic, Devanagari, Bengali, Gurmukhi,
+// Gujarati, Odia, Tamil, Telugu, Kannada and Malayalam
+const DIGIT_ZEROS = [0x0660, 0x06f0, 0x0966, 0x09e6, 0x0a66, 0x0ae6, 0x0b66, 0x0be6, 0x0c66, 0x0ce6, 0x0d66];
+const INDIC_DIGIT = new RegExp(`[${DIGIT_ZEROS.map((zero) => `\\u${zero.toString(16).padStart(4, "0")}-\\u${(zero + 9).toString(16).padStart(4, "0")}`).join("")}]`, "g");
+
+const WORD_EDGE_BEFORE = "(?<![\\p{L}\\p{M}\\p{N}])";
+const WORD_EDGE_AFTER = "(?![\\p{L}\\p{M}\\p{N}])";
+const NUMBER_TOKEN = `(?:[0-9]+|${WORD_EDGE_BEFORE}(?:${[...Object.keys(DIGIT_WORDS), ...Object.keys(REPEAT_WORDS)].join("|")})${WORD_EDGE_AFTER})`;
+const NUMBER_RUN = new RegExp(`${NUMBER_TOKEN}(?:[\\s\\-–.,]*${NUMBER_TOKEN})*`, "giu");
+
+// A short number is an OTP, PIN or CVV only right next to one of these words,
+// with at most a few filler words between ("OTP is 4567", "OTP aaya hai 4567",
+// "the OTP I received is 4567", "4567 is my PIN"). Fillers are function words
+// and the verbs for receiving or sending a code; anything else between the
+// keyword and the number ("code review in 2019") breaks the link.
+// Postal, area and promo codes are not secrets.
+const SECRET_KEYWORD = "(?:otp|o\\s?t\\s?p|(?<!(?:pin|zip|area|postal|country|promo|coupon|discount|referral)\\s?)code|pin(?!\\s?code)|cvv|password|passcode|ओटीपी|ओ टी पी|पिन|कोड|सीवीवी|पासवर्ड)";
+const FILLER_WORD = "(?:is|was|number|no\\.?|hai|he|tha|ka|ki|ke|the|my|your|its|it's|i|you|just|have|has|received|got|get|sent|came|" +
+  "aaya|aya|aayi|aai|mila|mili|bheja|aapko|mujhe|है|था|का|की|के|नंबर|आया|आई|मिला|मिली|भेजा|आपको|मुझे)";
+const SEPARATOR = "[\\s:=\\-]";
+const SECRET_BEFORE = new RegExp(`${WORD_EDGE_BEFORE}${SECRET_KEYWORD}(?:${SEPARATOR}+${FILLER_WORD}){0,4}${SEPARATOR}*$`, "iu");
+const SECRET_AFTER = new RegExp(`^${SEPARATOR}*(?:${FILLER_WORD}${SEPARATOR}+){0,2}${SECRET_KEYWORD}${WORD_EDGE_AFTER}`, "iu");
+
+// Written (ABCPE1234F) or spelled out letter by letter (A B C P E 1 2 3 4 F)
+const PAN = /(?<![\p{L}\p{N}])(?:[a-z]{3}[abcfghljpt][a-z]\d{4}[a-z]|(?:[a-z]\s){3}[abcfghljpt]\s[a-z]\s(?:\d{4}|\d(?:\s\d){3})\s[a-z])(?![\p{L}\p{N}])/giu;
+const UPI_ID = /(?<![\w.@])[a-z0-9][a-z0-9._-]{1,255}@[a-z][a-z0-9]{1,63}(?![\w.@])/giu;
+// "at the rate" is how "@" is read out, but it is also ordinary English, so a
+// spoken UPI ID needs a known handle after it ("name at the rate ok axis")
+const UPI_HANDLES = [
+  "ok\\s?axis", "ok\\s?hdfc\\s?bank", "ok\\s?icici", "ok\\s?sbi", "ybl", "ibl", "axl", "paytm", "pt\\s?yes", "pt\\s?axis",
+  "pt\\s?hdfc", "pt\\s?sbi", "upi", "apl", "yapl", "axis\\s?bank", "icici", "hdfc\\s?bank", "sbi", "kotak", "idfc\\s?bank",
+  "freecharge", "jupiter\\s?axis", "fbl", "airtel", "jio", "indus", "pnb", "boi", "barodampay", "waaxis", "wahdfcbank", "wasbi",
+];
+const SPOKEN_UPI_ID = new RegExp(`(?<![\\w.])[a-z0-9][a-z0-9._-]{1,255}\\s+(?:at\\s+the\\s+rate(?:\\s+of)?|एट द रेट)\\s+(?:${UPI_HANDLES.join("|")})(?![\\w.])`, "giu");
+
+let hashKey = null;
+
+/**
+ * Find identifiers in text
+ * @param {string} text
+ * @returns {Object[]} { type, start, end, value } sorted by position, not overlapping
+ */
+function findPii(text) {
+  if (!text) {
+    return [];
+  }
+
+  // Same length as text: every converted digit is one UTF-16 unit, as is its ASCII digit
+  const ascii = toAsciiDigits(text);
+  const found = [];
+
+  for (const match of ascii.matchAll(PAN)) {
+    found.push({ type: "pan", start: match.index, end: match.index + match[0].length, value: match[0].replace(/\s/g, "").toUpperCase() });
+  }
+
+  for (const pattern of [UPI_ID, SPOKEN_UPI_ID]) {
+    for (const match of ascii.matchAll(pattern)) {
+      found.push({ type: "upi", start: match.index, end: match.index + match[0].length, value: match[0].toLowerCase() });
+    }
+  }
+
+  for (const match of ascii.matchAll(NUMBER_RUN)) {
+    const digits = spokenDigits(match[0]);
+    const type = classifyNumber(digits, ascii, match.index, match.index + match[0].length);
+
+    if (type) {
+      found.push({ type, start: match.index, end: match.index + match[0].length, value: digits });
+    }
+  }
+
+  // Earliest first; of overlapping matches keep the first found (PAN and UPI before numbers)
+  const accepted = [];
+  for (const item of found.sort((a, b) => a.start - b.start)) {
+    const last = accepted[accepted.length - 1];
+    if (!last || item.start >= last.end) {
+      accepted.push(item);
+    }
+  }
+  return accepted;
+}
+
+/**
+ * Apply a redaction policy
+ * @param {string} text
+ * @param {string} policy - "mask", "hash" or "none"
+ * @returns {Object} { text, types } - types of the identifiers redacted
+ */
+function redactPii(text, policy = config.PII_REDACTION) {
+  if (!text || policy === "none") {
+    return { text, types: [] };
+  }
+
+  const found = findPii(text);
+  if (found.length === 0) {
+    return { text, types: [] };
+  }
+
+  let redacted = "";
+  let position = 0;
+  for (const item of found) {
+    redacted += text.slice(position, item.start) + replacement(item, policy);
+    position = item.end;
+  }
+  redacted += text.slice(position);
+
+  return { text: redacted, types: [...new Set(found.map((item) => item.type))] };
+}
+
+/**
+ * Text for console output: masked unless PII_REDACT_LOGS is off
+ */
+function redactForLog(text) {
+  return config.PII_REDACT_LOGS ? redactPii(text, "mask").text : text;
+}
+
+function replacement(item, policy) {
+  if (policy === "hash") {
+    const digest = crypto.createHmac("sha256", getHashKey()).update(`${item.type}:${item.value}`).digest("hex");
+    return `[${item.type}:${digest.slice(0, 10)}]`;
+  }
+  return `[${item.type}]`;
+}
+
+function getHashKey() {
+  if (!hashKey) {
+    if (config.PII_HASH_SECRET) {
+      hashKey = config.PII_HASH_SECRET;
+    } else {
+      // Hashes only match within this process; set PII_HASH_SECRET to compare across restarts and workers
+      console.warn(`⚠️  [PII] PII_HASH_SECRET is not set; using a random key for this process`);
+      hashKey = crypto.randomBytes(32);
+    }
+  }
+  return hashKey;
+}
+
+/**
+ * Replace Indian-script (and Arabic-Indic, for Urdu) digits with ASCII digits
+ */
+function toAsciiDigits(text) {
+  return text.replace(INDIC_DIGIT, (digit) => {
+    const code = digit.charCodeAt(0);
+    const zero = DIGIT_ZEROS.find((candidate) => code >= candidate && code < candidate + 10);
+    return String(code - zero);
+  });
+}
+
+/**
+ * Digits of a number run, expanding spoken digits and "double"/"triple"
+ * @param {string} run - e.g. "4111 1111", "double five 2", "चार 5 छह"
+ * @returns {string}
+ */
+function spokenDigits(run) {
+  const tokens = run.toLowerCase().match(/[\p{L}\p{M}]+|\d+/gu) || [];
+  let digits = "";
+  let repeat = 1;
+
+  for (const token of tokens) {
+    if (REPEAT_WORDS[token]) {
+      repeat = REPEAT_WORDS[token];
+      continue;
+    }
+
+    const value = /^\d+$/.test(token) ? token : DIGIT_WORDS[token] || "";
+    digits += value ? value[0].repeat(repeat) + value.slice(1) : "";
+    repeat = 1;
+  }
+
+  return digits;
+}
+
+/**
+ * Decide what a number is, if it is sensitive
+ * @param {string} digits - The number's digits
+ * @param {string} text - Text the number was found in (ASCII digits)
+ * @param {number} start - Where the number starts in text
+ * @param {number} end - Where the number ends in text
+ * @returns {string|null} "card", "aadhaar", "otp" or null
+ */
+function classifyNumber(digits, text, start, end) {
+  if (digits.length >= 13 && digits.length <= 19 && luhnValid(digits)) {
+    return "card";
+  }
+
+  if (digits.length === 12 && /^[2-9]/.test(digits) && verhoeffValid(digits)) {
+    return "aadhaar";
+  }
+
+  if (digits.length >= 3 && digits.length <= 8) {
+    const before = text.slice(Math.max(0, start - 40), start);
+    const after = text.slice(end, end + 30);
+
+    if (AMOUNT_BEFORE.test(before) || AMOUNT_AFTER.test(after)) {
+      return null;
+    }
+    if (SECRET_BEFORE.test(before) || SECRET_AFTER.test(after)) {
+      return "otp";
+    }
+  }
+
+  return null;
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Verhoeff check digit tables; the last Aadhaar digit is a Verhoeff checksum
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+function verhoeffValid(digits) {
+  let check = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const digit = Number(digits[digits.length - 1 - i]);
+    check = VERHOEFF_MULTIPLY[check][VERHOEFF_PERMUTE[i % 8][digit]];
+  }
+  return check === 0;
+}
+
+module.exports = { redactPii, redactForLog, findPii, REDACTION_POLICIES };
@@ -1,76 +1,44 @@
-class RoomManager {
-  constructor() {
-    this.rooms = new Map();
-    this.userRooms = new Map();
-  }
-
-  addUser(roomId, userId) {
-    if (!this.rooms.has(roomId)) {
-      this.rooms.set(roomId, new Set());
-    }
-    this.rooms.get(roomId).add(userId);
-
-    if (!this.userRooms.has(userId)) {
-      this.userRooms.set(userId, new Set());
-    }
-    this.userRooms.get(userId).add(roomId);
-
-    console.log(`➕ Added user ${userId} to room ${roomId}`);
-  }
-
-  removeUser(roomId, userId) {
-    if (this.rooms.has(roomId)) {
-      this.rooms.get(roomId).delete(userId);
-
-      if (this.rooms.get(roomId).size === 0) {
-        this.rooms.delete(roomId);
-        console.log(`🗑️ Deleted empty room: ${roomId}`);
-      }
-    }
-
-    if (this.userRooms.has(userId)) {
-      this.userRooms.get(userId).delete(roomId);
-
-      if (this.userRooms.get(userId).size === 0) {
-        this.userRooms.delete(userId);
-      }
+const { EventEmitter } = require("events");
+const { MemoryRoomStore, ROLES, ROOM_EVENTS, ROOM_STORE_METHODS } = require("./roomStore");
+
+/**
+ * Async facade over a RoomStore.
+ *
+ * In a single process the store is a MemoryRoomStore; under cluster.js every
+ * worker passes createClusterRoomStore() so membership, roles and the shared
+ * conversation live in the primary and are visible to every worker.
+ * Every store method is available here and returns a promise.
+ *
+ * Re-emits the store's "room-created", "room-deleted", "user-added",
+ * "user-removed" and "host-changed" events. In cluster mode each worker
+ * receives every room's events.
+ */
+class RoomManager extends EventEmitter {
+  constructor(store = new MemoryRoomStore()) {
+    super();
+    this.store = store;
+
+    for (const event of ROOM_EVENTS) {
+      this.store.on(event, (...args) => this.emit(event, ...args));
     }
 
-    console.log(`➖ Removed user ${userId} from room ${roomId}`);
-  }
-
-  getUsers(roomId) {
-    if (!this.rooms.has(roomId)) {
-      return [];
-    }
-    return Array.from(this.rooms.get(roomId));
-  }
-
-  getUserRooms(userId) {
-    if (!this.userRooms.has(userId)) {
-      return [];
-    }
-    return Array.from(this.userRooms.get(userId));
-  }
-
-  getRoomCount() {
-    return this.rooms.size;
-  }
-
-  getUserCount(roomId) {
-    if (!this.rooms.has(roomId)) {
-      return 0;
+    for (const method of ROOM_STORE_METHODS) {
+      this[method] = async (...args) => this.store[method](...args);
     }
-    return this.rooms.get(roomId).size;
-  }
-
-  getAllRooms() {
-    return Array.from(this.rooms.keys());
   }
 
-  isUserInRoom(roomId, userId) {
-    return this.rooms.has(roomId) && this.rooms.get(roomId).has(userId);
+  /**
+   * Room conversation shared by every participant's fraud analysis
+   * @returns {Object} { addMessage, getMessages, size, clear }, each returning a promise
+   */
+  getConversation(roomId) {
+    return {
+      addMessage: (message) => this.addMessage(roomId, message),
+      getMessages: () => this.getMessages(roomId),
+      size: () => this.getMessageCount(roomId),
+      clear: () => this.clearMessages(roomId),
+    };
   }
 }
 
-module.exports = { RoomManager };
\ No newline at end of file
+module.exports = { RoomManager, ROLES };
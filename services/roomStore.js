@@ -0,0 +1,662 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { ConversationStore } = require("./conversationStore");
+const { CallRiskTracker } = require("./callRiskTracker");
+const { createPrimaryProxy } = require("./clusterRpc");
+const config = require("../config");
+
+const ROLES = {
+  HOST: "host",
+  PARTICIPANT: "participant",
+  OBSERVER: "observer",
+};
+
+// Who a participant is in the call, as opposed to their room permissions (ROLES).
+// Each role's counterpart is what the other side of a two-party call is inferred to be.
+const CALL_ROLES = {
+  caller: "callee",
+  callee: "caller",
+  agent: "customer",
+  customer: "agent",
+};
+
+/**
+ * Whether a value names a call role; own keys only, so "toString" and the
+ * like are not mistaken for one
+ * @param {*} value
+ */
+function isCallRole(value) {
+  return typeof value === "string" && Object.hasOwn(CALL_ROLES, value);
+}
+
+const DEFAULT_ROOM_SETTINGS = {
+  translatePartials: false,
+  analyzePartials: false,
+  piiRedaction: config.PII_REDACTION, // "mask", "hash" or "none"
+  alertAudience: config.ALERT_AUDIENCE, // "everyone", "not-flagged" or "observers-and-hosts"
+};
+
+const ROOM_EVENTS = ["room-created", "room-deleted", "user-added", "user-removed", "host-changed"];
+
+/**
+ * RoomStore holds room membership, roles, participant info, settings and the
+ * shared conversation. MemoryRoomStore keeps it in this process; in cluster
+ * mode the primary owns one MemoryRoomStore and workers reach it through
+ * createClusterRoomStore(). Every method result is plain, serializable data.
+ *
+ * Emits "room-created", "room-deleted", "user-added", "user-removed" and "host-changed".
+ */
+class MemoryRoomStore extends EventEmitter {
+  constructor() {
+    super();
+    this.rooms = new Map();
+    this.userRooms = new Map();
+    this.roomSettings = new Map();
+    this.conversations = new Map();
+    this.callRisks = new Map();
+    this.safetyWarnings = new Map();
+    this.participants = new Map();
+    this.roomInfo = new Map();
+  }
+
+  /**
+   * Admit a socket to a room: check the ban list, lock, capacity and passcode,
+   * then record the participant and add them, all in one call. In cluster mode
+   * workers reach the primary's store one message at a time, so two joins
+   * cannot both pass the checks and take the last place.
+   * @param {string} roomId - Room ID
+   * @param {string} socketId - Socket ID
+   * @param {Object} request
+   * @param {string} request.userId - Authenticated user ID
+   * @param {string} request.passcode - Passcode supplied by the user
+   * @param {string} request.role - "participant" or "observer"
+   * @param {Object} request.participantInfo - Stored with setParticipantInfo() once admitted
+   * @param {Object} request.roomOptions - configureRoom() options applied when the room is new
+   * @returns {Object} { refusal } with the reason when refused, otherwise { refusal: null, isNewRoom }
+   */
+  joinRoom(roomId, socketId, { userId, passcode, role = ROLES.PARTICIPANT, participantInfo = null, roomOptions = {} } = {}) {
+    const refusal = this.checkJoin(roomId, { userId, passcode, role });
+    if (refusal) {
+      return { refusal };
+    }
+
+    if (participantInfo) {
+      this.setParticipantInfo(socketId, participantInfo);
+    }
+
+    const { isNewRoom } = this.addUser(roomId, socketId, role);
+    if (isNewRoom) {
+      this.configureRoom(roomId, roomOptions);
+    }
+
+    return { refusal: null, isNewRoom };
+  }
+
+  /**
+   * Add a user to a room without the join checks (see joinRoom()). The first
+   * participant in a room without a host becomes its host, whether they
+   * created it or joined after the host left; observers never do.
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Socket ID
+   * @param {string} role - "participant" or "observer"
+   * @returns {Object} { isNewRoom }
+   */
+  addUser(roomId, userId, role = ROLES.PARTICIPANT) {
+    const isNewRoom = !this.rooms.has(roomId);
+    if (isNewRoom) {
+      this.rooms.set(roomId, new Set());
+      this.roomInfo.set(roomId, {
+        hostId: null,
+        maxParticipants: config.MAX_ROOM_PARTICIPANTS,
+        passcodeHash: null,
+        locked: false,
+        bannedUsers: new Set(),
+        roles: new Map(),
+        callRoles: new Map(), // socketId -> { callRole, source: "declared" | "inferred" }
+        callReportClaimed: false,
+        createdAt: new Date().toISOString(),
+      });
+    }
+    const info = this.roomInfo.get(roomId);
+    const becomesHost = !info.hostId && role === ROLES.PARTICIPANT;
+
+    this.rooms.get(roomId).add(userId);
+    info.roles.set(userId, becomesHost ? ROLES.HOST : role);
+    if (becomesHost) {
+      info.hostId = userId;
+    }
+
+    if (!this.userRooms.has(userId)) {
+      this.userRooms.set(userId, new Set());
+    }
+    this.userRooms.get(userId).add(roomId);
+
+    console.log(`➕ Added user ${userId} to room ${roomId}`);
+
+    if (isNewRoom) {
+      this.emit("room-created", roomId);
+    }
+    this.emit("user-added", roomId, userId, this.getMember(roomId, userId));
+
+    return { isNewRoom };
+  }
+
+  /**
+   * Remove a user from a room, deleting the room when it becomes empty
+   * @returns {Object} { roomDeleted, newHostId }
+   */
+  removeUser(roomId, userId) {
+    let roomDeleted = false;
+    let newHostId = null;
+    const member = this.getMember(roomId, userId);
+
+    if (this.rooms.has(roomId)) {
+      this.rooms.get(roomId).delete(userId);
+      const info = this.roomInfo.get(roomId);
+      info.roles.delete(userId);
+      info.callRoles.delete(userId);
+
+      if (this.rooms.get(roomId).size === 0) {
+        this.rooms.delete(roomId);
+        this.roomSettings.delete(roomId);
+        this.conversations.delete(roomId);
+        this.callRisks.delete(roomId);
+        this.safetyWarnings.delete(roomId);
+        this.roomInfo.delete(roomId);
+        roomDeleted = true;
+        console.log(`🗑️ Deleted empty room: ${roomId}`);
+      } else if (info.hostId === userId) {
+        newHostId = this.transferHost(roomId);
+      }
+    }
+
+    this.emit("user-removed", roomId, userId, member);
+
+    if (this.userRooms.has(userId)) {
+      this.userRooms.get(userId).delete(roomId);
+
+      if (this.userRooms.get(userId).size === 0) {
+        this.userRooms.delete(userId);
+        this.participants.delete(userId);
+      }
+    }
+
+    console.log(`➖ Removed user ${userId} from room ${roomId}`);
+
+    if (roomDeleted) {
+      this.emit("room-deleted", roomId);
+    } else if (newHostId) {
+      this.emit("host-changed", roomId, newHostId);
+    }
+
+    return { roomDeleted, newHostId };
+  }
+
+  /**
+   * Hand the host role to the longest-present participant. Observers cannot
+   * moderate, so a room with only observers left has no host until a
+   * participant joins.
+   * @returns {string|null} New host's socket ID, null when no participant remains
+   */
+  transferHost(roomId) {
+    const info = this.roomInfo.get(roomId);
+    const newHostId = Array.from(this.rooms.get(roomId)).find((id) => info.roles.get(id) === ROLES.PARTICIPANT) || null;
+
+    info.hostId = newHostId;
+    if (!newHostId) {
+      console.log(`👑 Room ${roomId} has no host until a participant joins`);
+      return null;
+    }
+
+    info.roles.set(newHostId, ROLES.HOST);
+    console.log(`👑 Host of room ${roomId} is now ${newHostId}`);
+
+    return newHostId;
+  }
+
+  /**
+   * Apply creator-chosen limits to a newly created room
+   * @param {string} roomId - Room ID
+   * @param {Object} options
+   * @param {number} options.maxParticipants - Capped at config.MAX_ROOM_PARTICIPANTS
+   * @param {string} options.passcode - Optional passcode required to join
+   */
+  configureRoom(roomId, { maxParticipants, passcode } = {}) {
+    const info = this.roomInfo.get(roomId);
+    if (!info) return;
+
+    const requested = parseInt(maxParticipants, 10);
+    if (requested > 0) {
+      info.maxParticipants = Math.min(requested, config.MAX_ROOM_PARTICIPANTS);
+    }
+
+    if (passcode) {
+      info.passcodeHash = hashPasscode(String(passcode));
+    }
+  }
+
+  /**
+   * Check whether a user may join an existing room
+   * @param {string} roomId - Room ID
+   * @param {Object} request
+   * @param {string} request.userId - Authenticated user ID
+   * @param {string} request.passcode - Passcode supplied by the user
+   * @param {string} request.role - "participant" or "observer"; observers do not take a place
+   * @returns {string|null} Reason the join is refused, or null when allowed
+   */
+  checkJoin(roomId, { userId, passcode, role = ROLES.PARTICIPANT } = {}) {
+    const info = this.roomInfo.get(roomId);
+    if (!info) {
+      return null;
+    }
+
+    if (info.bannedUsers.has(userId)) {
+      return "You were removed from this room";
+    }
+
+    if (info.locked) {
+      return "Room is locked";
+    }
+
+    const participants = Array.from(info.roles.values()).filter((memberRole) => memberRole !== ROLES.OBSERVER).length;
+    if (role !== ROLES.OBSERVER && participants >= info.maxParticipants) {
+      return "Room is full";
+    }
+
+    if (info.passcodeHash) {
+      const supplied = hashPasscode(String(passcode || ""));
+      if (!crypto.timingSafeEqual(Buffer.from(supplied), Buffer.from(info.passcodeHash))) {
+        return "Invalid room passcode";
+      }
+    }
+
+    return null;
+  }
+
+  getRole(roomId, userId) {
+    const info = this.roomInfo.get(roomId);
+    return info ? info.roles.get(userId) || null : null;
+  }
+
+  /**
+   * Set a participant's call role. Without a declared role one is inferred:
+   * the counterpart of a role already present (a callee for a caller, a
+   * customer for an agent), or "caller" for the first participant.
+   * An inferred role never replaces a declared one.
+   * @param {string} roomId - Room ID
+   * @param {string} socketId - Socket ID
+   * @param {string|null} declared - One of CALL_ROLES, or null to infer
+   * @param {string} source - "declared", or "inferred" when the server chose the given role
+   * @returns {Object|null} { callRole, source }, null when no role could be inferred
+   */
+  assignCallRole(roomId, socketId, declared = null, source = "declared") {
+    const info = this.roomInfo.get(roomId);
+    if (!info || !this.isUserInRoom(roomId, socketId)) {
+      return null;
+    }
+
+    if (declared) {
+      if (!isCallRole(declared)) {
+        throw new Error(`Unknown call role: ${declared}`);
+      }
+      info.callRoles.set(socketId, { callRole: declared, source });
+      return info.callRoles.get(socketId);
+    }
+
+    const current = info.callRoles.get(socketId);
+    if (current && current.source === "declared") {
+      return current;
+    }
+
+    const taken = Array.from(info.callRoles.entries())
+      .filter(([id]) => id !== socketId)
+      .map(([, assigned]) => assigned.callRole);
+    const counterpart = taken.map((callRole) => CALL_ROLES[callRole]).find((callRole) => !taken.includes(callRole));
+    const callRole = counterpart || (taken.length === 0 ? "caller" : null);
+
+    if (!callRole) {
+      return null;
+    }
+    info.callRoles.set(socketId, { callRole, source: "inferred" });
+    return info.callRoles.get(socketId);
+  }
+
+  getCallRole(roomId, socketId) {
+    const info = this.roomInfo.get(roomId);
+    return info ? info.callRoles.get(socketId) || null : null;
+  }
+
+  isHost(roomId, userId) {
+    return this.getRole(roomId, userId) === ROLES.HOST;
+  }
+
+  setLocked(roomId, locked) {
+    const info = this.roomInfo.get(roomId);
+    if (info) {
+      info.locked = Boolean(locked);
+    }
+  }
+
+  /**
+   * Keep a kicked user from rejoining the room
+   * @param {string} authUserId - Authenticated user ID (not the socket ID)
+   */
+  banUser(roomId, authUserId) {
+    const info = this.roomInfo.get(roomId);
+    if (info && authUserId) {
+      info.bannedUsers.add(authUserId);
+    }
+  }
+
+  getRoomInfo(roomId) {
+    const info = this.roomInfo.get(roomId);
+    if (!info) return null;
+
+    return {
+      roomId,
+      hostId: info.hostId,
+      maxParticipants: info.maxParticipants,
+      hasPasscode: Boolean(info.passcodeHash),
+      locked: info.locked,
+      createdAt: info.createdAt,
+      userCount: this.getUserCount(roomId),
+    };
+  }
+
+  /**
+   * Room members with their role, authenticated user ID and languages
+   */
+  getMembers(roomId) {
+    return this.getUsers(roomId).map((socketId) => this.getMember(roomId, socketId));
+  }
+
+  getMember(roomId, socketId) {
+    const participant = this.participants.get(socketId);
+    const callRole = this.getCallRole(roomId, socketId);
+    return {
+      socketId,
+      userId: participant && participant.userId ? participant.userId : socketId,
+      role: this.getRole(roomId, socketId),
+      callRole: callRole ? callRole.callRole : null,
+      callRoleSource: callRole ? callRole.source : null,
+      spokenLanguage: participant ? participant.spokenLanguage || null : null,
+      preferredLanguage: participant ? participant.preferredLanguage || null : null,
+    };
+  }
+
+  /**
+   * First room both users belong to, or null
+   */
+  getSharedRoom(userId, otherUserId) {
+    return this.getUserRooms(userId).find((roomId) => this.isUserInRoom(roomId, otherUserId)) || null;
+  }
+
+  getUsers(roomId) {
+    if (!this.rooms.has(roomId)) {
+      return [];
+    }
+    return Array.from(this.rooms.get(roomId));
+  }
+
+  getUserRooms(userId) {
+    if (!this.userRooms.has(userId)) {
+      return [];
+    }
+    return Array.from(this.userRooms.get(userId));
+  }
+
+  getRoomCount() {
+    return this.rooms.size;
+  }
+
+  getUserCount(roomId) {
+    if (!this.rooms.has(roomId)) {
+      return 0;
+    }
+    return this.rooms.get(roomId).size;
+  }
+
+  getAllRooms() {
+    return Array.from(this.rooms.keys());
+  }
+
+  isUserInRoom(roomId, userId) {
+    return this.rooms.has(roomId) && this.rooms.get(roomId).has(userId);
+  }
+
+  setParticipantInfo(userId, info) {
+    const updated = { ...this.participants.get(userId), ...info };
+    this.participants.set(userId, updated);
+    return updated;
+  }
+
+  getParticipantInfo(userId) {
+    return this.participants.get(userId) || null;
+  }
+
+  /**
+   * Socket IDs whose participant info has every given field value
+   * @param {Object} match - e.g. { workerId: 3 }
+   * @returns {string[]}
+   */
+  findParticipants(match) {
+    return Array.from(this.participants.entries())
+      .filter(([, info]) => Object.entries(match).every(([key, value]) => info[key] === value))
+      .map(([socketId]) => socketId);
+  }
+
+  /**
+   * Remove a socket from every room it joined and forget its participant info
+   * @returns {Object[]} { roomId, roomDeleted, newHostId } per room left
+   */
+  removeParticipant(userId) {
+    const departures = this.getUserRooms(userId).map((roomId) => ({
+      roomId,
+      ...this.removeUser(roomId, userId),
+    }));
+
+    this.participants.delete(userId);
+    return departures;
+  }
+
+  getListenerLanguages(roomId, speakerId) {
+    const languages = new Set();
+
+    for (const userId of this.getUsers(roomId)) {
+      const participant = this.participants.get(userId);
+      if (userId !== speakerId && participant && participant.preferredLanguage) {
+        languages.add(participant.preferredLanguage);
+      }
+    }
+
+    return Array.from(languages);
+  }
+
+  getConversation(roomId) {
+    if (!this.conversations.has(roomId)) {
+      this.conversations.set(roomId, new ConversationStore(roomId));
+    }
+    return this.conversations.get(roomId);
+  }
+
+  addMessage(roomId, message) {
+    return this.getConversation(roomId).addMessage(message);
+  }
+
+  getMessages(roomId) {
+    return this.conversations.has(roomId) ? this.conversations.get(roomId).getMessages() : [];
+  }
+
+  getMessageCount(roomId) {
+    return this.conversations.has(roomId) ? this.conversations.get(roomId).size() : 0;
+  }
+
+  clearMessages(roomId) {
+    if (this.conversations.has(roomId)) {
+      this.conversations.get(roomId).clear();
+    }
+  }
+
+  /**
+   * Fold an analysis into the room's cumulative call risk
+   * @param {string} roomId - Room ID
+   * @param {Object} speaker - { socketId, userId }
+   * @param {number} fraudScore - 0-100 score of the analysis
+   * @param {string} timestamp - When the utterance was spoken
+   * @param {Object[]} participants - { speakerSocketId, suspectScore, targetScore } from the analysis
+   * @returns {Object} Call risk state (see CallRiskTracker.update)
+   */
+  updateCallRisk(roomId, speaker, fraudScore, timestamp, participants = []) {
+    if (!this.callRisks.has(roomId)) {
+      this.callRisks.set(roomId, new CallRiskTracker(roomId));
+    }
+
+    // Participants who already left keep the user id and role they were tracked with
+    const scored = participants.map(({ speakerSocketId, suspectScore, targetScore }) => {
+      const member = this.isUserInRoom(roomId, speakerSocketId) ? this.getMember(roomId, speakerSocketId) : null;
+      return {
+        socketId: speakerSocketId,
+        userId: member ? member.userId : null,
+        callRole: member ? member.callRole : null,
+        suspectScore,
+        targetScore,
+      };
+    });
+
+    const speakerRole = this.getCallRole(roomId, speaker.socketId);
+    return this.callRisks.get(roomId).update(
+      { ...speaker, callRole: speakerRole ? speakerRole.callRole : null },
+      fraudScore,
+      timestamp,
+      scored
+    );
+  }
+
+  getCallRisk(roomId) {
+    return this.callRisks.has(roomId) ? this.callRisks.get(roomId).getState() : null;
+  }
+
+  /**
+   * Claim the room's post-call report; succeeds once per room. With a leaving
+   * socket it succeeds only when that socket is the last participant left
+   * (observers aside), i.e. when its departure ends the call.
+   * @param {string} roomId - Room ID
+   * @param {string} leavingSocketId - Socket about to leave, or null when the host ends the call
+   * @returns {boolean} Whether the caller should generate the report
+   */
+  claimCallReport(roomId, leavingSocketId = null) {
+    const info = this.roomInfo.get(roomId);
+    if (!info || info.callReportClaimed) {
+      return false;
+    }
+
+    if (leavingSocketId) {
+      const participants = this.getUsers(roomId).filter((socketId) => info.roles.get(socketId) !== ROLES.OBSERVER);
+      if (participants.length !== 1 || participants[0] !== leavingSocketId) {
+        return false;
+      }
+    }
+
+    info.callReportClaimed = true;
+    return true;
+  }
+
+  /**
+   * Record safety advice shown to a participant, so each piece is shown once per call
+   * @param {string} roomId - Room ID
+   * @param {string} socketId - Participant the advice is for
+   * @param {string[]} adviceIds - Advice about to be shown
+   * @returns {string[]} The advice IDs not shown to this participant before
+   */
+  markSafetyWarnings(roomId, socketId, adviceIds) {
+    if (!this.safetyWarnings.has(roomId)) {
+      this.safetyWarnings.set(roomId, new Map());
+    }
+
+    const room = this.safetyWarnings.get(roomId);
+    if (!room.has(socketId)) {
+      room.set(socketId, new Set());
+    }
+
+    const shown = room.get(socketId);
+    const fresh = adviceIds.filter((id) => !shown.has(id));
+    fresh.forEach((id) => shown.add(id));
+    return fresh;
+  }
+
+  getRoomSettings(roomId) {
+    return { ...DEFAULT_ROOM_SETTINGS, ...this.roomSettings.get(roomId) };
+  }
+
+  updateRoomSettings(roomId, settings = {}) {
+    const updated = { ...this.getRoomSettings(roomId) };
+
+    for (const key of Object.keys(DEFAULT_ROOM_SETTINGS)) {
+      if (settings[key] !== undefined) {
+        updated[key] = settings[key];
+      }
+    }
+
+    this.roomSettings.set(roomId, updated);
+    return updated;
+  }
+}
+
+function hashPasscode(passcode) {
+  return crypto.createHash("sha256").update(passcode).digest("hex");
+}
+
+// Methods a worker may call on the primary's store
+const ROOM_STORE_METHODS = [
+  "joinRoom",
+  "removeUser",
+  "getRole",
+  "assignCallRole",
+  "getCallRole",
+  "isHost",
+  "setLocked",
+  "banUser",
+  "getRoomInfo",
+  "getMembers",
+  "getMember",
+  "getSharedRoom",
+  "getUsers",
+  "getUserRooms",
+  "getRoomCount",
+  "getUserCount",
+  "getAllRooms",
+  "isUserInRoom",
+  "setParticipantInfo",
+  "getParticipantInfo",
+  "findParticipants",
+  "removeParticipant",
+  "getListenerLanguages",
+  "addMessage",
+  "getMessages",
+  "getMessageCount",
+  "clearMessages",
+  "updateCallRisk",
+  "getCallRisk",
+  "markSafetyWarnings",
+  "claimCallReport",
+  "getRoomSettings",
+  "updateRoomSettings",
+];
+
+/**
+ * Worker-side store that forwards every call to the primary's MemoryRoomStore
+ * and re-emits the primary's room events
+ */
+function createClusterRoomStore() {
+  return createPrimaryProxy("roomStore", ROOM_STORE_METHODS, ROOM_EVENTS);
+}
+
+module.exports = {
+  MemoryRoomStore,
+  createClusterRoomStore,
+  ROLES,
+  CALL_ROLES,
+  isCallRole,
+  ROOM_EVENTS,
+  ROOM_STORE_METHODS,
+};
\ No newline at end of file
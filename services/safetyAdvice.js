@@ -0,0 +1,118 @@
+/**
+ * Plain-language advice for the participant at risk, chosen from the local
+ * rule categories and catalog patterns an analysis matched. Carries no score
+ * or reasoning, so it is safe to show to a victim mid-call.
+ */
+const ADVICE = [
+  {
+    id: "never-share-otp",
+    ruleCategories: ["credential_request"],
+    patterns: ["kyc-update", "otp-bank-impersonation"],
+    text: {
+      en: "Do not share your OTP, PIN, CVV or passwords. Banks and officials never ask for them.",
+      hi: "अपना ओटीपी, पिन, सीवीवी या पासवर्ड किसी को न बताएं। बैंक या सरकारी अधिकारी इन्हें कभी नहीं मांगते।",
+    },
+  },
+  {
+    id: "no-pin-to-receive",
+    ruleCategories: ["payment_trick"],
+    patterns: ["upi-collect-request"],
+    text: {
+      en: "You never need to enter a UPI PIN or scan a QR code to receive money.",
+      hi: "पैसे पाने के लिए कभी भी यूपीआई पिन डालने या क्यूआर कोड स्कैन करने की ज़रूरत नहीं होती।",
+    },
+  },
+  {
+    id: "no-gift-cards",
+    ruleCategories: ["gift_card"],
+    patterns: ["gift-card-payment"],
+    text: {
+      en: "No bank, government office or company takes payment in gift cards or vouchers. Do not buy them or share their codes.",
+      hi: "कोई बैंक, सरकारी दफ़्तर या कंपनी गिफ्ट कार्ड या वाउचर से भुगतान नहीं लेती। इन्हें न खरीदें और इनके कोड किसी को न बताएं।",
+    },
+  },
+  {
+    id: "no-remote-access",
+    ruleCategories: ["remote_access"],
+    patterns: ["remote-access-support"],
+    text: {
+      en: "Do not install AnyDesk, TeamViewer or any screen-sharing app because a caller asked you to.",
+      hi: "किसी कॉलर के कहने पर एनीडेस्क, टीमव्यूअर या कोई स्क्रीन शेयरिंग ऐप इंस्टॉल न करें।",
+    },
+  },
+  {
+    id: "no-phone-arrest",
+    ruleCategories: ["authority_threat"],
+    patterns: ["digital-arrest", "courier-customs", "government-tax-impersonation"],
+    text: {
+      en: "Police, CBI and customs never arrest anyone over a phone or video call, or ask for money to close a case. Hang up and call 1930.",
+      hi: "पुलिस, सीबीआई या कस्टम फ़ोन या वीडियो कॉल पर किसी को गिरफ्तार नहीं करते और केस बंद करने के लिए पैसे नहीं मांगते। कॉल काटें और 1930 पर कॉल करें।",
+    },
+  },
+  {
+    id: "verify-independently",
+    ruleCategories: ["account_threat"],
+    patterns: ["electricity-disconnection"],
+    text: {
+      en: "Hang up and check with your bank or provider on the number printed on your card or bill before doing anything.",
+      hi: "कुछ भी करने से पहले कॉल काटें और अपने कार्ड या बिल पर छपे नंबर पर बैंक या कंपनी से पुष्टि करें।",
+    },
+  },
+  {
+    id: "no-upfront-payment",
+    ruleCategories: ["too_good_to_be_true"],
+    patterns: ["lottery-kbc", "task-investment", "fake-job-fee", "charity"],
+    text: {
+      en: "Real prizes, jobs and investments never ask you to pay a fee or buy gift cards first.",
+      hi: "असली इनाम, नौकरी या निवेश में पहले कोई फीस भरने या गिफ्ट कार्ड खरीदने को नहीं कहा जाता।",
+    },
+  },
+  {
+    id: "take-your-time",
+    ruleCategories: ["secrecy", "urgency"],
+    patterns: ["family-emergency", "romance"],
+    text: {
+      en: "Scammers rush you and ask you to keep secrets. Take your time and talk to your family before sending money.",
+      hi: "ठग जल्दबाज़ी करवाते हैं और बात छुपाने को कहते हैं। पैसे भेजने से पहले समय लें और परिवार से बात करें।",
+    },
+  },
+];
+
+// When nothing specific matched
+const GENERAL_ADVICE = {
+  id: "signs-of-fraud",
+  text: {
+    en: "This call shows signs of fraud. Do not share any codes or send money. Hang up and report it at 1930 or cybercrime.gov.in.",
+    hi: "इस कॉल में धोखाधड़ी के संकेत हैं। कोई कोड न बताएं और पैसे न भेजें। कॉल काटें और 1930 या cybercrime.gov.in पर शिकायत करें।",
+  },
+};
+
+/**
+ * Advice matching an analysis or a set of rule hits
+ * @param {Object} matches
+ * @param {Object[]} matches.ruleHits - Local rule hits ({ category })
+ * @param {string[]} matches.matchedPatterns - Catalog pattern ids
+ * @param {boolean} matches.general - Fall back to general advice when nothing specific matched
+ * @returns {Object[]} { id, text: { en, hi } }
+ */
+function adviceFor({ ruleHits = [], matchedPatterns = [], general = false }) {
+  const categories = new Set(ruleHits.map((hit) => hit.category));
+  const advice = ADVICE.filter((entry) =>
+    entry.ruleCategories.some((category) => categories.has(category)) ||
+    entry.patterns.some((pattern) => matchedPatterns.includes(pattern))
+  );
+
+  return advice.length > 0 || !general ? advice : [GENERAL_ADVICE];
+}
+
+/**
+ * Advice text in the listener's language, English when there is no translation
+ * @param {Object} advice - Entry from adviceFor()
+ * @param {string} language - Preferred language code, e.g. "hi"
+ */
+function localizeAdvice(advice, language) {
+  const code = (language || "en").split("-")[0];
+  return { id: advice.id, text: advice.text[code] || advice.text.en, language: advice.text[code] ? code : "en" };
+}
+
+module.exports = { adviceFor, localizeAdvice, ADVICE, GENERAL_ADVICE };
@@ -0,0 +1,337 @@
+/**
+ * Local scam indicator rules, evaluated without a network round trip.
+ *
+ * Each rule matches one of:
+ *   keywords - any listed term as a whole word or phrase
+ *   pattern  - a regular expression
+ *   near     - a term from each list within `within` words of each other
+ *
+ * A rule's optional patternId names the catalog pattern it is evidence of
+ * (see catalog/fraudPatterns.json).
+ *
+ * Terms cover English, Hindi (Devanagari and romanized Hinglish) and other
+ * Indian languages, since rules run on the original transcript as well as its
+ * English translation. Text is lowercased and NFC-normalized before matching.
+ */
+
+// Word edges for rule regular expressions. \b only understands ASCII, so an edge
+// is any character that is not a letter, mark or digit; an apostrophe followed
+// by a letter continues the word ("won't").
+const WORD_START = "(?<![\\p{L}\\p{M}\\p{N}])";
+const WORD_END = "(?![\\p{L}\\p{M}\\p{N}]|'\\p{L})";
+
+const RULES = [
+  {
+    id: "otp-request",
+    category: "credential_request",
+    label: "Asked to share an OTP or verification code",
+    weight: 45,
+    near: [
+      ["otp", "one time password", "one-time password", "verification code", "ओटीपी", "ओ टी पी", "ஓடிபி", "ఓటీపీ", "ওটিপি", "ഒടിപി"],
+      ["share", "tell", "read", "send", "give", "forward", "batao", "bataiye", "bata", "bolo", "bhejo", "dedo", "de do",
+        "बताओ", "बताइए", "बताइये", "बता", "बोलो", "भेजो", "भेजिए", "दे दो", "दीजिए", "சொல்லுங்க", "చెప్పండి", "বলুন"],
+    ],
+    within: 6,
+  },
+  {
+    id: "pin-request",
+    category: "credential_request",
+    label: "Asked for a UPI PIN, card PIN, CVV or password",
+    weight: 45,
+    near: [
+      ["upi pin", "mpin", "atm pin", "card pin", "cvv", "password", "pin number", "यूपीआई पिन", "पिन", "पासवर्ड", "सीवीवी"],
+      ["enter", "share", "tell", "type", "daalo", "dalo", "daal do", "batao", "bataiye", "डालो", "डालिए", "बताओ", "बताइए", "दे दो"],
+    ],
+    within: 6,
+  },
+  {
+    id: "qr-to-receive",
+    category: "payment_trick",
+    label: "Told to scan a QR code or enter a PIN to receive money",
+    patternId: "upi-collect-request",
+    weight: 40,
+    // Scanning a QR code or entering a PIN, then a word for receiving money
+    pattern: new RegExp(
+      `${WORD_START}(?:scan(?:\\s+\\S+){0,2}\\s+(?:qr|code)|(?:qr|क्यूआर)(?:\\s+(?:code|कोड))?\\s+(?:scan|स्कैन)` +
+        `|enter(?:\\s+\\S+){0,2}\\s+(?:pin|mpin))${WORD_END}` +
+        `.{0,40}${WORD_START}(?:receive|get|credit|मिलेगा|milega|paane|पाने)${WORD_END}`,
+      "u"
+    ),
+  },
+  {
+    id: "gift-card",
+    category: "gift_card",
+    label: "Payment requested in gift cards or vouchers",
+    patternId: "gift-card-payment",
+    weight: 40,
+    keywords: ["gift card", "gift cards", "google play card", "play store card", "itunes card", "amazon voucher",
+      "amazon gift", "steam card", "गिफ्ट कार्ड", "गिफ़्ट कार्ड"],
+  },
+  {
+    id: "remote-access",
+    category: "remote_access",
+    label: "Asked to install a remote access or screen sharing app",
+    patternId: "remote-access-support",
+    weight: 45,
+    keywords: ["anydesk", "any desk", "teamviewer", "team viewer", "quicksupport", "quick support", "rustdesk",
+      "airdroid", "screen share", "screen sharing", "एनीडेस्क", "एनी डेस्क", "टीमव्यूअर", "स्क्रीन शेयर"],
+  },
+  {
+    id: "digital-arrest",
+    category: "authority_threat",
+    label: "Threatened with a 'digital arrest' or arrest by an agency",
+    patternId: "digital-arrest",
+    weight: 50,
+    keywords: ["digital arrest", "digitally arrested", "डिजिटल अरेस्ट", "डिजिटल गिरफ्तारी", "digital giraftari"],
+  },
+  {
+    id: "arrest-threat",
+    category: "authority_threat",
+    label: "Threatened with arrest, a warrant or a police case",
+    weight: 35,
+    near: [
+      ["arrest", "arrested", "warrant", "fir", "giraftar", "giraftaar", "jail", "गिरफ्तार", "गिरफ़्तार", "वारंट",
+        "एफआईआर", "जेल", "अटक", "கைது", "అరెస్ట్", "গ্রেফতার"],
+      ["police", "cbi", "ed", "customs", "narcotics", "cyber cell", "crime branch", "court", "पुलिस", "सीबीआई",
+        "कस्टम", "कोर्ट", "साइबर", "காவல்", "పోలీస్", "পুলিশ"],
+    ],
+    within: 8,
+  },
+  {
+    id: "parcel-contraband",
+    category: "authority_threat",
+    label: "Claimed a parcel in the victim's name holds drugs or illegal items",
+    patternId: "courier-customs",
+    weight: 40,
+    near: [
+      ["parcel", "courier", "package", "fedex", "dhl", "पार्सल", "कूरियर"],
+      ["drugs", "narcotics", "mdma", "illegal", "fake passport", "passports", "seized", "ड्रग्स", "नशीले", "जब्त"],
+    ],
+    within: 10,
+  },
+  {
+    id: "kyc-expiry",
+    category: "account_threat",
+    label: "Claimed KYC must be updated or the account will be blocked",
+    patternId: "kyc-update",
+    weight: 35,
+    near: [
+      ["kyc", "केवाईसी", "के वाई सी", "pan", "aadhaar", "aadhar", "आधार", "पैन"],
+      ["update", "expire", "expired", "expiring", "block", "blocked", "suspend", "link", "band", "बंद", "अपडेट", "ब्लॉक"],
+    ],
+    within: 6,
+  },
+  {
+    id: "account-blocked",
+    category: "account_threat",
+    label: "Claimed a bank account, card or SIM will be blocked",
+    weight: 25,
+    near: [
+      ["account", "khata", "card", "sim", "number", "खाता", "अकाउंट", "कार्ड", "सिम"],
+      ["block", "blocked", "freeze", "frozen", "suspend", "suspended", "deactivate", "band ho", "बंद", "ब्लॉक", "फ्रीज"],
+    ],
+    within: 5,
+  },
+  {
+    id: "utility-disconnection",
+    category: "account_threat",
+    label: "Threatened to cut electricity or gas tonight unless paid",
+    patternId: "electricity-disconnection",
+    weight: 30,
+    near: [
+      ["electricity", "bijli", "light", "power", "gas connection", "बिजली", "लाइट"],
+      ["cut", "disconnect", "disconnected", "kaat", "kat", "कट", "काट", "कटेगी", "काट दी"],
+    ],
+    within: 6,
+  },
+  {
+    id: "money-transfer",
+    category: "payment_request",
+    label: "Asked to transfer or deposit money",
+    weight: 20,
+    near: [
+      ["transfer", "send", "pay", "deposit", "bhejo", "bhej do", "jama", "bharo", "भेजो", "भेज दो", "जमा", "ट्रांसफर", "भरो"],
+      ["money", "amount", "fee", "fees", "charges", "fine", "rupees", "rs", "₹", "paisa", "paise", "rupaye", "पैसे", "पैसा",
+        "रुपये", "रुपए", "जुर्माना", "फीस"],
+    ],
+    within: 6,
+  },
+  {
+    id: "prize-lottery",
+    category: "too_good_to_be_true",
+    label: "Claimed the victim won a prize, lottery or lucky draw",
+    patternId: "lottery-kbc",
+    weight: 30,
+    keywords: ["lottery", "lucky draw", "you have won", "you won", "kbc", "kaun banega crorepati", "jackpot", "inaam",
+      "लॉटरी", "इनाम", "लकी ड्रा", "जीत गए", "जीते हैं"],
+  },
+  {
+    id: "guaranteed-returns",
+    category: "too_good_to_be_true",
+    label: "Promised guaranteed or doubled investment returns",
+    patternId: "task-investment",
+    weight: 35,
+    keywords: ["guaranteed return", "guaranteed returns", "double your money", "money double", "paisa double",
+      "risk free", "no risk", "पैसा डबल", "पैसे डबल", "गारंटीड रिटर्न"],
+  },
+  {
+    id: "secrecy",
+    category: "secrecy",
+    label: "Asked to keep the call secret",
+    weight: 25,
+    keywords: ["don't tell anyone", "do not tell anyone", "keep this secret", "keep it secret", "between us",
+      "kisi ko mat batana", "kisi ko mat bolna", "kisi ko na batayein", "किसी को मत बताना", "किसी को न बताएं",
+      "किसी को मत बताइए", "यह बात गुप्त"],
+  },
+  {
+    id: "urgency",
+    category: "urgency",
+    label: "Pressured to act immediately",
+    weight: 10,
+    keywords: ["immediately", "right now", "within 24 hours", "last chance", "today only", "turant", "abhi ke abhi",
+      "jaldi karo", "तुरंत", "अभी के अभी", "जल्दी करो", "உடனே", "వెంటనే", "এখনই"],
+  },
+];
+
+/**
+ * Evaluates RULES against transcript text
+ */
+class ScamRuleEngine {
+  constructor(rules = RULES) {
+    this.rules = rules.map(compileRule);
+  }
+
+  /**
+   * Match every rule against one or more texts
+   * @param {Object[]} texts - { text, source } e.g. source "original" or "translation"
+   * @returns {Object} { score, hits } - hits are { id, category, label, weight, patternId, match, source }, one per rule
+   */
+  evaluate(texts) {
+    const hits = new Map();
+
+    for (const { text, source } of texts) {
+      if (!text) continue;
+
+      const normalized = normalize(text);
+      const words = tokenize(normalized);
+
+      for (const rule of this.rules) {
+        if (hits.has(rule.id)) continue;
+
+        const match = rule.match(normalized, words);
+        if (match) {
+          hits.set(rule.id, {
+            id: rule.id,
+            category: rule.category,
+            label: rule.label,
+            weight: rule.weight,
+            patternId: rule.patternId || null,
+            match,
+            source,
+          });
+        }
+      }
+    }
+
+    const hitList = Array.from(hits.values());
+    return { score: combineWeights(hitList), hits: hitList };
+  }
+}
+
+/**
+ * Combine hit weights like independent probabilities, so several weak
+ * signals add up but no combination exceeds 100
+ */
+function combineWeights(hits) {
+  const clean = hits.reduce((product, hit) => product * (1 - hit.weight / 100), 1);
+  return Math.round((1 - clean) * 100);
+}
+
+function normalize(text) {
+  return text.normalize("NFC").toLowerCase().replace(/[’']/g, "'");
+}
+
+/**
+ * Split into words; combining marks stay with their letters so Indic words
+ * are kept whole
+ */
+function tokenize(text) {
+  return text.match(/[\p{L}\p{M}\p{N}₹']+/gu) || [];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Whole-word matcher for a list of terms
+ */
+function termsRegExp(terms) {
+  const alternatives = terms
+    .map((term) => normalize(term).split(/\s+/).map(escapeRegExp).join("\\s+"))
+    .join("|");
+  return new RegExp(`${WORD_START}(?:${alternatives})${WORD_END}`, "u");
+}
+
+function compileRule(rule) {
+  let match;
+
+  if (rule.keywords) {
+    const regExp = termsRegExp(rule.keywords);
+    match = (text) => {
+      const found = text.match(regExp);
+      return found ? found[0] : null;
+    };
+  } else if (rule.pattern) {
+    match = (text) => {
+      const found = text.match(rule.pattern);
+      return found ? found[0] : null;
+    };
+  } else if (rule.near) {
+    const [first, second] = rule.near.map((terms) => terms.map((term) => tokenize(normalize(term))));
+    match = (text, words) => matchNear(words, first, second, rule.within);
+  } else {
+    throw new Error(`Rule ${rule.id} has no keywords, pattern or near terms`);
+  }
+
+  return { ...rule, match };
+}
+
+/**
+ * Find a term from each list within `within` words of each other
+ * @param {string[]} words - Tokenized text
+ * @param {string[][]} first - Tokenized terms
+ * @param {string[][]} second - Tokenized terms
+ * @returns {string|null} The matched span
+ */
+function matchNear(words, first, second, within) {
+  const positions = (terms) => {
+    const found = [];
+    words.forEach((word, index) => {
+      for (const term of terms) {
+        if (term.length > 0 && term.every((part, offset) => words[index + offset] === part)) {
+          found.push({ start: index, end: index + term.length - 1 });
+        }
+      }
+    });
+    return found;
+  };
+
+  const secondPositions = positions(second);
+  if (secondPositions.length === 0) {
+    return null;
+  }
+
+  for (const a of positions(first)) {
+    for (const b of secondPositions) {
+      const gap = a.start <= b.start ? b.start - a.end : a.start - b.end;
+      if (gap > 0 && gap <= within) {
+        return words.slice(Math.min(a.start, b.start), Math.max(a.end, b.end) + 1).join(" ");
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = { ScamRuleEngine, RULES, combineWeights };
@@ -0,0 +1,183 @@
+const { randomUUID } = require("crypto");
+const { createPrimaryProxy } = require("./clusterRpc");
+const config = require("../config");
+
+/**
+ * Records one session per room lifetime into a session store:
+ * start/end times, participants and every pipeline output in order
+ */
+class SessionRecorder {
+  constructor(store) {
+    this.store = store;
+    this.activeSessions = new Map(); // roomId -> session metadata
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Follow room lifecycle events from a RoomManager or RoomStore
+   * @param {EventEmitter} rooms
+   */
+  attach(rooms) {
+    rooms.on("room-created", (roomId) => this.startSession(roomId));
+    rooms.on("user-added", (roomId, socketId, member) => this.addParticipant(roomId, socketId, member));
+    rooms.on("user-removed", (roomId, socketId) => this.removeParticipant(roomId, socketId));
+    rooms.on("room-deleted", (roomId) => this.endSession(roomId));
+  }
+
+  startSession(roomId) {
+    const session = {
+      id: randomUUID(),
+      roomId,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      participants: [],
+    };
+
+    this.activeSessions.set(roomId, session);
+    console.log(`💾 [Sessions] Started session ${session.id} for room ${roomId}`);
+
+    this.persist(this.store.createSession(session), "create session");
+    return session;
+  }
+
+  addParticipant(roomId, socketId, info = null) {
+    const session = this.activeSessions.get(roomId);
+    if (!session) return;
+
+    session.participants.push({
+      userId: info && info.userId ? info.userId : socketId,
+      socketId,
+      joinedAt: new Date().toISOString(),
+      leftAt: null,
+      spokenLanguage: info ? info.spokenLanguage : null,
+      preferredLanguage: info ? info.preferredLanguage : null,
+      role: info ? info.role : null,
+    });
+
+    this.persist(this.store.updateSession(session.id, { participants: session.participants }), "add participant");
+  }
+
+  removeParticipant(roomId, socketId) {
+    const session = this.activeSessions.get(roomId);
+    if (!session) return;
+
+    const participant = session.participants.find((p) => p.socketId === socketId && !p.leftAt);
+    if (!participant) return;
+
+    participant.leftAt = new Date().toISOString();
+    this.persist(this.store.updateSession(session.id, { participants: session.participants }), "remove participant");
+  }
+
+  /**
+   * Record a pipeline output for the room's active session
+   * @param {string} roomId - Room ID
+   * @param {string} speakerId - Speaker's authenticated user ID
+   * @param {Object} pipelineOutput - Output emitted by TranscribeTranslatePipeline
+   */
+  recordOutput(roomId, speakerId, pipelineOutput) {
+    const session = this.activeSessions.get(roomId);
+    if (!session) return;
+
+    this.persist(
+      this.store.appendEvent(session.id, {
+        type: "pipeline-output",
+        speaker: speakerId,
+        recordedAt: new Date().toISOString(),
+        ...pipelineOutput,
+      }),
+      "record output"
+    );
+  }
+
+  endSession(roomId) {
+    const session = this.activeSessions.get(roomId);
+    if (!session) return null;
+
+    this.activeSessions.delete(roomId);
+    session.endedAt = new Date().toISOString();
+
+    for (const participant of session.participants) {
+      participant.leftAt = participant.leftAt || session.endedAt;
+    }
+
+    console.log(`💾 [Sessions] Ended session ${session.id} for room ${roomId}`);
+
+    return this.persist(
+      this.store.updateSession(session.id, { endedAt: session.endedAt, participants: session.participants }),
+      "end session"
+    );
+  }
+
+  /**
+   * End every active session (server shutdown)
+   */
+  async endAll() {
+    await Promise.all(Array.from(this.activeSessions.keys()).map((roomId) => this.endSession(roomId)));
+  }
+
+  getSessionId(roomId) {
+    const session = this.activeSessions.get(roomId);
+    return session ? session.id : null;
+  }
+
+  /**
+   * Purge ended sessions older than the retention period, now and periodically
+   */
+  startRetention(retentionDays = config.SESSION_RETENTION_DAYS) {
+    if (!retentionDays || retentionDays <= 0) {
+      console.log(`💾 [Sessions] Retention disabled, sessions are kept forever`);
+      return;
+    }
+
+    const purge = async () => {
+      try {
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+        const purged = await this.store.purgeEndedBefore(cutoff);
+        if (purged > 0) {
+          console.log(`🗑️  [Sessions] Purged ${purged} session(s) ended before ${cutoff}`);
+        }
+      } catch (error) {
+        console.error(`❌ [Sessions] Purge failed:`, error.message);
+      }
+    };
+
+    purge();
+    this.purgeTimer = setInterval(purge, config.SESSION_PURGE_INTERVAL_MS);
+    this.purgeTimer.unref();
+  }
+
+  stopRetention() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+
+  /**
+   * Store writes run in the background; log failures instead of crashing the call
+   */
+  persist(promise, action) {
+    return promise.catch((error) => {
+      console.error(`❌ [Sessions] Failed to ${action}:`, error.message);
+    });
+  }
+}
+
+/**
+ * Worker-side recorder for cluster mode: sessions are recorded by the
+ * primary, which sees every room's lifecycle
+ */
+function createClusterSessionRecorder() {
+  const proxy = createPrimaryProxy("sessionRecorder", ["recordOutput", "getSessionId"]);
+
+  return {
+    recordOutput(roomId, speakerId, pipelineOutput) {
+      proxy.recordOutput(roomId, speakerId, pipelineOutput).catch((error) => {
+        console.error(`❌ [Sessions] Failed to record output:`, error.message);
+      });
+    },
+    getSessionId: (roomId) => proxy.getSessionId(roomId),
+  };
+}
+
+module.exports = { SessionRecorder, createClusterSessionRecorder };
@@ -0,0 +1,288 @@
+const fs = require("fs/promises");
+const path = require("path");
+const config = require("../config");
+
+/**
+ * Session stores persist call sessions: session metadata (room, start/end,
+ * participants) plus every pipeline output in the order it was produced.
+ *
+ * Every store implements the same async interface:
+ *   createSession(session), updateSession(id, changes), appendEvent(id, event),
+ *   getSession(id), getEvents(id), saveReport(id, report), getReport(id),
+ *   listSessions(query), purgeEndedBefore(cutoff)
+ */
+
+/**
+ * In-memory store, useful for development; nothing survives a restart
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+    this.events = new Map();
+    this.reports = new Map();
+  }
+
+  async createSession(session) {
+    this.sessions.set(session.id, { ...session, eventCount: 0 });
+    this.events.set(session.id, []);
+    return this.sessions.get(session.id);
+  }
+
+  async updateSession(id, changes) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    Object.assign(session, changes);
+    return session;
+  }
+
+  async appendEvent(id, event) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return;
+    }
+    this.events.get(id).push(event);
+    session.eventCount++;
+  }
+
+  async getSession(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  async getEvents(id) {
+    return this.events.get(id) || null;
+  }
+
+  async saveReport(id, report) {
+    if (!this.sessions.has(id)) {
+      return null;
+    }
+    this.reports.set(id, report);
+    return report;
+  }
+
+  async getReport(id) {
+    return this.reports.get(id) || null;
+  }
+
+  async listSessions({ roomId = null, limit = 50, offset = 0 } = {}) {
+    const sessions = Array.from(this.sessions.values())
+      .filter((session) => !roomId || session.roomId === roomId)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+    return { total: sessions.length, sessions: sessions.slice(offset, offset + limit) };
+  }
+
+  async purgeEndedBefore(cutoff) {
+    let purged = 0;
+
+    for (const [id, session] of this.sessions.entries()) {
+      if (session.endedAt && session.endedAt < cutoff) {
+        this.sessions.delete(id);
+        this.events.delete(id);
+        this.reports.delete(id);
+        purged++;
+      }
+    }
+
+    return purged;
+  }
+}
+
+/**
+ * File-based store: one JSON metadata file and one JSON-lines event log per
+ * session, plus a JSON post-call report once the call has ended.
+ * Writes for a session are serialized so events keep their order on disk.
+ */
+class FileSessionStore {
+  constructor(directory = config.SESSION_STORE_DIR) {
+    this.directory = path.resolve(directory);
+    this.writeQueues = new Map();
+    this.ready = fs.mkdir(this.directory, { recursive: true });
+  }
+
+  metadataPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  eventsPath(id) {
+    return path.join(this.directory, `${id}.events.jsonl`);
+  }
+
+  reportPath(id) {
+    return path.join(this.directory, `${id}.report.json`);
+  }
+
+  /**
+   * Queue a write behind earlier writes for the same session
+   */
+  enqueue(id, task) {
+    const previous = this.writeQueues.get(id) || this.ready;
+    const next = previous.catch(() => {}).then(task);
+
+    this.writeQueues.set(id, next);
+    next.catch(() => {}).finally(() => {
+      if (this.writeQueues.get(id) === next) {
+        this.writeQueues.delete(id);
+      }
+    });
+
+    return next;
+  }
+
+  async readMetadata(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.metadataPath(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async createSession(session) {
+    return this.enqueue(session.id, async () => {
+      const stored = { ...session, eventCount: 0 };
+      await fs.writeFile(this.metadataPath(session.id), JSON.stringify(stored, null, 2));
+      await fs.writeFile(this.eventsPath(session.id), "");
+      return stored;
+    });
+  }
+
+  async updateSession(id, changes) {
+    return this.enqueue(id, async () => {
+      const session = await this.readMetadata(id);
+      if (!session) {
+        return null;
+      }
+      const updated = { ...session, ...changes };
+      await fs.writeFile(this.metadataPath(id), JSON.stringify(updated, null, 2));
+      return updated;
+    });
+  }
+
+  async appendEvent(id, event) {
+    return this.enqueue(id, async () => {
+      const session = await this.readMetadata(id);
+      if (!session) {
+        return;
+      }
+      await fs.appendFile(this.eventsPath(id), `${JSON.stringify(event)}\n`);
+      session.eventCount++;
+      await fs.writeFile(this.metadataPath(id), JSON.stringify(session, null, 2));
+    });
+  }
+
+  async getSession(id) {
+    if (!isSafeId(id)) {
+      return null;
+    }
+    await this.ready;
+    return this.readMetadata(id);
+  }
+
+  async getEvents(id) {
+    if (!isSafeId(id)) {
+      return null;
+    }
+
+    try {
+      const content = await fs.readFile(this.eventsPath(id), "utf8");
+      return content
+        .split("\n")
+        .filter((line) => line.trim().length > 0)
+        .map((line) => JSON.parse(line));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async saveReport(id, report) {
+    return this.enqueue(id, async () => {
+      if (!(await this.readMetadata(id))) {
+        return null;
+      }
+      await fs.writeFile(this.reportPath(id), JSON.stringify(report, null, 2));
+      return report;
+    });
+  }
+
+  async getReport(id) {
+    if (!isSafeId(id)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.reportPath(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async listSessions({ roomId = null, limit = 50, offset = 0 } = {}) {
+    await this.ready;
+
+    const files = (await fs.readdir(this.directory))
+      .filter((file) => file.endsWith(".json") && !file.endsWith(".report.json"));
+
+    const sessions = [];
+    for (const file of files) {
+      const session = await this.readMetadata(path.basename(file, ".json"));
+      if (session && (!roomId || session.roomId === roomId)) {
+        sessions.push(session);
+      }
+    }
+
+    sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    return { total: sessions.length, sessions: sessions.slice(offset, offset + limit) };
+  }
+
+  async purgeEndedBefore(cutoff) {
+    const { sessions } = await this.listSessions({ limit: Infinity });
+    let purged = 0;
+
+    for (const session of sessions) {
+      if (session.endedAt && session.endedAt < cutoff) {
+        await this.enqueue(session.id, async () => {
+          await fs.rm(this.metadataPath(session.id), { force: true });
+          await fs.rm(this.eventsPath(session.id), { force: true });
+          await fs.rm(this.reportPath(session.id), { force: true });
+        });
+        purged++;
+      }
+    }
+
+    return purged;
+  }
+}
+
+/**
+ * Session ids are generated UUIDs; reject anything that could escape the directory
+ */
+function isSafeId(id) {
+  return typeof id === "string" && /^[A-Za-z0-9-]+$/.test(id);
+}
+
+/**
+ * Create the session store selected by config.SESSION_STORE ("file" or "memory")
+ */
+function createSessionStore(type = config.SESSION_STORE) {
+  switch (type) {
+    case "memory":
+      return new MemorySessionStore();
+    case "file":
+      return new FileSessionStore(config.SESSION_STORE_DIR);
+    default:
+      throw new Error(`Unknown session store: ${type}`);
+  }
+}
+
+module.exports = { MemorySessionStore, FileSessionStore, createSessionStore };
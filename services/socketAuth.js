@@ -0,0 +1,114 @@
+const fs = require("fs");
+const jwt = require("jsonwebtoken");
+const config = require("../config");
+
+/**
+ * Key used to verify tokens: an RS256 public key when configured,
+ * otherwise the shared HS256 secret
+ */
+function loadVerificationKey() {
+  if (config.JWT_PUBLIC_KEY_FILE) {
+    return { key: fs.readFileSync(config.JWT_PUBLIC_KEY_FILE, "utf8"), algorithms: ["RS256"] };
+  }
+
+  if (config.JWT_PUBLIC_KEY) {
+    // Allow PEM keys passed through env with escaped newlines
+    return { key: config.JWT_PUBLIC_KEY.replace(/\\n/g, "\n"), algorithms: ["RS256"] };
+  }
+
+  if (config.JWT_SECRET) {
+    return { key: config.JWT_SECRET, algorithms: ["HS256"] };
+  }
+
+  return null;
+}
+
+/**
+ * Verify a signed token and extract the user it represents
+ * @param {string} token - JWT from the client
+ * @returns {Object} { id, rooms } where rooms may contain "*" for any room
+ */
+function verifyToken(token, verification = loadVerificationKey()) {
+  if (!verification) {
+    throw new Error("Token verification key is not configured");
+  }
+
+  if (!token) {
+    throw new Error("Missing token");
+  }
+
+  const claims = jwt.verify(token, verification.key, {
+    algorithms: config.JWT_ALGORITHMS.length > 0 ? config.JWT_ALGORITHMS : verification.algorithms,
+    issuer: config.JWT_ISSUER || undefined,
+    audience: config.JWT_AUDIENCE || undefined,
+  });
+
+  if (!claims.sub) {
+    throw new Error("Token has no subject (user id)");
+  }
+
+  const rooms = claims[config.JWT_ROOMS_CLAIM];
+
+  return {
+    id: String(claims.sub),
+    rooms: Array.isArray(rooms) ? rooms.map(String) : [],
+  };
+}
+
+/**
+ * Read the token from the Socket.IO auth payload or an Authorization header
+ */
+function getHandshakeToken(handshake) {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const header = handshake.headers && handshake.headers.authorization;
+  if (header && header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length);
+  }
+
+  return null;
+}
+
+/**
+ * Socket.IO handshake middleware that verifies the token and stores the
+ * authenticated user on socket.data.user
+ */
+function createSocketAuthMiddleware() {
+  const verification = loadVerificationKey();
+
+  if (!config.AUTH_ENABLED) {
+    console.warn(`⚠️  [Auth] Socket authentication is DISABLED - every connection may join any room`);
+  } else if (!verification) {
+    console.error(`❌ [Auth] AUTH_ENABLED but neither JWT_SECRET nor JWT_PUBLIC_KEY is set - all connections will be rejected`);
+  }
+
+  return (socket, next) => {
+    if (!config.AUTH_ENABLED) {
+      socket.data.user = { id: socket.id, rooms: ["*"] };
+      return next();
+    }
+
+    try {
+      socket.data.user = verifyToken(getHandshakeToken(socket.handshake), verification);
+      console.log(`🔐 [Auth] Socket ${socket.id} authenticated as ${socket.data.user.id}`);
+      next();
+    } catch (error) {
+      console.warn(`⚠️  [Auth] Rejected socket ${socket.id}: ${error.message}`);
+
+      const authError = new Error("Unauthorized");
+      authError.data = { reason: error.message };
+      next(authError);
+    }
+  };
+}
+
+/**
+ * Whether the authenticated user may join the room
+ */
+function canJoinRoom(user, roomId) {
+  return Boolean(user) && (user.rooms.includes("*") || user.rooms.includes(roomId));
+}
+
+module.exports = { verifyToken, createSocketAuthMiddleware, canJoinRoom, loadVerificationKey };
@@ -1,28 +1,56 @@
 const { TranscriptionService } = require("./transcriptionService");
 const { TranslationService } = require("./translationService");
-const { BedrockScamDetectionService } = require("./bedrockScamDetectionService");
+const { BedrockScamDetectionService } = require("./bedrockscamdetectionservice");
+const { ScamRuleEngine, combineWeights } = require("./scamRuleEngine");
+const { getAnalysisScheduler, isNotAnalyzed } = require("./analysisScheduler");
+const { getPatternCatalog } = require("./patternCatalog");
+const { riskLevelForScore } = require("./callRiskTracker");
+const { resolveLanguage } = require("./languages");
+const { redactPii, redactForLog } = require("./piiRedactor");
+const { metrics, recordAudio } = require("./metrics");
+const config = require("../config");
 
 /**
  * Simplified Pipeline: Transcription → Translation → Bedrock Fraud Analysis
  * Analyzes ALL participants equally for fraud detection
+ *
+ * Rules and Bedrock see the raw text; OTPs, card numbers and other
+ * identifiers are redacted per the room's piiRedaction policy only in what
+ * the pipeline emits.
  */
 class TranscribeTranslatePipeline {
-  constructor(roomId, userId) {
+  constructor(roomId, userId, roomManager = null) {
     this.roomId = roomId;
     this.userId = userId;
+    this.roomManager = roomManager;
     this.transcriptionService = null;
     this.translationService = null;
     this.bedrockService = null;
+    this.ruleEngine = config.RULE_ENGINE_ENABLED ? new ScamRuleEngine() : null;
+    this.analysisScheduler = null;
     this.isActive = false;
     this.pipelineCallback = null;
+    this.partialCallback = null;
+    this.redFlagCallback = null;
+    this.raisedRedFlags = new Set(); // "resultId:ruleId" already reported
+    this.redactionPolicy = config.PII_REDACTION; // Room policy as last read
+    this.spokenLanguage = null;
+    this.sourceLanguage = null;
     this.detectedLanguage = null;
+    this.autoDetectLanguage = false;
+    this.finalizedResultIds = new Set();
+    this.startArgs = null; // start() arguments, for restart()
     
     // Pipeline statistics
     this.stats = {
+      partialsReceived: 0,
       transcriptionsReceived: 0,
       translationsCompleted: 0,
       analysesCompleted: 0,
+      redFlagsRaised: 0,
+      ruleFallbacks: 0,
       errors: 0,
+      restarts: 0,
       startTime: null,
       lastActivityTime: null,
     };
@@ -30,10 +58,29 @@ class TranscribeTranslatePipeline {
 
   /**
    * Start the pipeline with all three services
+   * @param {Function} onPipelineOutput - Callback for finalized utterances
+   * @param {Object} options - Optional configuration
+   * @param {Function} options.onPartialOutput - Callback for live-caption partial results
+   * @param {string} options.spokenLanguage - Transcribe locale the participant speaks (e.g. "ta-IN")
+   * @param {boolean} options.autoDetectLanguage - Identify the spoken language per utterance
+   * @param {Object} options.audioFormat - Client audio format from resolveAudioFormat()
+   * @param {Function} options.onTranscriptionStatus - Callback for transcription stream continuity changes
+   * @param {Function} options.onRedFlag - Callback for instant local rule hits
    */
   async start(onPipelineOutput, options = {}) {
     try {
+      this.startArgs = { onPipelineOutput, options };
       this.pipelineCallback = onPipelineOutput;
+      this.partialCallback = options.onPartialOutput || null;
+      this.redFlagCallback = options.onRedFlag || null;
+
+      const spokenLanguage = resolveLanguage(options.spokenLanguage || config.TRANSCRIBE_LANGUAGE_CODE);
+      if (!spokenLanguage) {
+        throw new Error(`Unsupported spoken language: ${options.spokenLanguage}`);
+      }
+      this.spokenLanguage = spokenLanguage.locale;
+      this.sourceLanguage = options.sourceLanguage || spokenLanguage.translateCode;
+      this.autoDetectLanguage = options.autoDetectLanguage ?? config.ENABLE_LANGUAGE_IDENTIFICATION;
       this.stats.startTime = new Date().toISOString();
 
       console.log(`\n${'='.repeat(80)}`);
@@ -41,25 +88,33 @@ class TranscribeTranslatePipeline {
       console.log(`${'='.repeat(80)}`);
       console.log(`   User ID: ${this.userId}`);
       console.log(`   Room ID: ${this.roomId}`);
+      console.log(`   Spoken Language: ${this.spokenLanguage}`);
+      console.log(`   Language Identification: ${this.autoDetectLanguage ? "ENABLED" : "DISABLED"}`);
       console.log(`   Fraud Detection: ENABLED (All participants)`);
       console.log(`${'='.repeat(80)}\n`);
 
       // Initialize Bedrock Service
       console.log(`📍 [PIPELINE STEP 1/3] Initializing Bedrock Fraud Detection...`);
-      this.bedrockService = new BedrockScamDetectionService(this.roomId, this.userId);
+      const conversation = this.roomManager
+        ? this.roomManager.getConversation(this.roomId)
+        : null;
+      this.bedrockService = new BedrockScamDetectionService(this.roomId, this.userId, conversation);
       const bedrockStarted = await this.bedrockService.start();
 
       if (!bedrockStarted) {
         throw new Error("Failed to start Bedrock Service");
       }
 
+      this.analysisScheduler = getAnalysisScheduler(this.roomId);
+      this.analysisScheduler.register(this.userId);
+
       // Initialize Translation Service
       console.log(`📍 [PIPELINE STEP 2/3] Initializing Translation Service...`);
       this.translationService = new TranslationService(this.roomId, this.userId);
       const translationStarted = await this.translationService.start(
         this.handleTranslationOutput.bind(this),
         {
-          sourceLanguage: options.sourceLanguage || "hi",
+          sourceLanguage: this.sourceLanguage,
           targetLanguage: options.targetLanguage || "en",
         }
       );
@@ -71,7 +126,15 @@ class TranscribeTranslatePipeline {
       // Initialize Transcription Service
       console.log(`📍 [PIPELINE STEP 3/3] Initializing Transcription Service...`);
       this.transcriptionService = new TranscriptionService(this.roomId, this.userId);
-      await this.transcriptionService.start(this.handleTranscriptionOutput.bind(this));
+      await this.transcriptionService.start(this.handleTranscriptionOutput.bind(this), {
+        languageCode: this.spokenLanguage,
+        identifyLanguage: this.autoDetectLanguage,
+        audioFormat: options.audioFormat,
+        onPartialTranscript: this.partialCallback || this.ruleEngine
+          ? this.handlePartialTranscriptionOutput.bind(this)
+          : null,
+        onStatus: options.onTranscriptionStatus || null,
+      });
 
       this.isActive = true;
 
@@ -91,20 +154,164 @@ class TranscribeTranslatePipeline {
     }
   }
 
+  /**
+   * Handle stabilized partial transcription output (live captions).
+   * Translation and analysis only run when the room opted in; partials are
+   * translated for every listener like final results, and their analyses
+   * share the room's scheduler.
+   */
+  async handlePartialTranscriptionOutput(transcript, metadata = {}) {
+    try {
+      this.stats.partialsReceived++;
+      this.updateDetectedLanguage(metadata.languageCode);
+
+      // Rules run on every partial so red flags surface mid-sentence
+      this.checkRedFlags([{ text: transcript, source: "original" }], metadata.resultId, true);
+
+      if (!this.partialCallback) {
+        return;
+      }
+
+      const settings = this.roomManager
+        ? await this.roomManager.getRoomSettings(this.roomId)
+        : {};
+      let translations = {};
+      let analysisResult = null;
+
+      if (settings.translatePartials && this.translationService && this.translationService.isActive) {
+        const translationResult = await this.translationService.translateText(
+          transcript,
+          this.detectedLanguage,
+          { resultId: metadata.resultId, partial: true }
+        );
+
+        if (translationResult) {
+          [translations, analysisResult] = await Promise.all([
+            this.translateForListeners(translationResult),
+            settings.analyzePartials ? this.analyzePartial(translationResult) : null,
+          ]);
+        }
+      }
+
+      // The final result may have arrived while translating/analyzing
+      if (!this.partialCallback || this.finalizedResultIds.has(metadata.resultId)) {
+        return;
+      }
+
+      this.redactionPolicy = settings.piiRedaction || config.PII_REDACTION;
+      const redact = (text) => redactPii(text, this.redactionPolicy).text;
+
+      this.partialCallback({
+        userId: this.userId,
+        roomId: this.roomId,
+        resultId: metadata.resultId,
+        transcription: {
+          text: redact(transcript),
+          stableText: redact(metadata.stableText || ""),
+          language: this.detectedLanguage || this.sourceLanguage,
+        },
+        translations: Object.fromEntries(
+          Object.entries(translations).map(([language, text]) => [language, redact(text)])
+        ),
+        fraudAnalysis: analysisResult ? {
+          status: analysisResult.status || "ok",
+          summary: redact(analysisResult.summary),
+          fraudScore: analysisResult.fraudScore,
+          riskLevel: analysisResult.riskLevel,
+        } : null,
+        timestamp: new Date().toISOString(),
+      });
+
+    } catch (error) {
+      console.error(`\n❌ [STAGE 1: PARTIAL] Error:`, error.message);
+      this.stats.errors++;
+    }
+  }
+
+  /**
+   * Analyze a partial result on the room's scheduler. A newer partial
+   * replaces the speaker's pending one rather than being appended to it, and
+   * partial analyses are keyed apart from final ones so neither supersedes
+   * the other.
+   * @param {Object} translationResult - Partial translated into the analysis language
+   * @returns {Promise<Object|null>} Analysis, or null when not analyzed
+   */
+  async analyzePartial(translationResult) {
+    if (!this.analysisScheduler || !this.bedrockService || !this.bedrockService.isActive) {
+      return null;
+    }
+
+    const callRole = await this.getCallRole();
+    const { analysis } = await this.analysisScheduler.schedule(
+      this.partialAnalysisKey(),
+      translationResult.translatedText,
+      (text, signal) => this.bedrockService.analyzeConversation(text, this.userId, { signal, callRole }),
+      { replace: true }
+    );
+
+    return analysis && !isNotAnalyzed(analysis) ? analysis : null;
+  }
+
+  /**
+   * Scheduler key of this speaker's partial analyses
+   */
+  partialAnalysisKey() {
+    return `${this.userId}:partial`;
+  }
+
+  /**
+   * Track the language Transcribe identified for the latest result
+   * @param {string|null} languageCode - Identified Transcribe locale
+   */
+  updateDetectedLanguage(languageCode) {
+    if (!languageCode) return;
+
+    const language = resolveLanguage(languageCode);
+    const detectedLanguage = language ? language.translateCode : null;
+
+    if (detectedLanguage && detectedLanguage !== this.detectedLanguage) {
+      console.log(`🌍 [PIPELINE] Detected language for ${this.userId}: ${languageCode}`);
+    }
+
+    this.detectedLanguage = detectedLanguage;
+  }
+
+  /**
+   * Remember finalized result ids so late partials are not emitted
+   */
+  markResultFinalized(resultId) {
+    if (!resultId) return;
+
+    this.finalizedResultIds.add(resultId);
+
+    // Keep the set bounded; ids are only needed briefly
+    if (this.finalizedResultIds.size > 100) {
+      const oldest = this.finalizedResultIds.values().next().value;
+      this.finalizedResultIds.delete(oldest);
+    }
+  }
+
   /**
    * Handle transcription output
    */
-  async handleTranscriptionOutput(transcript) {
+  async handleTranscriptionOutput(transcript, metadata = {}) {
     try {
       this.stats.transcriptionsReceived++;
       this.stats.lastActivityTime = new Date().toISOString();
+      this.markResultFinalized(metadata.resultId);
+      this.updateDetectedLanguage(metadata.languageCode);
 
       console.log(`\n🎤 [STAGE 1: TRANSCRIPTION] #${this.stats.transcriptionsReceived}`);
       console.log(`   User: ${this.userId}`);
-      console.log(`   Text: "${transcript}"`);
+      console.log(`   Text: "${redactForLog(transcript)}"`);
+
+      this.checkRedFlags([{ text: transcript, source: "original" }], metadata.resultId, false);
 
       if (this.translationService && this.translationService.isActive) {
-        await this.translationService.translateText(transcript, this.detectedLanguage);
+        await this.translationService.translateText(transcript, this.detectedLanguage, {
+          resultId: metadata.resultId,
+          spokenAt: new Date().toISOString(),
+        });
       } else {
         console.error(`❌ Translation service not active`);
         this.stats.errors++;
@@ -126,33 +333,28 @@ class TranscribeTranslatePipeline {
 
       console.log(`\n🌐 [STAGE 2: TRANSLATION] #${this.stats.translationsCompleted}`);
       console.log(`   User: ${this.userId}`);
-      console.log(`   Original: "${translationResult.originalText}"`);
-      console.log(`   Translated: "${translationResult.translatedText}"`);
-
-      // Add to conversation history
-      if (this.bedrockService && this.bedrockService.isActive) {
-        this.bedrockService.addToConversation(
-          translationResult.translatedText,
-          this.userId
-        );
-
-        // Analyze for fraud (analyzes everyone equally)
-        console.log(`\n🔄 [PIPELINE] Passing to Bedrock Fraud Detection...`);
-
-        const analysisResult = await this.bedrockService.analyzeConversation(
-          translationResult.translatedText,
-          this.userId
-        );
-
-        if (analysisResult) {
-          this.handleBedrockAnalysisOutput(translationResult, analysisResult);
-        } else {
-          // Emit without analysis
-          this.emitPipelineOutput(translationResult, null);
-        }
+      console.log(`   Original: "${redactForLog(translationResult.originalText)}"`);
+      console.log(`   Translated: "${redactForLog(translationResult.translatedText)}"`);
+
+      // Rules also see the English translation, which catches phrasings
+      // the original-language lists miss
+      const ruleResult = this.checkRedFlags([
+        { text: translationResult.originalText, source: "original" },
+        { text: translationResult.translatedText, source: "translation" },
+      ], translationResult.resultId, false);
+
+      // Translate for every listener's preferred language while Bedrock analyzes
+      const [translations, { analysis: bedrockResult, ruleHits }] = await Promise.all([
+        this.translateForListeners(translationResult),
+        this.analyzeTranslation(translationResult, ruleResult),
+      ]);
+      const analysisResult = this.mergeRuleHits(bedrockResult, ruleHits);
+
+      if (analysisResult) {
+        await this.handleBedrockAnalysisOutput(translationResult, analysisResult, translations);
       } else {
-        console.error(`❌ Bedrock service not active`);
-        this.emitPipelineOutput(translationResult, null);
+        // Emit without analysis
+        await this.emitPipelineOutput(translationResult, null, translations);
       }
 
     } catch (error) {
@@ -161,10 +363,175 @@ class TranscribeTranslatePipeline {
     }
   }
 
+  /**
+   * Translate an utterance into the distinct preferred languages of the
+   * room's other participants
+   * @returns {Promise<Object>} Translated text keyed by language code
+   */
+  async translateForListeners(translationResult) {
+    if (!this.roomManager || !this.translationService || !this.translationService.isActive) {
+      return {};
+    }
+
+    const listenerLanguages = await this.roomManager.getListenerLanguages(this.roomId, this.userId);
+    if (listenerLanguages.length === 0) {
+      return {};
+    }
+
+    return this.translationService.translateForLanguages(
+      translationResult.originalText,
+      translationResult.sourceLanguage,
+      listenerLanguages,
+      { [translationResult.targetLanguage]: translationResult.translatedText }
+    );
+  }
+
+  /**
+   * Add the utterance to the room conversation and analyze it for fraud
+   * @param {Object} translationResult - Translation into the analysis language
+   * @param {Object|null} ruleResult - Local rule hits; a hit gets even a short utterance analyzed
+   * @returns {Promise<Object>} { analysis, ruleHits } - analysis is the analysis result, a
+   *   not-analyzed result when the scheduler merged or skipped the utterance, or null when
+   *   Bedrock is unavailable or failed; ruleHits include those of utterances merged into it
+   */
+  async analyzeTranslation(translationResult, ruleResult = null) {
+    const ruleHits = ruleResult ? ruleResult.hits : [];
+
+    if (!this.bedrockService || !this.bedrockService.isActive) {
+      console.error(`❌ Bedrock service not active`);
+      return { analysis: null, ruleHits };
+    }
+
+    const callRole = await this.getCallRole();
+    await this.bedrockService.addToConversation(
+      translationResult.translatedText,
+      this.userId,
+      translationResult.spokenAt,
+      callRole
+    );
+
+    // Analyze for fraud (analyzes everyone equally)
+    console.log(`\n🔄 [PIPELINE] Passing to Bedrock Fraud Detection...`);
+
+    // The room's scheduler debounces, merges and bounds the Bedrock calls
+    return this.analysisScheduler.schedule(
+      this.userId,
+      translationResult.translatedText,
+      (text, signal) => this.bedrockService.analyzeConversation(text, this.userId, { signal, callRole }),
+      { force: ruleHits.length > 0, ruleHits }
+    );
+  }
+
+  /**
+   * The speaker's role in the call (e.g. "caller"), null when unknown
+   */
+  async getCallRole() {
+    if (!this.roomManager) {
+      return null;
+    }
+    const assigned = await this.roomManager.getCallRole(this.roomId, this.userId);
+    return assigned ? assigned.callRole : null;
+  }
+
+  /**
+   * Run the local rules and report hits not yet raised for this utterance
+   * @param {Object[]} texts - { text, source } to evaluate
+   * @param {string} resultId - Transcribe result the text belongs to
+   * @param {boolean} partial - Whether the text is a partial result
+   * @returns {Object|null} Rule result { score, hits }, or null when rules are disabled
+   */
+  checkRedFlags(texts, resultId, partial) {
+    if (!this.ruleEngine) {
+      return null;
+    }
+
+    const ruleResult = this.ruleEngine.evaluate(texts);
+
+    for (const hit of ruleResult.hits) {
+      const key = `${resultId}:${hit.id}`;
+      if (this.raisedRedFlags.has(key)) continue;
+
+      this.raisedRedFlags.add(key);
+      this.stats.redFlagsRaised++;
+      console.log(`🚩 [RULES] ${this.userId}: ${hit.label} ("${redactForLog(hit.match)}", ${hit.source}${partial ? ", partial" : ""})`);
+
+      if (this.redFlagCallback) {
+        this.redFlagCallback({
+          userId: this.userId,
+          roomId: this.roomId,
+          resultId,
+          partial,
+          ...hit,
+          match: redactPii(hit.match, this.redactionPolicy).text,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    // Keep the set bounded; keys are only needed while an utterance is live
+    while (this.raisedRedFlags.size > 500) {
+      this.raisedRedFlags.delete(this.raisedRedFlags.values().next().value);
+    }
+
+    return ruleResult;
+  }
+
+  /**
+   * Add local rule hits to the Bedrock analysis. Bedrock's score stands when
+   * it answered, since it sees context the rules cannot (e.g. a bank warning
+   * "never share your OTP"); without it the rules provide the score.
+   * An utterance the scheduler merged into a later one or skipped gets no
+   * analysis at all: the later analysis covers it, carrying its rule hits,
+   * and its red flags were already raised. One dropped from a full queue is
+   * covered by nothing else, so it is scored as if Bedrock were unavailable.
+   * @param {Object|null} analysisResult - Bedrock analysis, a not-analyzed result, or null when unavailable
+   * @param {Object[]} ruleHits - Rule hits of every utterance the analysis covers
+   * @returns {Object|null} Merged analysis (an "analysis-error" result stays one unless rules hit)
+   */
+  mergeRuleHits(analysisResult, ruleHits = []) {
+    if (isNotAnalyzed(analysisResult)) {
+      if (analysisResult.reason !== "dropped") {
+        return null;
+      }
+      analysisResult = null;
+    }
+
+    const analysisFailed = Boolean(analysisResult && analysisResult.status === "analysis-error");
+
+    if (analysisResult && !analysisFailed) {
+      return {
+        ...analysisResult,
+        redFlags: [...new Set([...analysisResult.redFlags, ...ruleHits.map((hit) => hit.label)])],
+        ruleHits,
+        source: "bedrock",
+      };
+    }
+
+    if (ruleHits.length === 0) {
+      return analysisResult;
+    }
+
+    const score = combineWeights(ruleHits);
+    this.stats.ruleFallbacks++;
+    console.log(`\n🧮 [RULES] Bedrock analysis ${analysisFailed ? "failed" : "unavailable"}; using local rule score ${score}`);
+
+    return {
+      status: "ok",
+      summary: `Local rules flagged: ${ruleHits.map((hit) => hit.label).join("; ")}`,
+      fraudScore: score,
+      riskLevel: riskLevelForScore(score),
+      redFlags: ruleHits.map((hit) => hit.label),
+      reasoning: `Bedrock analysis ${analysisFailed ? "failed" : "was unavailable"}; the score combines the weights of the matched local rules`,
+      matchedPatterns: [...new Set(ruleHits.map((hit) => hit.patternId).filter((id) => id && getPatternCatalog().getPattern(id)))],
+      ruleHits,
+      source: "rules",
+    };
+  }
+
   /**
    * Handle Bedrock analysis output
    */
-  handleBedrockAnalysisOutput(translationResult, analysisResult) {
+  async handleBedrockAnalysisOutput(translationResult, analysisResult, translations = {}) {
     try {
       this.stats.analysesCompleted++;
       this.stats.lastActivityTime = new Date().toISOString();
@@ -174,7 +541,7 @@ class TranscribeTranslatePipeline {
       console.log(`   Fraud Score: ${analysisResult.fraudScore}%`);
       console.log(`   Risk Level: ${analysisResult.riskLevel}`);
 
-      this.emitPipelineOutput(translationResult, analysisResult);
+      await this.emitPipelineOutput(translationResult, analysisResult, translations);
 
     } catch (error) {
       console.error(`\n❌ [STAGE 3] Error:`, error.message);
@@ -184,46 +551,163 @@ class TranscribeTranslatePipeline {
 
   /**
    * Emit complete pipeline output
+   * @param {Object} translationResult - Translation into the analysis language
+   * @param {Object|null} analysisResult - Bedrock fraud analysis
+   * @param {Object} translations - Per-listener translations keyed by language code
    */
-  emitPipelineOutput(translationResult, analysisResult) {
+  async emitPipelineOutput(translationResult, analysisResult, translations = {}) {
     console.log(`\n✅ [PIPELINE] Complete output ready\n`);
 
+    if (translationResult.spokenAt) {
+      metrics.utteranceLatency.observe((Date.now() - new Date(translationResult.spokenAt).getTime()) / 1000);
+    }
+    if (analysisResult) {
+      metrics.detections.inc({ risk_level: analysisResult.riskLevel, source: analysisResult.source || "bedrock" });
+    }
+
     if (this.pipelineCallback) {
-      const pipelineOutput = {
+      const pipelineOutput = this.redactOutput(await this.getRedactionPolicy(), {
         userId: this.userId,
         roomId: this.roomId,
+        resultId: translationResult.resultId,
         transcription: {
           text: translationResult.originalText,
           language: translationResult.sourceLanguage,
+          detectedLanguage: translationResult.detectedLanguage,
         },
         translation: {
           text: translationResult.translatedText,
           language: translationResult.targetLanguage,
         },
+        translations,
         fraudAnalysis: analysisResult ? {
+          status: analysisResult.status || "ok",
           summary: analysisResult.summary,
           fraudScore: analysisResult.fraudScore,
           riskLevel: analysisResult.riskLevel,
           redFlags: analysisResult.redFlags,
           reasoning: analysisResult.reasoning,
           matchedPatterns: analysisResult.matchedPatterns,
+          ruleHits: analysisResult.ruleHits || [],
+          source: analysisResult.source || "bedrock",
+          participants: analysisResult.participants || [],
         } : null,
         timestamp: translationResult.timestamp,
-      };
+      });
 
       this.pipelineCallback(pipelineOutput);
     }
   }
 
   /**
-   * Send audio data to the pipeline
+   * The room's PII redaction policy ("mask", "hash" or "none")
+   */
+  async getRedactionPolicy() {
+    if (this.roomManager) {
+      const settings = await this.roomManager.getRoomSettings(this.roomId);
+      this.redactionPolicy = settings.piiRedaction || config.PII_REDACTION;
+    }
+    return this.redactionPolicy;
+  }
+
+  /**
+   * Redact identifiers from every text field of a pipeline output, including
+   * the analysis, which may quote what the speaker read out
+   * @param {string} policy - "mask", "hash" or "none"
+   * @param {Object} output - Pipeline output
+   * @returns {Object} Output with a redaction summary { policy, types }
+   */
+  redactOutput(policy, output) {
+    const types = new Set();
+    const redact = (text) => {
+      const result = redactPii(text, policy);
+      result.types.forEach((type) => types.add(type));
+      return result.text;
+    };
+
+    const redacted = {
+      ...output,
+      transcription: { ...output.transcription, text: redact(output.transcription.text) },
+      translation: { ...output.translation, text: redact(output.translation.text) },
+      translations: Object.fromEntries(
+        Object.entries(output.translations).map(([language, text]) => [language, redact(text)])
+      ),
+      fraudAnalysis: output.fraudAnalysis ? {
+        ...output.fraudAnalysis,
+        summary: redact(output.fraudAnalysis.summary),
+        reasoning: redact(output.fraudAnalysis.reasoning),
+        redFlags: output.fraudAnalysis.redFlags.map(redact),
+        ruleHits: output.fraudAnalysis.ruleHits.map((hit) => ({ ...hit, match: redact(hit.match) })),
+      } : null,
+    };
+
+    return { ...redacted, redaction: { policy, types: Array.from(types) } };
+  }
+
+  /**
+   * Switch the participant's spoken language mid-call.
+   * Only the transcription stream restarts; conversation history and
+   * statistics are kept.
+   * @param {string} spokenLanguage - Transcribe locale or Translate code
+   */
+  async changeSpokenLanguage(spokenLanguage) {
+    const language = resolveLanguage(spokenLanguage);
+    if (!language) {
+      throw new Error(`Unsupported spoken language: ${spokenLanguage}`);
+    }
+
+    if (language.locale === this.spokenLanguage) {
+      return;
+    }
+
+    console.log(`\n🔄 [PIPELINE] Changing spoken language for ${this.userId}`);
+    console.log(`   From: ${this.spokenLanguage} → To: ${language.locale}`);
+
+    this.spokenLanguage = language.locale;
+    this.sourceLanguage = language.translateCode;
+    this.detectedLanguage = null;
+
+    if (this.translationService) {
+      this.translationService.setLanguages(language.translateCode, this.translationService.targetLanguage);
+    }
+
+    if (this.transcriptionService) {
+      await this.transcriptionService.changeLanguage(language.locale);
+    }
+  }
+
+  /**
+   * Stop and start again with the same callbacks and options, keeping the
+   * spoken language last switched to. The room's conversation history is
+   * shared and survives; audio sent while restarting is dropped.
+   * @returns {Promise<boolean>} Whether the pipeline started again
+   */
+  async restart() {
+    if (!this.startArgs) {
+      throw new Error("Pipeline was never started");
+    }
+
+    const { onPipelineOutput, options } = this.startArgs;
+    const spokenLanguage = this.spokenLanguage || options.spokenLanguage;
+
+    console.log(`\n🔁 [PIPELINE] Restarting for ${this.userId}`);
+    await this.stop();
+    this.stats.restarts++;
+
+    return this.start(onPipelineOutput, { ...options, spokenLanguage });
+  }
+
+  /**
+   * Send audio data to the pipeline. Once transcription has failed (and the
+   * room was told) audio is dropped quietly until the pipeline is restarted.
    */
   async sendAudio(audioBuffer) {
-    if (!this.isActive || !this.transcriptionService) {
+    if (!this.isActive || !this.transcriptionService || this.transcriptionService.state === "failed") {
       return;
     }
 
     try {
+      recordAudio(audioBuffer.length);
       await this.transcriptionService.sendAudio(audioBuffer);
     } catch (error) {
       console.error(`❌ [PIPELINE] Error sending audio:`, error.message);
@@ -243,6 +727,8 @@ class TranscribeTranslatePipeline {
       userId: this.userId,
       roomId: this.roomId,
       isActive: this.isActive,
+      spokenLanguage: this.spokenLanguage,
+      detectedLanguage: this.detectedLanguage,
       stats: {
         ...this.stats,
         uptime: uptime,
@@ -251,6 +737,7 @@ class TranscribeTranslatePipeline {
         transcription: this.transcriptionService?.getStatus() || null,
         translation: this.translationService?.getStatus() || null,
         bedrock: this.bedrockService?.getStats() || null,
+        analysisScheduler: this.analysisScheduler?.getStats() || null,
       },
     };
   }
@@ -262,6 +749,13 @@ class TranscribeTranslatePipeline {
     try {
       this.isActive = false;
 
+      // Nothing queued or in flight should outlive the pipeline
+      if (this.analysisScheduler) {
+        this.analysisScheduler.cancel(this.partialAnalysisKey());
+        this.analysisScheduler.unregister(this.userId);
+        this.analysisScheduler = null;
+      }
+
       if (this.transcriptionService) {
         await this.transcriptionService.stop();
         this.transcriptionService = null;
@@ -278,6 +772,10 @@ class TranscribeTranslatePipeline {
       }
 
       this.pipelineCallback = null;
+      this.partialCallback = null;
+      this.redFlagCallback = null;
+      this.finalizedResultIds.clear();
+      this.raisedRedFlags.clear();
 
       console.log(`\n✅ [PIPELINE] Stopped\n`);
 
@@ -3,28 +3,87 @@ const {
   StartStreamTranscriptionCommand,
 } = require("@aws-sdk/client-transcribe-streaming");
 const { PassThrough } = require("stream");
+const { resolveAudioFormat, createAudioConverter } = require("./audioFormat");
+const { VoiceActivityDetector } = require("./voiceActivityDetector");
+const { AudioRingBuffer } = require("./audioRingBuffer");
+const { backoffDelay } = require("./backoff");
+const { redactForLog } = require("./piiRedactor");
+const { metrics, recordAwsError } = require("./metrics");
 const config = require("../config");
 
+// Largest audio chunk sent in one AudioEvent; replayed audio is split to fit
+const MAX_AUDIO_EVENT_BYTES = 8192;
+
+// Stream events that are worth reconnecting after; anything else is fatal
+const RETRYABLE_EXCEPTIONS = [
+  "LimitExceededException",
+  "InternalFailureException",
+  "ConflictException",
+  "ServiceUnavailableException",
+];
+
+/**
+ * Streams one participant's audio to AWS Transcribe.
+ *
+ * Audio sent for transcription is also kept in a ring buffer. When a stream
+ * fails it is reopened with backoff and the audio after the last final result
+ * is replayed, so nothing said during the outage is lost. Streams are rotated
+ * before the AWS maximum duration; the new stream starts with a short overlap
+ * whose results are de-duplicated against the audio timeline.
+ */
+
 class TranscriptionService {
   constructor(roomId, userId) {
     this.roomId = roomId;
     this.userId = userId;
     this.client = null;
-    this.audioStream = null;
+    this.stream = null; // { id, audioStream, offsetMs, openedAt, receivedEvents, closing, rotationTimer }
+    this.streamCount = 0;
     this.transcriptCallback = null;
+    this.partialTranscriptCallback = null;
+    this.statusCallback = null;
+    this.lastPartial = null;
+    this.resultStartedAt = new Map(); // Result id -> when its first partial arrived
+    this.options = {};
+    this.audioFormat = null;
+    this.audioConverter = null; // Kept across reconnects so chunk state carries over
+    this.audioDecodeErrors = 0;
+    this.vad = null;
+    this.keepAliveTimer = null;
+    this.lastAudioSentAt = 0;
+    this.keepAliveFrames = 0;
+    this.audioBuffer = null;
+    this.lastFinalEndMs = 0; // Timeline position covered by final results (PCM only)
+    this.duplicatesDropped = 0;
+    this.lostMs = 0;
     this.isActive = false;
+    this.state = "idle";
+    this.reconnecting = false;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 3;
+    this.reconnects = 0;
+    this.rotations = 0;
     this.streamTimeout = null;
   }
 
   /**
    * Initialize and start the transcription service
    * @param {Function} onTranscript - Callback function for transcription results
+   * @param {Object} options - Optional configuration
+   * @param {Function} options.onPartialTranscript - Callback for stabilized partial results
+   * @param {string} options.languageCode - Transcribe locale of the speaker (e.g. "ta-IN")
+   * @param {boolean} options.identifyLanguage - Identify the language among the configured candidates
+   * @param {Object} options.audioFormat - Format from resolveAudioFormat() (defaults to 16-bit mono PCM)
+   * @param {Function} options.onStatus - Callback for stream continuity changes (reconnecting, resumed, rotated, failed)
    */
-  async start(onTranscript) {
+  async start(onTranscript, options = {}) {
     try {
       this.transcriptCallback = onTranscript;
+      this.options = options;
+      this.partialTranscriptCallback = config.PARTIAL_TRANSCRIPTS_ENABLED
+        ? options.onPartialTranscript || null
+        : null;
+      this.statusCallback = options.onStatus || null;
+      this.lastPartial = null;
       this.reconnectAttempts = 0;
 
       // Initialize AWS Transcribe client
@@ -36,45 +95,149 @@ class TranscriptionService {
         },
       });
 
-      // Create audio stream
-      this.audioStream = new PassThrough();
-
-      // Configure transcription parameters
-      const params = {
-        LanguageCode: config.TRANSCRIBE_LANGUAGE_CODE,
-        MediaEncoding: "pcm",
-        MediaSampleRateHertz: config.SAMPLE_RATE,
-        AudioStream: this.getAudioStream(),
-        EnablePartialResultsStabilization: true,
-        PartialResultsStability: "high",
-      };
-
-      // Start transcription
-      const command = new StartStreamTranscriptionCommand(params);
-      const response = await this.client.send(command);
+      if (!this.audioConverter) {
+        this.audioFormat = options.audioFormat || resolveAudioFormat();
+        this.audioConverter = createAudioConverter(this.audioFormat);
+
+        // Energy can only be measured on PCM; compressed audio is not gated
+        if (config.VAD_ENABLED && this.audioFormat.mediaEncoding === "pcm") {
+          this.vad = new VoiceActivityDetector(this.audioFormat.mediaSampleRate);
+        }
+
+        if (!this.isResumable()) {
+          console.warn(`⚠️ ${this.audioFormat.codec} audio for user ${this.userId} cannot be resumed after a reconnect`);
+        }
+      }
+      this.audioConverter.reset();
+
+      if (!this.audioBuffer) {
+        this.audioBuffer = new AudioRingBuffer();
+      }
 
       this.isActive = true;
+      this.state = "streaming";
+      this.startKeepAlive();
+
+      await this.openStream(this.audioBuffer.timelineMs);
+    } catch (error) {
+      console.error(`❌ Error starting transcription for user ${this.userId}:`, error.message);
+      // Retry in the background so the caller is not held up for the whole
+      // backoff window; progress reaches the client through onStatus
+      this.handleTranscriptionError(error).catch((retryError) => {
+        console.error(`❌ Error reconnecting transcription for user ${this.userId}:`, retryError.message);
+      });
+    }
+  }
+
+  /**
+   * Open a new Transcribe stream and make it current, replaying buffered
+   * audio from the given timeline position. The previous stream is ended
+   * gracefully so its last results still arrive.
+   * @param {number} replayFromMs - Timeline position to replay from
+   * @returns {Promise<Object>} { replayedMs, gapMs } - audio replayed, and audio missing from the buffer
+   */
+  async openStream(replayFromMs) {
+    this.detachStream();
+
+    const stream = {
+      id: ++this.streamCount,
+      audioStream: new PassThrough(),
+      offsetMs: null, // Timeline position of the stream's first audio (PCM only)
+      openedAt: Date.now(),
+      receivedEvents: false,
+      closing: false,
+      rotationTimer: null,
+    };
+
+    // Replay before going live so buffered and new audio stay in order
+    const replay = this.audioBuffer.chunksFrom(replayFromMs);
+    for (const chunk of replay) {
+      stream.audioStream.write(chunk.data);
+      chunk.streamId = stream.id;
+    }
+
+    let replayedMs = 0;
+    let gapMs = 0;
+    if (this.audioFormat.mediaEncoding === "pcm") {
+      const firstTimed = replay.find((chunk) => chunk.endMs > chunk.startMs);
+      stream.offsetMs = firstTimed ? firstTimed.startMs : this.audioBuffer.timelineMs;
+      replayedMs = this.audioBuffer.timelineMs - stream.offsetMs;
+      gapMs = Math.max(0, stream.offsetMs - replayFromMs);
+    }
+
+    this.stream = stream;
+
+    try {
+      const command = new StartStreamTranscriptionCommand(this.buildParams(stream));
+      const response = await this.client.send(command);
+
+      console.log(`🎙️ Transcription stream ${stream.id} open for user ${this.userId}${replay.length > 0 ? ` (replayed ${Math.round(replayedMs)}ms)` : ""}`);
 
       // Process transcription events
-      this.processTranscriptionEvents(response.TranscriptResultStream);
+      this.processTranscriptionEvents(stream, response.TranscriptResultStream);
 
-      // Set timeout for stream inactivity
+      // Set timeout for stream inactivity, and rotate before the AWS duration limit
       this.resetStreamTimeout();
+      stream.rotationTimer = setTimeout(() => this.rotate(), config.TRANSCRIBE_ROTATE_AFTER_MS);
+
+      return { replayedMs, gapMs };
     } catch (error) {
-      console.error(`❌ Error starting transcription for user ${this.userId}:`, error.message);
-      await this.handleTranscriptionError(error);
+      this.closeStream(stream);
+      this.audioBuffer.release(stream.id);
+      if (this.stream === stream) {
+        this.stream = null;
+      }
+      throw error;
     }
   }
 
+  /**
+   * Transcribe parameters for a new stream
+   */
+  buildParams(stream) {
+    const languageCode = this.options.languageCode || config.TRANSCRIBE_LANGUAGE_CODE;
+    const params = {
+      MediaEncoding: this.audioFormat.mediaEncoding,
+      MediaSampleRateHertz: this.audioFormat.mediaSampleRate,
+      AudioStream: this.getAudioStream(stream.audioStream),
+      EnablePartialResultsStabilization: true,
+      PartialResultsStability: "high",
+    };
+
+    // Transcribe needs at least two candidates to identify between
+    const languageOptions = this.options.identifyLanguage ? this.getLanguageOptions(languageCode) : [];
+
+    if (languageOptions.length >= 2) {
+      // Multiple-language identification handles code-switched speech (e.g. Hinglish)
+      if (config.IDENTIFY_MULTIPLE_LANGUAGES) {
+        params.IdentifyMultipleLanguages = true;
+      } else {
+        params.IdentifyLanguage = true;
+      }
+      params.LanguageOptions = languageOptions.join(",");
+      params.PreferredLanguage = languageCode;
+
+      console.log(`🌍 Language identification for user ${this.userId}: ${params.LanguageOptions} (preferred ${languageCode})`);
+    } else {
+      params.LanguageCode = languageCode;
+    }
+
+    return params;
+  }
+
   /**
    * Generator function to stream audio chunks to AWS
+   * @param {PassThrough} audioStream - Audio written for one Transcribe stream
    */
-  async *getAudioStream() {
+  async *getAudioStream(audioStream) {
     try {
-      for await (const chunk of this.audioStream) {
-        if (chunk && chunk.length > 0) {
-          this.resetStreamTimeout();
-          yield { AudioEvent: { AudioChunk: chunk } };
+      for await (const chunk of audioStream) {
+        // Reads may merge writes (e.g. a replay); keep each event small
+        for (let offset = 0; offset < chunk.length; offset += MAX_AUDIO_EVENT_BYTES) {
+          if (this.isActive) {
+            this.resetStreamTimeout();
+          }
+          yield { AudioEvent: { AudioChunk: chunk.subarray(offset, offset + MAX_AUDIO_EVENT_BYTES) } };
         }
       }
     } catch (error) {
@@ -84,31 +247,43 @@ class TranscriptionService {
 
   /**
    * Process transcription events from AWS Transcribe
+   * @param {Object} stream - Stream the events belong to
    * @param {AsyncIterable} transcriptStream - Stream of transcription events
    */
-  async processTranscriptionEvents(transcriptStream) {
+  async processTranscriptionEvents(stream, transcriptStream) {
     try {
       for await (const event of transcriptStream) {
         if (!this.isActive) break;
 
         if (event.TranscriptEvent) {
+          // The stream works, so a later failure gets the full retry budget
+          if (!stream.receivedEvents) {
+            stream.receivedEvents = true;
+            if (stream === this.stream) {
+              this.reconnectAttempts = 0;
+            }
+          }
+
           const { Transcript } = event.TranscriptEvent;
 
           if (Transcript && Transcript.Results) {
             for (const result of Transcript.Results) {
-              // Only process final results to avoid duplicate transcripts
-              if (result.IsPartial === false) {
-                const alternatives = result.Alternatives || [];
-                
-                if (alternatives.length > 0) {
-                  const transcript = alternatives[0].Transcript;
-                  
-                  if (transcript && transcript.trim().length > 0) {
-                    console.log(`📝 [${this.userId}] Transcript: "${transcript}"`);
-                    
-                    if (this.transcriptCallback) {
-                      this.transcriptCallback(transcript.trim());
+              const alternatives = result.Alternatives || [];
+
+              if (alternatives.length > 0) {
+                const transcript = alternatives[0].Transcript;
+
+                if (transcript && transcript.trim().length > 0) {
+                  this.trackResultTiming(result);
+
+                  if (result.IsPartial) {
+                    // Partial results feed live captions only; a stream being
+                    // replaced would duplicate the new one's captions
+                    if (stream === this.stream) {
+                      this.handlePartialResult(result, alternatives[0]);
                     }
+                  } else {
+                    this.handleFinalResult(stream, result, alternatives[0]);
                   }
                 }
               }
@@ -116,35 +291,174 @@ class TranscriptionService {
           }
         }
 
-        // Handle other event types if needed
         if (event.BadRequestException) {
           console.error(`❌ BadRequestException for user ${this.userId}:`, event.BadRequestException);
-          await this.stop();
+          recordAwsError("transcribe", { name: "BadRequestException" });
+          await this.fail(event.BadRequestException.Message || "Bad request");
+          return;
         }
 
-        if (event.LimitExceededException) {
-          console.error(`❌ LimitExceededException for user ${this.userId}:`, event.LimitExceededException);
-          await this.stop();
+        const exception = RETRYABLE_EXCEPTIONS.find((name) => event[name]);
+        if (exception) {
+          console.error(`❌ ${exception} for user ${this.userId}:`, event[exception]);
+          if (stream === this.stream) {
+            const streamError = new Error(event[exception].Message || exception);
+            streamError.name = exception;
+            await this.handleTranscriptionError(streamError);
+          }
+          return;
         }
+      }
 
-        if (event.InternalFailureException) {
-          console.error(`❌ InternalFailureException for user ${this.userId}:`, event.InternalFailureException);
-          await this.handleTranscriptionError(new Error("Internal AWS failure"));
-        }
+      // Transcribe ended a stream we did not close
+      if (this.isActive && stream === this.stream && !stream.closing) {
+        await this.handleTranscriptionError(new Error("Stream ended unexpectedly"));
       }
     } catch (error) {
-      if (error.name !== "TimeoutError") {
+      if (this.isActive && stream === this.stream) {
         console.error(`❌ Error processing transcription events for user ${this.userId}:`, error.message);
         await this.handleTranscriptionError(error);
       }
     } finally {
-      console.log(`⏹️ Transcription stream ended for user ${this.userId}`);
+      console.log(`⏹️ Transcription stream ${stream.id} ended for user ${this.userId}`);
+    }
+  }
+
+  /**
+   * Time results from their first partial to the final result
+   * @param {Object} result - Transcribe result, partial or final
+   */
+  trackResultTiming(result) {
+    if (result.IsPartial) {
+      if (!this.resultStartedAt.has(result.ResultId)) {
+        this.resultStartedAt.set(result.ResultId, Date.now());
+
+        // Keep the map bounded; results without a final are forgotten
+        if (this.resultStartedAt.size > 100) {
+          this.resultStartedAt.delete(this.resultStartedAt.keys().next().value);
+        }
+      }
+      return;
+    }
+
+    const startedAt = this.resultStartedAt.get(result.ResultId);
+    if (startedAt) {
+      metrics.transcriptionFinalizeLatency.observe((Date.now() - startedAt) / 1000);
+      this.resultStartedAt.delete(result.ResultId);
+    }
+  }
+
+  /**
+   * Forward a final result, dropping words already finalized by an earlier
+   * stream (rotation overlap or reconnect replay)
+   * @param {Object} stream - Stream the result belongs to
+   * @param {Object} result - Transcribe result with IsPartial unset
+   * @param {Object} alternative - Best alternative of the result
+   */
+  handleFinalResult(stream, result, alternative) {
+    let transcript = alternative.Transcript.trim();
+
+    // Compressed audio has no timeline to line results up on
+    if (stream.offsetMs !== null) {
+      const toTimelineMs = (seconds) => stream.offsetMs + (seconds || 0) * 1000;
+      const startMs = toTimelineMs(result.StartTime);
+      const endMs = toTimelineMs(result.EndTime);
+
+      if (startMs < this.lastFinalEndMs) {
+        // Keep words centred after the covered audio, with their punctuation
+        let keepWord = false;
+        const items = (alternative.Items || []).filter((item) => {
+          if (item.Type === "punctuation") {
+            return keepWord;
+          }
+          keepWord = (toTimelineMs(item.StartTime) + toTimelineMs(item.EndTime)) / 2 > this.lastFinalEndMs;
+          return keepWord;
+        });
+
+        transcript = joinItems(items);
+        if (!transcript) {
+          this.duplicatesDropped++;
+          console.log(`♻️ [${this.userId}] Dropped duplicate transcript from stream ${stream.id}: "${redactForLog(alternative.Transcript)}"`);
+          return;
+        }
+      }
+
+      this.lastFinalEndMs = Math.max(this.lastFinalEndMs, endMs);
+    }
+
+    console.log(`📝 [${this.userId}] Transcript${result.LanguageCode ? ` (${result.LanguageCode})` : ""}: "${redactForLog(transcript)}"`);
+
+    if (this.transcriptCallback) {
+      this.transcriptCallback(transcript, {
+        resultId: result.ResultId,
+        languageCode: result.LanguageCode || null,
+      });
     }
   }
 
+  /**
+   * Forward a stabilized partial result, rate limited so live captions
+   * cannot flood the socket
+   * @param {Object} result - Transcribe result with IsPartial set
+   * @param {Object} alternative - Best alternative of the result
+   */
+  handlePartialResult(result, alternative) {
+    if (!this.partialTranscriptCallback) {
+      return;
+    }
+
+    const text = alternative.Transcript.trim();
+    const now = Date.now();
+
+    if (this.lastPartial) {
+      const sameText = this.lastPartial.resultId === result.ResultId && this.lastPartial.text === text;
+      const tooSoon = now - this.lastPartial.emittedAt < config.PARTIAL_TRANSCRIPT_INTERVAL_MS;
+
+      if (sameText || tooSoon) {
+        return;
+      }
+    }
+
+    this.lastPartial = { resultId: result.ResultId, text, emittedAt: now };
+
+    this.partialTranscriptCallback(text, {
+      resultId: result.ResultId,
+      stableText: this.getStableText(alternative),
+      languageCode: result.LanguageCode || null,
+    });
+  }
+
+  /**
+   * Candidate locales for language identification. The speaker's own locale
+   * is always included and replaces a configured dialect of the same language,
+   * since Transcribe accepts only one dialect per language.
+   * @param {string} languageCode - Speaker's declared locale
+   * @returns {string[]} Candidate locales
+   */
+  getLanguageOptions(languageCode) {
+    const language = languageCode.split("-")[0];
+    const candidates = config.LANGUAGE_IDENTIFICATION_OPTIONS
+      .map((locale) => locale.trim())
+      .filter((locale) => locale && locale.split("-")[0] !== language);
+
+    return [languageCode, ...new Set(candidates)];
+  }
+
+  /**
+   * Build the prefix of a partial result that Transcribe marked as stable
+   * @param {Object} alternative - Result alternative with Items
+   * @returns {string} Stable text
+   */
+  getStableText(alternative) {
+    const items = alternative.Items || [];
+    const unstable = items.findIndex((item) => !item.Stable);
+
+    return joinItems(unstable === -1 ? items : items.slice(0, unstable));
+  }
+
   /**
    * Send audio data to the transcription stream
-   * @param {Buffer} audioBuffer - Audio data in PCM format
+   * @param {Buffer} audioBuffer - Audio data in the format declared at start
    */
   async sendAudio(audioBuffer) {
     if (!this.isActive) {
@@ -152,12 +466,6 @@ class TranscriptionService {
       return;
     }
 
-    if (!this.audioStream || this.audioStream.destroyed) {
-      console.error(`❌ Audio stream is not available for user ${this.userId}`);
-      await this.reconnect();
-      return;
-    }
-
     try {
       // Validate audio buffer
       if (!Buffer.isBuffer(audioBuffer) || audioBuffer.length === 0) {
@@ -165,19 +473,83 @@ class TranscriptionService {
         return;
       }
 
-      // Write audio data to stream
-      const canWrite = this.audioStream.write(audioBuffer);
-      
-      if (!canWrite) {
-        // Backpressure handling
-        await new Promise((resolve) => this.audioStream.once("drain", resolve));
+      let audio;
+      try {
+        audio = this.audioConverter.convert(audioBuffer);
+      } catch (error) {
+        // Bad client audio is dropped; reconnecting would not help
+        this.audioDecodeErrors++;
+        console.error(`❌ Could not decode ${this.audioFormat.codec} audio for user ${this.userId}:`, error.message);
+        return;
+      }
+
+      // Drop silence; only speech (with padding) is billed
+      if (audio && this.vad) {
+        audio = this.vad.process(audio);
+      }
+
+      if (!audio || audio.length === 0) {
+        return;
       }
+
+      this.writeAudio(audio);
     } catch (error) {
       console.error(`❌ Error sending audio for user ${this.userId}:`, error.message);
       await this.handleTranscriptionError(error);
     }
   }
 
+  /**
+   * Buffer converted audio and write it to the current stream. While
+   * reconnecting there is no stream; the audio is replayed once one opens.
+   * @param {Buffer} audio - Audio in the stream's media encoding
+   */
+  writeAudio(audio) {
+    const durationMs = this.audioFormat.mediaEncoding === "pcm"
+      ? (audio.length / 2 / this.audioFormat.mediaSampleRate) * 1000
+      : 0;
+
+    this.audioBuffer.push(audio, durationMs, this.stream ? this.stream.id : null);
+    this.lastAudioSentAt = Date.now();
+
+    if (this.stream) {
+      this.stream.audioStream.write(audio);
+    }
+  }
+
+  /**
+   * While no audio is sent (silence gated by the VAD, or a muted client),
+   * write a short silent PCM frame now and then so Transcribe keeps the
+   * stream open instead of timing out
+   */
+  startKeepAlive() {
+    this.stopKeepAlive();
+
+    if (this.audioFormat.mediaEncoding !== "pcm") {
+      return;
+    }
+
+    const silentFrame = Buffer.alloc(Math.round((this.audioFormat.mediaSampleRate * config.VAD_FRAME_MS) / 1000) * 2);
+    this.lastAudioSentAt = Date.now();
+
+    this.keepAliveTimer = setInterval(() => {
+      if (!this.isActive || !this.stream) {
+        return;
+      }
+      if (Date.now() - this.lastAudioSentAt >= config.TRANSCRIBE_KEEPALIVE_MS) {
+        this.keepAliveFrames++;
+        this.writeAudio(silentFrame);
+      }
+    }, Math.max(100, Math.floor(config.TRANSCRIBE_KEEPALIVE_MS / 2)));
+  }
+
+  stopKeepAlive() {
+    if (this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+  }
+
   /**
    * Reset the stream timeout to detect inactive streams
    */
@@ -186,10 +558,11 @@ class TranscriptionService {
       clearTimeout(this.streamTimeout);
     }
 
-    // Set 30-second timeout for stream inactivity
+    // Set 30-second timeout for stream inactivity; PCM streams get keep-alive
+    // frames, so this mostly catches compressed audio that stopped arriving
     this.streamTimeout = setTimeout(() => {
       console.log(`⏰ Stream timeout for user ${this.userId}, attempting reconnect...`);
-      this.reconnect();
+      this.reconnect("Stream timed out");
     }, 30000);
   }
 
@@ -199,33 +572,198 @@ class TranscriptionService {
    */
   async handleTranscriptionError(error) {
     console.error(`❌ Transcription error for user ${this.userId}:`, error.message);
+    recordAwsError("transcribe", error);
 
-    if (this.reconnectAttempts < this.maxReconnectAttempts && this.isActive) {
-      this.reconnectAttempts++;
-      console.log(`🔄 Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-      
-      await this.reconnect();
+    if (error.name === "BadRequestException") {
+      // The request itself is wrong (e.g. unsupported audio); retrying cannot help
+      await this.fail(error.message);
     } else {
-      console.error(`❌ Max reconnection attempts reached for user ${this.userId}. Stopping transcription.`);
-      await this.stop();
+      await this.reconnect(error.message);
     }
   }
 
   /**
-   * Reconnect the transcription service
+   * Reopen the stream with backoff, replaying the audio after the last final
+   * result. Audio keeps being buffered while no stream is open.
+   * @param {string} reason - Why the stream is being reopened
    */
-  async reconnect() {
-    console.log(`🔄 Reconnecting transcription for user ${this.userId}...`);
-    
+  async reconnect(reason) {
+    if (!this.isActive || this.reconnecting) {
+      return;
+    }
+
+    this.reconnecting = true;
+    this.detachStream();
+
     try {
-      await this.stop();
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // Wait 1 second before reconnecting
-      
-      if (this.transcriptCallback) {
-        await this.start(this.transcriptCallback);
+      if (!this.isResumable()) {
+        await this.fail(`${reason}; ${this.audioFormat.codec} audio cannot be resumed`);
+        return;
       }
+
+      while (this.isActive) {
+        if (this.reconnectAttempts >= config.TRANSCRIBE_MAX_RECONNECT_ATTEMPTS) {
+          console.error(`❌ Max reconnection attempts reached for user ${this.userId}. Stopping transcription.`);
+          await this.fail(reason);
+          return;
+        }
+
+        const attempt = ++this.reconnectAttempts;
+        const delayMs = backoffDelay(attempt, config.TRANSCRIBE_RECONNECT_BASE_MS, config.TRANSCRIBE_RECONNECT_MAX_MS);
+
+        console.log(`🔄 Reconnecting transcription for user ${this.userId} in ${delayMs}ms (${attempt}/${config.TRANSCRIBE_MAX_RECONNECT_ATTEMPTS}): ${reason}`);
+        this.state = "reconnecting";
+        this.reportStatus("reconnecting", { reason, attempt, delayMs });
+
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+        if (!this.isActive) {
+          return;
+        }
+
+        try {
+          const { replayedMs, gapMs } = await this.openStream(this.lastFinalEndMs);
+
+          this.reconnects++;
+          metrics.transcriptionReconnects.inc({ outcome: "resumed" });
+          this.lostMs += gapMs;
+          this.state = "streaming";
+          this.reportStatus("resumed", { reason, attempt, replayedMs, lostMs: gapMs });
+          return;
+        } catch (error) {
+          console.error(`❌ Reconnection failed for user ${this.userId}:`, error.message);
+          metrics.transcriptionReconnects.inc({ outcome: "failed" });
+          recordAwsError("transcribe", error);
+          if (error.name === "BadRequestException") {
+            await this.fail(error.message);
+            return;
+          }
+          reason = error.message;
+        }
+      }
+    } finally {
+      this.reconnecting = false;
+    }
+  }
+
+  /**
+   * Replace the stream before it reaches the AWS maximum duration. The new
+   * stream starts a little before the end of the audio so words at the cut
+   * are heard in full; results already finalized are de-duplicated.
+   */
+  async rotate() {
+    if (!this.isActive || this.reconnecting) {
+      return;
+    }
+
+    const overlapFromMs = this.audioBuffer.timelineMs - config.TRANSCRIBE_ROTATION_OVERLAP_MS;
+    console.log(`🔁 Rotating transcription stream for user ${this.userId}`);
+
+    try {
+      const { replayedMs } = await this.openStream(Math.max(this.lastFinalEndMs, overlapFromMs));
+
+      this.rotations++;
+      this.reportStatus("rotated", { replayedMs });
     } catch (error) {
-      console.error(`❌ Reconnection failed for user ${this.userId}:`, error.message);
+      console.error(`❌ Stream rotation failed for user ${this.userId}:`, error.message);
+      await this.handleTranscriptionError(error);
+    }
+  }
+
+  /**
+   * Ogg/FLAC passthrough audio carries its headers only at the start, so a
+   * new stream cannot pick it up mid-container
+   */
+  isResumable() {
+    return this.audioFormat.codec !== "ogg-opus" && this.audioFormat.codec !== "flac";
+  }
+
+  /**
+   * End the current stream and stop writing to it
+   */
+  detachStream() {
+    if (!this.stream) {
+      return;
+    }
+
+    this.closeStream(this.stream);
+    this.stream = null;
+
+    // Compressed audio restarts with container headers in the next stream
+    if (this.audioFormat.mediaEncoding !== "pcm") {
+      this.audioConverter.reset();
+    }
+  }
+
+  /**
+   * End a stream's audio; Transcribe then finalizes what it has and closes
+   * @param {Object} stream
+   */
+  closeStream(stream) {
+    if (stream.closing) {
+      return;
+    }
+
+    stream.closing = true;
+    clearTimeout(stream.rotationTimer);
+    stream.audioStream.end();
+  }
+
+  /**
+   * Give up on transcription and tell the client
+   * @param {string} reason
+   */
+  async fail(reason) {
+    if (!this.isActive) {
+      return;
+    }
+
+    this.state = "failed";
+    this.reportStatus("failed", { reason });
+    await this.stop();
+  }
+
+  /**
+   * Report a transcript continuity change to the status callback
+   * @param {string} state - "reconnecting", "resumed", "rotated" or "failed"
+   * @param {Object} details - reason, attempt, delayMs, replayedMs, lostMs
+   */
+  reportStatus(state, details = {}) {
+    if (!this.statusCallback) {
+      return;
+    }
+
+    try {
+      this.statusCallback({
+        state,
+        streamId: this.stream ? this.stream.id : null,
+        timestamp: new Date().toISOString(),
+        ...details,
+      });
+    } catch (error) {
+      console.error(`❌ Error reporting transcription status for user ${this.userId}:`, error.message);
+    }
+  }
+
+  /**
+   * Restart the stream in a different language, keeping the callbacks
+   * and the audio timeline
+   * @param {string} languageCode - Transcribe locale (e.g. "ta-IN")
+   */
+  async changeLanguage(languageCode) {
+    console.log(`🔄 Switching transcription language for user ${this.userId} to ${languageCode}`);
+
+    this.options = { ...this.options, languageCode };
+
+    if (!this.isActive || this.reconnecting) {
+      // The next stream opened picks up the new language
+      return;
+    }
+
+    try {
+      // Audio already sent was heard in the old language; do not replay it
+      await this.openStream(this.audioBuffer.timelineMs);
+    } catch (error) {
+      await this.handleTranscriptionError(error);
     }
   }
 
@@ -241,17 +779,20 @@ class TranscriptionService {
         clearTimeout(this.streamTimeout);
         this.streamTimeout = null;
       }
+      this.stopKeepAlive();
 
       // Close audio stream
-      if (this.audioStream && !this.audioStream.destroyed) {
-        this.audioStream.end();
-        this.audioStream.destroy();
+      if (this.stream) {
+        this.closeStream(this.stream);
       }
 
       // Cleanup references
       this.client = null;
-      this.audioStream = null;
+      this.stream = null;
+      this.resultStartedAt.clear();
       this.transcriptCallback = null;
+      this.partialTranscriptCallback = null;
+      this.statusCallback = null;
 
       console.log(`⏹️ Transcription stopped for user: ${this.userId} in room: ${this.roomId}`);
     } catch (error) {
@@ -268,10 +809,42 @@ class TranscriptionService {
       userId: this.userId,
       roomId: this.roomId,
       isActive: this.isActive,
+      state: this.isActive ? this.state : "stopped",
+      languageCode: this.options.languageCode || config.TRANSCRIBE_LANGUAGE_CODE,
+      audioFormat: this.audioFormat,
+      audioDecodeErrors: this.audioDecodeErrors,
+      voiceActivity: this.vad ? this.vad.getStats() : null,
+      keepAliveFrames: this.keepAliveFrames,
       reconnectAttempts: this.reconnectAttempts,
-      hasAudioStream: this.audioStream && !this.audioStream.destroyed,
+      hasAudioStream: Boolean(this.stream),
+      streamId: this.stream ? this.stream.id : null,
+      streamsOpened: this.streamCount,
+      reconnects: this.reconnects,
+      rotations: this.rotations,
+      duplicatesDropped: this.duplicatesDropped,
+      lostMs: Math.round(this.lostMs),
+      audioBuffer: this.audioBuffer ? this.audioBuffer.getStats() : null,
     };
   }
 }
 
+/**
+ * Join transcript items into text, attaching punctuation to the previous word
+ * @param {Object[]} items - Transcribe result items
+ * @returns {string}
+ */
+function joinItems(items) {
+  let text = "";
+
+  for (const item of items) {
+    if (item.Type === "punctuation") {
+      text += item.Content;
+    } else {
+      text += text ? ` ${item.Content}` : item.Content;
+    }
+  }
+
+  return text;
+}
+
 module.exports = { TranscriptionService };
\ No newline at end of file
@@ -2,6 +2,8 @@ const {
   TranslateClient,
   TranslateTextCommand,
 } = require("@aws-sdk/client-translate");
+const { redactForLog } = require("./piiRedactor");
+const { metrics, recordAwsError } = require("./metrics");
 const config = require("../config");
 
 class TranslationService {
@@ -56,9 +58,13 @@ class TranslationService {
    * Translate text from source language to target language
    * @param {string} text - Text to translate
    * @param {string} detectedLanguage - Detected language from transcription (optional)
+   * @param {Object} metadata - Optional result metadata
+   * @param {string} metadata.resultId - Transcribe result id the text belongs to
+   * @param {string} metadata.spokenAt - When the utterance was finalized
+   * @param {boolean} metadata.partial - Translate a partial result without triggering the callback
    * @returns {Promise<Object>} Translation result
    */
-  async translateText(text, detectedLanguage = null) {
+  async translateText(text, detectedLanguage = null, metadata = {}) {
     if (!this.isActive) {
       console.warn(`⚠️  [Translation] Service not active for user ${this.userId}`);
       return null;
@@ -83,18 +89,22 @@ class TranslationService {
       this.translationCount++;
 
       console.log(`\n📤 [Translation #${this.translationCount}] User: ${this.userId}`);
-      console.log(`   Source (${sourceLanguage}): "${text.substring(0, 80)}${text.length > 80 ? '...' : ''}"`);
+      console.log(`   Source (${sourceLanguage}): "${redactForLog(text).substring(0, 80)}${text.length > 80 ? '...' : ''}"`);
 
-      // Execute translation
-      const command = new TranslateTextCommand(params);
-      const response = await this.client.send(command);
+      // Identified language already matches the target (e.g. English in a Hinglish call)
+      const response = sourceLanguage === this.targetLanguage
+        ? { TranslatedText: text, SourceLanguageCode: sourceLanguage, TargetLanguageCode: this.targetLanguage }
+        : await this.client.send(new TranslateTextCommand(params));
 
       const translatedText = response.TranslatedText;
       const duration = Date.now() - startTime;
+      if (sourceLanguage !== this.targetLanguage) {
+        metrics.translationLatency.observe(duration / 1000, { kind: "utterance" });
+      }
 
       if (translatedText && translatedText.trim().length > 0) {
         console.log(`📥 [Translation #${this.translationCount}] Completed in ${duration}ms`);
-        console.log(`   Target (${this.targetLanguage}): "${translatedText}"`);
+        console.log(`   Target (${this.targetLanguage}): "${redactForLog(translatedText)}"`);
         console.log(`   Source Language: ${response.SourceLanguageCode || sourceLanguage}`);
         console.log(`   Target Language: ${response.TargetLanguageCode}`);
 
@@ -104,10 +114,17 @@ class TranslationService {
           sourceLanguage: response.SourceLanguageCode || sourceLanguage,
           targetLanguage: response.TargetLanguageCode,
           detectedLanguage: detectedLanguage,
+          resultId: metadata.resultId || null,
+          spokenAt: metadata.spokenAt || null,
+          partial: Boolean(metadata.partial),
           timestamp: new Date().toISOString(),
           duration: duration,
         };
 
+        if (metadata.partial) {
+          return result;
+        }
+
         this.lastTranslation = result;
 
         // Trigger callback with translation result
@@ -123,7 +140,8 @@ class TranslationService {
     } catch (error) {
       console.error(`\n❌ [Translation Error] User: ${this.userId}`);
       console.error(`   Error: ${error.message}`);
-      console.error(`   Text: "${text.substring(0, 50)}..."`);
+      console.error(`   Text: "${redactForLog(text).substring(0, 50)}..."`);
+      recordAwsError("translate", error);
       
       // Check for specific AWS errors
       if (error.name === "ThrottlingException") {
@@ -136,6 +154,60 @@ class TranslationService {
     }
   }
 
+  /**
+   * Translate one utterance into several target languages, once per language.
+   * Targets equal to the source language and translations already known are
+   * reused without calling AWS.
+   * @param {string} text - Text to translate
+   * @param {string} sourceLanguage - Language of the text
+   * @param {string[]} targetLanguages - Distinct target language codes
+   * @param {Object} knownTranslations - Already available translations by language code
+   * @returns {Promise<Object>} Translated text keyed by language code
+   */
+  async translateForLanguages(text, sourceLanguage, targetLanguages, knownTranslations = {}) {
+    const translations = {};
+
+    if (!this.isActive || !text || text.trim().length === 0) {
+      return translations;
+    }
+
+    await Promise.all(
+      [...new Set(targetLanguages)].map(async (targetLanguage) => {
+        if (targetLanguage === sourceLanguage) {
+          translations[targetLanguage] = text.trim();
+          return;
+        }
+
+        if (knownTranslations[targetLanguage]) {
+          translations[targetLanguage] = knownTranslations[targetLanguage];
+          return;
+        }
+
+        try {
+          const startTime = Date.now();
+          const command = new TranslateTextCommand({
+            Text: text.trim(),
+            SourceLanguageCode: sourceLanguage,
+            TargetLanguageCode: targetLanguage,
+          });
+          const response = await this.client.send(command);
+          this.translationCount++;
+          metrics.translationLatency.observe((Date.now() - startTime) / 1000, { kind: "listener" });
+
+          if (response.TranslatedText && response.TranslatedText.trim().length > 0) {
+            translations[targetLanguage] = response.TranslatedText.trim();
+            console.log(`📥 [Translation Fan-out] ${sourceLanguage} → ${targetLanguage} in ${Date.now() - startTime}ms`);
+          }
+        } catch (error) {
+          console.error(`❌ [Translation Fan-out] ${sourceLanguage} → ${targetLanguage} failed for user ${this.userId}:`, error.message);
+          recordAwsError("translate", error);
+        }
+      })
+    );
+
+    return translations;
+  }
+
   /**
    * Change translation language pair
    * @param {string} sourceLanguage - Source language code
@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { WebSocketServer } = require("ws");
+const config = require("../config");
+
+/**
+ * WebSocket endpoint speaking the Twilio Media Streams protocol.
+ *
+ * Twilio (or any compatible telephony gateway) connects once per call and
+ * sends "connected", "start", "media" (base64 8 kHz μ-law per track) and
+ * "stop" messages. Emits:
+ *   "call-start" (call)                  - call = { streamSid, callSid, roomId, tracks, customParameters, mediaFormat, token }
+ *   "media" (call, track, audioBuffer)   - track is "inbound" or "outbound"
+ *   "call-end" (call)                    - after "stop" or when the socket closes
+ */
+class TwilioMediaStreamServer extends EventEmitter {
+  constructor(path = config.TELEPHONY_PATH) {
+    super();
+    this.path = path;
+    this.wss = new WebSocketServer({ noServer: true });
+    this.calls = new Map(); // streamSid -> call
+  }
+
+  /**
+   * Take over WebSocket upgrades for this.path; Socket.IO keeps its own path
+   * @param {http.Server} server
+   */
+  attach(server) {
+    server.on("upgrade", (request, socket, head) => {
+      const url = new URL(request.url, "http://localhost");
+      if (url.pathname !== this.path) {
+        return;
+      }
+
+      if (config.TWILIO_AUTH_TOKEN && !isValidTwilioSignature(request)) {
+        console.warn(`⚠️  [Telephony] Rejected media stream with an invalid X-Twilio-Signature`);
+        socket.write("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+        socket.destroy();
+        return;
+      }
+
+      this.wss.handleUpgrade(request, socket, head, (ws) => this.handleConnection(ws, url));
+    });
+
+    console.log(`📞 [Telephony] Media Streams endpoint listening on ${this.path}`);
+  }
+
+  handleConnection(ws, url) {
+    let call = null;
+
+    ws.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        console.warn(`⚠️  [Telephony] Ignoring non-JSON media stream message`);
+        return;
+      }
+
+      switch (message.event) {
+        case "connected":
+          break;
+
+        case "start":
+          call = this.startCall(message, url);
+          break;
+
+        case "media":
+          if (call && message.media && message.media.payload) {
+            this.emit("media", call, message.media.track || "inbound", Buffer.from(message.media.payload, "base64"));
+          }
+          break;
+
+        case "stop":
+          this.endCall(call);
+          ws.close();
+          break;
+
+        default:
+          // "mark" and "dtmf" are not used
+          break;
+      }
+    });
+
+    ws.on("close", () => this.endCall(call));
+    ws.on("error", (error) => {
+      console.error(`❌ [Telephony] Media stream error:`, error.message);
+    });
+  }
+
+  startCall(message, url) {
+    const start = message.start || {};
+    const customParameters = start.customParameters || {};
+
+    const call = {
+      streamSid: message.streamSid || start.streamSid,
+      callSid: start.callSid || null,
+      roomId: customParameters.roomId || url.searchParams.get("roomId"),
+      tracks: Array.isArray(start.tracks) && start.tracks.length > 0 ? start.tracks : ["inbound"],
+      customParameters,
+      mediaFormat: start.mediaFormat || { encoding: "audio/x-mulaw", sampleRate: 8000, channels: 1 },
+      token: customParameters.token || url.searchParams.get("token"),
+      ended: false,
+    };
+
+    this.calls.set(call.streamSid, call);
+    console.log(`\n📞 [Telephony] Call ${call.callSid} started (stream ${call.streamSid}, room ${call.roomId}, tracks ${call.tracks.join(", ")})`);
+
+    this.emit("call-start", call);
+    return call;
+  }
+
+  endCall(call) {
+    if (!call || call.ended) {
+      return;
+    }
+
+    call.ended = true;
+    this.calls.delete(call.streamSid);
+    console.log(`\n📴 [Telephony] Call ${call.callSid} ended (stream ${call.streamSid})`);
+
+    this.emit("call-end", call);
+  }
+
+  getActiveCallCount() {
+    return this.calls.size;
+  }
+}
+
+/**
+ * Twilio signs the WebSocket URL with the account's auth token:
+ * base64(HMAC-SHA1(authToken, url))
+ */
+function isValidTwilioSignature(request) {
+  const signature = request.headers["x-twilio-signature"];
+  if (!signature) {
+    return false;
+  }
+
+  const query = request.url.includes("?") ? request.url.slice(request.url.indexOf("?")) : "";
+  const url = config.TWILIO_STREAM_URL
+    ? `${config.TWILIO_STREAM_URL}${query}`
+    : `wss://${request.headers.host}${request.url}`;
+
+  const expected = crypto.createHmac("sha1", config.TWILIO_AUTH_TOKEN).update(url).digest("base64");
+
+  return (
+    Buffer.byteLength(signature) === Buffer.byteLength(expected) &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+}
+
+module.exports = { TwilioMediaStreamServer, isValidTwilioSignature };
@@ -0,0 +1,128 @@
+const config = require("../config");
+
+/**
+ * Energy-based voice activity detector for 16-bit mono PCM.
+ *
+ * Audio is split into short frames; a frame is speech when its level is above
+ * both a fixed threshold and an adaptive noise floor. Only speech is passed on,
+ * padded with pre-roll (frames just before speech starts) and hang-over
+ * (frames after it ends) so word edges are not clipped.
+ */
+class VoiceActivityDetector {
+  /**
+   * @param {number} sampleRate - Sample rate of the PCM passed to process()
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.frameBytes = Math.round((sampleRate * config.VAD_FRAME_MS) / 1000) * 2;
+    this.preRollFrames = Math.ceil(config.VAD_PRE_ROLL_MS / config.VAD_FRAME_MS);
+    this.hangoverFrames = Math.ceil(config.VAD_HANGOVER_MS / config.VAD_FRAME_MS);
+
+    this.remainder = Buffer.alloc(0);
+    this.preRoll = [];
+    this.inSpeech = false;
+    this.hangoverRemaining = 0;
+    this.noiseFloorDb = config.VAD_THRESHOLD_DB - config.VAD_NOISE_MARGIN_DB;
+
+    this.stats = {
+      speechFrames: 0,
+      paddingFrames: 0,
+      silenceFrames: 0,
+      speechSegments: 0,
+    };
+  }
+
+  /**
+   * Filter a chunk of PCM down to the frames worth transcribing
+   * @param {Buffer} pcm - 16-bit little-endian mono PCM
+   * @returns {Buffer} Speech frames with padding (may be empty)
+   */
+  process(pcm) {
+    const data = this.remainder.length > 0 ? Buffer.concat([this.remainder, pcm]) : pcm;
+    const frameCount = Math.floor(data.length / this.frameBytes);
+    this.remainder = Buffer.from(data.subarray(frameCount * this.frameBytes));
+
+    const output = [];
+
+    for (let i = 0; i < frameCount; i++) {
+      const frame = data.subarray(i * this.frameBytes, (i + 1) * this.frameBytes);
+      const levelDb = frameLevelDb(frame);
+      const isSpeech = levelDb > Math.max(config.VAD_THRESHOLD_DB, this.noiseFloorDb + config.VAD_NOISE_MARGIN_DB);
+
+      this.updateNoiseFloor(levelDb);
+
+      if (isSpeech) {
+        if (!this.inSpeech) {
+          this.inSpeech = true;
+          this.stats.speechSegments++;
+          // Pre-roll was counted as silence when it arrived; it is sent after all
+          this.stats.silenceFrames -= this.preRoll.length;
+          this.stats.paddingFrames += this.preRoll.length;
+          output.push(...this.preRoll);
+          this.preRoll = [];
+        }
+        this.hangoverRemaining = this.hangoverFrames;
+        this.stats.speechFrames++;
+        output.push(frame);
+      } else if (this.inSpeech && this.hangoverRemaining > 0) {
+        this.hangoverRemaining--;
+        this.inSpeech = this.hangoverRemaining > 0;
+        this.stats.paddingFrames++;
+        output.push(frame);
+      } else {
+        this.inSpeech = false;
+        this.stats.silenceFrames++;
+        this.preRoll.push(Buffer.from(frame));
+        if (this.preRoll.length > this.preRollFrames) {
+          this.preRoll.shift();
+        }
+      }
+    }
+
+    return output.length > 0 ? Buffer.concat(output) : Buffer.alloc(0);
+  }
+
+  /**
+   * Track the background level: drop quickly to quieter frames, rise slowly so
+   * steady noise is eventually treated as silence
+   */
+  updateNoiseFloor(levelDb) {
+    const rate = levelDb < this.noiseFloorDb ? 0.2 : 0.002;
+    this.noiseFloorDb += (levelDb - this.noiseFloorDb) * rate;
+  }
+
+  getStats() {
+    const { speechFrames, paddingFrames, silenceFrames, speechSegments } = this.stats;
+    const totalFrames = speechFrames + paddingFrames + silenceFrames;
+    const ratio = (frames) => (totalFrames > 0 ? Math.round((frames / totalFrames) * 1000) / 1000 : 0);
+
+    return {
+      speaking: this.inSpeech,
+      speechSegments,
+      speechMs: speechFrames * config.VAD_FRAME_MS,
+      paddingMs: paddingFrames * config.VAD_FRAME_MS,
+      silenceMs: silenceFrames * config.VAD_FRAME_MS,
+      speechRatio: ratio(speechFrames),
+      silenceRatio: ratio(silenceFrames),
+      noiseFloorDb: Math.round(this.noiseFloorDb * 10) / 10,
+    };
+  }
+}
+
+/**
+ * RMS level of a 16-bit PCM frame in dBFS
+ */
+function frameLevelDb(frame) {
+  let sumSquares = 0;
+  const samples = frame.length / 2;
+
+  for (let i = 0; i < samples; i++) {
+    const sample = frame.readInt16LE(i * 2) / 32768;
+    sumSquares += sample * sample;
+  }
+
+  const rms = Math.sqrt(sumSquares / samples);
+  return rms > 0 ? 20 * Math.log10(rms) : -100;
+}
+
+module.exports = { VoiceActivityDetector };
@@ -0,0 +1,252 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { backoffDelay } = require("./backoff");
+const config = require("../config");
+
+const RISK_LEVEL_RANK = { LOW: 0, MEDIUM: 1, HIGH: 2 };
+
+/**
+ * Outbound webhook alerts for MEDIUM/HIGH fraud detections.
+ * Each delivery is a signed JSON POST retried with exponential backoff;
+ * deliveries that never succeed are appended to a dead-letter log.
+ */
+class WebhookService {
+  /**
+   * @param {Object[]} subscriptions - { id, url, secret, minRiskLevel, rooms }
+   */
+  constructor(subscriptions = loadSubscriptions()) {
+    this.subscriptions = subscriptions;
+    this.alertedLevels = new Map(); // roomId -> Map(speakerId -> highest rank alerted)
+    this.stats = {
+      detectionsReceived: 0,
+      duplicatesSuppressed: 0,
+      deliveriesSucceeded: 0,
+      deliveriesFailed: 0,
+      deadLettered: 0,
+    };
+
+    console.log(`🔔 [Webhooks] ${this.subscriptions.length} subscription(s) configured`);
+  }
+
+  /**
+   * Send a fraud detection to every matching subscription.
+   * Within one call a speaker is only re-alerted when their risk level escalates;
+   * an alert that no subscription accepted does not count, so the next detection retries it.
+   * @param {Object} detection
+   * @param {string} detection.roomId - Room ID
+   * @param {string} detection.speakerId - Flagged speaker
+   * @param {string} detection.sessionId - Recorded session ID (if any)
+   * @param {string} detection.message - Translated message that was analyzed
+   * @param {Object} detection.fraudAnalysis - Fraud analysis from the pipeline
+   * @param {string} detection.timestamp - Detection time
+   * @returns {Promise<boolean[]>} Whether each matching delivery succeeded
+   */
+  notifyDetection({ roomId, speakerId, sessionId, message, fraudAnalysis, timestamp }) {
+    const rank = RISK_LEVEL_RANK[fraudAnalysis.riskLevel] || 0;
+    if (rank < RISK_LEVEL_RANK.MEDIUM || this.subscriptions.length === 0) {
+      return Promise.resolve([]);
+    }
+
+    this.stats.detectionsReceived++;
+
+    if (!this.alertedLevels.has(roomId)) {
+      this.alertedLevels.set(roomId, new Map());
+    }
+    const roomAlerts = this.alertedLevels.get(roomId);
+
+    if ((roomAlerts.get(speakerId) ?? -1) >= rank) {
+      this.stats.duplicatesSuppressed++;
+      console.log(`🔕 [Webhooks] Suppressed repeated ${fraudAnalysis.riskLevel} alert for ${speakerId} in room ${roomId}`);
+      return Promise.resolve([]);
+    }
+
+    // Claimed now so detections arriving while this alert is in flight are suppressed
+    const previousRank = roomAlerts.get(speakerId);
+    roomAlerts.set(speakerId, rank);
+
+    const payload = {
+      id: crypto.randomUUID(),
+      type: "fraud.detected",
+      roomId,
+      sessionId: sessionId || null,
+      speakerId,
+      message,
+      fraudScore: fraudAnalysis.fraudScore,
+      riskLevel: fraudAnalysis.riskLevel,
+      summary: fraudAnalysis.summary,
+      redFlags: fraudAnalysis.redFlags,
+      matchedPatterns: fraudAnalysis.matchedPatterns,
+      reasoning: fraudAnalysis.reasoning,
+      timestamp,
+    };
+
+    // Deliveries run in the background; failures end up in the dead-letter log
+    const deliveries = this.subscriptions
+      .filter((subscription) => this.matches(subscription, roomId, rank))
+      .map((subscription) => this.deliver(subscription, payload));
+
+    return Promise.all(deliveries).then((results) => {
+      if (results.length > 0 && !results.includes(true)) {
+        this.releaseLevel(roomId, roomAlerts, speakerId, rank, previousRank);
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Undo the claim on a risk level whose alert was not delivered anywhere,
+   * unless the room was cleared or a higher level was alerted meanwhile
+   */
+  releaseLevel(roomId, roomAlerts, speakerId, rank, previousRank) {
+    if (this.alertedLevels.get(roomId) !== roomAlerts || roomAlerts.get(speakerId) !== rank) {
+      return;
+    }
+
+    if (previousRank === undefined) {
+      roomAlerts.delete(speakerId);
+    } else {
+      roomAlerts.set(speakerId, previousRank);
+    }
+    console.warn(`⚠️  [Webhooks] ${speakerId}'s alert in room ${roomId} was not delivered; the next detection will retry it`);
+  }
+
+  matches(subscription, roomId, rank) {
+    if (rank < RISK_LEVEL_RANK[subscription.minRiskLevel]) {
+      return false;
+    }
+    return !subscription.rooms || subscription.rooms.includes(roomId);
+  }
+
+  /**
+   * POST the payload, retrying with exponential backoff
+   */
+  async deliver(subscription, payload) {
+    const body = JSON.stringify(payload);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= config.WEBHOOK_MAX_ATTEMPTS; attempt++) {
+      try {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const response = await fetch(subscription.url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Idempotency-Key": payload.id,
+            "X-Webhook-Timestamp": timestamp,
+            "X-Webhook-Signature": `sha256=${sign(subscription.secret, timestamp, body)}`,
+          },
+          body,
+          signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT_MS),
+        });
+
+        if (response.ok) {
+          this.stats.deliveriesSucceeded++;
+          console.log(`🔔 [Webhooks] Delivered ${payload.riskLevel} alert to ${subscription.id} (attempt ${attempt})`);
+          return true;
+        }
+
+        lastError = `HTTP ${response.status}`;
+
+        // Client errors other than timeouts/rate limits will not succeed on retry
+        if (response.status < 500 && response.status !== 408 && response.status !== 429) {
+          break;
+        }
+      } catch (error) {
+        lastError = error.message;
+      }
+
+      console.warn(`⚠️  [Webhooks] Delivery to ${subscription.id} failed (attempt ${attempt}/${config.WEBHOOK_MAX_ATTEMPTS}): ${lastError}`);
+
+      if (attempt < config.WEBHOOK_MAX_ATTEMPTS) {
+        const delay = backoffDelay(attempt, config.WEBHOOK_BACKOFF_BASE_MS, config.WEBHOOK_BACKOFF_MAX_MS);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+
+    this.stats.deliveriesFailed++;
+    await this.deadLetter(subscription, payload, lastError);
+    return false;
+  }
+
+  async deadLetter(subscription, payload, error) {
+    try {
+      await fs.mkdir(path.dirname(config.WEBHOOK_DEAD_LETTER_FILE), { recursive: true });
+      await fs.appendFile(
+        config.WEBHOOK_DEAD_LETTER_FILE,
+        `${JSON.stringify({
+          subscriptionId: subscription.id,
+          url: subscription.url,
+          error,
+          failedAt: new Date().toISOString(),
+          payload,
+        })}\n`
+      );
+      this.stats.deadLettered++;
+      console.error(`❌ [Webhooks] Dead-lettered alert ${payload.id} for ${subscription.id}: ${error}`);
+    } catch (writeError) {
+      console.error(`❌ [Webhooks] Failed to write dead letter:`, writeError.message);
+    }
+  }
+
+  /**
+   * Forget de-duplication state once the call is over
+   */
+  clearRoom(roomId) {
+    this.alertedLevels.delete(roomId);
+  }
+
+  getStats() {
+    return {
+      subscriptions: this.subscriptions.length,
+      ...this.stats,
+    };
+  }
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replays
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Load subscriptions from WEBHOOK_SUBSCRIPTIONS (JSON array) or WEBHOOK_SUBSCRIPTIONS_FILE
+ */
+function loadSubscriptions() {
+  let raw = [];
+
+  try {
+    if (config.WEBHOOK_SUBSCRIPTIONS) {
+      raw = JSON.parse(config.WEBHOOK_SUBSCRIPTIONS);
+    } else if (config.WEBHOOK_SUBSCRIPTIONS_FILE) {
+      raw = JSON.parse(require("fs").readFileSync(config.WEBHOOK_SUBSCRIPTIONS_FILE, "utf8"));
+    }
+  } catch (error) {
+    console.error(`❌ [Webhooks] Invalid subscription configuration:`, error.message);
+    return [];
+  }
+
+  return raw
+    .filter((subscription) => {
+      if (!subscription || !subscription.url) {
+        console.warn(`⚠️  [Webhooks] Ignoring subscription without url`);
+        return false;
+      }
+      if (!subscription.secret && !config.WEBHOOK_SECRET) {
+        console.warn(`⚠️  [Webhooks] Ignoring subscription ${subscription.url} without a signing secret (set secret or WEBHOOK_SECRET)`);
+        return false;
+      }
+      return true;
+    })
+    .map((subscription, index) => ({
+      id: subscription.id || `webhook-${index + 1}`,
+      url: subscription.url,
+      secret: subscription.secret || config.WEBHOOK_SECRET,
+      minRiskLevel: RISK_LEVEL_RANK[subscription.minRiskLevel] !== undefined ? subscription.minRiskLevel : "HIGH",
+      rooms: Array.isArray(subscription.rooms) && subscription.rooms.length > 0 ? subscription.rooms : null,
+    }));
+}
+
+module.exports = { WebhookService, loadSubscriptions, RISK_LEVEL_RANK };
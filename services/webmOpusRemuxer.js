@@ -0,0 +1,356 @@
+/**
+ * Streaming WebM/Opus → Ogg/Opus remuxer.
+ *
+ * Browsers' MediaRecorder produces Opus in a WebM container, which Transcribe
+ * does not accept. The Opus packets are copied unchanged into Ogg pages
+ * (no decoding), so this is cheap enough to run per chunk.
+ */
+
+const EBML_IDS = {
+  SEGMENT: 0x18538067,
+  CLUSTER: 0x1f43b675,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_NUMBER: 0xd7,
+  CODEC_ID: 0x86,
+  CODEC_PRIVATE: 0x63a2,
+  BLOCK_GROUP: 0xa0,
+  BLOCK: 0xa1,
+  SIMPLE_BLOCK: 0xa3,
+};
+
+// Master elements walked into; every other element is read whole or skipped
+const CONTAINER_IDS = new Set([
+  EBML_IDS.SEGMENT,
+  EBML_IDS.CLUSTER,
+  EBML_IDS.TRACKS,
+  EBML_IDS.TRACK_ENTRY,
+  EBML_IDS.BLOCK_GROUP,
+]);
+
+const LEAF_IDS = new Set([
+  EBML_IDS.TRACK_NUMBER,
+  EBML_IDS.CODEC_ID,
+  EBML_IDS.CODEC_PRIVATE,
+  EBML_IDS.BLOCK,
+  EBML_IDS.SIMPLE_BLOCK,
+]);
+
+class WebmOpusRemuxer {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+    this.skipBytes = 0;
+    this.tracks = [];
+    this.opusTrack = null;
+    this.failed = false;
+
+    // Ogg output state; reset() starts a new logical stream
+    this.serial = 0;
+    this.pageSequence = 0;
+    this.granulePosition = 0;
+    this.headerWritten = false;
+  }
+
+  /**
+   * Remux a chunk of WebM bytes
+   * @param {Buffer} chunk - Next bytes of the WebM stream
+   * @returns {Buffer|null} Ogg pages for the complete Opus packets in the chunk
+   */
+  convert(chunk) {
+    if (this.failed) {
+      return null;
+    }
+
+    try {
+      return this.parse(chunk);
+    } catch (error) {
+      // The container cannot be resynchronized once the element structure is lost
+      this.failed = true;
+      throw new Error(`Invalid WebM/Opus stream: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a new Ogg logical stream (new Transcribe stream); the Opus headers
+   * are written again before the next packet
+   */
+  reset() {
+    this.serial = 0;
+    this.pageSequence = 0;
+    this.granulePosition = 0;
+    this.headerWritten = false;
+  }
+
+  parse(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const pages = [];
+
+    while (true) {
+      if (this.skipBytes > 0) {
+        const skipped = Math.min(this.skipBytes, this.buffer.length);
+        this.buffer = this.buffer.subarray(skipped);
+        this.skipBytes -= skipped;
+        if (this.skipBytes > 0) break;
+      }
+
+      const id = readVint(this.buffer, 0, true);
+      if (!id) break;
+      const size = readVint(this.buffer, id.length, false);
+      if (!size) break;
+
+      const headerLength = id.length + size.length;
+
+      if (CONTAINER_IDS.has(id.value)) {
+        if (id.value === EBML_IDS.TRACK_ENTRY) {
+          this.tracks.push({ number: null, codecId: null, codecPrivate: null });
+        }
+        this.buffer = this.buffer.subarray(headerLength);
+        continue;
+      }
+
+      if (size.unknown) {
+        throw new Error(`element 0x${id.value.toString(16)} has unknown size`);
+      }
+
+      if (!LEAF_IDS.has(id.value)) {
+        this.buffer = this.buffer.subarray(headerLength);
+        this.skipBytes = size.value;
+        continue;
+      }
+
+      if (this.buffer.length < headerLength + size.value) break;
+
+      const data = this.buffer.subarray(headerLength, headerLength + size.value);
+      this.buffer = this.buffer.subarray(headerLength + size.value);
+
+      const page = this.handleElement(id.value, data);
+      if (page) {
+        pages.push(page);
+      }
+    }
+
+    return pages.length > 0 ? Buffer.concat(pages) : null;
+  }
+
+  handleElement(id, data) {
+    const track = this.tracks[this.tracks.length - 1];
+
+    switch (id) {
+      case EBML_IDS.TRACK_NUMBER:
+        if (track) track.number = readUint(data);
+        return null;
+      case EBML_IDS.CODEC_ID:
+        if (track) track.codecId = data.toString("ascii");
+        return null;
+      case EBML_IDS.CODEC_PRIVATE:
+        if (track) track.codecPrivate = Buffer.from(data);
+        return null;
+      default:
+        return this.handleBlock(data);
+    }
+  }
+
+  /**
+   * Copy the Opus packet of a (Simple)Block into an Ogg page
+   */
+  handleBlock(data) {
+    if (!this.opusTrack) {
+      this.opusTrack = this.tracks.find((track) => track.codecId === "A_OPUS");
+      if (!this.opusTrack) {
+        throw new Error(`no Opus audio track (found ${this.tracks.map((t) => t.codecId).join(", ") || "none"})`);
+      }
+    }
+
+    const trackNumber = readVint(data, 0, false);
+    if (!trackNumber || trackNumber.value !== this.opusTrack.number) {
+      return null;
+    }
+
+    // Track number, 16-bit relative timecode, flags
+    const flags = data[trackNumber.length + 2];
+    if ((flags & 0x06) !== 0) {
+      throw new Error("laced blocks are not supported");
+    }
+
+    const packet = data.subarray(trackNumber.length + 3);
+    if (packet.length === 0) {
+      return null;
+    }
+
+    const pages = [];
+    if (!this.headerWritten) {
+      pages.push(...this.headerPages());
+      this.headerWritten = true;
+    }
+
+    this.granulePosition += opusPacketSamples(packet);
+    pages.push(this.page(packet, this.granulePosition, 0));
+
+    return Buffer.concat(pages);
+  }
+
+  /**
+   * OpusHead (from the track's CodecPrivate) and OpusTags pages that open every Ogg stream
+   */
+  headerPages() {
+    this.serial = Math.floor(Math.random() * 0xffffffff);
+    this.pageSequence = 0;
+    this.granulePosition = 0;
+
+    const opusHead = this.opusTrack.codecPrivate || defaultOpusHead();
+
+    const vendor = Buffer.from("ai_calling_backend");
+    const opusTags = Buffer.alloc(8 + 4 + vendor.length + 4);
+    opusTags.write("OpusTags", 0, "ascii");
+    opusTags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(opusTags, 12);
+    opusTags.writeUInt32LE(0, 12 + vendor.length);
+
+    return [this.page(opusHead, 0, 0x02), this.page(opusTags, 0, 0)];
+  }
+
+  /**
+   * Build an Ogg page holding one packet
+   * @param {Buffer} packet - Packet data
+   * @param {number} granulePosition - 48 kHz sample position after the packet
+   * @param {number} headerType - 0x02 for the first page of the stream
+   */
+  page(packet, granulePosition, headerType) {
+    const lacing = [];
+    for (let remaining = packet.length; remaining >= 0; remaining -= 255) {
+      lacing.push(Math.min(remaining, 255));
+      if (remaining < 255) break;
+    }
+    if (lacing.length > 255) {
+      throw new Error(`Opus packet of ${packet.length} bytes does not fit an Ogg page`);
+    }
+
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write("OggS", 0, "ascii");
+    header[4] = 0; // version
+    header[5] = headerType;
+    header.writeBigUInt64LE(BigInt(granulePosition), 6);
+    header.writeUInt32LE(this.serial, 14);
+    header.writeUInt32LE(this.pageSequence++, 18);
+    header.writeUInt32LE(0, 22); // CRC, filled in below
+    header[26] = lacing.length;
+    Buffer.from(lacing).copy(header, 27);
+
+    const page = Buffer.concat([header, packet]);
+    page.writeUInt32LE(oggCrc(page), 22);
+    return page;
+  }
+}
+
+/**
+ * Read an EBML variable-length integer
+ * @param {Buffer} buffer - Source bytes
+ * @param {number} offset - Position of the first byte
+ * @param {boolean} keepMarker - Element IDs keep their length marker bit
+ * @returns {Object|null} { value, length, unknown }, or null when more bytes are needed
+ */
+function readVint(buffer, offset, keepMarker) {
+  if (offset >= buffer.length) {
+    return null;
+  }
+
+  const first = buffer[offset];
+  if (first === 0) {
+    throw new Error("invalid EBML variable-length integer");
+  }
+
+  let length = 1;
+  while (!(first & (0x80 >> (length - 1)))) {
+    length++;
+  }
+
+  if (offset + length > buffer.length) {
+    return null;
+  }
+
+  let value = keepMarker ? first : first & ((0x80 >> (length - 1)) - 1);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+  }
+
+  return {
+    value,
+    length,
+    unknown: !keepMarker && value === 2 ** (7 * length) - 1,
+  };
+}
+
+function readUint(data) {
+  let value = 0;
+  for (const byte of data) {
+    value = value * 256 + byte;
+  }
+  return value;
+}
+
+/**
+ * Number of 48 kHz samples in an Opus packet, from its TOC byte (RFC 6716 §3.1)
+ */
+function opusPacketSamples(packet) {
+  const toc = packet[0];
+  const configuration = toc >> 3;
+
+  let frameSamples;
+  if (configuration < 12) {
+    frameSamples = [480, 960, 1920, 2880][configuration & 3]; // SILK
+  } else if (configuration < 16) {
+    frameSamples = [480, 960][configuration & 1]; // Hybrid
+  } else {
+    frameSamples = [120, 240, 480, 960][configuration & 3]; // CELT
+  }
+
+  const frameCountCode = toc & 3;
+  let frames = 1;
+  if (frameCountCode === 1 || frameCountCode === 2) {
+    frames = 2;
+  } else if (frameCountCode === 3) {
+    frames = packet.length > 1 ? packet[1] & 0x3f : 0;
+  }
+
+  return frameSamples * frames;
+}
+
+/**
+ * Mono 48 kHz OpusHead for WebM files that omit CodecPrivate
+ */
+function defaultOpusHead() {
+  const head = Buffer.alloc(19);
+  head.write("OpusHead", 0, "ascii");
+  head[8] = 1; // version
+  head[9] = 1; // channels
+  head.writeUInt16LE(0, 10); // pre-skip
+  head.writeUInt32LE(48000, 12);
+  head.writeInt16LE(0, 16); // output gain
+  head[18] = 0; // channel mapping family
+  return head;
+}
+
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Ogg page checksum: CRC-32 with polynomial 0x04c11db7, no reflection
+ */
+function oggCrc(page) {
+  let crc = 0;
+  for (const byte of page) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+module.exports = { WebmOpusRemuxer, opusPacketSamples };
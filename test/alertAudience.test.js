@@ -0,0 +1,74 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { flaggedParticipants, splitAudience, attributeRisk, redFlagAnalysis } = require("../services/alertAudience");
+
+const members = [
+  { socketId: "host", userId: "alice", role: "host" },
+  { socketId: "caller", userId: "bob", role: "participant", callRole: "caller" },
+  { socketId: "observer", userId: "olga", role: "observer" },
+];
+
+const socketIds = (list) => list.map((member) => member.socketId);
+
+function participantRisk(speakerSocketId, suspectScore, targetScore) {
+  const level = (score) => (score >= 61 ? "HIGH" : score >= 31 ? "MEDIUM" : "LOW");
+  return {
+    speakerSocketId,
+    callRole: null,
+    suspect: { riskScore: suspectScore, riskLevel: level(suspectScore) },
+    target: { riskScore: targetScore, riskLevel: level(targetScore) },
+  };
+}
+
+test("flaggedParticipants takes suspects above LOW plus the extra socket IDs", () => {
+  const callRisk = { participants: [participantRisk("caller", 70, 0), participantRisk("host", 5, 80)] };
+  assert.deepStrictEqual([...flaggedParticipants(callRisk, ["other", null])].sort(), ["caller", "other"]);
+  assert.deepStrictEqual([...flaggedParticipants(null)], []);
+});
+
+test("everyone informs flagged speakers too", () => {
+  const { informed, withheld } = splitAudience("everyone", members, new Set(["caller"]));
+  assert.deepStrictEqual(socketIds(informed), ["host", "caller", "observer"]);
+  assert.deepStrictEqual(withheld, []);
+});
+
+test("not-flagged withholds alerts from flagged participants only", () => {
+  const { informed, withheld } = splitAudience("not-flagged", members, new Set(["caller"]));
+  assert.deepStrictEqual(socketIds(informed), ["host", "observer"]);
+  assert.deepStrictEqual(socketIds(withheld), ["caller"]);
+});
+
+test("observers-and-hosts leaves out participants, and a flagged host", () => {
+  assert.deepStrictEqual(socketIds(splitAudience("observers-and-hosts", members, new Set()).withheld), ["caller"]);
+  assert.deepStrictEqual(socketIds(splitAudience("observers-and-hosts", members, new Set(["host"])).informed), ["observer"]);
+});
+
+test("an analysis without participant scores implicates the speaker", () => {
+  const attribution = attributeRisk(members, { socketId: "caller", userId: "bob" }, { fraudScore: 75, participants: [] });
+  assert.strictEqual(attribution.likelySuspect.speakerSocketId, "caller");
+  assert.strictEqual(attribution.likelySuspect.callRole, "caller");
+  assert.deepStrictEqual(attribution.atRisk, []);
+});
+
+test("a red flag early in the call implicates its speaker at the rule weight", () => {
+  const redFlag = { weight: 45 };
+  const attribution = attributeRisk(members, { socketId: "host", userId: "alice" }, redFlagAnalysis(null, redFlag));
+  assert.strictEqual(attribution.likelySuspect.speakerSocketId, "host");
+  assert.strictEqual(attribution.likelySuspect.suspectScore, 45);
+});
+
+test("a target repeating the scammer's demand does not become the suspect", () => {
+  const callRisk = {
+    likelySuspect: { speakerSocketId: "caller" },
+    likelyTarget: { speakerSocketId: "host" },
+    participants: [participantRisk("caller", 72, 0), participantRisk("host", 4, 66)],
+  };
+
+  // The host says "you want my OTP?"
+  const attribution = attributeRisk(members, { socketId: "host", userId: "alice" }, redFlagAnalysis(callRisk, { weight: 45 }));
+  assert.strictEqual(attribution.likelySuspect.speakerSocketId, "caller");
+  assert.deepStrictEqual(attribution.atRisk.map((participant) => participant.speakerSocketId), ["host"]);
+
+  const flagged = flaggedParticipants(callRisk, [attribution.likelySuspect.speakerSocketId]);
+  assert.deepStrictEqual(socketIds(splitAudience("not-flagged", members, flagged).withheld), ["caller"]);
+});
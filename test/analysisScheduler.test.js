@@ -0,0 +1,180 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+process.env.ANALYSIS_DEBOUNCE_MS = "20";
+process.env.ANALYSIS_MAX_DELAY_MS = "200";
+process.env.ANALYSIS_MIN_WORDS = "3";
+process.env.ANALYSIS_MAX_CONCURRENCY = "1";
+process.env.ANALYSIS_QUEUE_SIZE = "4";
+
+const { AnalysisScheduler, isNotAnalyzed } = require("../services/analysisScheduler");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The analysis a schedule() promise settled with
+const analysisOf = async (scheduled) => (await scheduled).analysis;
+
+/**
+ * An analyze() whose calls finish only when released
+ */
+function controllableAnalyzer() {
+  const calls = [];
+  const analyze = (text, signal) => new Promise((resolve, reject) => {
+    calls.push({ text, signal, resolve, reject });
+  });
+  return { calls, analyze };
+}
+
+test("consecutive utterances are merged into one analysis", async () => {
+  const scheduler = new AnalysisScheduler("room");
+  const analyzed = [];
+  const analyze = async (text) => {
+    analyzed.push(text);
+    return { status: "ok", fraudScore: 10 };
+  };
+
+  const first = scheduler.schedule("a", "please share the", analyze);
+  const second = scheduler.schedule("a", "code you received", analyze);
+
+  assert.deepStrictEqual(await analysisOf(first), { status: "not-analyzed", reason: "merged" });
+  assert.deepStrictEqual(await analysisOf(second), { status: "ok", fraudScore: 10 });
+  assert.deepStrictEqual(analyzed, ["please share the code you received"]);
+  assert.strictEqual(scheduler.getStats().merged, 1);
+});
+
+test("a replacing utterance takes the pending one's place instead of being appended", async () => {
+  const scheduler = new AnalysisScheduler("room");
+  const analyzed = [];
+  const analyze = async (text) => {
+    analyzed.push(text);
+    return { status: "ok", fraudScore: 10 };
+  };
+
+  const first = scheduler.schedule("a:partial", "please share the", analyze, { replace: true });
+  const second = scheduler.schedule("a:partial", "please share the code", analyze, { replace: true });
+
+  assert.deepStrictEqual(await analysisOf(first), { status: "not-analyzed", reason: "superseded" });
+  assert.deepStrictEqual(await analysisOf(second), { status: "ok", fraudScore: 10 });
+  assert.deepStrictEqual(analyzed, ["please share the code"]);
+});
+
+test("short utterances are skipped unless forced", async () => {
+  const scheduler = new AnalysisScheduler("room");
+  const analyze = async () => ({ status: "ok", fraudScore: 50 });
+
+  assert.deepStrictEqual(await analysisOf(scheduler.schedule("a", "okay", analyze)), { status: "not-analyzed", reason: "skipped-short" });
+  assert.deepStrictEqual(await analysisOf(scheduler.schedule("a", "OTP", analyze, { force: true })), { status: "ok", fraudScore: 50 });
+});
+
+test("a queued analysis is superseded by the same speaker's newer one", async () => {
+  const scheduler = new AnalysisScheduler("room");
+  const { calls, analyze } = controllableAnalyzer();
+
+  // Speaker a occupies the only slot
+  const busy = scheduler.schedule("a", "one two three", analyze);
+  await sleep(40);
+  assert.strictEqual(calls.length, 1);
+
+  const older = scheduler.schedule("b", "first long utterance", analyze);
+  await sleep(40);
+  const newer = scheduler.schedule("b", "second long utterance", analyze);
+  await sleep(40);
+
+  assert.deepStrictEqual(await analysisOf(older), { status: "not-analyzed", reason: "superseded" });
+
+  calls[0].resolve({ status: "ok", fraudScore: 1 });
+  await busy;
+  await sleep(10);
+  assert.strictEqual(calls[1].text, "second long utterance");
+  calls[1].resolve({ status: "ok", fraudScore: 2 });
+  assert.deepStrictEqual(await analysisOf(newer), { status: "ok", fraudScore: 2 });
+});
+
+test("a merged utterance's rule hits carry over to the analysis that covers it", async () => {
+  const scheduler = new AnalysisScheduler("room");
+  const otp = { id: "otp-request", weight: 45 };
+  const urgency = { id: "urgency", weight: 10 };
+
+  const first = scheduler.schedule("a", "please share your OTP", async () => null, { ruleHits: [otp] });
+  const second = scheduler.schedule("a", "okay sir right now", async () => {
+    throw new Error("ThrottlingException");
+  }, { ruleHits: [urgency, { id: "otp-request", weight: 45 }] });
+
+  assert.deepStrictEqual(await first, { analysis: { status: "not-analyzed", reason: "merged" }, ruleHits: [otp] });
+  assert.deepStrictEqual(await second, { analysis: null, ruleHits: [otp, urgency] });
+});
+
+test("a superseded utterance's rule hits carry over to the newer analysis", async () => {
+  const scheduler = new AnalysisScheduler("room");
+  const { calls, analyze } = controllableAnalyzer();
+  const otp = { id: "otp-request", weight: 45 };
+  const urgency = { id: "urgency", weight: 10 };
+
+  const busy = scheduler.schedule("a", "one two three", analyze);
+  await sleep(40);
+
+  const older = scheduler.schedule("b", "please share your OTP", analyze, { ruleHits: [otp] });
+  await sleep(40);
+  const newer = scheduler.schedule("b", "do it right now please", analyze, { ruleHits: [urgency] });
+  await sleep(40);
+
+  assert.deepStrictEqual(await older, { analysis: { status: "not-analyzed", reason: "superseded" }, ruleHits: [otp] });
+
+  calls[0].resolve({ status: "ok", fraudScore: 1 });
+  await busy;
+  await sleep(10);
+  calls[1].reject(new Error("ThrottlingException"));
+  assert.deepStrictEqual(await newer, { analysis: null, ruleHits: [otp, urgency] });
+});
+
+test("an utterance dropped from a full queue keeps its rule hits", async () => {
+  const scheduler = new AnalysisScheduler("room");
+  const { calls, analyze } = controllableAnalyzer();
+  const otp = { id: "otp-request", weight: 45 };
+
+  const busy = scheduler.schedule("a", "one two three", analyze);
+  await sleep(40);
+
+  const oldest = scheduler.schedule("b", "please share your OTP", analyze, { ruleHits: [otp] });
+  await sleep(40);
+  const others = ["c", "d", "e", "f"].map((speaker) => scheduler.schedule(speaker, "one two three", analyze));
+  await sleep(40);
+
+  assert.deepStrictEqual(await oldest, { analysis: { status: "not-analyzed", reason: "dropped" }, ruleHits: [otp] });
+  assert.strictEqual(scheduler.getStats().dropped, 1);
+
+  for (const speaker of ["c", "d", "e", "f"]) {
+    scheduler.cancel(speaker);
+  }
+  calls[0].resolve(null);
+  await Promise.all([busy, ...others]);
+});
+
+test("a failed analysis resolves null, not a skip", async () => {
+  const scheduler = new AnalysisScheduler("room");
+
+  const failed = await analysisOf(scheduler.schedule("a", "one two three", async () => {
+    throw new Error("ThrottlingException");
+  }));
+  assert.strictEqual(failed, null);
+  assert.strictEqual(isNotAnalyzed(failed), false);
+
+  const unavailable = await analysisOf(scheduler.schedule("a", "four five six", async () => null));
+  assert.strictEqual(unavailable, null);
+});
+
+test("cancel aborts in-flight work and settles pending utterances", async () => {
+  const scheduler = new AnalysisScheduler("room");
+  const { calls, analyze } = controllableAnalyzer();
+
+  const inFlight = scheduler.schedule("a", "one two three", analyze);
+  await sleep(40);
+  const pending = scheduler.schedule("a", "four five six", analyze);
+
+  scheduler.cancel("a");
+  assert.strictEqual(calls[0].signal.aborted, true);
+  calls[0].resolve(null);
+
+  assert.deepStrictEqual(await analysisOf(pending), { status: "not-analyzed", reason: "cancelled" });
+  assert.deepStrictEqual(await analysisOf(inFlight), { status: "not-analyzed", reason: "cancelled" });
+});
@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+process.env.SAMPLE_RATE = "16000";
+
+const { resolveAudioFormat, createAudioConverter } = require("../services/audioFormat");
+
+function pcm16(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => buffer.writeInt16LE(sample, i * 2));
+  return buffer;
+}
+
+function samplesOf(buffer) {
+  return Array.from({ length: buffer.length / 2 }, (_, i) => buffer.readInt16LE(i * 2));
+}
+
+test("declared formats resolve to what Transcribe receives", () => {
+  assert.deepStrictEqual(resolveAudioFormat(undefined), {
+    codec: "pcm", sampleRate: 16000, channels: 1, mediaEncoding: "pcm", mediaSampleRate: 16000,
+  });
+  assert.deepStrictEqual(resolveAudioFormat({ codec: "audio/webm;codecs=opus" }), {
+    codec: "webm-opus", sampleRate: 48000, channels: 1, mediaEncoding: "ogg-opus", mediaSampleRate: 48000,
+  });
+  assert.strictEqual(resolveAudioFormat({ codec: "PCMU" }).mediaSampleRate, 8000);
+  assert.strictEqual(resolveAudioFormat({ codec: "pcm", sampleRate: 44100, channels: 2 }).mediaSampleRate, 16000);
+});
+
+test("unsupported codecs and unusable compressed formats are rejected", () => {
+  assert.throws(() => resolveAudioFormat({ codec: "mp3" }), /Unsupported audio codec "mp3"/);
+  assert.throws(() => resolveAudioFormat({ codec: "flac", channels: 2 }), /must be mono/);
+  assert.throws(() => resolveAudioFormat({ codec: "ogg-opus", sampleRate: 96000 }), /8000-48000 Hz/);
+  assert.throws(() => resolveAudioFormat({ codec: "pcm", sampleRate: 4000 }), /8000-192000 Hz/);
+  assert.throws(() => resolveAudioFormat({ codec: "pcm", channels: 0 }), /Invalid audio channel count/);
+});
+
+test("G.711 μ-law and A-law decode to 16-bit PCM", () => {
+  const mulaw = createAudioConverter(resolveAudioFormat({ codec: "mulaw" }));
+  assert.deepStrictEqual(samplesOf(mulaw.convert(Buffer.from([0xff, 0x7f, 0x80, 0x00]))), [0, 0, 32124, -32124]);
+
+  const alaw = createAudioConverter(resolveAudioFormat({ codec: "alaw" }));
+  assert.deepStrictEqual(samplesOf(alaw.convert(Buffer.from([0xd5, 0x55, 0xaa, 0x2a]))), [8, -8, 32256, -32256]);
+});
+
+test("stereo is downmixed and partial frames carry over to the next chunk", () => {
+  const converter = createAudioConverter(resolveAudioFormat({ codec: "pcm", channels: 2 }));
+  const stereo = pcm16([100, 300, -200, 200, 1000, 0]);
+
+  assert.strictEqual(converter.convert(stereo.subarray(0, 3)), null);
+  assert.deepStrictEqual(samplesOf(converter.convert(stereo.subarray(3))), [200, 0, 500]);
+});
+
+test("48 kHz PCM is resampled to the configured rate across chunk boundaries", () => {
+  const converter = createAudioConverter(resolveAudioFormat({ codec: "pcm", sampleRate: 48000 }));
+  const ramp = Array.from({ length: 12 }, (_, i) => i * 30);
+
+  const output = [
+    ...samplesOf(converter.convert(pcm16(ramp.slice(0, 5)))),
+    ...samplesOf(converter.convert(pcm16(ramp.slice(5)))),
+  ];
+
+  assert.deepStrictEqual(output, [0, 90, 180, 270]);
+});
@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { AudioRingBuffer } = require("../services/audioRingBuffer");
+
+const bytes = (length, fill = 0) => Buffer.alloc(length, fill);
+const spans = (chunks) => chunks.map((chunk) => [chunk.startMs, chunk.endMs]);
+
+test("chunks are placed on the audio timeline in order", () => {
+  const buffer = new AudioRingBuffer(1000, 10000);
+
+  buffer.push(bytes(10), 100, 1);
+  buffer.push(bytes(10), 250, 1);
+
+  assert.deepStrictEqual(spans(buffer.chunksFrom(0)), [[0, 100], [100, 350]]);
+  assert.deepStrictEqual(buffer.getStats(), { bufferedMs: 350, bufferedBytes: 20, timelineMs: 350, droppedChunks: 0 });
+});
+
+test("the oldest audio wraps out once the duration or byte limit is passed", () => {
+  const byDuration = new AudioRingBuffer(300, 10000);
+  for (let i = 0; i < 6; i++) {
+    byDuration.push(bytes(10, i), 100, 1);
+  }
+
+  assert.deepStrictEqual(spans(byDuration.chunksFrom(0)), [[200, 300], [300, 400], [400, 500], [500, 600]]);
+  assert.strictEqual(byDuration.getStartMs(), 200);
+  assert.strictEqual(byDuration.getStats().bufferedBytes, 40);
+
+  const byBytes = new AudioRingBuffer(60000, 25);
+  for (let i = 0; i < 4; i++) {
+    byBytes.push(bytes(10, i), 100, 1);
+  }
+
+  assert.deepStrictEqual(byBytes.chunksFrom(0).map((chunk) => chunk.data[0]), [2, 3]);
+  assert.strictEqual(byBytes.getStats().bufferedBytes, 20);
+});
+
+test("the newest chunk is kept even when it alone exceeds the limits", () => {
+  const buffer = new AudioRingBuffer(100, 10);
+
+  buffer.push(bytes(50), 500, 1);
+
+  assert.strictEqual(buffer.chunksFrom(0).length, 1);
+});
+
+test("replay starts at the requested timeline position", () => {
+  const buffer = new AudioRingBuffer(10000, 10000);
+  for (let i = 0; i < 5; i++) {
+    buffer.push(bytes(10, i), 100, 1);
+  }
+
+  // A chunk that overlaps the position is replayed whole
+  assert.deepStrictEqual(buffer.chunksFrom(250).map((chunk) => chunk.data[0]), [2, 3, 4]);
+  assert.deepStrictEqual(buffer.chunksFrom(300).map((chunk) => chunk.data[0]), [3, 4]);
+  assert.deepStrictEqual(buffer.chunksFrom(500), []);
+});
+
+test("untimed chunks are replayed only if they were never sent", () => {
+  const buffer = new AudioRingBuffer(10000, 10000);
+
+  buffer.push(bytes(10, 1), 0, 1);
+  buffer.push(bytes(10, 2), 0, null);
+  buffer.push(bytes(10, 3), 0, 2);
+
+  assert.deepStrictEqual(buffer.chunksFrom(0).map((chunk) => chunk.data[0]), [2]);
+
+  // Stream 2 failed to open, so its audio was never delivered either
+  buffer.release(2);
+  assert.deepStrictEqual(buffer.chunksFrom(0).map((chunk) => chunk.data[0]), [2, 3]);
+});
+
+test("unsent chunks that wrap out are counted as dropped", () => {
+  const buffer = new AudioRingBuffer(10000, 20);
+
+  buffer.push(bytes(10), 100, null);
+  buffer.push(bytes(10), 100, 1);
+  buffer.push(bytes(10), 100, null);
+  buffer.push(bytes(10), 100, null);
+
+  assert.strictEqual(buffer.getStats().droppedChunks, 1);
+});
@@ -0,0 +1,11 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { backoffDelay } = require("../services/backoff");
+
+test("delays double per attempt up to the cap, jittered between half and the full delay", (t) => {
+  const random = t.mock.method(Math, "random", () => 0);
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map((attempt) => backoffDelay(attempt, 500, 3000)), [250, 500, 1000, 1500, 1500]);
+
+  random.mock.mockImplementation(() => 0.999999);
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map((attempt) => backoffDelay(attempt, 500, 3000)), [500, 1000, 2000, 3000, 3000]);
+});
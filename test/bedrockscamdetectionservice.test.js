@@ -0,0 +1,137 @@
+const { test, after, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "bedrock-analysis-"));
+process.env.FRAUD_PATTERN_OVERRIDES_FILE = path.join(tmpDir, "fraudPatternOverrides.json");
+process.env.MEDIUM_RISK_THRESHOLD = "31";
+process.env.HIGH_RISK_THRESHOLD = "61";
+
+const { BedrockScamDetectionService, ANALYSIS_SCHEMA, validateSchema } = require("../services/bedrockscamdetectionservice");
+
+// Node 20's test runner can misread its child's stdout when analysis logs interleave with its messages
+mock.method(console, "log", () => {});
+mock.method(console, "warn", () => {});
+mock.method(console, "error", () => {});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function analysis(overrides = {}) {
+  return {
+    summary: "The caller asks for an OTP.",
+    fraudScore: 72,
+    riskLevel: "HIGH",
+    redFlags: ["Asks for an OTP"],
+    reasoning: "Banks never ask for OTPs.",
+    matchedPatterns: [],
+    participants: [{ speaker: "P1", suspectScore: 80, targetScore: 0 }],
+    ...overrides,
+  };
+}
+
+function toolReply(input, toolUseId = "tool-1") {
+  return { output: { message: { role: "assistant", content: [{ toolUse: { toolUseId, name: "report_fraud_analysis", input } }] } } };
+}
+
+/**
+ * A service whose Bedrock client answers with the given replies in order
+ */
+async function serviceWithReplies(...replies) {
+  const service = new BedrockScamDetectionService("room-1", "caller");
+  const requests = [];
+
+  service.client = {
+    send: async (command) => {
+      requests.push(structuredClone(command.input));
+      return replies.shift();
+    },
+  };
+  service.isActive = true;
+  await service.addToConversation("Please tell me the OTP", "caller");
+
+  return { service, requests };
+}
+
+test("the schema check reports invalid enums, out-of-range scores and missing fields", () => {
+  assert.deepStrictEqual(validateSchema(ANALYSIS_SCHEMA, analysis()), []);
+  assert.deepStrictEqual(validateSchema(ANALYSIS_SCHEMA, analysis({ riskLevel: "SEVERE" })), [
+    "input.riskLevel must be one of LOW, MEDIUM, HIGH",
+  ]);
+  assert.deepStrictEqual(validateSchema(ANALYSIS_SCHEMA, analysis({ fraudScore: 140 })), ["input.fraudScore must be at most 100"]);
+  assert.deepStrictEqual(
+    validateSchema(ANALYSIS_SCHEMA, analysis({ participants: [{ speaker: "P1", suspectScore: -5, targetScore: 0 }] })),
+    ["input.participants[0].suspectScore must be at least 0"]
+  );
+
+  const { reasoning, ...withoutReasoning } = analysis();
+  assert.deepStrictEqual(validateSchema(ANALYSIS_SCHEMA, withoutReasoning), ["input.reasoning is required"]);
+  assert.deepStrictEqual(validateSchema(ANALYSIS_SCHEMA, analysis({ verdict: "scam" })), ["input.verdict is not allowed"]);
+  assert.deepStrictEqual(validateSchema(ANALYSIS_SCHEMA, analysis({ redFlags: "otp" })), ["input.redFlags must be an array"]);
+});
+
+test("a valid first reply is used without a retry, with the level following the thresholds", async () => {
+  const { service, requests } = await serviceWithReplies(toolReply(analysis({ fraudScore: 45, riskLevel: "HIGH" })));
+
+  const result = await service.analyzeConversation("Please tell me the OTP", "caller");
+
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(result.status, "ok");
+  assert.strictEqual(result.riskLevel, "MEDIUM");
+  assert.deepStrictEqual(result.participants, [{ speakerSocketId: "caller", callRole: null, suspectScore: 80, targetScore: 0 }]);
+  assert.strictEqual(service.getStats().stats.correctiveRetries, 0);
+});
+
+test("an invalid reply gets one corrective retry and a valid retry is used", async () => {
+  const { service, requests } = await serviceWithReplies(
+    toolReply(analysis({ riskLevel: "SEVERE" }), "tool-1"),
+    toolReply(analysis(), "tool-2")
+  );
+
+  const result = await service.analyzeConversation("Please tell me the OTP", "caller");
+
+  assert.strictEqual(result.status, "ok");
+  assert.strictEqual(result.fraudScore, 72);
+  assert.strictEqual(requests.length, 2);
+
+  // The retry repeats the bad tool call and answers it with an error result naming the problem
+  const [, invalidCall, correction] = requests[1].messages;
+  assert.strictEqual(invalidCall.content[0].toolUse.toolUseId, "tool-1");
+  const toolResult = correction.content[0].toolResult;
+  assert.strictEqual(toolResult.toolUseId, "tool-1");
+  assert.strictEqual(toolResult.status, "error");
+  assert.match(toolResult.content[0].text, /input\.riskLevel must be one of LOW, MEDIUM, HIGH/);
+  assert.strictEqual(service.getStats().stats.correctiveRetries, 1);
+});
+
+test("a plain-text reply is corrected with a reminder to use the tool", async () => {
+  const { service, requests } = await serviceWithReplies(
+    { output: { message: { role: "assistant", content: [{ text: "This looks like a scam." }] } } },
+    toolReply(analysis())
+  );
+
+  const result = await service.analyzeConversation("Please tell me the OTP", "caller");
+
+  assert.strictEqual(result.status, "ok");
+  assert.match(requests[1].messages[2].content[0].text, /Call report_fraud_analysis again/);
+});
+
+test("two invalid replies in a row give an UNKNOWN analysis-error, never a LOW score", async () => {
+  const { reasoning, ...withoutReasoning } = analysis();
+  const { service, requests } = await serviceWithReplies(
+    toolReply(analysis({ fraudScore: 140 })),
+    toolReply(withoutReasoning)
+  );
+
+  const result = await service.analyzeConversation("Please tell me the OTP", "caller");
+
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(result.status, "analysis-error");
+  assert.strictEqual(result.riskLevel, "UNKNOWN");
+  assert.strictEqual(result.fraudScore, null);
+  assert.match(result.reasoning, /input\.reasoning is required/);
+  assert.strictEqual(service.getStats().stats.analysisErrors, 1);
+});
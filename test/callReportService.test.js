@@ -0,0 +1,150 @@
+const { test, after, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "call-report-"));
+process.env.FRAUD_PATTERN_OVERRIDES_FILE = path.join(tmpDir, "fraudPatternOverrides.json");
+
+const { CallReportService } = require("../services/callReportService");
+const { MemorySessionStore } = require("../services/sessionStore");
+
+// Node 20's test runner can misread its child's stdout when report logs interleave with its messages
+mock.method(console, "log", () => {});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const T0 = Date.parse("2026-10-18T10:00:00.000Z");
+
+function output(index, socketId, speaker, text, fraudScore) {
+  return {
+    type: "pipeline-output",
+    resultId: `r${index}`,
+    userId: socketId,
+    speaker,
+    timestamp: new Date(T0 + index * 1000).toISOString(),
+    transcription: { text, language: "en-IN" },
+    translation: { text, language: "en" },
+    fraudAnalysis: fraudScore === null ? null : { fraudScore, summary: `Scored ${fraudScore}`, matchedPatterns: [], participants: [] },
+  };
+}
+
+async function recordedCall(events) {
+  const store = new MemorySessionStore();
+  await store.createSession({
+    id: "session-1",
+    roomId: "room-1",
+    startedAt: new Date(T0).toISOString(),
+    endedAt: new Date(T0 + 60000).toISOString(),
+    participants: [
+      { socketId: "s1", userId: "caller", role: "participant" },
+      { socketId: "s2", userId: "victim", role: "participant" },
+    ],
+  });
+  for (const event of events) {
+    await store.appendEvent("session-1", event);
+  }
+  return store;
+}
+
+const SCAM_CALL = [
+  output(1, "s1", "caller", "hello I am calling from your bank", 10),
+  output(2, "s2", "victim", "ok what is it", 0),
+  output(3, "s1", "caller", "your KYC has expired, read me the OTP", 85),
+  output(4, "s1", "caller", "quickly or the account is blocked", 60),
+];
+
+function serviceWith(store, send) {
+  const service = new CallReportService(store);
+  service.client = { send };
+  return service;
+}
+
+test("the Bedrock verdict is used and its key quotes are mapped onto the transcript", async () => {
+  const store = await recordedCall(SCAM_CALL);
+  const service = serviceWith(store, async () => ({
+    output: {
+      message: {
+        content: [{
+          toolUse: {
+            name: "report_call_verdict",
+            input: {
+              verdict: "FRAUD",
+              fraudScore: 92.4,
+              summary: "A fake bank KYC call asking for an OTP.",
+              keyQuotes: [{ message: 3, reason: "Asks for the OTP" }, { message: 3, reason: "Repeated" }, { message: 99, reason: "Not in the call" }],
+              matchedPatterns: ["kyc-update", "not-a-pattern"],
+              nextSteps: ["Call your bank"],
+            },
+          },
+        }],
+      },
+    },
+  }));
+
+  const report = await service.generate("session-1");
+
+  assert.deepStrictEqual(report.verdict, {
+    verdict: "FRAUD",
+    fraudScore: 92,
+    riskLevel: "HIGH",
+    summary: "A fake bank KYC call asking for an OTP.",
+    source: "bedrock",
+  });
+  assert.deepStrictEqual(report.keyQuotes.map((quote) => [quote.message, quote.speaker, quote.reason]), [[3, "caller", "Asks for the OTP"]]);
+  assert.deepStrictEqual(report.matchedPatterns.map((pattern) => pattern.id), ["kyc-update"]);
+  assert.strictEqual(report.likelySuspect.speaker, "caller");
+  assert.strictEqual(report.messageCount, 4);
+  assert.strictEqual(await store.getReport("session-1"), report);
+});
+
+test("when Bedrock fails the verdict comes from the call's peak risk", async () => {
+  const store = await recordedCall(SCAM_CALL);
+  const service = serviceWith(store, async () => {
+    throw Object.assign(new Error("Rate exceeded"), { name: "ThrottlingException" });
+  });
+
+  const report = await service.generate("session-1");
+
+  assert.strictEqual(report.verdict.source, "analyses");
+  assert.strictEqual(report.verdict.verdict, "FRAUD");
+  assert.strictEqual(report.verdict.riskLevel, "HIGH");
+  assert.match(report.verdict.summary, /^Call risk peaked at 100 \(HIGH\) at message 4 of 4\. Scored 85$/);
+  assert.deepStrictEqual(report.keyQuotes.map((quote) => quote.message), [3, 4]);
+  assert.strictEqual(report.nextSteps[0], "Do not send money or share any OTP, PIN, CVV or card details with this caller.");
+  assert.deepStrictEqual(report.timeline.filter((entry) => entry.kind === "call").map((entry) => [entry.message, entry.to]), [[3, "HIGH"]]);
+});
+
+test("a verdict that does not match the schema falls back to the analyses", async () => {
+  const store = await recordedCall(SCAM_CALL);
+  const service = serviceWith(store, async () => ({
+    output: { message: { content: [{ toolUse: { name: "report_call_verdict", input: { verdict: "MAYBE" } } }] } },
+  }));
+
+  assert.strictEqual((await service.generate("session-1")).verdict.source, "analyses");
+});
+
+test("a call with no assessed messages is inconclusive", async () => {
+  const store = await recordedCall([output(1, "s1", "caller", "hello", null)]);
+  const service = serviceWith(store, async () => {
+    throw new Error("unavailable");
+  });
+
+  const report = await service.generate("session-1");
+
+  assert.strictEqual(report.verdict.verdict, "INCONCLUSIVE");
+  assert.strictEqual(report.verdict.fraudScore, null);
+  assert.strictEqual(report.verdict.riskLevel, "UNKNOWN");
+  assert.strictEqual(report.peakRisk, null);
+});
+
+test("no report is generated for a missing session or a call without a transcript", async () => {
+  const store = await recordedCall([]);
+  const service = serviceWith(store, async () => assert.fail("Bedrock should not be called"));
+
+  assert.strictEqual(await service.generate("session-1"), null);
+  assert.strictEqual(await service.generate("unknown"), null);
+});
@@ -0,0 +1,98 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+process.env.HIGH_RISK_THRESHOLD = "61";
+process.env.MEDIUM_RISK_THRESHOLD = "31";
+process.env.RISK_DECAY_HALF_LIFE_MS = "1000";
+process.env.RISK_ACCUMULATION = "0.25";
+process.env.RISK_HYSTERESIS = "10";
+process.env.RISK_MIN_LEVEL_MS = "500";
+
+const { CallRiskTracker, RiskScore, riskLevelForScore } = require("../services/callRiskTracker");
+
+const T0 = Date.parse("2026-10-18T10:00:00.000Z");
+const at = (ms) => new Date(T0 + ms).toISOString();
+
+test("scores map onto the configured risk bands", () => {
+  assert.strictEqual(riskLevelForScore(30), "LOW");
+  assert.strictEqual(riskLevelForScore(31), "MEDIUM");
+  assert.strictEqual(riskLevelForScore(60), "MEDIUM");
+  assert.strictEqual(riskLevelForScore(61), "HIGH");
+});
+
+test("repeated concerning analyses build up to a higher level", () => {
+  const risk = new RiskScore();
+
+  assert.deepStrictEqual(risk.add(50, 0), { from: "LOW", to: "MEDIUM", reason: "Analysis scored 50, above the MEDIUM threshold" });
+  const change = risk.add(50, 0);
+
+  assert.strictEqual(risk.scoreAt(0), 62.5);
+  assert.strictEqual(change.to, "HIGH");
+  assert.match(change.reason, /^Accumulated risk reached 63/);
+});
+
+test("low scores do not pull the risk down; only time does", () => {
+  const risk = new RiskScore();
+  risk.add(80, 0);
+  risk.add(10, 0);
+
+  assert.strictEqual(risk.scoreAt(0), 80);
+  assert.strictEqual(risk.scoreAt(1000), 40);
+});
+
+test("the level drops only below the hysteresis band and after the minimum time", () => {
+  const risk = new RiskScore();
+  risk.add(62, 0);
+
+  // Score ~50: more than 10 below HIGH, but the level was reached 300 ms ago
+  assert.strictEqual(risk.evaluate(300), null);
+  assert.strictEqual(risk.level, "HIGH");
+
+  const change = risk.evaluate(500);
+  assert.strictEqual(change.from, "HIGH");
+  assert.strictEqual(change.to, "MEDIUM");
+  assert.match(change.reason, /^Risk decayed to 44/);
+});
+
+test("the level holds while the score stays within the hysteresis band", () => {
+  const risk = new RiskScore();
+  risk.add(70, 0);
+
+  // 70 halves to ~53 after 400 ms; 53 + 10 is still HIGH
+  assert.strictEqual(risk.evaluate(400), null);
+  assert.strictEqual(risk.level, "HIGH");
+});
+
+test("without participant scores the speaker becomes the likely suspect", () => {
+  const tracker = new CallRiskTracker("room-1");
+  const state = tracker.update({ socketId: "s1", userId: "caller", callRole: "caller" }, 70, at(0));
+
+  assert.strictEqual(state.riskLevel, "HIGH");
+  assert.strictEqual(state.change.to, "HIGH");
+  assert.strictEqual(state.change.speakerId, "caller");
+  assert.strictEqual(state.likelySuspect.speaker, "caller");
+  assert.strictEqual(state.likelyTarget, null);
+  assert.deepStrictEqual(state.participantChanges.map((change) => [change.kind, change.to]), [["suspect", "HIGH"]]);
+});
+
+test("participant scores separate the suspect from the target", () => {
+  const tracker = new CallRiskTracker("room-1");
+  const state = tracker.update({ socketId: "s2", userId: "victim" }, 55, at(0), [
+    { socketId: "s1", userId: "caller", callRole: "caller", suspectScore: 55, targetScore: 0 },
+    { socketId: "s2", userId: "victim", callRole: "callee", suspectScore: 0, targetScore: 55 },
+  ]);
+
+  assert.strictEqual(state.likelySuspect.speaker, "caller");
+  assert.strictEqual(state.likelyTarget.speaker, "victim");
+  assert.strictEqual(state.likelyTarget.callRole, "callee");
+  assert.strictEqual(state.participants.find((participant) => participant.speaker === "victim").suspect.riskLevel, "LOW");
+});
+
+test("an analysis with an older timestamp does not move the call back in time", () => {
+  const tracker = new CallRiskTracker("room-1");
+  tracker.update({ socketId: "s1", userId: "caller" }, 80, at(1000));
+  tracker.update({ socketId: "s1", userId: "caller" }, 10, at(0));
+
+  assert.strictEqual(tracker.getState(T0 + 1000).riskScore, 80);
+  assert.strictEqual(tracker.getState(T0 + 2000).riskScore, 40);
+});
@@ -0,0 +1,77 @@
+const cluster = require("cluster");
+const { EventEmitter } = require("events");
+
+process.env.CLUSTER_RPC_TIMEOUT_MS = "200";
+
+const { exposeToWorkers, createPrimaryProxy } = require("../services/clusterRpc");
+
+if (cluster.isWorker) {
+  // Forked worker: run each call the primary asks for through the proxy and report the outcome
+  const store = createPrimaryProxy("store", ["get", "fail", "hang", "missing"], ["changed"]);
+  store.on("changed", (...args) => process.send({ type: "test:event", args }));
+
+  process.on("message", async (message) => {
+    if (message.type !== "test:call") return;
+    try {
+      process.send({ type: "test:result", result: await store[message.method](...message.args) });
+    } catch (error) {
+      process.send({ type: "test:result", error: error.message });
+    }
+  });
+  process.send({ type: "test:ready" });
+} else {
+  const { test, before, after } = require("node:test");
+  const assert = require("node:assert");
+
+  const target = new EventEmitter();
+  target.get = async (key) => ({ key, value: 42 });
+  target.fail = async () => { throw new Error("room is full"); };
+  target.hang = () => new Promise(() => {});
+  exposeToWorkers("store", target, ["changed"]);
+
+  let worker;
+
+  const nextMessage = (type) => new Promise((resolve) => {
+    const onMessage = (message) => {
+      if (message.type !== type) return;
+      worker.off("message", onMessage);
+      resolve(message);
+    };
+    worker.on("message", onMessage);
+  });
+
+  const call = (method, ...args) => {
+    const result = nextMessage("test:result");
+    worker.send({ type: "test:call", method, args });
+    return result;
+  };
+
+  before(async () => {
+    cluster.setupPrimary({ exec: __filename, silent: true });
+    worker = cluster.fork();
+    await nextMessage("test:ready");
+  });
+
+  after(() => {
+    worker.kill();
+  });
+
+  test("a worker call resolves with the primary's result", async () => {
+    assert.deepStrictEqual(await call("get", "room-1"), { type: "test:result", result: { key: "room-1", value: 42 } });
+  });
+
+  test("errors thrown in the primary reject the worker's call", async () => {
+    assert.strictEqual((await call("fail")).error, "room is full");
+    assert.strictEqual((await call("missing")).error, "Unknown method store.missing");
+  });
+
+  test("a call the primary never answers times out", async () => {
+    assert.strictEqual((await call("hang")).error, "store.hang timed out after 200ms");
+  });
+
+  test("events emitted in the primary are re-emitted in workers", async () => {
+    const event = nextMessage("test:event");
+    target.emit("changed", "room-1", { members: 2 });
+    assert.deepStrictEqual((await event).args, ["room-1", { members: 2 }]);
+  });
+}
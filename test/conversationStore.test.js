@@ -0,0 +1,63 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+const { ConversationStore } = require("../services/conversationStore");
+const { MemoryRoomStore } = require("../services/roomStore");
+const { RoomManager } = require("../services/roomManager");
+
+// Node 20's test runner can misread its child's stdout when room logs interleave with its messages
+mock.method(console, "log", () => {});
+
+const at = (second) => `2026-01-01T00:00:${String(second).padStart(2, "0")}.000Z`;
+const texts = (messages) => messages.map((message) => message.text);
+
+test("history is trimmed to the newest messages", () => {
+  const conversation = new ConversationStore("room-1", 3);
+
+  for (let i = 1; i <= 5; i++) {
+    conversation.addMessage({ speakerId: "a", text: `message ${i}`, timestamp: at(i) });
+  }
+
+  assert.strictEqual(conversation.size(), 3);
+  assert.deepStrictEqual(texts(conversation.getMessages()), ["message 3", "message 4", "message 5"]);
+});
+
+test("a late translation is placed by when it was spoken before trimming", () => {
+  const conversation = new ConversationStore("room-1", 3);
+
+  conversation.addMessage({ speakerId: "a", text: "first", timestamp: at(1) });
+  conversation.addMessage({ speakerId: "a", text: "third", timestamp: at(3) });
+  conversation.addMessage({ speakerId: "b", text: "fourth", timestamp: at(4), callRole: "callee" });
+  conversation.addMessage({ speakerId: "b", text: "second", timestamp: at(2) });
+
+  assert.deepStrictEqual(texts(conversation.getMessages()), ["second", "third", "fourth"]);
+  assert.strictEqual(conversation.getMessages()[2].callRole, "callee");
+});
+
+test("getMessages() returns a copy", () => {
+  const conversation = new ConversationStore("room-1");
+  conversation.addMessage({ speakerId: "a", text: "hello", timestamp: at(1) });
+
+  conversation.getMessages().push({ text: "injected" });
+  assert.strictEqual(conversation.size(), 1);
+
+  conversation.clear();
+  assert.deepStrictEqual(conversation.getMessages(), []);
+});
+
+test("each room keeps its own conversation", async () => {
+  const rooms = new RoomManager(new MemoryRoomStore());
+  const first = rooms.getConversation("room-1");
+  const second = rooms.getConversation("room-2");
+
+  await first.addMessage({ speakerId: "a", text: "share your OTP", timestamp: at(1) });
+  await second.addMessage({ speakerId: "c", text: "see you tomorrow", timestamp: at(2) });
+  await first.addMessage({ speakerId: "b", text: "why do you need it", timestamp: at(3) });
+
+  assert.deepStrictEqual(texts(await first.getMessages()), ["share your OTP", "why do you need it"]);
+  assert.deepStrictEqual(texts(await second.getMessages()), ["see you tomorrow"]);
+
+  await first.clear();
+  assert.strictEqual(await first.size(), 0);
+  assert.strictEqual(await second.size(), 1);
+  assert.deepStrictEqual(await rooms.getMessages("room-3"), []);
+});
@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { registry, metrics, recordAwsError, mergeSnapshots, renderSnapshot } = require("../services/metrics");
+
+function worker({ errors, latencies, rooms, pipelines }) {
+  return [
+    {
+      name: "ai_calling_aws_errors_total",
+      type: "counter",
+      help: "Failed AWS calls",
+      series: Object.entries(errors).map(([error, value]) => ({ labels: { service: "bedrock", error }, value })),
+    },
+    {
+      name: "ai_calling_bedrock_request_duration_seconds",
+      type: "histogram",
+      help: "Bedrock request duration",
+      buckets: [1, 5],
+      series: [{ labels: { operation: "analysis" }, ...latencies }],
+    },
+    { name: "ai_calling_active_rooms", type: "gauge", help: "Rooms", aggregate: "max", series: [{ labels: {}, value: rooms }] },
+    { name: "ai_calling_active_pipelines", type: "gauge", help: "Pipelines", aggregate: "sum", series: [{ labels: {}, value: pipelines }] },
+  ];
+}
+
+test("workers' counters and histograms add up and gauges follow their aggregate", () => {
+  const merged = mergeSnapshots([
+    worker({ errors: { ThrottlingException: 2 }, latencies: { counts: [1, 2], sum: 6.5, count: 4 }, rooms: 3, pipelines: 4 }),
+    worker({ errors: { ThrottlingException: 1, ValidationException: 5 }, latencies: { counts: [3, 0], sum: 1.5, count: 3 }, rooms: 2, pipelines: 1 }),
+  ]);
+  const byName = Object.fromEntries(merged.map((metric) => [metric.name, metric]));
+
+  assert.deepStrictEqual(byName.ai_calling_aws_errors_total.series.map((series) => [series.labels.error, series.value]), [
+    ["ThrottlingException", 3],
+    ["ValidationException", 5],
+  ]);
+  assert.deepStrictEqual(byName.ai_calling_bedrock_request_duration_seconds.series[0], {
+    labels: { operation: "analysis" },
+    counts: [4, 2],
+    sum: 8,
+    count: 7,
+  });
+  assert.strictEqual(byName.ai_calling_active_rooms.series[0].value, 3);
+  assert.strictEqual(byName.ai_calling_active_pipelines.series[0].value, 5);
+});
+
+test("merging does not modify the workers' snapshots", () => {
+  const first = worker({ errors: { ThrottlingException: 2 }, latencies: { counts: [1, 2], sum: 6.5, count: 4 }, rooms: 3, pipelines: 4 });
+  const second = worker({ errors: { ThrottlingException: 1 }, latencies: { counts: [3, 0], sum: 1.5, count: 3 }, rooms: 2, pipelines: 1 });
+  const copy = JSON.parse(JSON.stringify(first));
+
+  mergeSnapshots([first, second]);
+  assert.deepStrictEqual(first, copy);
+});
+
+test("histograms render cumulative buckets, sum and count", () => {
+  const text = renderSnapshot(mergeSnapshots([
+    worker({ errors: {}, latencies: { counts: [1, 2], sum: 6.5, count: 4 }, rooms: 0, pipelines: 0 }),
+  ]));
+
+  assert.match(text, /^# HELP ai_calling_bedrock_request_duration_seconds Bedrock request duration$/m);
+  assert.match(text, /^# TYPE ai_calling_bedrock_request_duration_seconds histogram$/m);
+  assert.match(text, /^ai_calling_bedrock_request_duration_seconds_bucket\{operation="analysis",le="1"\} 1$/m);
+  assert.match(text, /^ai_calling_bedrock_request_duration_seconds_bucket\{operation="analysis",le="5"\} 3$/m);
+  assert.match(text, /^ai_calling_bedrock_request_duration_seconds_bucket\{operation="analysis",le="\+Inf"\} 4$/m);
+  assert.match(text, /^ai_calling_bedrock_request_duration_seconds_sum\{operation="analysis"\} 6.5$/m);
+  assert.match(text, /^ai_calling_bedrock_request_duration_seconds_count\{operation="analysis"\} 4$/m);
+  assert.ok(text.endsWith("\n"));
+});
+
+test("label values and help text are escaped", () => {
+  const text = renderSnapshot([{
+    name: "ai_calling_test_total",
+    type: "counter",
+    help: "Line one\nback\\slash",
+    series: [{ labels: { error: "say \"hi\"\\\n" }, value: 1 }],
+  }]);
+
+  assert.match(text, /^# HELP ai_calling_test_total Line one\\nback\\\\slash$/m);
+  assert.ok(text.includes("ai_calling_test_total{error=\"say \\\"hi\\\"\\\\\\n\"} 1\n"));
+});
+
+test("the registry snapshot renders recorded AWS errors and unlabelled metrics at zero", async () => {
+  recordAwsError("translate", Object.assign(new Error("slow down"), { name: "ThrottlingException" }));
+  metrics.translationLatency.observe(0.2, { kind: "utterance" });
+
+  const text = renderSnapshot(await registry.snapshot());
+
+  assert.match(text, /^ai_calling_aws_errors_total\{service="translate",error="ThrottlingException"\} 1$/m);
+  assert.match(text, /^ai_calling_translation_duration_seconds_bucket\{kind="utterance",le="0.25"\} 1$/m);
+  assert.match(text, /^ai_calling_audio_received_bytes_total 0$/m);
+});
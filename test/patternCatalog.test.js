@@ -0,0 +1,103 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { PatternCatalog, CatalogVersionError } = require("../services/patternCatalog");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "patterns-"));
+const shippedPath = path.join(tmpDir, "catalog", "fraudPatterns.json");
+const overridesPath = path.join(tmpDir, "data", "fraudPatternOverrides.json");
+
+const SHIPPED = {
+  version: 3,
+  updatedAt: "2026-10-18T00:00:00.000Z",
+  patterns: [
+    { id: "otp-request", name: "OTP request", description: "Asks for a one-time password" },
+    { id: "kyc-expiry", name: "KYC expiry", description: "Claims the account KYC has expired" },
+  ],
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+beforeEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  fs.mkdirSync(path.dirname(shippedPath), { recursive: true });
+  fs.writeFileSync(shippedPath, JSON.stringify(SHIPPED));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("without an overrides file the shipped catalog is used as is", () => {
+  const catalog = new PatternCatalog(shippedPath, overridesPath);
+
+  assert.strictEqual(catalog.getVersion(), 3);
+  assert.deepStrictEqual(catalog.getEnabledPatterns().map((pattern) => pattern.id), ["otp-request", "kyc-expiry"]);
+});
+
+test("admin changes are saved as overrides and leave the shipped file untouched", async () => {
+  const catalog = new PatternCatalog(shippedPath, overridesPath);
+  const before = fs.readFileSync(shippedPath, "utf8");
+
+  await catalog.upsertPattern({ id: "kyc-expiry", name: "KYC expiry", description: "Threatens to block the account", enabled: false });
+  await catalog.upsertPattern({ id: "courier-parcel", name: "Courier parcel", description: "Claims a parcel was seized" });
+  const saved = await catalog.removePattern("otp-request");
+
+  assert.strictEqual(fs.readFileSync(shippedPath, "utf8"), before);
+  assert.strictEqual(saved.version, 6);
+  assert.deepStrictEqual(saved.patterns.map((pattern) => pattern.id), ["kyc-expiry", "courier-parcel"]);
+
+  const overrides = readJson(overridesPath);
+  assert.strictEqual(overrides.version, 3);
+  assert.deepStrictEqual(overrides.patterns.map((pattern) => pattern.id), ["kyc-expiry", "courier-parcel"]);
+  assert.deepStrictEqual(overrides.removed, ["otp-request"]);
+});
+
+test("overrides are layered over the shipped catalog when loaded", async () => {
+  await new PatternCatalog(shippedPath, overridesPath)
+    .upsertPattern({ id: "kyc-expiry", name: "KYC expiry", description: "Threatens to block the account" });
+
+  const catalog = new PatternCatalog(shippedPath, overridesPath);
+  assert.strictEqual(catalog.getVersion(), 4);
+  assert.strictEqual(catalog.getPattern("kyc-expiry").description, "Threatens to block the account");
+  assert.strictEqual(catalog.getPattern("otp-request").description, "Asks for a one-time password");
+});
+
+test("a shipped catalog update still applies to patterns that were not overridden", async () => {
+  const catalog = new PatternCatalog(shippedPath, overridesPath);
+  await catalog.removePattern("kyc-expiry");
+
+  fs.writeFileSync(shippedPath, JSON.stringify({
+    ...SHIPPED,
+    version: 4,
+    patterns: [...SHIPPED.patterns, { id: "lottery-prize", name: "Lottery prize", description: "Claims the victim won a prize" }],
+  }));
+  assert.strictEqual(catalog.reload(), true);
+
+  assert.strictEqual(catalog.getVersion(), 5);
+  assert.deepStrictEqual(catalog.getCatalog().patterns.map((pattern) => pattern.id), ["otp-request", "lottery-prize"]);
+});
+
+test("restoring a shipped pattern drops its override", async () => {
+  const catalog = new PatternCatalog(shippedPath, overridesPath);
+  await catalog.upsertPattern({ ...SHIPPED.patterns[0], enabled: false });
+  await catalog.upsertPattern(SHIPPED.patterns[0]);
+
+  assert.deepStrictEqual(readJson(overridesPath).patterns, []);
+  assert.strictEqual(catalog.getPattern("otp-request").enabled, true);
+});
+
+test("stale writes are rejected and an invalid overrides file keeps the loaded catalog", async () => {
+  const catalog = new PatternCatalog(shippedPath, overridesPath);
+
+  await assert.rejects(catalog.removePattern("otp-request", 2), CatalogVersionError);
+
+  fs.mkdirSync(path.dirname(overridesPath), { recursive: true });
+  fs.writeFileSync(overridesPath, JSON.stringify({ version: 1, patterns: [{ id: "Bad Id" }] }));
+  assert.strictEqual(catalog.reload(), false);
+  assert.strictEqual(catalog.getVersion(), 3);
+  assert.strictEqual(catalog.getCatalog().patterns.length, 2);
+});
@@ -0,0 +1,68 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { redactPii, findPii } = require("../services/piiRedactor");
+
+const mask = (text) => redactPii(text, "mask").text;
+
+test("OTPs next to an OTP keyword are masked, in digits and spoken", () => {
+  assert.strictEqual(mask("my OTP is 4 5 6 7"), "my OTP is [otp]");
+  assert.strictEqual(mask("OTP 123456"), "OTP [otp]");
+  assert.strictEqual(mask("4567 is my pin"), "[otp] is my pin");
+  assert.strictEqual(mask("the code is double five one two"), "the code is [otp]");
+  assert.strictEqual(mask("मेरा ओटीपी है ४५६७"), "मेरा ओटीपी है [otp]");
+});
+
+test("OTPs are masked when a receiving verb sits between the keyword and the number", () => {
+  assert.strictEqual(mask("OTP aaya hai 456789"), "OTP aaya hai [otp]");
+  assert.strictEqual(mask("mere phone pe OTP aaya 456789"), "mere phone pe OTP aaya [otp]");
+  assert.strictEqual(mask("the OTP I received is 456789"), "the OTP I received is [otp]");
+  assert.strictEqual(mask("the code you just got is 8841"), "the code you just got is [otp]");
+  assert.strictEqual(mask("ओटीपी आया है ४५६७८९"), "ओटीपी आया है [otp]");
+});
+
+test("numbers that only appear near an OTP keyword are left alone", () => {
+  for (const text of [
+    "the 2024 budget pin",
+    "in 2019 we had a code review",
+    "pin code is 110001",
+    "area code 022",
+    "pay rs 4500 using the code",
+    "call me at 9876 later",
+    "the code review in 2019",
+    "OTP delivery failed for 300 users",
+  ]) {
+    assert.strictEqual(mask(text), text, text);
+  }
+});
+
+test("card numbers must pass the Luhn check", () => {
+  assert.strictEqual(mask("card 4111 1111 1111 1111"), "card [card]");
+  assert.strictEqual(mask("order 4111 1111 1111 1112"), "order 4111 1111 1111 1112");
+});
+
+test("Aadhaar numbers must pass the Verhoeff check", () => {
+  assert.strictEqual(mask("aadhaar 2341 2341 2346"), "aadhaar [aadhaar]");
+  assert.strictEqual(mask("invoice 234123412345"), "invoice 234123412345");
+  assert.strictEqual(mask("starts with one 134123412346"), "starts with one 134123412346");
+});
+
+test("PAN and written UPI IDs are masked", () => {
+  assert.strictEqual(mask("PAN ABCPE1234F"), "PAN [pan]");
+  assert.strictEqual(mask("send to ramesh.k@okaxis now"), "send to [upi] now");
+});
+
+test("spoken UPI IDs need a known handle after at the rate", () => {
+  assert.strictEqual(mask("send to ramesh at the rate ok axis"), "send to [upi]");
+  assert.strictEqual(mask("pay rahul99 at the rate ybl now"), "pay [upi] now");
+  assert.strictEqual(mask("interest at the rate of twelve percent"), "interest at the rate of twelve percent");
+  assert.strictEqual(mask("loans at the rate banks charge"), "loans at the rate banks charge");
+});
+
+test("hash keeps the type and is stable for a repeated identifier", () => {
+  const first = redactPii("OTP is 4567", "hash").text;
+  const second = redactPii("OTP is 4567", "hash").text;
+  assert.match(first, /^OTP is \[otp:[0-9a-f]{10}\]$/);
+  assert.strictEqual(first, second);
+  assert.deepStrictEqual(redactPii("OTP is 4567", "none"), { text: "OTP is 4567", types: [] });
+  assert.deepStrictEqual(findPii(""), []);
+});
@@ -0,0 +1,145 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+
+process.env.MAX_ROOM_PARTICIPANTS = "4";
+
+const { MemoryRoomStore, ROLES, isCallRole } = require("../services/roomStore");
+const { RoomManager } = require("../services/roomManager");
+
+// Node 20's test runner can misread its child's stdout when room logs interleave with its messages
+mock.method(console, "log", () => {});
+
+const join = (store, socketId, request = {}) => store.joinRoom("room-1", socketId, { userId: `user-${socketId}`, ...request });
+
+test("the creator hosts the room and later joiners get the role they asked for", () => {
+  const store = new MemoryRoomStore();
+
+  assert.deepStrictEqual(join(store, "a"), { refusal: null, isNewRoom: true });
+  assert.deepStrictEqual(join(store, "b"), { refusal: null, isNewRoom: false });
+  join(store, "c", { role: ROLES.OBSERVER });
+
+  assert.deepStrictEqual(store.getMembers("room-1").map((member) => [member.socketId, member.role]), [
+    ["a", "host"], ["b", "participant"], ["c", "observer"],
+  ]);
+  assert.strictEqual(store.getRoomInfo("room-1").hostId, "a");
+  assert.strictEqual(store.getParticipantInfo("b"), null);
+});
+
+test("an observer who creates a room stays an observer and the first participant hosts", () => {
+  const store = new MemoryRoomStore();
+
+  assert.deepStrictEqual(join(store, "watcher", { role: ROLES.OBSERVER }), { refusal: null, isNewRoom: true });
+  assert.strictEqual(store.getRole("room-1", "watcher"), ROLES.OBSERVER);
+  assert.strictEqual(store.getRoomInfo("room-1").hostId, null);
+
+  join(store, "p1");
+  assert.strictEqual(store.getRole("room-1", "p1"), ROLES.HOST);
+  assert.strictEqual(store.getRoomInfo("room-1").hostId, "p1");
+});
+
+test("participant info is stored only for admitted joins", () => {
+  const store = new MemoryRoomStore();
+  join(store, "a", { roomOptions: { passcode: "1234" } });
+
+  join(store, "b", { passcode: "0000", participantInfo: { userId: "bob", spokenLanguage: "hi-IN" } });
+  assert.strictEqual(store.getParticipantInfo("b"), null);
+
+  join(store, "b", { passcode: "1234", participantInfo: { userId: "bob", spokenLanguage: "hi-IN" } });
+  assert.deepStrictEqual(store.getParticipantInfo("b"), { userId: "bob", spokenLanguage: "hi-IN" });
+});
+
+test("a passcode set by the creator is required to join", () => {
+  const store = new MemoryRoomStore();
+  join(store, "a", { roomOptions: { passcode: "1234" } });
+
+  assert.deepStrictEqual(join(store, "b"), { refusal: "Invalid room passcode" });
+  assert.deepStrictEqual(join(store, "b", { passcode: "12345" }), { refusal: "Invalid room passcode" });
+  assert.strictEqual(join(store, "b", { passcode: 1234 }).refusal, null);
+  assert.strictEqual(store.getRoomInfo("room-1").hasPasscode, true);
+});
+
+test("capacity is the creator's limit, capped by the configured maximum", () => {
+  const small = new MemoryRoomStore();
+  join(small, "a", { roomOptions: { maxParticipants: 2 } });
+  join(small, "b");
+  assert.deepStrictEqual(join(small, "c"), { refusal: "Room is full" });
+  assert.strictEqual(small.getUserCount("room-1"), 2);
+
+  // Observers take no place and may join a full room
+  assert.deepStrictEqual(join(small, "watcher", { role: ROLES.OBSERVER }), { refusal: null, isNewRoom: false });
+  assert.deepStrictEqual(join(small, "c"), { refusal: "Room is full" });
+
+  const watched = new MemoryRoomStore();
+  join(watched, "w1", { role: ROLES.OBSERVER, roomOptions: { maxParticipants: 2 } });
+  join(watched, "w2", { role: ROLES.OBSERVER });
+  assert.strictEqual(join(watched, "a").refusal, null);
+  assert.strictEqual(join(watched, "b").refusal, null);
+  assert.deepStrictEqual(join(watched, "c"), { refusal: "Room is full" });
+
+  const large = new MemoryRoomStore();
+  join(large, "a", { roomOptions: { maxParticipants: 50 } });
+  assert.strictEqual(large.getRoomInfo("room-1").maxParticipants, 4);
+});
+
+test("locked rooms and kicked users are refused", () => {
+  const store = new MemoryRoomStore();
+  join(store, "a");
+
+  store.setLocked("room-1", true);
+  assert.deepStrictEqual(join(store, "b"), { refusal: "Room is locked" });
+  store.setLocked("room-1", false);
+
+  join(store, "b");
+  store.banUser("room-1", "user-b");
+  store.removeUser("room-1", "b");
+  assert.deepStrictEqual(join(store, "b2", { userId: "user-b" }), { refusal: "You were removed from this room" });
+});
+
+test("concurrent joins cannot overfill a room", async () => {
+  const rooms = new RoomManager(new MemoryRoomStore());
+  await rooms.joinRoom("room-1", "a", { userId: "alice", roomOptions: { maxParticipants: 3 } });
+  await rooms.joinRoom("room-1", "b", { userId: "bob" });
+
+  const results = await Promise.all(["c", "d", "e"].map((socketId) => rooms.joinRoom("room-1", socketId, { userId: socketId })));
+
+  assert.deepStrictEqual(results.map((result) => result.refusal), [null, "Room is full", "Room is full"]);
+  assert.strictEqual(await rooms.getUserCount("room-1"), 3);
+});
+
+test("the host role passes to the longest-present participant, never an observer", () => {
+  const store = new MemoryRoomStore();
+  join(store, "host");
+  join(store, "watcher", { role: ROLES.OBSERVER });
+  join(store, "p1");
+  join(store, "p2");
+
+  assert.deepStrictEqual(store.removeUser("room-1", "host"), { roomDeleted: false, newHostId: "p1" });
+  assert.strictEqual(store.getRole("room-1", "p1"), ROLES.HOST);
+
+  store.removeUser("room-1", "p2");
+  assert.deepStrictEqual(store.removeUser("room-1", "p1"), { roomDeleted: false, newHostId: null });
+  assert.strictEqual(store.getRole("room-1", "watcher"), ROLES.OBSERVER);
+  assert.strictEqual(store.getRoomInfo("room-1").hostId, null);
+
+  // The next participant takes the empty host seat; observers do not
+  join(store, "watcher-2", { role: ROLES.OBSERVER });
+  join(store, "p3");
+  assert.strictEqual(store.getRoomInfo("room-1").hostId, "p3");
+  assert.strictEqual(store.getRole("room-1", "watcher-2"), ROLES.OBSERVER);
+});
+
+test("only real call roles are accepted, not Object.prototype keys", () => {
+  const store = new MemoryRoomStore();
+  join(store, "a");
+  join(store, "b");
+
+  for (const callRole of ["toString", "constructor", "__proto__", "hasOwnProperty"]) {
+    assert.strictEqual(isCallRole(callRole), false);
+    assert.throws(() => store.assignCallRole("room-1", "a", callRole), /Unknown call role/);
+  }
+  assert.strictEqual(isCallRole("caller"), true);
+  assert.strictEqual(isCallRole(undefined), false);
+
+  assert.deepStrictEqual(store.assignCallRole("room-1", "a", "agent"), { callRole: "agent", source: "declared" });
+  assert.deepStrictEqual(store.assignCallRole("room-1", "b"), { callRole: "customer", source: "inferred" });
+});
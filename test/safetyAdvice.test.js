@@ -0,0 +1,29 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { adviceFor, localizeAdvice } = require("../services/safetyAdvice");
+const { ScamRuleEngine } = require("../services/scamRuleEngine");
+
+const engine = new ScamRuleEngine();
+const adviceIds = (text) => adviceFor({ ruleHits: engine.evaluate([{ text, source: "original" }]).hits }).map((advice) => advice.id);
+
+test("each payment trick gets its own advice", () => {
+  assert.deepStrictEqual(adviceIds("Buy a Google Play card and read me the code"), ["no-gift-cards"]);
+  assert.deepStrictEqual(adviceIds("Scan this QR code to receive the refund"), ["no-pin-to-receive"]);
+});
+
+test("catalog patterns choose advice when no rule hit", () => {
+  assert.deepStrictEqual(adviceFor({ matchedPatterns: ["gift-card-payment"] }).map((advice) => advice.id), ["no-gift-cards"]);
+  assert.deepStrictEqual(adviceFor({ matchedPatterns: ["lottery-kbc"] }).map((advice) => advice.id), ["no-upfront-payment"]);
+});
+
+test("general advice is given only when asked for and nothing specific matched", () => {
+  assert.deepStrictEqual(adviceFor({}), []);
+  assert.deepStrictEqual(adviceFor({ general: true }).map((advice) => advice.id), ["signs-of-fraud"]);
+});
+
+test("advice is shown in the listener's language, falling back to English", () => {
+  const [advice] = adviceFor({ matchedPatterns: ["gift-card-payment"] });
+
+  assert.strictEqual(localizeAdvice(advice, "hi-IN").language, "hi");
+  assert.deepStrictEqual(localizeAdvice(advice, "ta"), { id: "no-gift-cards", text: advice.text.en, language: "en" });
+});
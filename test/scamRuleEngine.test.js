@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { ScamRuleEngine, combineWeights } = require("../services/scamRuleEngine");
+
+const engine = new ScamRuleEngine();
+const hitIds = (text) => engine.evaluate([{ text, source: "original" }]).hits.map((hit) => hit.id);
+
+test("English scam phrasing raises the matching rules", () => {
+  assert.deepStrictEqual(hitIds("Please share the OTP you just received"), ["otp-request"]);
+  assert.deepStrictEqual(hitIds("Scan this QR code to receive your refund"), ["qr-to-receive"]);
+  assert.deepStrictEqual(hitIds("Enter your UPI PIN and you will get the money"), ["pin-request", "qr-to-receive"]);
+  assert.deepStrictEqual(hitIds("Congratulations, you won a car in the lucky draw"), ["prize-lottery"]);
+  assert.deepStrictEqual(hitIds("You are under digital arrest"), ["digital-arrest"]);
+  assert.deepStrictEqual(hitIds("Install AnyDesk so I can help"), ["remote-access"]);
+  assert.deepStrictEqual(hitIds("Buy a Google Play card for the fees"), ["gift-card"]);
+});
+
+test("Hindi in Devanagari and romanized Hinglish raise the same rules", () => {
+  assert.deepStrictEqual(hitIds("अपना ओटीपी बताइए"), ["otp-request"]);
+  assert.deepStrictEqual(hitIds("क्यूआर कोड स्कैन करो, पैसा मिलेगा"), ["qr-to-receive"]);
+  assert.deepStrictEqual(hitIds("आपका केवाईसी अपडेट नहीं हुआ"), ["kyc-expiry"]);
+  assert.deepStrictEqual(hitIds("आपने लॉटरी जीती है"), ["prize-lottery"]);
+  assert.deepStrictEqual(hitIds("OTP batao jaldi"), ["otp-request"]);
+  assert.deepStrictEqual(hitIds("qr scan karo paisa milega"), ["qr-to-receive"]);
+  assert.deepStrictEqual(hitIds("kisi ko mat batana"), ["secrecy"]);
+  assert.deepStrictEqual(hitIds("aapki bijli aaj kaat di jayegi"), ["utility-disconnection"]);
+});
+
+test("other Indian languages raise the rules they have terms for", () => {
+  assert.deepStrictEqual(hitIds("உடனே பணம் அனுப்புங்கள்"), ["urgency"]); // Tamil
+  assert.deepStrictEqual(hitIds("ఓటీపీ చెప్పండి"), ["otp-request"]); // Telugu
+  assert.deepStrictEqual(hitIds("পুলিশ আপনাকে গ্রেফতার করবে"), ["arrest-threat"]); // Bengali
+});
+
+test("ordinary sentences do not trip the QR and prize rules", () => {
+  for (const text of [
+    "go to the service center and get your new card",
+    "I will forget to enter the budget",
+    "The doctor will enter your results and you can get them tomorrow",
+    "you won't believe how cheap this is",
+    "honestly you won’t regret this trip",
+  ]) {
+    assert.deepStrictEqual(hitIds(text), [], text);
+  }
+});
+
+test("a rule hits once across the original and its translation", () => {
+  const result = engine.evaluate([
+    { text: "ओटीपी बताओ", source: "original" },
+    { text: "Tell me the OTP and keep this secret", source: "translation" },
+  ]);
+
+  assert.deepStrictEqual(result.hits.map((hit) => [hit.id, hit.source]), [["otp-request", "original"], ["secrecy", "translation"]]);
+  assert.strictEqual(result.score, combineWeights(result.hits));
+});
+
+test("weights combine like independent probabilities and never exceed 100", () => {
+  assert.strictEqual(combineWeights([]), 0);
+  assert.strictEqual(combineWeights([{ weight: 50 }, { weight: 50 }]), 75);
+  assert.strictEqual(combineWeights([{ weight: 100 }, { weight: 45 }]), 100);
+});
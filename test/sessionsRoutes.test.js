@@ -0,0 +1,53 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-routes-"));
+process.env.PORT = "0";
+process.env.SESSION_STORE = "memory";
+process.env.ADMIN_API_KEY = "test-admin-key";
+process.env.FRAUD_PATTERN_OVERRIDES_FILE = path.join(tmpDir, "fraudPatternOverrides.json");
+
+const { server, io } = require("../index");
+
+let baseUrl;
+
+before(async () => {
+  if (!server.listening) {
+    await new Promise((resolve) => server.once("listening", resolve));
+  }
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => io.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("GET /sessions without an API key is rejected", async () => {
+  const response = await fetch(`${baseUrl}/sessions`);
+  assert.strictEqual(response.status, 401);
+});
+
+test("GET /sessions with a wrong API key is rejected", async () => {
+  const response = await fetch(`${baseUrl}/sessions`, { headers: { "x-api-key": "wrong" } });
+  assert.strictEqual(response.status, 401);
+});
+
+test("GET /sessions with the admin API key lists sessions", async () => {
+  const response = await fetch(`${baseUrl}/sessions`, { headers: { "x-api-key": "test-admin-key" } });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual((await response.json()).sessions, []);
+});
+
+test("post-call reports need the admin API key", async () => {
+  for (const path of ["/sessions/some-session/report", "/sessions/some-session/report.html"]) {
+    const anonymous = await fetch(`${baseUrl}${path}`);
+    assert.strictEqual(anonymous.status, 401, path);
+
+    const authorized = await fetch(`${baseUrl}${path}`, { headers: { authorization: "Bearer test-admin-key" } });
+    assert.strictEqual(authorized.status, 404, path);
+  }
+});
@@ -0,0 +1,71 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+const jwt = require("jsonwebtoken");
+
+process.env.AUTH_ENABLED = "true";
+process.env.JWT_SECRET = "test-secret";
+process.env.JWT_PUBLIC_KEY = "";
+process.env.JWT_PUBLIC_KEY_FILE = "";
+process.env.JWT_ALGORITHMS = "";
+process.env.JWT_ISSUER = "";
+process.env.JWT_AUDIENCE = "";
+process.env.JWT_ROOMS_CLAIM = "rooms";
+
+const { verifyToken, createSocketAuthMiddleware, canJoinRoom } = require("../services/socketAuth");
+
+mock.method(console, "log", () => {});
+mock.method(console, "warn", () => {});
+
+const sign = (claims, options = {}) => jwt.sign(claims, "test-secret", { algorithm: "HS256", ...options });
+
+test("a valid token yields the subject and its room claims", () => {
+  const user = verifyToken(sign({ sub: 42, rooms: ["room-1", 7] }));
+
+  assert.deepStrictEqual(user, { id: "42", rooms: ["room-1", "7"] });
+  assert.strictEqual(canJoinRoom(user, "room-1"), true);
+  assert.strictEqual(canJoinRoom(user, "room-2"), false);
+});
+
+test("a wildcard room claim allows any room and a missing claim allows none", () => {
+  assert.strictEqual(canJoinRoom(verifyToken(sign({ sub: "alice", rooms: ["*"] })), "anything"), true);
+
+  const noRooms = verifyToken(sign({ sub: "bob" }));
+  assert.deepStrictEqual(noRooms.rooms, []);
+  assert.strictEqual(canJoinRoom(noRooms, "room-1"), false);
+  assert.strictEqual(canJoinRoom(null, "room-1"), false);
+});
+
+test("expired tokens are rejected", () => {
+  const token = sign({ sub: "alice", rooms: ["*"], exp: Math.floor(Date.now() / 1000) - 60 });
+
+  assert.throws(() => verifyToken(token), { name: "TokenExpiredError" });
+});
+
+test("tokens signed with another algorithm or key are rejected", () => {
+  assert.throws(() => verifyToken(sign({ sub: "alice" }, { algorithm: "HS512" })), /invalid algorithm/);
+  assert.throws(() => verifyToken(jwt.sign({ sub: "alice" }, "other-secret")), /invalid signature/);
+
+  const unsigned = jwt.sign({ sub: "alice" }, null, { algorithm: "none" });
+  assert.throws(() => verifyToken(unsigned), /jwt signature is required/);
+});
+
+test("tokens without a subject are rejected", () => {
+  assert.throws(() => verifyToken(sign({ rooms: ["*"] })), /no subject/);
+});
+
+test("the handshake middleware reads the token from auth or a Bearer header", () => {
+  const middleware = createSocketAuthMiddleware();
+  const connect = (handshake) => {
+    const socket = { id: "socket-1", data: {}, handshake: { headers: {}, ...handshake } };
+    let error;
+    middleware(socket, (err) => { error = err; });
+    return { user: socket.data.user, error };
+  };
+
+  assert.strictEqual(connect({ auth: { token: sign({ sub: "alice" }) } }).user.id, "alice");
+  assert.strictEqual(connect({ headers: { authorization: `Bearer ${sign({ sub: "bob" })}` } }).user.id, "bob");
+
+  const rejected = connect({ auth: {} });
+  assert.strictEqual(rejected.error.message, "Unauthorized");
+  assert.strictEqual(rejected.error.data.reason, "Missing token");
+});
@@ -0,0 +1,118 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+
+process.env.ANALYSIS_DEBOUNCE_MS = "20";
+
+const { TranscribeTranslatePipeline } = require("../services/transcribeTranslatePipeline");
+const { AnalysisScheduler } = require("../services/analysisScheduler");
+
+// Node 20's test runner can misread its child's stdout when pipeline logs interleave with its messages
+mock.method(console, "log", () => {});
+
+const ruleHits = [{ id: "otp-request", label: "Asks for an OTP", category: "credentials", weight: 45, patternId: null }];
+
+test("a merged or skipped utterance gets no rules fallback", () => {
+  const pipeline = new TranscribeTranslatePipeline("room", "speaker");
+
+  assert.strictEqual(pipeline.mergeRuleHits({ status: "not-analyzed", reason: "merged" }, ruleHits), null);
+  assert.strictEqual(pipeline.stats.ruleFallbacks, 0);
+});
+
+test("an utterance dropped from a full analysis queue falls back on its rule hits", () => {
+  const pipeline = new TranscribeTranslatePipeline("room", "speaker");
+  const merged = pipeline.mergeRuleHits({ status: "not-analyzed", reason: "dropped" }, ruleHits);
+
+  assert.strictEqual(merged.source, "rules");
+  assert.strictEqual(merged.fraudScore, 45);
+  assert.deepStrictEqual(merged.redFlags, ["Asks for an OTP"]);
+  assert.strictEqual(pipeline.mergeRuleHits({ status: "not-analyzed", reason: "dropped" }, []), null);
+});
+
+test("the rules score stands in when Bedrock is unavailable", () => {
+  const pipeline = new TranscribeTranslatePipeline("room", "speaker");
+  const merged = pipeline.mergeRuleHits(null, ruleHits);
+
+  assert.strictEqual(merged.source, "rules");
+  assert.strictEqual(merged.fraudScore, 45);
+  assert.strictEqual(pipeline.stats.ruleFallbacks, 1);
+});
+
+test("Bedrock's score stands when it answered, with the rule hits added", () => {
+  const pipeline = new TranscribeTranslatePipeline("room", "speaker");
+  const merged = pipeline.mergeRuleHits({ status: "ok", fraudScore: 12, riskLevel: "LOW", redFlags: [] }, ruleHits);
+
+  assert.strictEqual(merged.source, "bedrock");
+  assert.strictEqual(merged.fraudScore, 12);
+  assert.deepStrictEqual(merged.redFlags, ["Asks for an OTP"]);
+});
+
+test("the fallback scores the rule hits of every merged utterance together", () => {
+  const pipeline = new TranscribeTranslatePipeline("room", "speaker");
+  const merged = pipeline.mergeRuleHits({ status: "analysis-error", redFlags: [] }, [
+    ...ruleHits,
+    { id: "urgency", label: "Pressured to act immediately", category: "urgency", weight: 10, patternId: null },
+  ]);
+
+  assert.strictEqual(merged.source, "rules");
+  assert.strictEqual(merged.fraudScore, 50);
+  assert.deepStrictEqual(merged.redFlags, ["Asks for an OTP", "Pressured to act immediately"]);
+});
+
+test("partials are translated for each listener and analyzed on the room's scheduler", async () => {
+  const pipeline = new TranscribeTranslatePipeline("room", "speaker", {
+    getRoomSettings: async () => ({ translatePartials: true, analyzePartials: true, piiRedaction: "none" }),
+    getListenerLanguages: async () => ["en", "ta"],
+    getCallRole: async () => null,
+  });
+  const analyzed = [];
+  pipeline.analysisScheduler = new AnalysisScheduler("room");
+  pipeline.bedrockService = {
+    isActive: true,
+    analyzeConversation: async (text) => {
+      analyzed.push(text);
+      return { status: "ok", summary: "Asks for a code", fraudScore: 70, riskLevel: "HIGH" };
+    },
+  };
+  pipeline.translationService = {
+    isActive: true,
+    translateText: async (text) => ({
+      originalText: text,
+      translatedText: `en:${text}`,
+      sourceLanguage: "hi",
+      targetLanguage: "en",
+    }),
+    translateForLanguages: async (text, sourceLanguage, languages, known) => Object.fromEntries(
+      languages.map((language) => [language, known[language] || `${language}:${text}`])
+    ),
+  };
+  const outputs = [];
+  pipeline.partialCallback = (output) => outputs.push(output);
+
+  await Promise.all([
+    pipeline.handlePartialTranscriptionOutput("code bata", { resultId: "r1" }),
+    pipeline.handlePartialTranscriptionOutput("code bata dijiye abhi", { resultId: "r1" }),
+  ]);
+
+  // The newer partial replaced the pending one rather than being appended to it
+  assert.deepStrictEqual(analyzed, ["en:code bata dijiye abhi"]);
+  assert.strictEqual(outputs.length, 2);
+  assert.deepStrictEqual(outputs[0].translations, { en: "en:code bata", ta: "ta:code bata" });
+  assert.strictEqual(outputs[0].fraudAnalysis, null);
+  assert.deepStrictEqual(outputs[1].translations, { en: "en:code bata dijiye abhi", ta: "ta:code bata dijiye abhi" });
+  assert.strictEqual(outputs[1].fraudAnalysis.fraudScore, 70);
+  assert.strictEqual(pipeline.analysisScheduler.getStats().superseded, 1);
+});
+
+test("audio is dropped quietly once transcription has failed", async () => {
+  const pipeline = new TranscribeTranslatePipeline("room", "speaker");
+  const sent = [];
+  pipeline.isActive = true;
+  pipeline.transcriptionService = { state: "streaming", sendAudio: async (audio) => sent.push(audio) };
+
+  await pipeline.sendAudio(Buffer.alloc(320));
+  pipeline.transcriptionService.state = "failed";
+  await pipeline.sendAudio(Buffer.alloc(320));
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(pipeline.stats.errors, 0);
+});
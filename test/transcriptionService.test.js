@@ -0,0 +1,101 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+
+process.env.TRANSCRIBE_RECONNECT_BASE_MS = "200";
+process.env.TRANSCRIBE_RECONNECT_MAX_MS = "200";
+process.env.TRANSCRIBE_MAX_RECONNECT_ATTEMPTS = "3";
+
+const { TranscribeStreamingClient } = require("@aws-sdk/client-transcribe-streaming");
+const { TranscriptionService } = require("../services/transcriptionService");
+
+// Node 20's test runner can misread its child's stdout when stream logs interleave with its messages
+mock.method(console, "log", () => {});
+mock.method(console, "warn", () => {});
+mock.method(console, "error", () => {});
+
+function unavailable() {
+  const error = new Error("Service unavailable");
+  error.name = "ServiceUnavailableException";
+  return error;
+}
+
+// An event stream that stays open until the test ends it
+function idleStream() {
+  let end;
+  const ended = new Promise((resolve) => {
+    end = resolve;
+  });
+  return {
+    end,
+    TranscriptResultStream: {
+      async *[Symbol.asyncIterator]() {
+        await ended;
+      },
+    },
+  };
+}
+
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+test("start() returns after a failed first attempt and reconnects in the background", async (t) => {
+  const stream = idleStream();
+  const send = t.mock.method(TranscribeStreamingClient.prototype, "send", async () => {
+    if (send.mock.callCount() === 0) throw unavailable();
+    return stream;
+  });
+
+  const statuses = [];
+  const service = new TranscriptionService("room-1", "user-1");
+  await service.start(() => {}, { onStatus: (status) => statuses.push(status) });
+
+  assert.strictEqual(send.mock.callCount(), 1);
+  assert.strictEqual(service.isActive, true);
+  assert.deepStrictEqual(statuses.map((status) => status.state), ["reconnecting"]);
+  assert.strictEqual(statuses[0].reason, "Service unavailable");
+
+  await waitFor(() => statuses.length === 2);
+  assert.strictEqual(statuses[1].state, "resumed");
+  assert.strictEqual(send.mock.callCount(), 2);
+  assert.strictEqual(service.state, "streaming");
+
+  await service.stop();
+  stream.end();
+});
+
+test("a background reconnect that runs out of attempts reports failed", async (t) => {
+  t.mock.method(TranscribeStreamingClient.prototype, "send", async () => {
+    throw unavailable();
+  });
+
+  const statuses = [];
+  const service = new TranscriptionService("room-1", "user-2");
+  await service.start(() => {}, { onStatus: (status) => statuses.push(status) });
+
+  assert.strictEqual(service.isActive, true);
+
+  await waitFor(() => !service.isActive);
+  assert.deepStrictEqual(statuses.map((status) => status.state), ["reconnecting", "reconnecting", "reconnecting", "failed"]);
+  assert.strictEqual(service.state, "failed");
+});
+
+test("a bad request on the first attempt fails without retrying", async (t) => {
+  const send = t.mock.method(TranscribeStreamingClient.prototype, "send", async () => {
+    const error = new Error("Unsupported audio");
+    error.name = "BadRequestException";
+    throw error;
+  });
+
+  const statuses = [];
+  const service = new TranscriptionService("room-1", "user-3");
+  await service.start(() => {}, { onStatus: (status) => statuses.push(status) });
+
+  await waitFor(() => !service.isActive);
+  assert.strictEqual(send.mock.callCount(), 1);
+  assert.deepStrictEqual(statuses.map((status) => status.state), ["failed"]);
+});
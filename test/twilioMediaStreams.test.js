@@ -0,0 +1,96 @@
+const { test, after, mock } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const http = require("http");
+const WebSocket = require("ws");
+
+process.env.TWILIO_AUTH_TOKEN = "twilio-token";
+process.env.TWILIO_STREAM_URL = "";
+
+const config = require("../config");
+const { TwilioMediaStreamServer, isValidTwilioSignature } = require("../services/twilioMediaStreams");
+
+// Node 20's test runner can misread its child's stdout when call logs interleave with its messages
+mock.method(console, "log", () => {});
+mock.method(console, "warn", () => {});
+
+after(() => {
+  config.TWILIO_STREAM_URL = "";
+});
+
+const sign = (url, token = "twilio-token") => crypto.createHmac("sha1", token).update(url).digest("base64");
+
+function upgradeRequest(url, signature) {
+  return {
+    url,
+    headers: { host: "calls.example.com", ...(signature === undefined ? {} : { "x-twilio-signature": signature }) },
+  };
+}
+
+test("a signature over the requested wss:// URL is accepted", () => {
+  const path = "/telephony/media-stream?roomId=room-1";
+
+  assert.strictEqual(isValidTwilioSignature(upgradeRequest(path, sign(`wss://calls.example.com${path}`))), true);
+});
+
+test("missing, wrongly keyed or tampered signatures are rejected", () => {
+  const path = "/telephony/media-stream?roomId=room-1";
+  const url = `wss://calls.example.com${path}`;
+
+  assert.strictEqual(isValidTwilioSignature(upgradeRequest(path)), false);
+  assert.strictEqual(isValidTwilioSignature(upgradeRequest(path, sign(url, "other-token"))), false);
+  assert.strictEqual(isValidTwilioSignature(upgradeRequest("/telephony/media-stream?roomId=room-2", sign(url))), false);
+  assert.strictEqual(isValidTwilioSignature(upgradeRequest(path, "short")), false);
+});
+
+test("TWILIO_STREAM_URL replaces the proxied host and path but keeps the query", () => {
+  config.TWILIO_STREAM_URL = "wss://public.example.com/voice";
+  try {
+    const path = "/telephony/media-stream?roomId=room-1";
+
+    assert.strictEqual(isValidTwilioSignature(upgradeRequest(path, sign("wss://public.example.com/voice?roomId=room-1"))), true);
+    assert.strictEqual(isValidTwilioSignature(upgradeRequest(path, sign(`wss://calls.example.com${path}`))), false);
+  } finally {
+    config.TWILIO_STREAM_URL = "";
+  }
+});
+
+test("unsigned upgrades are refused and signed calls stream media", async () => {
+  const server = http.createServer();
+  const mediaStreams = new TwilioMediaStreamServer("/telephony/media-stream");
+  mediaStreams.attach(server);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const host = `127.0.0.1:${server.address().port}`;
+  const path = "/telephony/media-stream?roomId=room-1";
+
+  try {
+    const status = await new Promise((resolve) => {
+      const ws = new WebSocket(`ws://${host}${path}`);
+      ws.on("unexpected-response", (request, response) => resolve(response.statusCode));
+      ws.on("error", () => {});
+    });
+    assert.strictEqual(status, 403);
+
+    const events = [];
+    mediaStreams.on("call-start", (call) => events.push(["call-start", call.roomId, call.callSid]));
+    mediaStreams.on("media", (call, track, audio) => events.push(["media", track, audio.toString("hex")]));
+    const ended = new Promise((resolve) => mediaStreams.on("call-end", resolve));
+
+    const ws = new WebSocket(`ws://${host}${path}`, { headers: { "X-Twilio-Signature": sign(`wss://${host}${path}`) } });
+    await new Promise((resolve, reject) => {
+      ws.on("open", resolve);
+      ws.on("error", reject);
+    });
+    ws.send(JSON.stringify({ event: "connected" }));
+    ws.send(JSON.stringify({ event: "start", streamSid: "MZ1", start: { callSid: "CA1", tracks: ["inbound"] } }));
+    ws.send(JSON.stringify({ event: "media", media: { track: "inbound", payload: Buffer.from([0xff, 0x7f]).toString("base64") } }));
+    ws.send(JSON.stringify({ event: "stop" }));
+    await ended;
+
+    assert.deepStrictEqual(events, [["call-start", "room-1", "CA1"], ["media", "inbound", "ff7f"]]);
+    assert.strictEqual(mediaStreams.getActiveCallCount(), 0);
+  } finally {
+    server.close();
+  }
+});
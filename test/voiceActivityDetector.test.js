@@ -0,0 +1,94 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+process.env.VAD_THRESHOLD_DB = "-50";
+process.env.VAD_NOISE_MARGIN_DB = "10";
+process.env.VAD_FRAME_MS = "20";
+process.env.VAD_PRE_ROLL_MS = "60";
+process.env.VAD_HANGOVER_MS = "40";
+
+const { VoiceActivityDetector } = require("../services/voiceActivityDetector");
+
+const SAMPLE_RATE = 8000;
+const FRAME_SAMPLES = 160;
+
+// Square wave frame whose RMS level is amplitude / 32768
+function frame(amplitude) {
+  const buffer = Buffer.alloc(FRAME_SAMPLES * 2);
+  for (let i = 0; i < FRAME_SAMPLES; i++) {
+    buffer.writeInt16LE(i % 2 === 0 ? amplitude : -amplitude, i * 2);
+  }
+  return buffer;
+}
+
+// Amplitude of each frame in the output, to see which frames were kept
+function frameAmplitudes(output) {
+  const amplitudes = [];
+  for (let offset = 0; offset < output.length; offset += FRAME_SAMPLES * 2) {
+    amplitudes.push(output.readInt16LE(offset));
+  }
+  return amplitudes;
+}
+
+const QUIET = 50; // About -56 dBFS
+const LOUD = 1000; // About -30 dBFS
+
+test("frames above the threshold are speech and quieter frames are silence", () => {
+  const vad = new VoiceActivityDetector(SAMPLE_RATE);
+
+  assert.strictEqual(vad.process(frame(QUIET)).length, 0);
+  assert.strictEqual(vad.process(frame(60)).length, 0); // About -55 dBFS
+  assert.strictEqual(vad.getStats().speaking, false);
+
+  assert.deepStrictEqual(frameAmplitudes(vad.process(frame(200))).slice(-1), [200]); // About -44 dBFS
+  assert.strictEqual(vad.getStats().speaking, true);
+});
+
+test("speech is padded with pre-roll before it and hang-over after it", () => {
+  const vad = new VoiceActivityDetector(SAMPLE_RATE);
+  const input = [
+    ...[41, 42, 43, 44, 45].map(frame),
+    ...[LOUD, LOUD + 1, LOUD + 2].map(frame),
+    ...[46, 47, 48, 49].map(frame),
+  ];
+
+  const output = frameAmplitudes(vad.process(Buffer.concat(input)));
+
+  assert.deepStrictEqual(output, [43, 44, 45, LOUD, LOUD + 1, LOUD + 2, 46, 47]);
+  const { noiseFloorDb, ...stats } = vad.getStats();
+  assert.deepStrictEqual(stats, {
+    speaking: false,
+    speechSegments: 1,
+    speechMs: 60,
+    paddingMs: 100,
+    silenceMs: 80,
+    speechRatio: 0.25,
+    silenceRatio: 0.333,
+  });
+  assert.ok(noiseFloorDb < -55, `noise floor ${noiseFloorDb}`);
+});
+
+test("partial frames carry over to the next chunk", () => {
+  const vad = new VoiceActivityDetector(SAMPLE_RATE);
+  const speech = frame(LOUD);
+
+  assert.strictEqual(vad.process(speech.subarray(0, 100)).length, 0);
+  assert.deepStrictEqual(vad.process(speech.subarray(100)), speech);
+});
+
+test("steady background noise above the threshold is eventually treated as silence", () => {
+  const vad = new VoiceActivityDetector(SAMPLE_RATE);
+  const noise = frame(330); // About -40 dBFS
+
+  assert.strictEqual(vad.process(noise).length, noise.length);
+
+  for (let i = 0; i < 1000; i++) {
+    vad.process(noise);
+  }
+
+  assert.strictEqual(vad.process(noise).length, 0);
+  assert.ok(vad.getStats().noiseFloorDb > -50);
+
+  // Speech over the noise still gets through
+  assert.ok(vad.process(frame(LOUD * 4)).length > 0);
+});
@@ -0,0 +1,158 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+process.env.WEBHOOK_SECRET = "";
+process.env.WEBHOOK_SUBSCRIPTIONS = JSON.stringify([
+  { id: "signed", url: "http://127.0.0.1:1/hook", secret: "s3cret", minRiskLevel: "MEDIUM" },
+  { id: "unsigned", url: "http://127.0.0.1:1/hook" },
+  { id: "no-url", secret: "s3cret" },
+]);
+process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+process.env.WEBHOOK_BACKOFF_BASE_MS = "5";
+process.env.WEBHOOK_BACKOFF_MAX_MS = "20";
+process.env.WEBHOOK_DEAD_LETTER_FILE = path.join(tmpDir, "dead-letter.jsonl");
+
+const { WebhookService, loadSubscriptions } = require("../services/webhookService");
+const { backoffDelay } = require("../services/backoff");
+
+// Node 20's test runner can misread its child's stdout when delivery logs interleave with its messages
+mock.method(console, "log", () => {});
+
+// Responds with the queued status codes in order, then 200
+let server;
+let baseUrl;
+const received = [];
+const responses = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = responses.length > 0 ? responses.shift() : 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function subscription(overrides = {}) {
+  return { id: "test", url: baseUrl, secret: "s3cret", minRiskLevel: "MEDIUM", rooms: null, ...overrides };
+}
+
+function detection(riskLevel, speakerId = "alice") {
+  return {
+    roomId: "room-1",
+    speakerId,
+    sessionId: "session-1",
+    message: "share the OTP",
+    fraudAnalysis: { fraudScore: riskLevel === "HIGH" ? 90 : 50, riskLevel, summary: "", redFlags: [], matchedPatterns: [], reasoning: "" },
+    timestamp: new Date().toISOString(),
+  };
+}
+
+test("subscriptions without a url or any signing secret are rejected at load time", () => {
+  const subscriptions = loadSubscriptions();
+  assert.deepStrictEqual(subscriptions.map((s) => s.id), ["signed"]);
+  assert.strictEqual(subscriptions[0].secret, "s3cret");
+});
+
+test("backoff doubles per attempt, jittered between half and the full delay, and is capped", () => {
+  for (let i = 0; i < 50; i++) {
+    const third = backoffDelay(3, 100, 1000);
+    assert.ok(third >= 200 && third <= 400, `attempt 3 delay ${third}`);
+    const capped = backoffDelay(10, 100, 1000);
+    assert.ok(capped >= 500 && capped <= 1000, `capped delay ${capped}`);
+  }
+});
+
+test("deliveries are signed over the timestamp and body", async () => {
+  received.length = 0;
+  const service = new WebhookService([subscription()]);
+
+  assert.deepStrictEqual(await service.notifyDetection(detection("HIGH")), [true]);
+
+  const [{ headers, body }] = received;
+  const expected = crypto.createHmac("sha256", "s3cret").update(`${headers["x-webhook-timestamp"]}.${body}`).digest("hex");
+  assert.strictEqual(headers["x-webhook-signature"], `sha256=${expected}`);
+  assert.strictEqual(headers["idempotency-key"], JSON.parse(body).id);
+});
+
+test("server errors are retried until a delivery succeeds", async () => {
+  received.length = 0;
+  responses.push(503, 429);
+  const service = new WebhookService([subscription()]);
+
+  assert.deepStrictEqual(await service.notifyDetection(detection("HIGH")), [true]);
+  assert.strictEqual(received.length, 3);
+  assert.strictEqual(new Set(received.map((r) => r.headers["idempotency-key"])).size, 1);
+});
+
+test("client errors are not retried and are dead-lettered", async () => {
+  received.length = 0;
+  responses.push(400);
+  const service = new WebhookService([subscription()]);
+
+  assert.deepStrictEqual(await service.notifyDetection(detection("HIGH")), [false]);
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(service.getStats().deadLettered, 1);
+
+  const letters = fs.readFileSync(process.env.WEBHOOK_DEAD_LETTER_FILE, "utf8").trim().split("\n").map(JSON.parse);
+  assert.strictEqual(letters.at(-1).error, "HTTP 400");
+});
+
+test("a speaker is only re-alerted when their risk level escalates", async () => {
+  received.length = 0;
+  const service = new WebhookService([subscription()]);
+
+  await service.notifyDetection(detection("MEDIUM"));
+  await service.notifyDetection(detection("MEDIUM"));
+  await service.notifyDetection(detection("HIGH"));
+  await service.notifyDetection(detection("MEDIUM"));
+
+  assert.deepStrictEqual(received.map((r) => JSON.parse(r.body).riskLevel), ["MEDIUM", "HIGH"]);
+  assert.strictEqual(service.getStats().duplicatesSuppressed, 2);
+});
+
+test("an alert that was not delivered anywhere is retried by the next detection", async () => {
+  received.length = 0;
+  responses.push(400);
+  const service = new WebhookService([subscription()]);
+
+  assert.deepStrictEqual(await service.notifyDetection(detection("HIGH")), [false]);
+  assert.deepStrictEqual(await service.notifyDetection(detection("HIGH")), [true]);
+  assert.deepStrictEqual(await service.notifyDetection(detection("HIGH")), []);
+  assert.strictEqual(received.length, 2);
+});
+
+test("a failed escalation falls back to the level that was delivered", async () => {
+  received.length = 0;
+  const service = new WebhookService([subscription()]);
+
+  await service.notifyDetection(detection("MEDIUM"));
+  responses.push(400);
+  assert.deepStrictEqual(await service.notifyDetection(detection("HIGH")), [false]);
+  assert.deepStrictEqual(await service.notifyDetection(detection("MEDIUM")), []);
+  assert.deepStrictEqual(await service.notifyDetection(detection("HIGH")), [true]);
+});
+
+test("one successful subscription is enough to record the level", async () => {
+  received.length = 0;
+  const service = new WebhookService([subscription(), subscription({ id: "down", url: "http://127.0.0.1:1/hook" })]);
+
+  assert.deepStrictEqual(await service.notifyDetection(detection("HIGH")), [true, false]);
+  assert.deepStrictEqual(await service.notifyDetection(detection("HIGH")), []);
+});
@@ -0,0 +1,153 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+const { WebmOpusRemuxer, opusPacketSamples } = require("../services/webmOpusRemuxer");
+
+// Fixed Ogg serial numbers so separately remuxed streams compare equal
+mock.method(Math, "random", () => 0.5);
+
+/**
+ * EBML element with a one- or two-byte size; null size writes "unknown"
+ */
+function element(id, payload) {
+  if (payload === null) {
+    return Buffer.concat([Buffer.from(id), Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff])]);
+  }
+  const size = payload.length < 0x7f ? [0x80 | payload.length] : [0x40 | (payload.length >> 8), payload.length & 0xff];
+  return Buffer.concat([Buffer.from(id), Buffer.from(size), payload]);
+}
+
+function simpleBlock(track, packet) {
+  return element([0xa3], Buffer.concat([Buffer.from([0x80 | track, 0x00, 0x00, 0x80]), packet]));
+}
+
+const OPUS_HEAD = Buffer.concat([
+  Buffer.from("OpusHead", "ascii"),
+  Buffer.from([1, 1, 0x38, 0x01, 0x80, 0xbb, 0x00, 0x00, 0x00, 0x00, 0x00]),
+]);
+
+// 20 ms CELT frame, a two-frame packet and one that needs two lacing values
+const PACKETS = [
+  Buffer.from([0xfc, 0x01, 0x02, 0x03]),
+  Buffer.from([0xfd, 0x04, 0x05]),
+  Buffer.concat([Buffer.from([0xfc]), Buffer.alloc(299, 0x11)]),
+];
+
+// MediaRecorder-style file: EBML header, live (unknown-size) Segment and Cluster,
+// a video track listed before the Opus track and a video block among the audio
+const SAMPLE = Buffer.concat([
+  element([0x1a, 0x45, 0xdf, 0xa3], element([0x42, 0x82], Buffer.from("webm", "ascii"))),
+  element([0x18, 0x53, 0x80, 0x67], null),
+  element([0x15, 0x49, 0xa9, 0x66], element([0x2a, 0xd7, 0xb1], Buffer.from([0x0f, 0x42, 0x40]))),
+  element([0x16, 0x54, 0xae, 0x6b], Buffer.concat([
+    element([0xae], Buffer.concat([element([0xd7], Buffer.from([1])), element([0x86], Buffer.from("V_VP8", "ascii"))])),
+    element([0xae], Buffer.concat([
+      element([0xd7], Buffer.from([2])),
+      element([0x86], Buffer.from("A_OPUS", "ascii")),
+      element([0x63, 0xa2], OPUS_HEAD),
+    ])),
+  ])),
+  element([0x1f, 0x43, 0xb6, 0x75], null),
+  element([0xe7], Buffer.from([0x00])),
+  simpleBlock(2, PACKETS[0]),
+  simpleBlock(1, Buffer.from([0x9d, 0x01, 0x2a])),
+  simpleBlock(2, PACKETS[1]),
+  simpleBlock(2, PACKETS[2]),
+]);
+
+/**
+ * Split Ogg output into pages, checking each page's CRC with a bitwise CRC-32
+ */
+function readPages(ogg) {
+  const pages = [];
+  let offset = 0;
+
+  while (offset < ogg.length) {
+    assert.strictEqual(ogg.toString("ascii", offset, offset + 4), "OggS");
+    const segments = ogg[offset + 26];
+    const lacing = [...ogg.subarray(offset + 27, offset + 27 + segments)];
+    const headerLength = 27 + segments;
+    const length = headerLength + lacing.reduce((sum, value) => sum + value, 0);
+    const page = Buffer.from(ogg.subarray(offset, offset + length));
+
+    const crc = page.readUInt32LE(22);
+    page.writeUInt32LE(0, 22);
+    let expected = 0;
+    for (const byte of page) {
+      expected ^= byte << 24;
+      for (let bit = 0; bit < 8; bit++) {
+        expected = expected & 0x80000000 ? (expected << 1) ^ 0x04c11db7 : expected << 1;
+      }
+    }
+    assert.strictEqual(crc, expected >>> 0, `CRC of page ${pages.length}`);
+
+    pages.push({
+      headerType: page[5],
+      granule: Number(page.readBigUInt64LE(6)),
+      serial: page.readUInt32LE(14),
+      sequence: page.readUInt32LE(18),
+      lacing,
+      packet: page.subarray(headerLength),
+    });
+    offset += length;
+  }
+
+  return pages;
+}
+
+test("a WebM/Opus file is remuxed into Ogg/Opus pages carrying the same packets", () => {
+  const pages = readPages(new WebmOpusRemuxer().convert(SAMPLE));
+
+  assert.strictEqual(pages.length, 5);
+  assert.deepStrictEqual(pages[0].packet, OPUS_HEAD);
+  assert.strictEqual(pages[0].headerType, 0x02);
+  assert.strictEqual(pages[1].packet.toString("ascii", 0, 8), "OpusTags");
+  assert.deepStrictEqual(pages.slice(2).map((page) => page.packet), PACKETS);
+  assert.deepStrictEqual(pages.map((page) => page.granule), [0, 0, 960, 2880, 3840]);
+  assert.deepStrictEqual(pages.map((page) => page.sequence), [0, 1, 2, 3, 4]);
+  assert.deepStrictEqual(pages[4].lacing, [255, 45]);
+  assert.ok(pages.every((page) => page.serial === pages[0].serial));
+});
+
+test("the output does not depend on how the input is chunked", () => {
+  const whole = new WebmOpusRemuxer().convert(SAMPLE);
+
+  const remuxer = new WebmOpusRemuxer();
+  const parts = [];
+  for (let offset = 0; offset < SAMPLE.length; offset += 7) {
+    const output = remuxer.convert(SAMPLE.subarray(offset, offset + 7));
+    if (output) parts.push(output);
+  }
+
+  assert.deepStrictEqual(Buffer.concat(parts), whole);
+});
+
+test("reset() starts a new Ogg stream with fresh headers", () => {
+  const remuxer = new WebmOpusRemuxer();
+  remuxer.convert(SAMPLE);
+  remuxer.reset();
+
+  const pages = readPages(remuxer.convert(simpleBlock(2, PACKETS[0])));
+
+  assert.deepStrictEqual(pages.map((page) => page.sequence), [0, 1, 2]);
+  assert.deepStrictEqual(pages[0].packet, OPUS_HEAD);
+  assert.strictEqual(pages[2].granule, 960);
+});
+
+test("streams without an Opus track or with corrupt elements fail for good", () => {
+  const videoOnly = new WebmOpusRemuxer();
+  const tracks = element([0x16, 0x54, 0xae, 0x6b], element([0xae], Buffer.concat([
+    element([0xd7], Buffer.from([1])),
+    element([0x86], Buffer.from("V_VP8", "ascii")),
+  ])));
+  assert.throws(() => videoOnly.convert(Buffer.concat([tracks, simpleBlock(1, Buffer.from([0x00]))])), /no Opus audio track \(found V_VP8\)/);
+  assert.strictEqual(videoOnly.convert(SAMPLE), null);
+
+  assert.throws(() => new WebmOpusRemuxer().convert(Buffer.from([0x00, 0x81, 0x00])), /Invalid WebM\/Opus stream/);
+});
+
+test("Opus packet durations follow the TOC byte", () => {
+  assert.strictEqual(opusPacketSamples(Buffer.from([0x08])), 960); // SILK 20 ms
+  assert.strictEqual(opusPacketSamples(Buffer.from([0x70])), 480); // Hybrid 10 ms
+  assert.strictEqual(opusPacketSamples(Buffer.from([0xfd])), 1920); // CELT 20 ms, two frames
+  assert.strictEqual(opusPacketSamples(Buffer.from([0xfb, 0x03])), 2880); // CELT 20 ms, three frames (code 3)
+});